@@ -15,14 +15,22 @@ import appRoutes from './routes/apps.js';
 import functionRoutes from './routes/functions.js';
 import monitoringRoutes from './routes/monitoring.js';
 import subscriptionRoutes from './routes/subscriptions.js';
+import jobRoutes from './routes/jobs.js';
+import heartbeatRoutes from './routes/heartbeat.js';
+import probeRoutes from './routes/probes.js';
+import maintenanceRoutes from './routes/maintenance.js';
+import oncallRoutes from './routes/oncall.js';
+import escalationPolicyRoutes from './routes/escalationPolicies.js';
+import webhookRoutes from './routes/webhooks.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { rateLimiter } from './middleware/rateLimiter.js';
-import { authenticateToken } from './middleware/auth.js';
+import { authenticateToken, authenticateProbe, authenticateSocket } from './middleware/auth.js';
 
 // Import services
 import { MonitoringService } from './services/MonitoringService.js';
+import { RealtimeRelay } from './services/RealtimeEmitter.js';
 import { logger } from './utils/logger.js';
 
 dotenv.config();
@@ -64,20 +72,25 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/heartbeat', heartbeatRoutes);
+app.use('/api/probes', authenticateProbe, probeRoutes);
 app.use('/api/users', authenticateToken, userRoutes);
 app.use('/api/apps', authenticateToken, appRoutes);
 app.use('/api/functions', authenticateToken, functionRoutes);
 app.use('/api/monitoring', authenticateToken, monitoringRoutes);
 app.use('/api/subscriptions', authenticateToken, subscriptionRoutes);
+app.use('/api/jobs', authenticateToken, jobRoutes);
+app.use('/api/maintenance', authenticateToken, maintenanceRoutes);
+app.use('/api/oncall', authenticateToken, oncallRoutes);
+app.use('/api/escalation-policies', authenticateToken, escalationPolicyRoutes);
+app.use('/api/webhooks', authenticateToken, webhookRoutes);
+
+// Socket.IO connection handling; authenticateSocket puts each client in
+// its own user's room
+io.use(authenticateSocket);
 
-// Socket.IO connection handling
 io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
-  
-  socket.on('join-user-room', (userId) => {
-    socket.join(`user-${userId}`);
-    logger.info(`User ${userId} joined their room`);
-  });
+  logger.info(`Client connected: ${socket.id} (user ${socket.user.userId})`);
 
   socket.on('disconnect', () => {
     logger.info(`Client disconnected: ${socket.id}`);
@@ -106,6 +119,10 @@ mongoose.connect(MONGODB_URI, {
   // Start monitoring service
   const monitoringService = new MonitoringService(io);
   monitoringService.start();
+
+  // Forward Socket.IO events published by worker processes
+  const realtimeRelay = new RealtimeRelay(io);
+  realtimeRelay.start();
   
   // Start server
   server.listen(PORT, () => {
@@ -0,0 +1,29 @@
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import WebhookEndpoint from '../models/WebhookEndpoint.js';
+import { WebhookService } from '../services/WebhookService.js';
+
+export const deliverWebhook = () => async ({ deliveryId }, job) => {
+  const delivery = await WebhookDelivery.findOne({ deliveryId });
+  if (!delivery || delivery.status !== 'pending') {
+    return { skipped: true, reason: 'Delivery not pending' };
+  }
+
+  const endpoint = await WebhookEndpoint.findOne({ webhookId: delivery.webhookId });
+  if (!endpoint || !endpoint.isActive) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    await delivery.save();
+    return { skipped: true, reason: 'Webhook endpoint removed or disabled' };
+  }
+
+  const webhookService = new WebhookService();
+  const retryIn = job.attempts < job.maxAttempts ? job.nextRetryDelay() : null;
+  const { succeeded, statusCode, error } = await webhookService.attempt(delivery, endpoint, retryIn);
+
+  // Failing the job makes the queue retry it with backoff
+  if (!succeeded) {
+    throw new Error(error);
+  }
+
+  return { statusCode };
+};
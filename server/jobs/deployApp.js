@@ -0,0 +1,26 @@
+import DeployedApp from '../models/DeployedApp.js';
+import Deployment from '../models/Deployment.js';
+import { DeploymentService } from '../services/DeploymentService.js';
+
+export const deployApp = ({ io }) => async ({ appId, deploymentId }) => {
+  const app = await DeployedApp.findOne({ appId, isActive: true });
+  if (!app) {
+    return { skipped: true, reason: 'App not found' };
+  }
+
+  let deployment = deploymentId
+    ? await Deployment.findOne({ deploymentId, appId })
+    : null;
+
+  if (!deployment) {
+    deployment = await Deployment.fromApp(app, { userId: app.userId, type: 'auto' });
+  }
+
+  const deploymentService = new DeploymentService(io);
+  await deploymentService.deployApp(app, deployment);
+
+  return {
+    deploymentId: deployment.deploymentId,
+    status: deployment.status
+  };
+};
@@ -0,0 +1,11 @@
+import ServerlessFunction from '../models/ServerlessFunction.js';
+
+export const executeFunction = () => async ({ functionId, payload = {}, context = {} }) => {
+  const func = await ServerlessFunction.findOne({ functionId, isActive: true });
+  if (!func) {
+    return { skipped: true, reason: 'Function not found' };
+  }
+
+  // Throwing lets the queue retry according to the function's retry policy
+  return func.execute(payload, context);
+};
@@ -0,0 +1,33 @@
+import { deployApp } from './deployApp.js';
+import { restartApp } from './restartApp.js';
+import { stopApp } from './stopApp.js';
+import { startApp } from './startApp.js';
+import { executeFunction } from './executeFunction.js';
+import { deliverWebhook } from './deliverWebhook.js';
+import { settleAppHealth } from './settleAppHealth.js';
+
+// Job type -> handler factory. Handlers receive (payload, job).
+export const jobHandlers = {
+  'deploy-app': deployApp,
+  'restart-app': restartApp,
+  'stop-app': stopApp,
+  'start-app': startApp,
+  'execute-function': executeFunction,
+  'deliver-webhook': deliverWebhook
+};
+
+// Job type -> factory for what to do once a job has failed for good
+export const jobFailureHandlers = {
+  'restart-app': settleAppHealth,
+  'stop-app': settleAppHealth,
+  'start-app': settleAppHealth
+};
+
+export const registerJobHandlers = (queue, context) => {
+  Object.entries(jobHandlers).forEach(([type, createHandler]) => {
+    queue.register(type, createHandler(context), {
+      onFailed: jobFailureHandlers[type]?.(context)
+    });
+  });
+  return queue;
+};
@@ -0,0 +1,12 @@
+import DeployedApp from '../models/DeployedApp.js';
+import { AppLifecycleService } from '../services/AppLifecycleService.js';
+
+export const restartApp = ({ io }) => async ({ appId, trigger }, job) => {
+  const app = await DeployedApp.findOne({ appId, isActive: true });
+  if (!app) {
+    return { skipped: true, reason: 'App not found' };
+  }
+
+  const lifecycleService = new AppLifecycleService(io);
+  return lifecycleService.runAction(app, 'restart', { trigger, jobId: job.jobId });
+};
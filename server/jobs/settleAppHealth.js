@@ -0,0 +1,12 @@
+import DeployedApp from '../models/DeployedApp.js';
+import { AppLifecycleService } from '../services/AppLifecycleService.js';
+
+// Runs when a restart, stop or start job fails for good, e.g. its worker
+// crashed, so the app does not stay "restarting" and out of monitoring
+export const settleAppHealth = ({ io }) => async ({ appId }) => {
+  const app = await DeployedApp.findOne({ appId, isActive: true });
+  if (!app) return;
+
+  const lifecycleService = new AppLifecycleService(io);
+  await lifecycleService.settleHealth(app);
+};
@@ -1,4 +1,5 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import User from '../models/User.js';
 import { logger } from '../utils/logger.js';
 
@@ -64,6 +65,78 @@ export const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Socket.IO handshake: the client sends its JWT as `auth.token`, and the
+// socket joins the room of the user the token belongs to. The room carries
+// build logs, so it is never joined from a user id the client names.
+export const authenticateSocket = async (socket, next) => {
+  const refuse = (message, code) => {
+    const error = new Error(message);
+    error.data = { code };
+    next(error);
+  };
+
+  const token = socket.handshake.auth?.token;
+  if (!token) {
+    return refuse('Access token required', 'TOKEN_REQUIRED');
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    const user = await User.findOne({
+      userId: decoded.userId,
+      isActive: true
+    });
+
+    if (!user) {
+      return refuse('Invalid token - user not found or inactive', 'INVALID_TOKEN');
+    }
+    if (user.isLocked) {
+      return refuse('Account is temporarily locked', 'ACCOUNT_LOCKED');
+    }
+
+    socket.user = { userId: user.userId };
+    socket.join(`user-${user.userId}`);
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return refuse('Invalid token', 'INVALID_TOKEN');
+    } else if (error.name === 'TokenExpiredError') {
+      return refuse('Token expired', 'TOKEN_EXPIRED');
+    }
+
+    logger.error('Socket authentication error:', error);
+    refuse('Authentication failed', 'AUTH_ERROR');
+  }
+};
+
+// Probe agents authenticate with the shared PROBE_SECRET and name their
+// location in the X-Probe-Location header
+export const authenticateProbe = (req, res, next) => {
+  const secret = process.env.PROBE_SECRET;
+  if (!secret) {
+    return res.status(503).json({
+      error: 'Remote probes are not enabled',
+      code: 'PROBES_DISABLED'
+    });
+  }
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1]; // Bearer SECRET
+
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const given = crypto.createHash('sha256').update(token || '').digest();
+
+  if (!token || !crypto.timingSafeEqual(expected, given)) {
+    return res.status(401).json({
+      error: 'Invalid probe secret',
+      code: 'INVALID_PROBE_SECRET'
+    });
+  }
+
+  req.probeLocation = req.headers['x-probe-location'];
+  next();
+};
+
 export const requireSubscription = (requiredTier = 'pro') => {
   return (req, res, next) => {
     const user = req.user;
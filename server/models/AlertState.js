@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+
+// Checks remembered per rule for flap detection
+export const FLAP_HISTORY = 20;
+// Changes between healthy and unhealthy within the history that start and
+// end flapping; the gap keeps a borderline app from toggling in and out
+export const FLAP_START = 8;
+export const FLAP_END = 3;
+
+// Where one alert rule of an app stands: which conditions are building up
+// towards the rule's "for" duration, whether it is firing and when its owner
+// was last told, and whether the app is flapping
+const alertStateSchema = new mongoose.Schema({
+  appId: {
+    type: String,
+    required: true,
+    ref: 'DeployedApp'
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  ruleKey: {
+    type: String,
+    required: true // the rule's id, or "default" for preference-based alerts
+  },
+  // When each condition started to hold
+  pending: {
+    type: Map,
+    of: Date,
+    default: () => new Map()
+  },
+  status: {
+    type: String,
+    enum: ['ok', 'firing'],
+    default: 'ok'
+  },
+  condition: String, // the condition the rule fired on
+  reason: String,
+  firedAt: Date,
+  lastNotifiedAt: Date,
+  reminders: {
+    type: Number,
+    default: 0
+  },
+  resolvedAt: Date,
+  // Whether each check was unhealthy, oldest first
+  history: [Boolean],
+  flapping: {
+    type: Boolean,
+    default: false
+  },
+  flappingSince: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.history;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+alertStateSchema.index({ appId: 1, ruleKey: 1 }, { unique: true });
+
+// Method to remember whether the check was unhealthy; returns 'started' or
+// 'stopped' when the app starts or stops flapping
+alertStateSchema.methods.recordCheck = function(unhealthy, now = new Date()) {
+  this.history.push(unhealthy);
+  if (this.history.length > FLAP_HISTORY) {
+    this.history.splice(0, this.history.length - FLAP_HISTORY);
+  }
+
+  let changes = 0;
+  for (let i = 1; i < this.history.length; i++) {
+    if (this.history[i] !== this.history[i - 1]) changes += 1;
+  }
+
+  if (!this.flapping && changes >= FLAP_START) {
+    this.flapping = true;
+    this.flappingSince = now;
+    return 'started';
+  }
+  if (this.flapping && changes <= FLAP_END) {
+    this.flapping = false;
+    this.flappingSince = undefined;
+    return 'stopped';
+  }
+  return null;
+};
+
+// Method to mark the rule as firing
+alertStateSchema.methods.fire = function(condition, reason, now = new Date()) {
+  this.status = 'firing';
+  this.condition = condition;
+  this.reason = reason;
+  this.firedAt = now;
+  this.lastNotifiedAt = now;
+  this.reminders = 0;
+  this.resolvedAt = undefined;
+};
+
+// Method to mark the rule as clear again
+alertStateSchema.methods.recover = function(now = new Date()) {
+  this.status = 'ok';
+  this.resolvedAt = now;
+};
+
+const AlertState = mongoose.model('AlertState', alertStateSchema);
+
+export default AlertState;
@@ -1,4 +1,9 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { assertionTypes } from '../utils/assertions.js';
+import { checkTypes } from '../services/checks/index.js';
+import { extractSources } from '../services/checks/TransactionCheck.js';
+import { alertChannels, alertSeverities } from '../services/AlertRuleEngine.js';
 
 const deployedAppSchema = new mongoose.Schema({
   appId: {
@@ -48,9 +53,10 @@ const deployedAppSchema = new mongoose.Schema({
   deployment: {
     provider: {
       type: String,
-      enum: ['vercel', 'netlify', 'aws', 'heroku', 'digitalocean', 'custom'],
+      enum: ['vercel', 'netlify', 'aws', 'heroku', 'digitalocean', 'custom', 'local'],
       default: 'vercel'
     },
+    projectId: String, // Provider-side project/site/app identifier
     url: String,
     customDomain: String,
     buildCommand: String,
@@ -63,6 +69,15 @@ const deployedAppSchema = new mongoose.Schema({
         default: false
       }
     }],
+    hooks: {
+      // Only used by the custom provider
+      deploy: String,
+      status: String,
+      restart: String,
+      stop: String,
+      start: String,
+      destroy: String
+    },
     deploymentId: String,
     lastDeployment: {
       id: String,
@@ -91,6 +106,10 @@ const deployedAppSchema = new mongoose.Schema({
       p95: {
         type: Number,
         default: 0
+      },
+      p99: {
+        type: Number,
+        default: 0
       }
     },
     checksPerformed: {
@@ -102,41 +121,121 @@ const deployedAppSchema = new mongoose.Schema({
       default: 0
     },
     lastFailure: Date,
-    incidents: [{
-      id: String,
-      type: {
-        type: String,
-        enum: ['downtime', 'slow_response', 'error_rate', 'ssl_issue']
+    nextCheckAt: Date, // when the scheduler should check the app next
+    // Auto-restart bookkeeping kept by the restart supervisor
+    restarts: {
+      windowStartedAt: Date,
+      attempts: {
+        type: Number,
+        default: 0
       },
-      severity: {
+      lastAttemptAt: Date,
+      nextAttemptAt: Date,
+      gaveUpAt: Date
+    },
+    // Next due check per remote probe location
+    probeSchedule: {
+      type: Map,
+      of: Date
+    },
+    // Latest result per probe location, this server's included
+    locationResults: {
+      type: Map,
+      of: new mongoose.Schema({
+        status: String,
+        statusCode: Number,
+        responseTime: Number,
+        error: String,
+        checkedAt: Date
+      }, { _id: false })
+    },
+    // Pings received by a heartbeat monitor (see routes/heartbeat.js)
+    heartbeat: {
+      lastPingAt: Date,
+      lastStatus: {
         type: String,
-        enum: ['low', 'medium', 'high', 'critical']
+        enum: ['success', 'fail']
       },
-      startTime: Date,
-      endTime: Date,
-      duration: Number, // in seconds
-      resolved: {
-        type: Boolean,
-        default: false
-      },
-      description: String,
-      affectedUsers: Number
-    }],
+      lastMessage: String,
+      lastDuration: Number, // milliseconds from the start ping to the last ping
+      startedAt: Date, // set by a start ping until the run finishes
+      pings: {
+        type: Number,
+        default: 0
+      }
+    },
+    // Last TLS certificate inspection (see services/CertificateService.js)
+    certificate: {
+      subject: String,
+      issuer: String,
+      altNames: [String],
+      serialNumber: String,
+      fingerprint: String,
+      validFrom: Date,
+      validTo: Date,
+      daysRemaining: Number,
+      chainValid: Boolean,
+      chainError: String,
+      hostnameMatch: Boolean,
+      checkedAt: Date,
+      error: String,
+      notifiedThreshold: Number, // smallest expiry threshold an incident was opened for
+      notifiedProblem: String // validity problem an incident was opened for
+    },
+    // Registration of deployment.customDomain, from RDAP
+    domain: {
+      name: String,
+      registrar: String,
+      expiresAt: Date,
+      daysRemaining: Number,
+      checkedAt: Date,
+      error: String,
+      notifiedThreshold: Number
+    },
+    // Alert rules, each routed to its own channel. Apps without rules alert
+    // on the channels in the owner's notification preferences.
     alerts: [{
+      name: String,
       type: {
         type: String,
-        enum: ['email', 'slack', 'webhook', 'sms']
+        enum: alertChannels
+      },
+      recipient: String, // email address, phone number or URL; defaults to the owner's
+      // Least serious alert sent; defaults to high for sms and voice, else low
+      minSeverity: {
+        type: String,
+        enum: alertSeverities
       },
-      recipient: String,
       enabled: {
         type: Boolean,
         default: true
       },
+      // Seconds a condition must hold before the rule fires
+      for: {
+        type: Number,
+        default: 0
+      },
+      // Seconds between reminders while the rule keeps firing; 0 for none
+      reminderInterval: {
+        type: Number,
+        default: 0
+      },
+      notifyRecovery: {
+        type: Boolean,
+        default: true
+      },
       conditions: {
         downtime: {
           type: Boolean,
           default: true
         },
+        warning: {
+          type: Boolean,
+          default: true
+        },
+        // Consecutive failed checks before downtime/warning counts; defaults
+        // to the owner's alertThreshold
+        failureThreshold: Number,
         slowResponse: {
           threshold: {
             type: Number,
@@ -152,6 +251,10 @@ const deployedAppSchema = new mongoose.Schema({
             type: Number,
             default: 5 // 5%
           },
+          window: {
+            type: Number,
+            default: 300 // seconds of check history
+          },
           enabled: {
             type: Boolean,
             default: true
@@ -178,21 +281,120 @@ const deployedAppSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // on-failure: restart apps that are down
+    // unless-stopped: also restart apps that keep failing checks with a warning
+    // always: as unless-stopped, and also bring back apps that were stopped
     restartPolicy: {
       type: String,
       enum: ['always', 'on-failure', 'unless-stopped'],
       default: 'on-failure'
     },
+    // Automatic restarts allowed per restart window before giving up
     maxRestartAttempts: {
       type: Number,
       default: 3,
       min: 1,
       max: 10
     },
+    // Consecutive failed checks before an automatic restart
+    restartThreshold: {
+      type: Number,
+      default: 3,
+      min: 1,
+      max: 20
+    },
     healthCheckPath: {
       type: String,
       default: '/'
     },
+    // What a health check does (see services/checks): an HTTP request to
+    // healthCheckPath, a TCP connect, a DNS lookup or a multi-step HTTP
+    // transaction, or a heartbeat pushed by the job itself. host/port and
+    // relative step URLs default to the app's URL.
+    monitor: {
+      type: {
+        type: String,
+        enum: checkTypes,
+        default: 'http'
+      },
+      method: String, // http
+      headers: mongoose.Schema.Types.Mixed, // http
+      body: String, // http
+      host: String, // tcp, dns
+      port: Number, // tcp
+      recordType: String, // dns, A by default
+      expectedValues: [String], // dns, all must be in the answer
+      resolver: String, // dns, system resolver by default
+      // transaction: requests run in order; "{{name}}" in url, headers and
+      // body is replaced by a variable or a value extracted by an earlier step
+      steps: [{
+        name: String,
+        method: String,
+        url: String,
+        headers: mongoose.Schema.Types.Mixed,
+        body: String,
+        followRedirects: {
+          type: Boolean,
+          default: true
+        },
+        extract: [{
+          name: String,
+          source: {
+            type: String,
+            enum: extractSources
+          },
+          property: String // JSONPath, header name, cookie name or regex
+        }],
+        assertions: [{
+          type: {
+            type: String,
+            enum: assertionTypes
+          },
+          property: String,
+          value: String,
+          enabled: {
+            type: Boolean,
+            default: true
+          }
+        }]
+      }],
+      variables: mongoose.Schema.Types.Mixed, // transaction, initial variables
+      token: String, // heartbeat, secret part of the ping URL
+      period: Number, // heartbeat, seconds between expected pings
+      grace: Number // heartbeat, seconds a ping may be late (5 minutes by default)
+    },
+    // Probe agents that check the app besides this server (see server/probe.js).
+    // With more than one location the app is only marked down when `quorum`
+    // of them (a majority by default) report it down.
+    locations: [String],
+    quorum: {
+      type: Number,
+      min: 1
+    },
+    // Extra conditions the health check response must meet (see utils/assertions.js)
+    assertions: [{
+      type: {
+        type: String,
+        enum: assertionTypes,
+        required: true
+      },
+      property: String, // JSONPath for json_path, header name for header
+      value: String,
+      enabled: {
+        type: Boolean,
+        default: true
+      }
+    }],
+    // Days before certificate/domain expiry at which an incident is opened
+    certificateExpiryThresholds: {
+      type: [Number],
+      default: [30, 14, 7, 1]
+    },
+    // Pages on-call people about incidents until one is acknowledged
+    escalationPolicyId: {
+      type: String,
+      ref: 'EscalationPolicy'
+    },
     healthCheckInterval: {
       type: Number,
       default: 30, // seconds
@@ -262,6 +464,14 @@ deployedAppSchema.index({ isActive: 1 });
 deployedAppSchema.index({ userId: 1, isActive: 1 });
 deployedAppSchema.index({ userId: 1, deploymentStatus: 1 });
 deployedAppSchema.index({ monitoringEnabled: 1, isActive: 1 });
+deployedAppSchema.index({ monitoringEnabled: 1, isActive: 1, deploymentStatus: 1, 'monitoring.nextCheckAt': 1 });
+deployedAppSchema.index({ 'configuration.monitor.token': 1 }, { unique: true, sparse: true });
+
+// Ping URL of a heartbeat monitor, relative to the API
+deployedAppSchema.virtual('heartbeatPath').get(function() {
+  const monitor = this.configuration.monitor;
+  return monitor?.type === 'heartbeat' && monitor.token ? `/api/heartbeat/${monitor.token}` : null;
+});
 
 // Virtual for full URL
 deployedAppSchema.virtual('fullUrl').get(function() {
@@ -280,7 +490,51 @@ deployedAppSchema.virtual('uptimeStatus').get(function() {
   return 'poor';
 });
 
-// Method to update health status
+// Pre-save middleware to reschedule checks when monitoring settings change
+deployedAppSchema.pre('save', function(next) {
+  const monitor = this.configuration.monitor;
+  if (monitor?.type === 'heartbeat' && !monitor.token) {
+    monitor.token = crypto.randomBytes(16).toString('hex');
+  }
+
+  if (this.isNew) return next();
+
+  if (this.isModified('monitoringEnabled') && this.monitoringEnabled) {
+    this.monitoring.nextCheckAt = new Date();
+  } else if (this.isModified('configuration.healthCheckInterval')) {
+    this.scheduleNextCheck();
+  }
+  next();
+});
+
+// Method to schedule the next health check one interval from now. Up to 10%
+// jitter (at most 30s) either way keeps apps that share an interval from
+// drifting into the same second.
+deployedAppSchema.methods.scheduleNextCheck = function(from = new Date()) {
+  this.monitoring.nextCheckAt = this.nextCheckTime(from);
+  return this.monitoring.nextCheckAt;
+};
+
+// Method to compute one jittered interval from `from`, also used to
+// schedule remote probe locations
+deployedAppSchema.methods.nextCheckTime = function(from = new Date()) {
+  const interval = (this.configuration.healthCheckInterval || 30) * 1000;
+  const jitter = Math.min(interval * 0.1, 30000) * (Math.random() * 2 - 1);
+
+  return new Date(from.getTime() + interval + jitter);
+};
+
+// Method to place an app that has never been scheduled at a random point in
+// its first interval, so apps created or migrated together are spread out
+deployedAppSchema.methods.spreadFirstCheck = function(from = new Date()) {
+  const interval = (this.configuration.healthCheckInterval || 30) * 1000;
+
+  this.monitoring.nextCheckAt = new Date(from.getTime() + Math.random() * interval);
+  return this.monitoring.nextCheckAt;
+};
+
+// Method to update health status. Windowed uptime and latency averages are
+// computed from stored checks by the MetricsCalculator, not here.
 deployedAppSchema.methods.updateHealthStatus = function(status, responseTime = null) {
   this.healthStatus = status;
   this.lastCheck = new Date();
@@ -288,11 +542,6 @@ deployedAppSchema.methods.updateHealthStatus = function(status, responseTime = n
   
   if (responseTime !== null) {
     this.monitoring.responseTime.current = responseTime;
-    // Update average response time (simple moving average)
-    const totalChecks = this.monitoring.checksPerformed;
-    const currentAvg = this.monitoring.responseTime.average;
-    this.monitoring.responseTime.average = 
-      ((currentAvg * (totalChecks - 1)) + responseTime) / totalChecks;
   }
   
   if (status === 'up') {
@@ -302,58 +551,47 @@ deployedAppSchema.methods.updateHealthStatus = function(status, responseTime = n
     this.monitoring.lastFailure = new Date();
   }
   
-  // Update uptime percentage
-  const uptimeChecks = this.monitoring.checksPerformed - this.monitoring.consecutiveFailures;
-  this.monitoring.uptimePercentage = 
-    (uptimeChecks / Math.max(this.monitoring.checksPerformed, 1)) * 100;
-  
   return this.save();
 };
 
-// Method to create incident
-deployedAppSchema.methods.createIncident = function(type, severity, description) {
-  const incident = {
-    id: `incident_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    type,
-    severity,
-    startTime: new Date(),
-    description,
-    resolved: false
-  };
-  
-  this.monitoring.incidents.push(incident);
-  return this.save();
-};
+// Method to check if restart is needed
+deployedAppSchema.methods.shouldAutoRestart = function() {
+  const { autoRestart, restartPolicy, restartThreshold, monitor } = this.configuration;
 
-// Method to resolve incident
-deployedAppSchema.methods.resolveIncident = function(incidentId) {
-  const incident = this.monitoring.incidents.id(incidentId);
-  if (incident) {
-    incident.resolved = true;
-    incident.endTime = new Date();
-    incident.duration = Math.floor((incident.endTime - incident.startTime) / 1000);
+  // Heartbeats watch jobs that run elsewhere; there is nothing to restart
+  if (monitor?.type === 'heartbeat') {
+    return false;
   }
-  return this.save();
-};
 
-// Method to check if restart is needed
-deployedAppSchema.methods.shouldAutoRestart = function() {
-  return this.configuration.autoRestart && 
-         this.monitoring.consecutiveFailures >= 3 &&
-         this.healthStatus === 'down';
+  if (!autoRestart || this.monitoring.consecutiveFailures < (restartThreshold || 3)) {
+    return false;
+  }
+
+  if (restartPolicy === 'on-failure') {
+    return this.healthStatus === 'down';
+  }
+
+  return this.healthStatus === 'down' || this.healthStatus === 'warning';
 };
 
-// Static method to find apps needing monitoring
-deployedAppSchema.statics.findAppsForMonitoring = function() {
+// Static method to find apps whose next check is due, most overdue first
+deployedAppSchema.statics.findAppsForMonitoring = function(limit = 500) {
   return this.find({
     monitoringEnabled: true,
     isActive: true,
-    deploymentStatus: 'deployed',
-    $or: [
-      { lastCheck: { $lt: new Date(Date.now() - 30000) } }, // 30 seconds ago
-      { lastCheck: { $exists: false } }
+    $and: [
+      // Heartbeat monitors have nothing deployed by us
+      { $or: [{ deploymentStatus: 'deployed' }, { 'configuration.monitor.type': 'heartbeat' }] },
+      {
+        $or: [
+          { 'monitoring.nextCheckAt': { $lte: new Date() } },
+          { 'monitoring.nextCheckAt': { $exists: false } }
+        ]
+      }
     ]
-  });
+  })
+    .sort({ 'monitoring.nextCheckAt': 1 })
+    .limit(limit);
 };
 
 const DeployedApp = mongoose.model('DeployedApp', deployedAppSchema);
@@ -0,0 +1,169 @@
+import mongoose from 'mongoose';
+
+// One document per release of a DeployedApp. Each release keeps a snapshot of
+// the source and environment it was built from so it can be redeployed later.
+const deploymentSchema = new mongoose.Schema({
+  deploymentId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `dep_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  appId: {
+    type: String,
+    required: true,
+    ref: 'DeployedApp'
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  providerDeploymentId: String,
+  // Commit the provider reported building, for releases of a branch
+  resolvedCommitHash: String,
+  // For rollbacks: the provider deployment to put back live as-is
+  promoteFrom: String,
+  status: {
+    type: String,
+    enum: ['queued', 'deploying', 'deployed', 'failed'],
+    default: 'queued'
+  },
+  source: {
+    type: {
+      type: String,
+      enum: ['git', 'zip', 'url', 'platform_export']
+    },
+    repository: String,
+    branch: String,
+    commitHash: String,
+    zipUrl: String,
+    platformExportUrl: String
+  },
+  environmentVariables: [{
+    key: String,
+    value: String,
+    encrypted: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  buildCommand: String,
+  outputDirectory: String,
+  url: String,
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  duration: Number, // milliseconds
+  triggeredBy: {
+    userId: String,
+    type: {
+      type: String,
+      enum: ['user', 'rollback', 'auto'],
+      default: 'user'
+    }
+  },
+  rollbackOf: String // deploymentId of the release that was redeployed
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      if (ret.environmentVariables) {
+        ret.environmentVariables = ret.environmentVariables.map(env => ({
+          key: env.key,
+          encrypted: env.encrypted,
+          value: env.encrypted ? '[ENCRYPTED]' : env.value
+        }));
+      }
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+deploymentSchema.index({ deploymentId: 1 });
+deploymentSchema.index({ appId: 1, createdAt: -1 });
+deploymentSchema.index({ userId: 1, createdAt: -1 });
+deploymentSchema.index({ status: 1 });
+
+// Build a new release record from the app's current configuration
+deploymentSchema.statics.fromApp = function(app, triggeredBy = {}) {
+  return this.create({
+    appId: app.appId,
+    userId: app.userId,
+    provider: app.deployment.provider,
+    source: {
+      type: app.source.type,
+      repository: app.source.repository,
+      branch: app.source.branch,
+      commitHash: app.source.commitHash,
+      zipUrl: app.source.zipUrl,
+      platformExportUrl: app.source.platformExportUrl
+    },
+    environmentVariables: app.deployment.environmentVariables.map(env => ({
+      key: env.key,
+      value: env.value,
+      encrypted: env.encrypted
+    })),
+    buildCommand: app.deployment.buildCommand,
+    outputDirectory: app.deployment.outputDirectory,
+    triggeredBy
+  });
+};
+
+// Whether a rollback can bring back exactly this release: the provider can
+// promote its deployment again, or it was built from a known commit or a
+// fixed archive rather than whatever a branch points at now
+deploymentSchema.methods.isReproducible = function(provider) {
+  return Boolean(provider.canPromote && this.providerDeploymentId) ||
+    this.source?.type !== 'git' ||
+    Boolean(this.source.commitHash || this.resolvedCommitHash);
+};
+
+// Build a new release that puts this one back: its provider deployment is
+// promoted where the provider can, otherwise its commit is rebuilt
+deploymentSchema.methods.createRollback = function(triggeredByUserId) {
+  const { source = {} } = this.toObject();
+  const commitHash = source.commitHash || this.resolvedCommitHash;
+
+  return this.constructor.create({
+    appId: this.appId,
+    userId: this.userId,
+    provider: this.provider,
+    source: { ...source, ...(commitHash && { commitHash }) },
+    promoteFrom: this.providerDeploymentId,
+    environmentVariables: this.environmentVariables.map(env => ({
+      key: env.key,
+      value: env.value,
+      encrypted: env.encrypted
+    })),
+    buildCommand: this.buildCommand,
+    outputDirectory: this.outputDirectory,
+    triggeredBy: { userId: triggeredByUserId, type: 'rollback' },
+    rollbackOf: this.deploymentId
+  });
+};
+
+// Shape handed to provider adapters
+deploymentSchema.methods.toRelease = function() {
+  const { source = {} } = this.toObject();
+  return {
+    id: this.deploymentId,
+    source,
+    environmentVariables: this.environmentVariables.map(env => ({
+      key: env.key,
+      value: env.value
+    })),
+    buildCommand: this.buildCommand,
+    outputDirectory: this.outputDirectory
+  };
+};
+
+const Deployment = mongoose.model('Deployment', deploymentSchema);
+
+export default Deployment;
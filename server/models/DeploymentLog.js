@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+// Build and deploy output, one document per line, ordered by seq within a deployment
+const deploymentLogSchema = new mongoose.Schema({
+  deploymentId: {
+    type: String,
+    required: true,
+    ref: 'Deployment'
+  },
+  appId: {
+    type: String,
+    required: true,
+    ref: 'DeployedApp'
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  seq: {
+    type: Number,
+    required: true
+  },
+  stream: {
+    type: String,
+    enum: ['build', 'system'],
+    default: 'build'
+  },
+  message: {
+    type: String,
+    maxlength: 10000
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+// Indexes
+deploymentLogSchema.index({ deploymentId: 1, seq: 1 }, { unique: true });
+deploymentLogSchema.index(
+  { timestamp: 1 },
+  { expireAfterSeconds: (parseInt(process.env.DEPLOYMENT_LOG_RETENTION_DAYS) || 90) * 24 * 60 * 60 }
+);
+
+// Page through a deployment's log lines. `after` reads forward from a seq,
+// `before` reads backwards (older lines) from a seq; results are always in
+// ascending order.
+deploymentLogSchema.statics.page = async function(deploymentId, { after, before, limit = 200 } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || 200, 1), 1000);
+  const query = { deploymentId };
+  const forward = after !== undefined;
+
+  if (forward) {
+    query.seq = { $gt: parseInt(after) };
+  } else if (before !== undefined) {
+    query.seq = { $lt: parseInt(before) };
+  }
+
+  // Without a cursor this returns the tail of the log
+  const lines = await this.find(query)
+    .sort({ seq: forward ? 1 : -1 })
+    .limit(pageSize + 1)
+    .lean();
+
+  const hasMore = lines.length > pageSize;
+  const page = lines.slice(0, pageSize);
+
+  return { lines: forward ? page : page.reverse(), hasMore };
+};
+
+const DeploymentLog = mongoose.model('DeploymentLog', deploymentLogSchema);
+
+export default DeploymentLog;
@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import { alertChannels } from '../services/AlertRuleEngine.js';
+import { incidentSeverities } from './Incident.js';
+
+// A level pages whoever is on call for a schedule, or a fixed recipient
+export const escalationTargetTypes = ['schedule', ...alertChannels];
+
+// Who to page, in order, until someone acknowledges an incident. Each level
+// waits `delay` minutes after the previous one (the first level after the
+// incident opened); after the last level the policy starts over `repeat`
+// more times.
+const escalationPolicySchema = new mongoose.Schema({
+  policyId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `esc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: String,
+  // Incidents of other severities only get the app's regular alerts
+  severities: {
+    type: [{
+      type: String,
+      enum: incidentSeverities
+    }],
+    default: ['high', 'critical']
+  },
+  levels: [{
+    _id: false,
+    delay: {
+      type: Number,
+      default: 0 // minutes
+    },
+    targets: [{
+      _id: false,
+      type: {
+        type: String,
+        enum: escalationTargetTypes,
+        required: true
+      },
+      scheduleId: String, // schedule targets
+      channel: {
+        type: String,
+        enum: ['email', 'sms', 'voice'],
+        default: 'email' // how the on-call person is reached
+      },
+      recipient: String // channel targets
+    }]
+  }],
+  repeat: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+escalationPolicySchema.index({ userId: 1, name: 1 });
+
+// Method to tell whether incidents of a severity escalate under this policy
+escalationPolicySchema.methods.appliesTo = function(severity) {
+  return this.levels.length > 0 && this.severities.includes(severity);
+};
+
+const EscalationPolicy = mongoose.model('EscalationPolicy', escalationPolicySchema);
+
+export default EscalationPolicy;
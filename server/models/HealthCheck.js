@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+export const healthCheckWindows = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+// One document per health check result, stored in a MongoDB time-series
+// collection keyed by app and probe location
+const healthCheckSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  meta: {
+    appId: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: String,
+      required: true
+    },
+    location: {
+      type: String,
+      default: 'primary'
+    }
+  },
+  type: {
+    type: String,
+    default: 'http' // monitor type: http, tcp, dns or transaction
+  },
+  status: {
+    type: String,
+    enum: ['up', 'down', 'warning', 'unknown'],
+    required: true
+  },
+  responseTime: Number, // milliseconds
+  statusCode: Number,
+  error: String,
+  // Per-step timing of transaction checks and the step that failed
+  steps: [{
+    _id: false,
+    name: String,
+    status: String,
+    statusCode: Number,
+    responseTime: Number,
+    error: String
+  }],
+  failedStep: String,
+  // Checked during a maintenance window; left out of uptime figures
+  maintenance: {
+    type: Boolean,
+    default: false
+  },
+  // The assertion that failed, when the response did not pass one
+  assertion: {
+    type: {
+      type: String
+    },
+    property: String,
+    expected: String,
+    actual: String,
+    message: String
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: (parseInt(process.env.HEALTH_CHECK_RETENTION_DAYS) || 30) * 24 * 60 * 60,
+  versionKey: false
+});
+
+// Indexes
+healthCheckSchema.index({ 'meta.appId': 1, timestamp: -1 });
+healthCheckSchema.index({ 'meta.userId': 1, timestamp: -1 });
+
+// Store the result of a check made against an app
+healthCheckSchema.statics.record = function(app, result, location = process.env.PROBE_LOCATION || 'primary') {
+  return this.create({
+    timestamp: result.checkedAt || new Date(),
+    meta: {
+      appId: app.appId,
+      userId: app.userId,
+      location
+    },
+    type: result.type || 'http',
+    status: result.status,
+    responseTime: result.responseTime ?? undefined,
+    statusCode: result.statusCode ?? undefined,
+    error: result.error || undefined,
+    steps: result.steps?.map(step => ({
+      name: step.name,
+      status: step.status,
+      statusCode: step.statusCode ?? undefined,
+      responseTime: step.responseTime ?? undefined,
+      error: step.error || undefined
+    })),
+    failedStep: result.failedStep || undefined,
+    maintenance: Boolean(result.maintenance),
+    assertion: result.failedAssertion
+      ? {
+          type: result.failedAssertion.type,
+          property: result.failedAssertion.property,
+          expected: result.failedAssertion.expected,
+          actual: result.failedAssertion.actual,
+          message: result.failedAssertion.message
+        }
+      : undefined
+  });
+};
+
+const HealthCheck = mongoose.model('HealthCheck', healthCheckSchema);
+
+export default HealthCheck;
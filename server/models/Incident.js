@@ -0,0 +1,211 @@
+import mongoose from 'mongoose';
+
+export const incidentTypes = ['downtime', 'slow_response', 'error_rate', 'ssl_issue', 'domain_expiry'];
+export const incidentSeverities = ['low', 'medium', 'high', 'critical'];
+export const incidentStatuses = ['triggered', 'acknowledged', 'resolved'];
+export const incidentEventTypes = ['triggered', 'alerted', 'escalated', 'acknowledged', 'assigned', 'note', 'resolved'];
+
+// Something wrong with an app, from the moment it was detected until it
+// was resolved by a user or by the app recovering
+const incidentSchema = new mongoose.Schema({
+  incidentId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `incident_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  appId: {
+    type: String,
+    required: true,
+    ref: 'DeployedApp'
+  },
+  appName: String, // at the time the incident was opened
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  type: {
+    type: String,
+    enum: incidentTypes,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: incidentSeverities,
+    required: true
+  },
+  // triggered -> acknowledged -> resolved
+  status: {
+    type: String,
+    enum: incidentStatuses,
+    default: 'triggered'
+  },
+  description: String,
+  affectedUsers: Number,
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  endTime: Date,
+  duration: Number, // in seconds
+  assignee: String, // userId
+  acknowledgedAt: Date,
+  acknowledgedBy: String,
+  resolvedBy: String, // userId, or "system" when the cause went away
+  // Progress through the app's escalation policy while nobody acknowledges
+  escalation: {
+    policyId: String,
+    level: {
+      type: Number,
+      default: 0 // next level to page
+    },
+    cycle: {
+      type: Number,
+      default: 0
+    },
+    lastEscalatedAt: Date,
+    exhausted: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Append-only history of the incident
+  timeline: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: incidentEventTypes
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    by: String,
+    message: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.resolved = ret.status === 'resolved';
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+incidentSchema.index({ userId: 1, startTime: -1, _id: -1 });
+incidentSchema.index({ userId: 1, status: 1, startTime: -1 });
+incidentSchema.index({ userId: 1, severity: 1, startTime: -1 });
+incidentSchema.index({ userId: 1, type: 1, startTime: -1 });
+incidentSchema.index({ appId: 1, status: 1, startTime: -1 });
+incidentSchema.index({ status: 1, 'escalation.policyId': 1, 'escalation.exhausted': 1 });
+
+// Virtual for whether the incident is over
+incidentSchema.virtual('resolved').get(function() {
+  return this.status === 'resolved';
+});
+
+// Method to acknowledge the incident, assigning it to the acknowledging user
+// unless someone else is named
+incidentSchema.methods.acknowledge = function(by, assignee = by) {
+  if (this.status === 'triggered') {
+    const now = new Date();
+    this.status = 'acknowledged';
+    this.acknowledgedAt = now;
+    this.acknowledgedBy = by;
+    this.timeline.push({ type: 'acknowledged', at: now, by });
+
+    if (assignee && assignee !== this.assignee) {
+      this.assignee = assignee;
+      this.timeline.push({ type: 'assigned', at: now, by, message: assignee });
+    }
+  }
+  return this.save();
+};
+
+// Method to assign the incident while it is open
+incidentSchema.methods.assign = function(by, assignee) {
+  if (this.status !== 'resolved' && assignee !== this.assignee) {
+    this.assignee = assignee;
+    this.timeline.push({ type: 'assigned', at: new Date(), by, message: assignee });
+  }
+  return this.save();
+};
+
+// Method to add a note to the timeline
+incidentSchema.methods.addNote = function(by, message) {
+  this.timeline.push({ type: 'note', at: new Date(), by, message });
+  return this.save();
+};
+
+// Method to record which channels an alert for the incident went out on
+incidentSchema.methods.recordAlert = function({ title, sent = [], failed = [] }) {
+  const channels = sent.length > 0 ? sent.join(', ') : 'no channel';
+  const message = failed.length > 0
+    ? `${title} sent via ${channels}, failed via ${failed.join(', ')}`
+    : `${title} sent via ${channels}`;
+
+  this.timeline.push({ type: 'alerted', at: new Date(), by: 'system', message });
+  return this.save();
+};
+
+// Method to record that a level of the escalation policy was paged
+incidentSchema.methods.recordEscalation = function(level, message, now = new Date()) {
+  this.escalation.lastEscalatedAt = now;
+  this.timeline.push({ type: 'escalated', at: now, by: 'system', message: `Level ${level + 1}: ${message}` });
+  return this.save();
+};
+
+// Method to resolve the incident
+incidentSchema.methods.resolve = function(by = 'system', message) {
+  if (this.status !== 'resolved') {
+    this.status = 'resolved';
+    this.resolvedBy = by;
+    this.endTime = new Date();
+    this.duration = Math.floor((this.endTime - this.startTime) / 1000);
+    this.timeline.push({ type: 'resolved', at: this.endTime, by, message });
+  }
+  return this.save();
+};
+
+// Static method to open an incident for an app
+incidentSchema.statics.open = function(app, type, severity, description) {
+  const now = new Date();
+
+  return this.create({
+    appId: app.appId,
+    appName: app.appName,
+    userId: app.userId,
+    type,
+    severity,
+    description,
+    startTime: now,
+    escalation: app.configuration?.escalationPolicyId
+      ? { policyId: app.configuration.escalationPolicyId }
+      : undefined,
+    timeline: [{ type: 'triggered', at: now, by: 'system', message: description }]
+  });
+};
+
+// Static method to check for an unresolved incident of one of the types
+incidentSchema.statics.hasOpen = function(appId, types) {
+  return this.exists({ appId, type: { $in: types }, status: { $ne: 'resolved' } });
+};
+
+// Static method to resolve every open incident of the given types once the
+// cause has gone away; returns how many were resolved
+incidentSchema.statics.resolveOpen = async function(appId, types, message) {
+  const open = await this.find({ appId, type: { $in: types }, status: { $ne: 'resolved' } });
+
+  for (const incident of open) {
+    await incident.resolve('system', message);
+  }
+  return open.length;
+};
+
+const Incident = mongoose.model('Incident', incidentSchema);
+
+export default Incident;
@@ -0,0 +1,93 @@
+import mongoose from 'mongoose';
+
+const jobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  type: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  userId: {
+    type: String,
+    ref: 'User'
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  state: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1,
+    max: 20
+  },
+  backoff: {
+    type: {
+      type: String,
+      enum: ['exponential', 'fixed'],
+      default: 'exponential'
+    },
+    delay: {
+      type: Number,
+      default: 5000 // milliseconds
+    }
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Lease held by the worker processing the job; an expired lease means the
+  // worker died and the job becomes visible to other workers again
+  lockedBy: String,
+  lockedUntil: Date,
+  startedAt: Date,
+  completedAt: Date,
+  lastError: String,
+  result: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+jobSchema.index({ state: 1, runAt: 1 });
+jobSchema.index({ state: 1, lockedUntil: 1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+jobSchema.index({ type: 1, 'payload.appId': 1, state: 1 });
+
+// Completed jobs are only kept for a week
+jobSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60, partialFilterExpression: { state: 'completed' } }
+);
+
+// Delay before the next attempt after a failure
+jobSchema.methods.nextRetryDelay = function() {
+  if (this.backoff.type === 'fixed') {
+    return this.backoff.delay;
+  }
+  return this.backoff.delay * Math.pow(2, Math.max(this.attempts - 1, 0));
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
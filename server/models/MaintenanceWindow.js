@@ -0,0 +1,216 @@
+import mongoose from 'mongoose';
+import { zonedParts, zonedTimeToUtc } from '../utils/timezone.js';
+
+export const recurrenceFrequencies = ['none', 'daily', 'weekly', 'monthly'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Recurring windows repeat at most once a day, so they may not be longer
+export const maxRecurringDuration = DAY;
+export const maxOneOffDuration = 30 * DAY;
+
+// Occurrences are only expanded this far ahead
+const MAX_EXPANDED_DAYS = 366;
+
+// Query for windows that may have an occurrence overlapping [from, to)
+const overlapping = (from, to) => ({
+  isActive: true,
+  startTime: { $lt: to },
+  $or: [
+    { 'recurrence.frequency': 'none', endTime: { $gt: from } },
+    {
+      'recurrence.frequency': { $ne: 'none' },
+      $or: [
+        { 'recurrence.until': null },
+        { 'recurrence.until': { $gte: new Date(new Date(from).getTime() - maxRecurringDuration) } }
+      ]
+    }
+  ]
+});
+
+// Planned downtime for an app. While a window is open checks still run and
+// are stored, flagged as maintenance, but no alerts or incidents are raised.
+// Recurring windows repeat at the local time of their first occurrence in
+// their timezone.
+const maintenanceWindowSchema = new mongoose.Schema({
+  windowId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `mw_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  appId: {
+    type: String,
+    required: true,
+    ref: 'DeployedApp'
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: String,
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // First occurrence
+  startTime: {
+    type: Date,
+    required: true
+  },
+  endTime: {
+    type: Date,
+    required: true
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: recurrenceFrequencies,
+      default: 'none'
+    },
+    interval: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    daysOfWeek: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }], // weekly only, 0 = Sunday; defaults to the first occurrence's day
+    until: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+maintenanceWindowSchema.index({ appId: 1, isActive: 1, startTime: 1 });
+maintenanceWindowSchema.index({ userId: 1, isActive: 1, startTime: 1 });
+
+// Virtual for the length of each occurrence in milliseconds
+maintenanceWindowSchema.virtual('duration').get(function() {
+  return this.endTime - this.startTime;
+});
+
+// Whether an occurrence falls on a local calendar day (given as a UTC
+// midnight timestamp) under the recurrence rule
+maintenanceWindowSchema.methods.occursOn = function(day, first) {
+  const { frequency, interval = 1, daysOfWeek } = this.recurrence;
+  const date = new Date(day);
+  const firstDay = Date.UTC(first.year, first.month - 1, first.day);
+  const daysSince = Math.round((day - firstDay) / DAY);
+
+  if (daysSince < 0) return false;
+
+  switch (frequency) {
+    case 'daily':
+      return daysSince % interval === 0;
+    case 'weekly': {
+      const days = daysOfWeek?.length > 0 ? daysOfWeek : [first.weekday];
+      const weeksSince = Math.floor((daysSince + first.weekday) / 7);
+      return days.includes(date.getUTCDay()) && weeksSince % interval === 0;
+    }
+    case 'monthly': {
+      // Months without the day (e.g. the 31st) are skipped
+      const monthsSince = (date.getUTCFullYear() - first.year) * 12 + date.getUTCMonth() - (first.month - 1);
+      return date.getUTCDate() === first.day && monthsSince % interval === 0;
+    }
+    default:
+      return daysSince === 0;
+  }
+};
+
+// Occurrences overlapping [from, to), as { startTime, endTime } pairs
+maintenanceWindowSchema.methods.occurrencesBetween = function(from, to) {
+  from = new Date(from);
+  to = new Date(to);
+  const duration = this.duration;
+
+  if (this.recurrence.frequency === 'none') {
+    return this.startTime < to && this.endTime > from
+      ? [{ startTime: this.startTime, endTime: this.endTime }]
+      : [];
+  }
+
+  const first = zonedParts(this.startTime, this.timezone);
+  const until = this.recurrence.until;
+  const rangeStart = zonedParts(new Date(Math.max(from - duration, this.startTime)), this.timezone);
+  const rangeEnd = zonedParts(until && until < to ? until : to, this.timezone);
+
+  const lastDay = Date.UTC(rangeEnd.year, rangeEnd.month - 1, rangeEnd.day);
+  let day = Date.UTC(rangeStart.year, rangeStart.month - 1, rangeStart.day);
+  const occurrences = [];
+
+  for (let count = 0; day <= lastDay && count < MAX_EXPANDED_DAYS; day += DAY, count++) {
+    if (!this.occursOn(day, first)) continue;
+
+    const date = new Date(day);
+    const startTime = zonedTimeToUtc({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: first.hour,
+      minute: first.minute,
+      second: first.second
+    }, this.timezone);
+    const endTime = new Date(startTime.getTime() + duration);
+
+    if (startTime < to && endTime > from && (!until || startTime <= until)) {
+      occurrences.push({ startTime, endTime });
+    }
+  }
+
+  return occurrences;
+};
+
+// Method to get the occurrence in progress at a moment, if any
+maintenanceWindowSchema.methods.occurrenceAt = function(at = new Date()) {
+  return this.occurrencesBetween(at, new Date(new Date(at).getTime() + 1))[0] || null;
+};
+
+// Static method to find the window an app is in at a moment, if any
+maintenanceWindowSchema.statics.activeFor = async function(appId, at = new Date()) {
+  const until = new Date(new Date(at).getTime() + 1);
+  const windows = await this.find({ appId, ...overlapping(at, until) });
+
+  return windows.find(window => window.occurrenceAt(at)) || null;
+};
+
+// Static method to list the occurrences of matching windows in a time range,
+// soonest first
+maintenanceWindowSchema.statics.upcoming = async function(query, from, to) {
+  const windows = await this.find({ ...query, ...overlapping(from, to) });
+
+  return windows
+    .flatMap(window => window.occurrencesBetween(from, to).map(occurrence => ({
+      windowId: window.windowId,
+      appId: window.appId,
+      title: window.title,
+      timezone: window.timezone,
+      recurring: window.recurrence.frequency !== 'none',
+      ...occurrence
+    })))
+    .sort((a, b) => a.startTime - b.startTime);
+};
+
+const MaintenanceWindow = mongoose.model('MaintenanceWindow', maintenanceWindowSchema);
+
+export default MaintenanceWindow;
@@ -0,0 +1,124 @@
+import mongoose from 'mongoose';
+import { zonedParts } from '../utils/timezone.js';
+
+export const rotationLengths = ['daily', 'weekly'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Someone who can be paged; they do not need a DeployWise account
+const participantSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: String,
+  phone: String
+}, { _id: false });
+
+// A rotation of people taking turns on call. Shifts hand off at the local
+// time of day of rotationStart, every day or every week, so a rotation that
+// starts on a Monday at 09:00 in Europe/Amsterdam hands off every Monday at
+// 09:00 there whatever daylight saving does. Overrides put someone else on
+// call for a stretch, e.g. to cover a holiday.
+const onCallScheduleSchema = new mongoose.Schema({
+  scheduleId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `oncall_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  rotationLength: {
+    type: String,
+    enum: rotationLengths,
+    default: 'weekly'
+  },
+  rotationStart: {
+    type: Date,
+    required: true
+  },
+  participants: [participantSchema],
+  overrides: [{
+    participant: {
+      type: participantSchema,
+      required: true
+    },
+    startTime: {
+      type: Date,
+      required: true
+    },
+    endTime: {
+      type: Date,
+      required: true
+    },
+    reason: String,
+    createdBy: String
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+onCallScheduleSchema.index({ userId: 1, name: 1 });
+
+// Method to count the handoffs between the start of the rotation and a
+// moment, in the schedule's timezone; negative before the rotation starts
+onCallScheduleSchema.methods.shiftNumber = function(at) {
+  const start = zonedParts(this.rotationStart, this.timezone);
+  const local = zonedParts(at, this.timezone);
+
+  let days = Math.round(
+    (Date.UTC(local.year, local.month - 1, local.day) - Date.UTC(start.year, start.month - 1, start.day)) / DAY
+  );
+  const startTimeOfDay = start.hour * 3600 + start.minute * 60 + start.second;
+  const timeOfDay = local.hour * 3600 + local.minute * 60 + local.second;
+  if (timeOfDay < startTimeOfDay) {
+    days -= 1;
+  }
+
+  return Math.floor(days / (this.rotationLength === 'daily' ? 1 : 7));
+};
+
+// Method to find who is on call at a moment: the latest override covering
+// it, otherwise the participant whose turn it is
+onCallScheduleSchema.methods.onCallAt = function(at = new Date()) {
+  const override = this.overrides
+    .filter(({ startTime, endTime }) => startTime <= at && endTime > at)
+    .pop();
+
+  if (override) {
+    return { ...override.participant.toObject(), override: true };
+  }
+
+  if (this.participants.length === 0 || at < this.rotationStart) {
+    return null;
+  }
+
+  const shift = this.shiftNumber(at);
+  return { ...this.participants[shift % this.participants.length].toObject(), override: false };
+};
+
+const OnCallSchedule = mongoose.model('OnCallSchedule', onCallScheduleSchema);
+
+export default OnCallSchedule;
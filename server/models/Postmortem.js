@@ -0,0 +1,117 @@
+import mongoose from 'mongoose';
+
+export const postmortemStatuses = ['draft', 'published'];
+export const postmortemEventSources = ['incident', 'check', 'alert', 'restart'];
+
+// Write-up of a resolved incident. Generated from the incident, its checks,
+// alerts and restart attempts, then edited by the team.
+const postmortemSchema = new mongoose.Schema({
+  postmortemId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `pm_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  incidentId: {
+    type: String,
+    required: true,
+    unique: true,
+    ref: 'Incident'
+  },
+  appId: {
+    type: String,
+    required: true,
+    ref: 'DeployedApp'
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    enum: postmortemStatuses,
+    default: 'draft'
+  },
+  // Written by the team
+  summary: String,
+  impact: String,
+  rootCause: String,
+  resolution: String,
+  lessonsLearned: String,
+  actionItems: [{
+    description: {
+      type: String,
+      required: true
+    },
+    owner: String,
+    dueDate: Date,
+    done: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Filled in when the postmortem is generated
+  outage: {
+    startTime: Date,
+    endTime: Date,
+    duration: Number, // in seconds
+    severity: String,
+    type: {
+      type: String
+    }
+  },
+  window: {
+    from: Date,
+    to: Date
+  },
+  checks: {
+    total: Number,
+    down: Number,
+    warning: Number,
+    firstFailureAt: Date,
+    lastFailureAt: Date,
+    averageResponseTime: Number,
+    maxResponseTime: Number,
+    locations: [String],
+    errors: [{
+      _id: false,
+      error: String,
+      count: Number
+    }]
+  },
+  timeline: [{
+    _id: false,
+    at: Date,
+    source: {
+      type: String,
+      enum: postmortemEventSources
+    },
+    message: String
+  }],
+  generatedAt: Date,
+  publishedAt: Date,
+  updatedBy: String
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+postmortemSchema.index({ userId: 1, createdAt: -1 });
+postmortemSchema.index({ appId: 1, createdAt: -1 });
+
+const Postmortem = mongoose.model('Postmortem', postmortemSchema);
+
+export default Postmortem;
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Capped collection used to hand Socket.IO events from worker processes to
+// the API servers that hold the client connections
+const realtimeEventSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  data: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  capped: { size: 16 * 1024 * 1024, max: 50000 },
+  versionKey: false
+});
+
+const RealtimeEvent = mongoose.model('RealtimeEvent', realtimeEventSchema);
+
+export default RealtimeEvent;
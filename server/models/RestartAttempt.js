@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+
+// One provider call made to restart, stop or start an app, with the health
+// check that verified (or failed to verify) the result
+const restartAttemptSchema = new mongoose.Schema({
+  attemptId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `rst_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  appId: {
+    type: String,
+    required: true,
+    ref: 'DeployedApp'
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  action: {
+    type: String,
+    enum: ['restart', 'stop', 'start'],
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['user', 'auto'],
+    default: 'user'
+  },
+  provider: String,
+  jobId: String,
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  error: String,
+  verification: {
+    status: String, // health status seen by the last verifying check
+    statusCode: Number,
+    responseTime: Number,
+    checks: {
+      type: Number,
+      default: 0
+    },
+    checkedAt: Date
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completedAt: Date,
+  duration: Number // milliseconds
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+restartAttemptSchema.index({ attemptId: 1 });
+restartAttemptSchema.index({ appId: 1, createdAt: -1 });
+restartAttemptSchema.index({ userId: 1, createdAt: -1 });
+
+// Method to record the outcome of the attempt
+restartAttemptSchema.methods.finish = function(status, error = null) {
+  this.status = status;
+  this.error = error || undefined;
+  this.completedAt = new Date();
+  this.duration = this.completedAt - this.startedAt;
+  return this.save();
+};
+
+const RestartAttempt = mongoose.model('RestartAttempt', restartAttemptSchema);
+
+export default RestartAttempt;
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// A text message or voice call sent on behalf of a user, kept for 30 days to
+// enforce the per-user caps and show what was sent
+const smsMessageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `sms_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: ['sms', 'voice'],
+    default: 'sms'
+  },
+  purpose: {
+    type: String,
+    enum: ['alert', 'verification'],
+    default: 'alert'
+  },
+  provider: String,
+  providerMessageId: String,
+  status: {
+    type: String,
+    enum: ['sent', 'failed'],
+    required: true
+  },
+  error: String
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+smsMessageSchema.index({ userId: 1, status: 1, createdAt: -1 });
+smsMessageSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const SmsMessage = mongoose.model('SmsMessage', smsMessageSchema);
+
+export default SmsMessage;
@@ -1,6 +1,22 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+const phoneSchema = new mongoose.Schema({
+  number: String,
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  verifiedAt: Date,
+  verificationCode: String, // SHA-256 of the code
+  verificationSentAt: Date,
+  verificationExpires: Date,
+  verificationAttempts: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   userId: {
     type: String,
@@ -65,6 +81,11 @@ const userSchema = new mongoose.Schema({
       webhooks: {
         type: Boolean,
         default: false
+      },
+      // Texts the verified phone number for high and critical alerts
+      sms: {
+        type: Boolean,
+        default: false
       }
     },
     monitoring: {
@@ -130,6 +151,12 @@ const userSchema = new mongoose.Schema({
     default: false
   },
   emailVerificationToken: String,
+  // Phone number for SMS and voice alerts; only used once verified with a
+  // code texted to it
+  phone: phoneSchema,
+  // Other numbers alert rules and escalations may text or call, such as a
+  // team member's, verified the same way
+  extraPhones: [phoneSchema],
   passwordResetToken: String,
   passwordResetExpires: Date,
   lastLogin: Date,
@@ -145,6 +172,10 @@ const userSchema = new mongoose.Schema({
       delete ret.password;
       delete ret.emailVerificationToken;
       delete ret.passwordResetToken;
+      [ret.phone, ...(ret.extraPhones || [])].filter(Boolean).forEach(phone => {
+        delete phone.verificationCode;
+        delete phone.verificationAttempts;
+      });
       delete ret.__v;
       return ret;
     }
@@ -175,6 +206,12 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Method to check whether alerts may text or call a number: the user's own
+// number or one of their extra numbers, once verified
+userSchema.methods.isVerifiedPhone = function(number) {
+  return [this.phone, ...this.extraPhones].some(phone => phone?.verified && phone.number === number);
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
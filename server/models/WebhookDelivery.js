@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+export const deliveryStatuses = ['pending', 'succeeded', 'failed'];
+
+// One event sent to one webhook endpoint, with the request as last sent and
+// the outcome of every attempt. Redelivering creates a new delivery of the
+// same event (same eventId) so receivers can tell it is a repeat.
+const webhookDeliverySchema = new mongoose.Schema({
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `whd_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  webhookId: {
+    type: String,
+    required: true,
+    ref: 'WebhookEndpoint'
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  appId: String,
+  status: {
+    type: String,
+    enum: deliveryStatuses,
+    default: 'pending'
+  },
+  request: {
+    url: String,
+    headers: mongoose.Schema.Types.Mixed,
+    body: String
+  },
+  response: {
+    statusCode: Number,
+    body: String, // truncated
+    duration: Number // milliseconds
+  },
+  attempts: [{
+    _id: false,
+    at: Date,
+    statusCode: Number,
+    error: String,
+    duration: Number
+  }],
+  nextAttemptAt: Date,
+  deliveredAt: Date,
+  redeliveryOf: String,
+  jobId: String
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+// Deliveries are kept for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -0,0 +1,87 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Events a webhook endpoint can subscribe to
+export const webhookEvents = [
+  'alert.triggered',
+  'alert.reminder',
+  'alert.resolved',
+  'alert.flapping',
+  'incident.escalated'
+];
+
+export const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// A URL that receives signed JSON notifications. Without events or apps it
+// receives everything; the secret is only shown when it is created or rotated.
+const webhookEndpointSchema = new mongoose.Schema({
+  webhookId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => `wh_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User'
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  },
+  events: [{
+    type: String,
+    enum: webhookEvents
+  }],
+  appIds: [String],
+  secret: {
+    type: String,
+    required: true,
+    default: generateWebhookSecret
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Registered for the URL of an alert rule or escalation target; only
+  // alerts naming the URL are sent here, not every subscribed event
+  forAlertRules: {
+    type: Boolean,
+    default: false
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+// Indexes
+webhookEndpointSchema.index({ userId: 1, isActive: 1 });
+webhookEndpointSchema.index({ userId: 1, url: 1 });
+
+// Method to check whether an event about an app should be sent here; test
+// notifications reach every endpoint for the app
+webhookEndpointSchema.methods.subscribesTo = function(event, appId) {
+  return (event === 'test' || this.events.length === 0 || this.events.includes(event)) &&
+    (this.appIds.length === 0 || this.appIds.includes(appId));
+};
+
+const WebhookEndpoint = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
+
+export default WebhookEndpoint;
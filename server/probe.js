@@ -0,0 +1,86 @@
+import dotenv from 'dotenv';
+import axios from 'axios';
+
+import { getCheck } from './services/checks/index.js';
+import { logger } from './utils/logger.js';
+
+dotenv.config();
+
+// Standalone probe agent. Run one per region with its own PROBE_LOCATION;
+// it needs no database, only the API URL and the shared PROBE_SECRET.
+const API_URL = process.env.PROBE_API_URL || 'http://localhost:3001';
+const LOCATION = process.env.PROBE_LOCATION;
+const POLL_INTERVAL = parseInt(process.env.PROBE_POLL_INTERVAL) || 5000;
+const CONCURRENCY = parseInt(process.env.MAX_CONCURRENT_CHECKS) || 50;
+
+if (!LOCATION || !process.env.PROBE_SECRET) {
+  logger.error('PROBE_LOCATION and PROBE_SECRET must be set to run a probe agent');
+  process.exit(1);
+}
+
+const api = axios.create({
+  baseURL: `${API_URL}/api/probes`,
+  timeout: 30000,
+  headers: {
+    Authorization: `Bearer ${process.env.PROBE_SECRET}`,
+    'X-Probe-Location': LOCATION
+  }
+});
+
+let running = true;
+let timer = null;
+let currentRound = null;
+
+const runCheck = async (app) => {
+  try {
+    const result = await getCheck(app.configuration.monitor?.type || 'http').run(app);
+    return { appId: app.appId, checkedAt: new Date(), ...result };
+  } catch (error) {
+    logger.error(`Check failed to run for app ${app.appId}:`, error);
+    return null;
+  }
+};
+
+const round = async () => {
+  const { data } = await api.get('/checks', { params: { limit: CONCURRENCY } });
+  const { checks } = data.data;
+
+  if (checks.length === 0) {
+    return;
+  }
+
+  logger.info(`Probe ${LOCATION} checking ${checks.length} apps`);
+
+  const results = (await Promise.all(checks.map(runCheck)))
+    .filter(result => result && result.status !== 'unknown');
+
+  await api.post('/results', { results });
+};
+
+const poll = async () => {
+  if (!running) return;
+
+  currentRound = round()
+    .catch(error => logger.error(`Probe ${LOCATION} round failed: ${error.response?.data?.error || error.message}`));
+  await currentRound;
+
+  if (running) {
+    timer = setTimeout(poll, POLL_INTERVAL);
+  }
+};
+
+logger.info(`Probe agent ${LOCATION} polling ${API_URL} every ${POLL_INTERVAL}ms`);
+poll();
+
+// Graceful shutdown: report the round in flight, checks not reported are
+// handed out again at their next interval
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, stopping probe agent`);
+  running = false;
+  clearTimeout(timer);
+  await currentRound;
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -1,8 +1,16 @@
 import express from 'express';
 import DeployedApp from '../models/DeployedApp.js';
+import Deployment from '../models/Deployment.js';
+import DeploymentLog from '../models/DeploymentLog.js';
+import RestartAttempt from '../models/RestartAttempt.js';
+import { DeploymentService } from '../services/DeploymentService.js';
+import { AppLifecycleService } from '../services/AppLifecycleService.js';
+import { getProvider, providerNames } from '../services/providers/index.js';
 import { checkUsageLimits } from '../middleware/auth.js';
 import { deploymentRateLimiter } from '../middleware/rateLimiter.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateAssertion } from '../utils/assertions.js';
+import { validateMonitor } from '../services/checks/index.js';
 import { logger, logBusiness } from '../utils/logger.js';
 
 const router = express.Router();
@@ -87,6 +95,22 @@ router.post('/', checkUsageLimits('apps'), deploymentRateLimiter, asyncHandler(a
     });
   }
 
+  if (deployment?.provider && !providerNames().includes(deployment.provider)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported deployment provider: ${deployment.provider}`
+    });
+  }
+
+  const invalidConfiguration = (configuration?.assertions || []).map(validateAssertion).find(Boolean)
+    || await validateMonitor(configuration?.monitor);
+  if (invalidConfiguration) {
+    return res.status(400).json({
+      success: false,
+      error: invalidConfiguration
+    });
+  }
+
   // Create app
   const app = await DeployedApp.create({
     userId: req.user.userId,
@@ -94,7 +118,13 @@ router.post('/', checkUsageLimits('apps'), deploymentRateLimiter, asyncHandler(a
     description,
     lowCodePlatform,
     deployment: deployment || {},
-    configuration: configuration || {},
+    configuration: {
+      // The user's preferred check interval is the default for new apps
+      healthCheckInterval: req.user.preferences?.monitoring?.checkInterval,
+      ...configuration,
+      // Heartbeat tokens are always issued by the server
+      ...(configuration?.monitor ? { monitor: { ...configuration.monitor, token: undefined } } : {})
+    },
     source: source || {},
     tags: tags || []
   });
@@ -109,12 +139,18 @@ router.post('/', checkUsageLimits('apps'), deploymentRateLimiter, asyncHandler(a
     platform: lowCodePlatform
   });
 
-  // TODO: Trigger actual deployment process
-  // This would integrate with cloud providers like Vercel, Netlify, etc.
+  // The worker runs the deployment; progress is pushed over Socket.IO
+  const deploymentService = new DeploymentService(req.app.get('io'));
+  const { deployment: release, job } = await deploymentService.queueDeployment(app, {
+    userId: req.user.userId,
+    type: 'user'
+  });
 
   res.status(201).json({
     success: true,
-    data: app
+    data: app,
+    deploymentId: release.deploymentId,
+    jobId: job.jobId
   });
 }));
 
@@ -147,6 +183,20 @@ router.put('/:appId', asyncHandler(async (req, res) => {
     }
   });
 
+  const invalidConfiguration = (updates.configuration?.assertions || []).map(validateAssertion).find(Boolean)
+    || await validateMonitor(updates.configuration?.monitor);
+  if (invalidConfiguration) {
+    return res.status(400).json({
+      success: false,
+      error: invalidConfiguration
+    });
+  }
+
+  // The heartbeat token is issued by the server and kept across edits
+  if (updates.configuration?.monitor) {
+    updates.configuration.monitor.token = app.configuration.monitor?.token;
+  }
+
   Object.assign(app, updates);
   await app.save();
 
@@ -199,10 +249,74 @@ router.delete('/:appId', asyncHandler(async (req, res) => {
   });
 }));
 
+// Queue a provider-backed lifecycle action for one of the user's apps
+const queueAppAction = (action) => asyncHandler(async (req, res) => {
+  const app = await DeployedApp.findOne({
+    appId: req.params.appId,
+    userId: req.user.userId,
+    isActive: true
+  });
+
+  if (!app) {
+    return res.status(404).json({
+      success: false,
+      error: 'App not found'
+    });
+  }
+
+  const lifecycleService = new AppLifecycleService(req.app.get('io'));
+
+  const blockReason = lifecycleService.getBlockReason(app, action);
+  if (blockReason) {
+    return res.status(409).json({
+      success: false,
+      error: blockReason
+    });
+  }
+
+  if (await AppLifecycleService.hasPendingAction(app)) {
+    return res.status(409).json({
+      success: false,
+      error: 'Another restart, stop or start is already in progress for this app'
+    });
+  }
+
+  const job = await lifecycleService.queueAction(app, action, {
+    trigger: 'user',
+    userId: req.user.userId
+  });
+
+  res.status(202).json({
+    success: true,
+    message: `App ${action} initiated`,
+    data: {
+      jobId: job.jobId,
+      state: job.state
+    }
+  });
+});
+
 // @desc    Restart app
 // @route   POST /api/apps/:appId/restart
 // @access  Private
-router.post('/:appId/restart', asyncHandler(async (req, res) => {
+router.post('/:appId/restart', queueAppAction('restart'));
+
+// @desc    Stop app
+// @route   POST /api/apps/:appId/stop
+// @access  Private
+router.post('/:appId/stop', queueAppAction('stop'));
+
+// @desc    Start a stopped app
+// @route   POST /api/apps/:appId/start
+// @access  Private
+router.post('/:appId/start', queueAppAction('start'));
+
+// @desc    Get restart/stop/start attempts and their outcomes
+// @route   GET /api/apps/:appId/restart-attempts
+// @access  Private
+router.get('/:appId/restart-attempts', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, action } = req.query;
+
   const app = await DeployedApp.findOne({
     appId: req.params.appId,
     userId: req.user.userId,
@@ -216,21 +330,196 @@ router.post('/:appId/restart', asyncHandler(async (req, res) => {
     });
   }
 
-  // Update status to restarting
-  app.healthStatus = 'restarting';
-  await app.save();
+  const query = { appId: app.appId };
+  if (action) query.action = action;
 
-  logBusiness('App restart initiated', {
+  const attempts = await RestartAttempt.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await RestartAttempt.countDocuments(query);
+
+  res.json({
+    success: true,
+    data: {
+      attempts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @desc    Get app deployment history
+// @route   GET /api/apps/:appId/deployments
+// @access  Private
+router.get('/:appId/deployments', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+
+  const app = await DeployedApp.findOne({
+    appId: req.params.appId,
     userId: req.user.userId,
-    appId: app.appId,
-    appName: app.appName
+    isActive: true
   });
 
-  // TODO: Implement actual restart logic with cloud providers
+  if (!app) {
+    return res.status(404).json({
+      success: false,
+      error: 'App not found'
+    });
+  }
+
+  const query = { appId: app.appId };
+  if (status) query.status = status;
+
+  const deployments = await Deployment.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit);
+
+  const total = await Deployment.countDocuments(query);
 
   res.json({
     success: true,
-    message: 'App restart initiated'
+    data: {
+      deployments,
+      currentDeploymentId: app.deploymentStatus === 'deployed' ? app.deployment.lastDeployment?.id : null,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+}));
+
+// @desc    Get single deployment
+// @route   GET /api/apps/:appId/deployments/:deploymentId
+// @access  Private
+router.get('/:appId/deployments/:deploymentId', asyncHandler(async (req, res) => {
+  const deployment = await Deployment.findOne({
+    deploymentId: req.params.deploymentId,
+    appId: req.params.appId,
+    userId: req.user.userId
+  });
+
+  if (!deployment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: deployment
+  });
+}));
+
+// @desc    Get a page of deployment log lines
+// @route   GET /api/apps/:appId/deployments/:deploymentId/logs
+// @access  Private
+router.get('/:appId/deployments/:deploymentId/logs', asyncHandler(async (req, res) => {
+  const { after, before, limit } = req.query;
+
+  const deployment = await Deployment.findOne({
+    deploymentId: req.params.deploymentId,
+    appId: req.params.appId,
+    userId: req.user.userId
+  });
+
+  if (!deployment) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found'
+    });
+  }
+
+  const { lines, hasMore } = await DeploymentLog.page(deployment.deploymentId, { after, before, limit });
+
+  res.json({
+    success: true,
+    data: {
+      deploymentId: deployment.deploymentId,
+      status: deployment.status,
+      lines: lines.map(({ seq, stream, message, timestamp }) => ({ seq, stream, message, timestamp })),
+      hasMore
+    }
+  });
+}));
+
+// @desc    Roll back to a previous deployment
+// @route   POST /api/apps/:appId/deployments/:deploymentId/rollback
+// @access  Private
+router.post('/:appId/deployments/:deploymentId/rollback', deploymentRateLimiter, asyncHandler(async (req, res) => {
+  const app = await DeployedApp.findOne({
+    appId: req.params.appId,
+    userId: req.user.userId,
+    isActive: true
+  });
+
+  if (!app) {
+    return res.status(404).json({
+      success: false,
+      error: 'App not found'
+    });
+  }
+
+  const target = await Deployment.findOne({
+    deploymentId: req.params.deploymentId,
+    appId: app.appId
+  });
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      error: 'Deployment not found'
+    });
+  }
+
+  if (target.status !== 'deployed') {
+    return res.status(400).json({
+      success: false,
+      error: 'Only successful deployments can be rolled back to'
+    });
+  }
+
+  let provider;
+  try {
+    provider = getProvider(target.provider);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: `The ${target.provider} provider this deployment used is no longer available`
+    });
+  }
+
+  if (!target.isReproducible(provider)) {
+    return res.status(400).json({
+      success: false,
+      error: `This deployment was built from the tip of ${target.source?.branch || 'the default branch'} without a recorded commit, so it cannot be rolled back to`
+    });
+  }
+
+  if (['deploying', 'updating'].includes(app.deploymentStatus)) {
+    return res.status(409).json({
+      success: false,
+      error: 'A deployment is already in progress'
+    });
+  }
+
+  const deploymentService = new DeploymentService(req.app.get('io'));
+  const { deployment, job } = await deploymentService.queueRollback(app, target, req.user.userId);
+
+  res.status(202).json({
+    success: true,
+    data: deployment,
+    jobId: job.jobId
   });
 }));
 
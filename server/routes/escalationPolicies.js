@@ -0,0 +1,234 @@
+import express from 'express';
+import EscalationPolicy, { escalationTargetTypes } from '../models/EscalationPolicy.js';
+import OnCallSchedule from '../models/OnCallSchedule.js';
+import DeployedApp from '../models/DeployedApp.js';
+import { incidentSeverities } from '../models/Incident.js';
+import { validateAlertRule, validatePhoneRecipient } from '../services/AlertRuleEngine.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { logBusiness } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Check a complete policy definition, returning the first problem. Schedule
+// targets must name one of the user's schedules and phone targets one of
+// their verified numbers.
+const validatePolicy = async ({ name, severities, levels, repeat }, user) => {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return 'name must be between 1 and 100 characters';
+  }
+  if (!Array.isArray(severities) || severities.length === 0 || !severities.every(severity => incidentSeverities.includes(severity))) {
+    return `severities must list at least one of: ${incidentSeverities.join(', ')}`;
+  }
+  if (!(Number.isInteger(repeat) && repeat >= 0 && repeat <= 5)) {
+    return 'repeat must be a whole number between 0 and 5';
+  }
+  if (!Array.isArray(levels) || levels.length === 0 || levels.length > 10) {
+    return 'levels must list between 1 and 10 levels';
+  }
+
+  const scheduleIds = new Set();
+
+  for (const [index, level] of levels.entries()) {
+    const label = `Level ${index + 1}`;
+    const minDelay = index === 0 ? 0 : 1;
+
+    if (!level || !(Number.isInteger(level.delay) && level.delay >= minDelay && level.delay <= 1440)) {
+      return `${label} delay must be a whole number of minutes between ${minDelay} and 1440`;
+    }
+    if (!Array.isArray(level.targets) || level.targets.length === 0 || level.targets.length > 10) {
+      return `${label} must have between 1 and 10 targets`;
+    }
+
+    for (const target of level.targets) {
+      if (!target || !escalationTargetTypes.includes(target.type)) {
+        return `${label} target type must be one of: ${escalationTargetTypes.join(', ')}`;
+      }
+
+      if (target.type === 'schedule') {
+        if (typeof target.scheduleId !== 'string' || !target.scheduleId) {
+          return `${label} schedule targets need a scheduleId`;
+        }
+        if (target.channel !== undefined && !['email', 'sms', 'voice'].includes(target.channel)) {
+          return `${label} schedule targets are reached by email, sms or voice`;
+        }
+        scheduleIds.add(target.scheduleId);
+        continue;
+      }
+
+      const invalid = validateAlertRule({ type: target.type, recipient: target.recipient }) ||
+        validatePhoneRecipient(target, user);
+      if (invalid) {
+        return `${label}: ${invalid}`;
+      }
+    }
+  }
+
+  if (scheduleIds.size > 0) {
+    const found = await OnCallSchedule.countDocuments({ scheduleId: { $in: [...scheduleIds] }, userId: user.userId });
+    if (found !== scheduleIds.size) {
+      return 'Every schedule target must name one of your on-call schedules';
+    }
+  }
+
+  return null;
+};
+
+// Keep only the fields each target type uses
+const normalizeLevels = (levels) => levels.map(level => ({
+  delay: level.delay,
+  targets: level.targets.map(target => target.type === 'schedule'
+    ? { type: 'schedule', scheduleId: target.scheduleId, channel: target.channel || 'email' }
+    : { type: target.type, recipient: target.recipient || undefined })
+}));
+
+// Load one of the user's policies, answering 404 when there is none
+const findPolicy = async (req, res) => {
+  const policy = await EscalationPolicy.findOne({
+    policyId: req.params.policyId,
+    userId: req.user.userId
+  });
+
+  if (!policy) {
+    res.status(404).json({
+      success: false,
+      error: 'Escalation policy not found'
+    });
+  }
+
+  return policy;
+};
+
+// @desc    Get the user's escalation policies
+// @route   GET /api/escalation-policies
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const policies = await EscalationPolicy.find({ userId: req.user.userId }).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: policies
+  });
+}));
+
+// @desc    Create an escalation policy
+// @route   POST /api/escalation-policies
+// @access  Private
+router.post('/', asyncHandler(async (req, res) => {
+  const { name, description, severities = ['high', 'critical'], levels, repeat = 0 } = req.body;
+
+  const invalid = await validatePolicy({ name, severities, levels, repeat }, req.user);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  const policy = await EscalationPolicy.create({
+    userId: req.user.userId,
+    name,
+    description,
+    severities: [...new Set(severities)],
+    levels: normalizeLevels(levels),
+    repeat
+  });
+
+  logBusiness('Escalation policy created', {
+    userId: req.user.userId,
+    policyId: policy.policyId,
+    levels: policy.levels.length
+  });
+
+  res.status(201).json({
+    success: true,
+    data: policy
+  });
+}));
+
+// @desc    Get an escalation policy and the apps using it
+// @route   GET /api/escalation-policies/:policyId
+// @access  Private
+router.get('/:policyId', asyncHandler(async (req, res) => {
+  const policy = await findPolicy(req, res);
+  if (!policy) return;
+
+  const apps = await DeployedApp.find({
+    userId: req.user.userId,
+    isActive: true,
+    'configuration.escalationPolicyId': policy.policyId
+  }).select('appId appName');
+
+  res.json({
+    success: true,
+    data: {
+      ...policy.toJSON(),
+      apps
+    }
+  });
+}));
+
+// @desc    Update an escalation policy; open incidents pick up the change at their next level
+// @route   PUT /api/escalation-policies/:policyId
+// @access  Private
+router.put('/:policyId', asyncHandler(async (req, res) => {
+  const policy = await findPolicy(req, res);
+  if (!policy) return;
+
+  const {
+    name = policy.name,
+    description = policy.description,
+    severities = policy.severities,
+    levels = policy.levels.map(level => level.toObject()),
+    repeat = policy.repeat
+  } = req.body;
+
+  const invalid = await validatePolicy({ name, severities, levels, repeat }, req.user);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  policy.set({
+    name,
+    description,
+    severities: [...new Set(severities)],
+    levels: normalizeLevels(levels),
+    repeat
+  });
+  await policy.save();
+
+  res.json({
+    success: true,
+    data: policy
+  });
+}));
+
+// @desc    Delete an escalation policy that no app uses
+// @route   DELETE /api/escalation-policies/:policyId
+// @access  Private
+router.delete('/:policyId', asyncHandler(async (req, res) => {
+  const policy = await findPolicy(req, res);
+  if (!policy) return;
+
+  const apps = await DeployedApp.countDocuments({
+    isActive: true,
+    'configuration.escalationPolicyId': policy.policyId
+  });
+  if (apps > 0) {
+    return res.status(409).json({
+      success: false,
+      error: `Policy is used by ${apps} app${apps === 1 ? '' : 's'}`
+    });
+  }
+
+  await policy.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Escalation policy deleted'
+  });
+}));
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
 import ServerlessFunction from '../models/ServerlessFunction.js';
+import { JobQueue } from '../services/JobQueue.js';
 import { checkUsageLimits } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { logger, logBusiness } from '../utils/logger.js';
@@ -231,29 +232,32 @@ router.post('/:functionId/execute', asyncHandler(async (req, res) => {
   }
 
   const { payload = {}, context = {} } = req.body;
+  const { maxRetries, retryDelay } = func.configuration.retryPolicy;
 
-  try {
-    const result = await func.execute(payload, context);
-
-    logBusiness('Serverless function executed', {
-      userId: req.user.userId,
-      functionId: func.functionId,
-      executionId: result.executionId
-    });
+  // Executions run on the worker and are retried per the function's retry policy
+  const job = await JobQueue.enqueue('execute-function', {
+    functionId: func.functionId,
+    payload,
+    context
+  }, {
+    userId: req.user.userId,
+    maxAttempts: maxRetries + 1,
+    backoff: { type: 'exponential', delay: retryDelay }
+  });
 
-    res.json({
-      success: true,
-      data: result
-    });
+  logBusiness('Serverless function execution queued', {
+    userId: req.user.userId,
+    functionId: func.functionId,
+    jobId: job.jobId
+  });
 
-  } catch (error) {
-    logger.error('Function execution failed:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Function execution failed',
-      details: error.message
-    });
-  }
+  res.status(202).json({
+    success: true,
+    data: {
+      jobId: job.jobId,
+      state: job.state
+    }
+  });
 }));
 
 // @desc    Get function execution history
@@ -0,0 +1,73 @@
+import express from 'express';
+import DeployedApp from '../models/DeployedApp.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Jobs ping with GET or POST, whichever their scheduler makes easier. An
+// optional message comes from ?msg= or a JSON/form "message" field.
+const recordPing = (kind) => asyncHandler(async (req, res) => {
+  const app = await DeployedApp.findOne({
+    'configuration.monitor.type': 'heartbeat',
+    'configuration.monitor.token': req.params.token,
+    isActive: true
+  });
+
+  if (!app) {
+    return res.status(404).json({
+      success: false,
+      error: 'Heartbeat not found'
+    });
+  }
+
+  const state = app.monitoring.heartbeat;
+  const now = new Date();
+  const message = req.query.msg || req.body?.message;
+
+  state.pings += 1;
+
+  if (kind === 'start') {
+    state.startedAt = now;
+  } else {
+    state.lastPingAt = now;
+    state.lastStatus = kind;
+    state.lastMessage = message ? String(message).slice(0, 500) : undefined;
+    state.lastDuration = state.startedAt ? now - state.startedAt : undefined;
+    state.startedAt = undefined;
+
+    // Evaluate on the next scheduler tick rather than a full interval later
+    app.monitoring.nextCheckAt = now;
+  }
+
+  await app.save();
+
+  logger.debug(`Heartbeat ${kind} ping for ${app.appName}`);
+
+  res.json({
+    success: true,
+    data: {
+      appId: app.appId,
+      kind,
+      receivedAt: now,
+      duration: kind === 'start' ? undefined : state.lastDuration
+    }
+  });
+});
+
+// @desc    Report a successful run of a heartbeat job
+// @route   GET|POST /api/heartbeat/:token
+// @access  Public (the token is the credential)
+router.route('/:token').get(recordPing('success')).post(recordPing('success'));
+
+// @desc    Report that a heartbeat job started, to track its run duration
+// @route   GET|POST /api/heartbeat/:token/start
+// @access  Public (the token is the credential)
+router.route('/:token/start').get(recordPing('start')).post(recordPing('start'));
+
+// @desc    Report a failed run of a heartbeat job
+// @route   GET|POST /api/heartbeat/:token/fail
+// @access  Public (the token is the credential)
+router.route('/:token/fail').get(recordPing('fail')).post(recordPing('fail'));
+
+export default router;
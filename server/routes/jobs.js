@@ -0,0 +1,29 @@
+import express from 'express';
+import Job from '../models/Job.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// @desc    Get background job status
+// @route   GET /api/jobs/:jobId
+// @access  Private
+router.get('/:jobId', asyncHandler(async (req, res) => {
+  const job = await Job.findOne({
+    jobId: req.params.jobId,
+    userId: req.user.userId
+  }).select('-lockedBy -lockedUntil');
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+}));
+
+export default router;
@@ -0,0 +1,240 @@
+import express from 'express';
+import DeployedApp from '../models/DeployedApp.js';
+import MaintenanceWindow, {
+  recurrenceFrequencies,
+  maxRecurringDuration,
+  maxOneOffDuration
+} from '../models/MaintenanceWindow.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { isValidTimezone } from '../utils/timezone.js';
+import { logBusiness } from '../utils/logger.js';
+
+const router = express.Router();
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Check a complete window definition, returning the first problem
+const validateWindow = ({ title, timezone, startTime, endTime, recurrence = {} }) => {
+  if (typeof title !== 'string' || !title.trim() || title.length > 200) {
+    return 'title must be between 1 and 200 characters';
+  }
+  if (!isValidTimezone(timezone)) {
+    return 'timezone must be an IANA timezone such as Europe/Amsterdam';
+  }
+
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  if (!startTime || !endTime || isNaN(start) || isNaN(end)) {
+    return 'startTime and endTime must be dates';
+  }
+  if (end <= start) {
+    return 'endTime must be after startTime';
+  }
+
+  const { frequency = 'none', interval = 1, daysOfWeek = [], until } = recurrence;
+  if (!recurrenceFrequencies.includes(frequency)) {
+    return `recurrence.frequency must be one of: ${recurrenceFrequencies.join(', ')}`;
+  }
+
+  if (frequency === 'none') {
+    if (end - start > maxOneOffDuration) {
+      return `One-off windows are limited to ${maxOneOffDuration / DAY} days`;
+    }
+    return null;
+  }
+
+  if (end - start > maxRecurringDuration) {
+    return 'Recurring windows are limited to 24 hours';
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    return 'recurrence.interval must be a whole number between 1 and 52';
+  }
+  if (!Array.isArray(daysOfWeek) || daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    return 'recurrence.daysOfWeek must list days from 0 (Sunday) to 6';
+  }
+  if (until !== undefined && until !== null && (isNaN(new Date(until)) || new Date(until) < start)) {
+    return 'recurrence.until must be a date after startTime';
+  }
+  return null;
+};
+
+// The editable fields of a window from a request body
+const windowFields = (body) => {
+  const fields = {};
+  for (const field of ['title', 'description', 'timezone', 'startTime', 'endTime', 'recurrence']) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  if (typeof fields.title === 'string') fields.title = fields.title.trim();
+  return fields;
+};
+
+// Load one of the user's windows, answering 404 when there is none
+const findWindow = async (req, res) => {
+  const window = await MaintenanceWindow.findOne({
+    windowId: req.params.windowId,
+    userId: req.user.userId,
+    isActive: true
+  });
+
+  if (!window) {
+    res.status(404).json({
+      success: false,
+      error: 'Maintenance window not found'
+    });
+  }
+
+  return window;
+};
+
+// @desc    Get the user's maintenance windows
+// @route   GET /api/maintenance
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const query = { userId: req.user.userId, isActive: true };
+  if (req.query.appId) query.appId = req.query.appId;
+
+  const windows = await MaintenanceWindow.find(query).sort({ startTime: -1 });
+  const now = new Date();
+  const lookahead = new Date(now.getTime() + 366 * DAY);
+
+  res.json({
+    success: true,
+    data: windows.map(window => ({
+      ...window.toJSON(),
+      inProgress: Boolean(window.occurrenceAt(now)),
+      nextOccurrence: window.occurrencesBetween(now, lookahead)[0] || null
+    }))
+  });
+}));
+
+// @desc    Get occurrences of the user's maintenance windows in the coming days
+// @route   GET /api/maintenance/upcoming?days=7
+// @access  Private
+router.get('/upcoming', asyncHandler(async (req, res) => {
+  const days = Math.min(Math.max(1, parseInt(req.query.days) || 7), 90);
+  const query = { userId: req.user.userId };
+  if (req.query.appId) query.appId = req.query.appId;
+
+  const now = new Date();
+  const occurrences = await MaintenanceWindow.upcoming(query, now, new Date(now.getTime() + days * DAY));
+
+  res.json({
+    success: true,
+    data: occurrences
+  });
+}));
+
+// @desc    Schedule a maintenance window for an app
+// @route   POST /api/maintenance
+// @access  Private
+router.post('/', asyncHandler(async (req, res) => {
+  const app = await DeployedApp.findOne({
+    appId: req.body.appId,
+    userId: req.user.userId,
+    isActive: true
+  });
+
+  if (!app) {
+    return res.status(404).json({
+      success: false,
+      error: 'App not found'
+    });
+  }
+
+  const fields = { timezone: 'UTC', ...windowFields(req.body) };
+  const invalid = validateWindow(fields);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  const window = await MaintenanceWindow.create({
+    ...fields,
+    appId: app.appId,
+    userId: req.user.userId
+  });
+
+  logBusiness('Maintenance window scheduled', {
+    userId: req.user.userId,
+    appId: app.appId,
+    windowId: window.windowId,
+    recurrence: window.recurrence.frequency
+  });
+
+  res.status(201).json({
+    success: true,
+    data: window
+  });
+}));
+
+// @desc    Get a maintenance window
+// @route   GET /api/maintenance/:windowId
+// @access  Private
+router.get('/:windowId', asyncHandler(async (req, res) => {
+  const window = await findWindow(req, res);
+  if (!window) return;
+
+  res.json({
+    success: true,
+    data: window
+  });
+}));
+
+// @desc    Update a maintenance window
+// @route   PUT /api/maintenance/:windowId
+// @access  Private
+router.put('/:windowId', asyncHandler(async (req, res) => {
+  const window = await findWindow(req, res);
+  if (!window) return;
+
+  const fields = windowFields(req.body);
+  const invalid = validateWindow({
+    title: window.title,
+    timezone: window.timezone,
+    startTime: window.startTime,
+    endTime: window.endTime,
+    recurrence: window.recurrence.toObject(),
+    ...fields
+  });
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  window.set(fields);
+  await window.save();
+
+  res.json({
+    success: true,
+    data: window
+  });
+}));
+
+// @desc    Cancel a maintenance window
+// @route   DELETE /api/maintenance/:windowId
+// @access  Private
+router.delete('/:windowId', asyncHandler(async (req, res) => {
+  const window = await findWindow(req, res);
+  if (!window) return;
+
+  // Soft delete, the window explains the flagged checks it covered
+  window.isActive = false;
+  await window.save();
+
+  logBusiness('Maintenance window cancelled', {
+    userId: req.user.userId,
+    appId: window.appId,
+    windowId: window.windowId
+  });
+
+  res.json({
+    success: true,
+    message: 'Maintenance window cancelled'
+  });
+}));
+
+export default router;
@@ -1,11 +1,54 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import DeployedApp from '../models/DeployedApp.js';
+import User from '../models/User.js';
+import Incident, { incidentStatuses, incidentSeverities, incidentTypes } from '../models/Incident.js';
+import HealthCheck, { healthCheckWindows } from '../models/HealthCheck.js';
+import Postmortem, { postmortemStatuses } from '../models/Postmortem.js';
+import AlertState from '../models/AlertState.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import EscalationPolicy from '../models/EscalationPolicy.js';
 import { MonitoringService } from '../services/MonitoringService.js';
+import { WebhookService } from '../services/WebhookService.js';
+import { MetricsCalculator } from '../services/MetricsCalculator.js';
+import { PostmortemService, exportFormats } from '../services/PostmortemService.js';
 import { monitoringRateLimiter } from '../middleware/rateLimiter.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { validateAssertion } from '../utils/assertions.js';
+import { assertPublicUrl } from '../utils/safeUrl.js';
+import { validateMonitor } from '../services/checks/index.js';
+import { phoneChannels, urlChannels, validateAlertRule, validatePhoneRecipient } from '../services/AlertRuleEngine.js';
+import { ProbeCoordinator, locationPattern } from '../services/ProbeCoordinator.js';
 import { logger, logBusiness } from '../utils/logger.js';
 
 const router = express.Router();
+const postmortemService = new PostmortemService();
+const webhookService = new WebhookService();
+
+// Alert state is kept per rule id, so rules that survive an update keep their
+// ids: a rule sent back with its _id keeps it, and otherwise one with the same
+// name, type and recipient as an existing rule takes over that rule's id
+const keepRuleIds = (existing, rules) => {
+  const claimed = new Set();
+  const claim = (rule) => {
+    claimed.add(rule._id.toString());
+    return rule._id;
+  };
+  const sameRule = (a, b) => (a.name || '') === (b.name || '') &&
+    a.type === b.type &&
+    (a.recipient || '') === (b.recipient || '');
+
+  const withIds = rules.map(({ _id, ...rule }) => {
+    const match = _id && existing.find(old => old._id.toString() === String(_id) && !claimed.has(String(_id)));
+    return match ? { ...rule, _id: claim(match) } : rule;
+  });
+
+  return withIds.map(rule => {
+    if (rule._id) return rule;
+    const match = existing.find(old => !claimed.has(old._id.toString()) && sameRule(old, rule));
+    return match ? { ...rule, _id: claim(match) } : rule;
+  });
+};
 
 // @desc    Get monitoring dashboard data
 // @route   GET /api/monitoring/dashboard
@@ -38,18 +81,23 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
     : 0;
 
   // Get recent incidents
-  const recentIncidents = [];
-  apps.forEach(app => {
-    const incidents = app.monitoring.incidents
-      .filter(incident => !incident.resolved)
-      .slice(0, 5)
-      .map(incident => ({
-        ...incident.toObject(),
-        appName: app.appName,
-        appId: app.appId
-      }));
-    recentIncidents.push(...incidents);
-  });
+  const recentIncidents = await Incident.find({
+    userId,
+    status: { $ne: 'resolved' }
+  })
+    .sort({ startTime: -1 })
+    .limit(10);
+
+  // Maintenance in progress or starting within the next week
+  const now = new Date();
+  const maintenance = await MaintenanceWindow.upcoming(
+    { userId },
+    now,
+    new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000)
+  );
+  const appsInMaintenance = new Set(
+    maintenance.filter(occurrence => occurrence.startTime <= now).map(occurrence => occurrence.appId)
+  );
 
   res.json({
     success: true,
@@ -69,9 +117,11 @@ router.get('/dashboard', asyncHandler(async (req, res) => {
         uptimePercentage: app.monitoring.uptimePercentage,
         responseTime: app.monitoring.responseTime.current,
         lastCheck: app.lastCheck,
-        url: app.deployment.url
+        url: app.deployment.url,
+        inMaintenance: appsInMaintenance.has(app.appId)
       })),
-      recentIncidents: recentIncidents.sort((a, b) => new Date(b.startTime) - new Date(a.startTime)).slice(0, 10)
+      recentIncidents,
+      maintenance: maintenance.slice(0, 20)
     }
   });
 }));
@@ -93,6 +143,14 @@ router.get('/apps/:appId', asyncHandler(async (req, res) => {
     });
   }
 
+  const [openIncidents, alertStates] = await Promise.all([
+    Incident.find({
+      appId: app.appId,
+      status: { $ne: 'resolved' }
+    }).sort({ startTime: -1 }),
+    AlertState.find({ appId: app.appId })
+  ]);
+
   res.json({
     success: true,
     data: {
@@ -102,7 +160,88 @@ router.get('/apps/:appId', asyncHandler(async (req, res) => {
       lastCheck: app.lastCheck,
       monitoring: app.monitoring,
       configuration: app.configuration,
-      uptimeStatus: app.uptimeStatus
+      uptimeStatus: app.uptimeStatus,
+      openIncidents,
+      // Per alert rule: firing or not, reminders sent, flapping
+      alertStates,
+      heartbeatPath: app.heartbeatPath,
+      // Latest result per probe location and the quorum that marks the app down
+      locations: ProbeCoordinator.locationsFor(app).map(location => ({
+        location,
+        ...(app.monitoring.locationResults?.get(location)?.toObject() || { status: 'unknown' })
+      })),
+      quorum: ProbeCoordinator.quorumFor(app),
+      certificate: app.monitoring.certificate?.checkedAt ? app.monitoring.certificate : null,
+      domain: app.monitoring.domain?.checkedAt ? app.monitoring.domain : null
+    }
+  });
+}));
+
+// @desc    Get stored health check results for an app
+// @route   GET /api/monitoring/apps/:appId/checks
+// @access  Private
+router.get('/apps/:appId/checks', asyncHandler(async (req, res) => {
+  const { from, to, status, location, limit = 100 } = req.query;
+
+  const app = await DeployedApp.findOne({
+    appId: req.params.appId,
+    userId: req.user.userId,
+    isActive: true
+  });
+
+  if (!app) {
+    return res.status(404).json({
+      success: false,
+      error: 'App not found'
+    });
+  }
+
+  const query = { 'meta.appId': app.appId };
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = new Date(from);
+    if (to) query.timestamp.$lte = new Date(to);
+  }
+  if (status) query.status = status;
+  if (location) query['meta.location'] = location;
+
+  const checks = await HealthCheck.find(query)
+    .sort({ timestamp: -1 })
+    .limit(Math.min(parseInt(limit) || 100, 1000))
+    .lean();
+
+  res.json({
+    success: true,
+    data: {
+      checks: checks.map(({ _id, meta, ...check }) => ({ ...check, location: meta.location }))
+    }
+  });
+}));
+
+// @desc    Get uptime and latency percentiles for the standard windows
+// @route   GET /api/monitoring/apps/:appId/uptime
+// @access  Private
+router.get('/apps/:appId/uptime', asyncHandler(async (req, res) => {
+  const app = await DeployedApp.findOne({
+    appId: req.params.appId,
+    userId: req.user.userId,
+    isActive: true
+  });
+
+  if (!app) {
+    return res.status(404).json({
+      success: false,
+      error: 'App not found'
+    });
+  }
+
+  const windows = await new MetricsCalculator().summarizeWindows(app.appId);
+
+  res.json({
+    success: true,
+    data: {
+      appId: app.appId,
+      windows
     }
   });
 }));
@@ -184,9 +323,89 @@ router.put('/apps/:appId/config', asyncHandler(async (req, res) => {
     healthCheckPath,
     timeout,
     autoRestart,
-    alerts
+    restartPolicy,
+    maxRestartAttempts,
+    restartThreshold,
+    assertions,
+    monitor,
+    certificateExpiryThresholds,
+    locations,
+    quorum,
+    alerts,
+    escalationPolicyId
   } = req.body;
 
+  if (locations !== undefined && !(
+    Array.isArray(locations) && locations.length <= 10 && locations.every(location => locationPattern.test(location))
+  )) {
+    return res.status(400).json({
+      success: false,
+      error: 'locations must be an array of up to 10 labels of letters, digits, _ or -'
+    });
+  }
+
+  if (certificateExpiryThresholds !== undefined && !(
+    Array.isArray(certificateExpiryThresholds) &&
+    certificateExpiryThresholds.every(days => Number.isInteger(days) && days >= 0 && days <= 365)
+  )) {
+    return res.status(400).json({
+      success: false,
+      error: 'certificateExpiryThresholds must be an array of days between 0 and 365'
+    });
+  }
+
+  const invalidMonitor = await validateMonitor(monitor);
+  if (invalidMonitor) {
+    return res.status(400).json({
+      success: false,
+      error: invalidMonitor
+    });
+  }
+
+  if (assertions !== undefined) {
+    const invalid = Array.isArray(assertions)
+      ? assertions.map(validateAssertion).find(Boolean)
+      : 'assertions must be an array';
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+  }
+
+  if (alerts !== undefined) {
+    const invalid = Array.isArray(alerts) && alerts.length <= 20
+      ? alerts.map(rule => validateAlertRule(rule) || validatePhoneRecipient(rule, req.user)).find(Boolean)
+      : 'alerts must be an array of up to 20 rules';
+
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    for (const rule of alerts.filter(rule => rule.type === 'webhook' && rule.recipient)) {
+      try {
+        await assertPublicUrl(rule.recipient);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `webhook alert recipient must be a public http(s) URL (${error.message})`
+        });
+      }
+    }
+  }
+
+  if (escalationPolicyId && !(await EscalationPolicy.exists({ policyId: escalationPolicyId, userId: req.user.userId }))) {
+    return res.status(400).json({
+      success: false,
+      error: 'escalationPolicyId must name one of your escalation policies'
+    });
+  }
+
   // Update monitoring configuration
   if (typeof monitoringEnabled === 'boolean') {
     app.monitoringEnabled = monitoringEnabled;
@@ -208,12 +427,66 @@ router.put('/apps/:appId/config', asyncHandler(async (req, res) => {
     app.configuration.autoRestart = autoRestart;
   }
 
+  if (['always', 'on-failure', 'unless-stopped'].includes(restartPolicy)) {
+    app.configuration.restartPolicy = restartPolicy;
+  }
+
+  if (maxRestartAttempts) {
+    app.configuration.maxRestartAttempts = Math.max(1, Math.min(10, maxRestartAttempts));
+  }
+
+  if (restartThreshold) {
+    app.configuration.restartThreshold = Math.max(1, Math.min(20, restartThreshold));
+  }
+
+  if (Array.isArray(assertions)) {
+    app.configuration.assertions = assertions;
+  }
+
+  if (monitor) {
+    // The heartbeat token is issued by the server and kept across edits
+    app.configuration.monitor = { type: 'http', ...monitor, token: app.configuration.monitor?.token };
+  }
+
+  if (Array.isArray(locations)) {
+    app.configuration.locations = [...new Set(locations)];
+  }
+
+  if (quorum !== undefined) {
+    // null goes back to a majority of the locations
+    app.configuration.quorum = quorum ? Math.max(1, parseInt(quorum)) : undefined;
+  }
+
+  if (Array.isArray(certificateExpiryThresholds)) {
+    app.configuration.certificateExpiryThresholds = [...new Set(certificateExpiryThresholds)].sort((a, b) => b - a);
+  }
+
   if (alerts && Array.isArray(alerts)) {
-    app.monitoring.alerts = alerts;
+    app.monitoring.alerts = keepRuleIds(app.monitoring.alerts, alerts);
+
+    // Register rule URLs as webhook endpoints now, so their signing secret
+    // can be fetched before the first alert
+    const urls = new Set(alerts.filter(rule => rule.type === 'webhook' && rule.recipient).map(rule => rule.recipient));
+    await Promise.all([...urls].map(url => webhookService.endpointForUrl(req.user.userId, url)));
+  }
+
+  if (escalationPolicyId !== undefined) {
+    // null detaches the policy; incidents already open keep escalating
+    app.configuration.escalationPolicyId = escalationPolicyId || undefined;
   }
 
   await app.save();
 
+  if (alerts && Array.isArray(alerts)) {
+    // Forget the state of removed rules, and of the default rule once there
+    // are rules of its own
+    const keys = app.monitoring.alerts.map(rule => rule._id.toString());
+    await AlertState.deleteMany({
+      appId: app.appId,
+      ruleKey: { $nin: keys.length > 0 ? keys : ['default'] }
+    });
+  }
+
   logBusiness('Monitoring configuration updated', {
     userId: req.user.userId,
     appId: app.appId,
@@ -231,29 +504,118 @@ router.put('/apps/:appId/config', asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Send a test notification over one of the app's alert rules, or to
+//          the user's own verified email address or phone number
+// @route   POST /api/monitoring/apps/:appId/alerts/test
+// @access  Private
+router.post('/apps/:appId/alerts/test', monitoringRateLimiter, asyncHandler(async (req, res) => {
+  const app = await DeployedApp.findOne({
+    appId: req.params.appId,
+    userId: req.user.userId,
+    isActive: true
+  });
+
+  if (!app) {
+    return res.status(404).json({
+      success: false,
+      error: 'App not found'
+    });
+  }
+
+  const { ruleId, type, recipient } = req.body;
+  let channel;
+
+  if (ruleId) {
+    const rule = app.monitoring.alerts.id(ruleId);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found'
+      });
+    }
+    channel = { type: rule.type, recipient: rule.recipient };
+  } else {
+    const invalid = validateAlertRule({ type, recipient });
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+    channel = { type, recipient };
+  }
+
+  const user = await User.findOne({ userId: req.user.userId });
+
+  // Anything but a saved rule may only reach the user themselves, so this
+  // cannot be used to send messages to arbitrary addresses
+  if (!ruleId) {
+    const own = type === 'email'
+      ? user.emailVerified && (!recipient || recipient.toLowerCase() === user.email)
+      : phoneChannels.includes(type) && (recipient ? user.isVerifiedPhone(recipient) : user.phone?.verified);
+
+    if (!own) {
+      return res.status(400).json({
+        success: false,
+        error: 'Test notifications go over a saved alert rule (ruleId) or to your own verified email address or phone number'
+      });
+    }
+  }
+
+  const unverified = validatePhoneRecipient(channel, user);
+  if (unverified) {
+    return res.status(400).json({
+      success: false,
+      error: unverified
+    });
+  }
+
+  const url = urlChannels.includes(channel.type) && (channel.recipient || (channel.type === 'slack' && user.integrations.slack.webhookUrl));
+  if (url) {
+    try {
+      await assertPublicUrl(url);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: `${channel.type} alert recipient must be a public http(s) URL (${error.message})`
+      });
+    }
+  }
+
+  const monitoringService = req.app.get('monitoringService') || new MonitoringService();
+
+  try {
+    const result = await monitoringService.notificationService.sendTestNotification({ app, user, ...channel });
+
+    logBusiness('Test notification sent', {
+      userId: req.user.userId,
+      appId: app.appId,
+      type: channel.type
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      error: `Test notification failed: ${error.message}`
+    });
+  }
+}));
+
 // @desc    Get monitoring statistics
 // @route   GET /api/monitoring/stats
 // @access  Private
 router.get('/stats', asyncHandler(async (req, res) => {
   const { period = '24h' } = req.query;
-  
-  // Calculate date range based on period
-  let startDate;
-  switch (period) {
-    case '1h':
-      startDate = new Date(Date.now() - 60 * 60 * 1000);
-      break;
-    case '24h':
-      startDate = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      break;
-    case '7d':
-      startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-      break;
-    case '30d':
-      startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-      break;
-    default:
-      startDate = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  if (!healthCheckWindows[period]) {
+    return res.status(400).json({
+      success: false,
+      error: `period must be one of ${Object.keys(healthCheckWindows).join(', ')}`
+    });
   }
 
   // Get user's apps
@@ -263,37 +625,44 @@ router.get('/stats', asyncHandler(async (req, res) => {
     deploymentStatus: 'deployed'
   });
 
+  const windowStats = await new MetricsCalculator().getStats(apps, period);
+  const startDate = windowStats.since;
+
   // Calculate statistics
   const stats = {
     totalApps: apps.length,
     monitoredApps: apps.filter(app => app.monitoringEnabled).length,
-    averageUptime: 0,
-    averageResponseTime: 0,
+    averageUptime: windowStats.averageUptime,
+    averageResponseTime: windowStats.responseTime.average,
+    p95ResponseTime: windowStats.responseTime.p95,
+    p99ResponseTime: windowStats.responseTime.p99,
     totalIncidents: 0,
     resolvedIncidents: 0,
     activeIncidents: 0,
-    checksPerformed: 0
+    checksPerformed: windowStats.checksPerformed,
+    failedChecks: windowStats.downChecks
   };
 
-  if (apps.length > 0) {
-    stats.averageUptime = apps.reduce((sum, app) => sum + app.monitoring.uptimePercentage, 0) / apps.length;
-    
-    const appsWithResponseTime = apps.filter(app => app.monitoring.responseTime.average > 0);
-    if (appsWithResponseTime.length > 0) {
-      stats.averageResponseTime = appsWithResponseTime.reduce((sum, app) => sum + app.monitoring.responseTime.average, 0) / appsWithResponseTime.length;
-    }
+  // Count incidents
+  const incidentCounts = await Incident.aggregate([
+    {
+      $match: {
+        userId: req.user.userId,
+        appId: { $in: apps.map(app => app.appId) },
+        startTime: { $gte: startDate }
+      }
+    },
+    { $group: { _id: { $eq: ['$status', 'resolved'] }, count: { $sum: 1 } } }
+  ]);
 
-    // Count incidents
-    apps.forEach(app => {
-      const incidents = app.monitoring.incidents.filter(incident => 
-        new Date(incident.startTime) >= startDate
-      );
-      stats.totalIncidents += incidents.length;
-      stats.resolvedIncidents += incidents.filter(incident => incident.resolved).length;
-      stats.activeIncidents += incidents.filter(incident => !incident.resolved).length;
-      stats.checksPerformed += app.monitoring.checksPerformed;
-    });
-  }
+  incidentCounts.forEach(({ _id: resolved, count }) => {
+    stats.totalIncidents += count;
+    if (resolved) {
+      stats.resolvedIncidents += count;
+    } else {
+      stats.activeIncidents += count;
+    }
+  });
 
   res.json({
     success: true,
@@ -301,68 +670,451 @@ router.get('/stats', asyncHandler(async (req, res) => {
       period,
       startDate,
       endDate: new Date(),
-      stats
+      stats,
+      apps: windowStats.apps
     }
   });
 }));
 
-// @desc    Get incident history
+// Cursors point at the last incident of a page: "<startTime ms>_<_id>"
+const encodeCursor = (incident) =>
+  Buffer.from(`${incident.startTime.getTime()}_${incident._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split('_');
+  const startTime = new Date(parseInt(time));
+
+  if (isNaN(startTime) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+  return { startTime, id: new mongoose.Types.ObjectId(id) };
+};
+
+// @desc    Get incident history, newest first
 // @route   GET /api/monitoring/incidents
 // @access  Private
 router.get('/incidents', asyncHandler(async (req, res) => {
-  const { page = 1, limit = 20, appId, severity, resolved } = req.query;
-  
-  const query = { 
-    userId: req.user.userId, 
-    isActive: true 
-  };
-  
+  const { appId, severity, type, status, resolved, from, to, cursor } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const query = { userId: req.user.userId };
+
   if (appId) query.appId = appId;
+  if (incidentSeverities.includes(severity)) query.severity = severity;
+  if (incidentTypes.includes(type)) query.type = type;
 
-  const apps = await DeployedApp.find(query);
-  
-  // Collect all incidents from all apps
-  let allIncidents = [];
-  apps.forEach(app => {
-    const incidents = app.monitoring.incidents.map(incident => ({
-      ...incident.toObject(),
-      appId: app.appId,
-      appName: app.appName
-    }));
-    allIncidents.push(...incidents);
-  });
+  if (incidentStatuses.includes(status)) {
+    query.status = status;
+  } else if (resolved !== undefined) {
+    query.status = resolved === 'true' ? 'resolved' : { $ne: 'resolved' };
+  }
 
-  // Filter incidents
-  if (severity) {
-    allIncidents = allIncidents.filter(incident => incident.severity === severity);
+  if (from || to) {
+    query.startTime = {};
+    if (from) query.startTime.$gte = new Date(from);
+    if (to) query.startTime.$lte = new Date(to);
   }
-  
-  if (resolved !== undefined) {
-    const isResolved = resolved === 'true';
-    allIncidents = allIncidents.filter(incident => incident.resolved === isResolved);
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor'
+      });
+    }
+
+    query.$or = [
+      { startTime: { $lt: position.startTime } },
+      { startTime: position.startTime, _id: { $lt: position.id } }
+    ];
   }
 
-  // Sort by start time (newest first)
-  allIncidents.sort((a, b) => new Date(b.startTime) - new Date(a.startTime));
+  // One extra to know whether there is another page
+  const incidents = await Incident.find(query)
+    .sort({ startTime: -1, _id: -1 })
+    .limit(limit + 1);
 
-  // Paginate
-  const total = allIncidents.length;
-  const startIndex = (page - 1) * limit;
-  const endIndex = startIndex + parseInt(limit);
-  const paginatedIncidents = allIncidents.slice(startIndex, endIndex);
+  const hasMore = incidents.length > limit;
+  const page = incidents.slice(0, limit);
 
   res.json({
     success: true,
     data: {
-      incidents: paginatedIncidents,
+      incidents: page,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+      }
+    }
+  });
+}));
+
+// Load one of the user's incidents, answering 404 when there is none
+const findIncident = async (req, res) => {
+  const incident = await Incident.findOne({
+    incidentId: req.params.incidentId,
+    userId: req.user.userId
+  });
+
+  if (!incident) {
+    res.status(404).json({
+      success: false,
+      error: 'Incident not found'
+    });
+  }
+
+  return incident;
+};
+
+// @desc    Get an incident with its timeline
+// @route   GET /api/monitoring/incidents/:incidentId
+// @access  Private
+router.get('/incidents/:incidentId', asyncHandler(async (req, res) => {
+  const incident = await findIncident(req, res);
+  if (!incident) return;
+
+  res.json({
+    success: true,
+    data: incident
+  });
+}));
+
+// @desc    Acknowledge an incident, optionally assigning it to someone else
+// @route   POST /api/monitoring/incidents/:incidentId/ack
+// @access  Private
+router.post('/incidents/:incidentId/ack', asyncHandler(async (req, res) => {
+  const incident = await findIncident(req, res);
+  if (!incident) return;
+
+  if (incident.status !== 'triggered') {
+    return res.status(409).json({
+      success: false,
+      error: `Incident is already ${incident.status}`
+    });
+  }
+
+  const { assignee } = req.body;
+  if (assignee !== undefined && (typeof assignee !== 'string' || !assignee.trim() || assignee.length > 100)) {
+    return res.status(400).json({
+      success: false,
+      error: 'assignee must be a user id'
+    });
+  }
+
+  await incident.acknowledge(req.user.userId, assignee?.trim() || req.user.userId);
+
+  logBusiness('Incident acknowledged', {
+    userId: req.user.userId,
+    appId: incident.appId,
+    incidentId: incident.incidentId
+  });
+
+  res.json({
+    success: true,
+    data: incident
+  });
+}));
+
+// @desc    Assign an open incident
+// @route   POST /api/monitoring/incidents/:incidentId/assign
+// @access  Private
+router.post('/incidents/:incidentId/assign', asyncHandler(async (req, res) => {
+  const incident = await findIncident(req, res);
+  if (!incident) return;
+
+  const { assignee } = req.body;
+  if (typeof assignee !== 'string' || !assignee.trim() || assignee.length > 100) {
+    return res.status(400).json({
+      success: false,
+      error: 'assignee must be a user id'
+    });
+  }
+
+  if (incident.status === 'resolved') {
+    return res.status(409).json({
+      success: false,
+      error: 'Incident is already resolved'
+    });
+  }
+
+  await incident.assign(req.user.userId, assignee.trim());
+
+  res.json({
+    success: true,
+    data: incident
+  });
+}));
+
+// @desc    Resolve an incident
+// @route   POST /api/monitoring/incidents/:incidentId/resolve
+// @access  Private
+router.post('/incidents/:incidentId/resolve', asyncHandler(async (req, res) => {
+  const incident = await findIncident(req, res);
+  if (!incident) return;
+
+  if (incident.status === 'resolved') {
+    return res.status(409).json({
+      success: false,
+      error: 'Incident is already resolved'
+    });
+  }
+
+  const { message } = req.body;
+  await incident.resolve(req.user.userId, message ? String(message).slice(0, 2000) : undefined);
+
+  logBusiness('Incident resolved', {
+    userId: req.user.userId,
+    appId: incident.appId,
+    incidentId: incident.incidentId,
+    duration: incident.duration
+  });
+
+  res.json({
+    success: true,
+    data: incident
+  });
+}));
+
+// @desc    Add a note to an incident's timeline
+// @route   POST /api/monitoring/incidents/:incidentId/notes
+// @access  Private
+router.post('/incidents/:incidentId/notes', asyncHandler(async (req, res) => {
+  const incident = await findIncident(req, res);
+  if (!incident) return;
+
+  const { message } = req.body;
+  if (typeof message !== 'string' || !message.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Note message is required'
+    });
+  }
+  if (message.length > 2000) {
+    return res.status(400).json({
+      success: false,
+      error: 'Notes are limited to 2000 characters'
+    });
+  }
+
+  await incident.addNote(req.user.userId, message.trim());
+
+  res.status(201).json({
+    success: true,
+    data: incident
+  });
+}));
+
+const postmortemTextFields = ['summary', 'impact', 'rootCause', 'resolution', 'lessonsLearned'];
+
+// Check the editable fields of a postmortem, returning the first problem
+const validatePostmortem = (body) => {
+  if (body.title !== undefined && (typeof body.title !== 'string' || !body.title.trim() || body.title.length > 200)) {
+    return 'title must be between 1 and 200 characters';
+  }
+  if (body.status !== undefined && !postmortemStatuses.includes(body.status)) {
+    return `status must be one of: ${postmortemStatuses.join(', ')}`;
+  }
+  for (const field of postmortemTextFields) {
+    if (body[field] !== undefined && body[field] !== null && (typeof body[field] !== 'string' || body[field].length > 20000)) {
+      return `${field} must be text of at most 20000 characters`;
+    }
+  }
+  if (body.actionItems !== undefined) {
+    if (!Array.isArray(body.actionItems) || body.actionItems.length > 50) {
+      return 'actionItems must be an array of at most 50 items';
+    }
+    for (const item of body.actionItems) {
+      if (!item || typeof item.description !== 'string' || !item.description.trim()) {
+        return 'Each action item needs a description';
+      }
+      if (item.owner !== undefined && item.owner !== null && typeof item.owner !== 'string') {
+        return 'Action item owner must be a user id';
+      }
+      if (item.dueDate !== undefined && item.dueDate !== null && isNaN(new Date(item.dueDate))) {
+        return 'Action item dueDate must be a date';
+      }
+      if (item.done !== undefined && typeof item.done !== 'boolean') {
+        return 'Action item done must be true or false';
       }
     }
+  }
+  return null;
+};
+
+// Load the postmortem of one of the user's incidents, answering 404 when
+// there is none
+const findPostmortem = async (req, res) => {
+  const postmortem = await Postmortem.findOne({
+    incidentId: req.params.incidentId,
+    userId: req.user.userId
+  });
+
+  if (!postmortem) {
+    res.status(404).json({
+      success: false,
+      error: 'Postmortem not found'
+    });
+  }
+
+  return postmortem;
+};
+
+// @desc    Get the user's postmortems
+// @route   GET /api/monitoring/postmortems
+// @access  Private
+router.get('/postmortems', asyncHandler(async (req, res) => {
+  const { appId, status } = req.query;
+  const limit = Math.min(Math.max(1, parseInt(req.query.limit) || 50), 100);
+
+  const query = { userId: req.user.userId };
+  if (appId) query.appId = appId;
+  if (status) query.status = status;
+
+  const postmortems = await Postmortem.find(query)
+    .select('-timeline')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  res.json({
+    success: true,
+    data: postmortems
+  });
+}));
+
+// @desc    Create the postmortem of a resolved incident, prefilled from its
+//          timeline, checks, alerts and restart attempts
+// @route   POST /api/monitoring/incidents/:incidentId/postmortem
+// @access  Private
+router.post('/incidents/:incidentId/postmortem', asyncHandler(async (req, res) => {
+  const incident = await findIncident(req, res);
+  if (!incident) return;
+
+  if (incident.status !== 'resolved') {
+    return res.status(409).json({
+      success: false,
+      error: 'Postmortems can only be written for resolved incidents'
+    });
+  }
+
+  if (await Postmortem.exists({ incidentId: incident.incidentId })) {
+    return res.status(409).json({
+      success: false,
+      error: 'Incident already has a postmortem'
+    });
+  }
+
+  const postmortem = await postmortemService.generate(incident, req.user.userId);
+
+  res.status(201).json({
+    success: true,
+    data: postmortem
+  });
+}));
+
+// @desc    Get the postmortem of an incident
+// @route   GET /api/monitoring/incidents/:incidentId/postmortem
+// @access  Private
+router.get('/incidents/:incidentId/postmortem', asyncHandler(async (req, res) => {
+  const postmortem = await findPostmortem(req, res);
+  if (!postmortem) return;
+
+  res.json({
+    success: true,
+    data: postmortem
+  });
+}));
+
+// @desc    Edit the postmortem of an incident
+// @route   PUT /api/monitoring/incidents/:incidentId/postmortem
+// @access  Private
+router.put('/incidents/:incidentId/postmortem', asyncHandler(async (req, res) => {
+  const postmortem = await findPostmortem(req, res);
+  if (!postmortem) return;
+
+  const invalid = validatePostmortem(req.body);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  const { title, status, actionItems } = req.body;
+
+  if (title !== undefined) postmortem.title = title.trim();
+  for (const field of postmortemTextFields) {
+    if (req.body[field] !== undefined) postmortem[field] = req.body[field] || undefined;
+  }
+  if (actionItems !== undefined) {
+    postmortem.actionItems = actionItems.map(({ description, owner, dueDate, done }) => ({
+      description: description.trim(),
+      owner: owner || undefined,
+      dueDate: dueDate || undefined,
+      done: done || false
+    }));
+  }
+  if (status !== undefined && status !== postmortem.status) {
+    postmortem.status = status;
+    postmortem.publishedAt = status === 'published' ? new Date() : undefined;
+  }
+  postmortem.updatedBy = req.user.userId;
+
+  await postmortem.save();
+
+  res.json({
+    success: true,
+    data: postmortem
   });
 }));
 
+// @desc    Regenerate the timeline and check history of a postmortem, e.g.
+//          after probe results arrived late; written sections are kept
+// @route   POST /api/monitoring/incidents/:incidentId/postmortem/refresh
+// @access  Private
+router.post('/incidents/:incidentId/postmortem/refresh', asyncHandler(async (req, res) => {
+  const incident = await findIncident(req, res);
+  if (!incident) return;
+
+  const postmortem = await findPostmortem(req, res);
+  if (!postmortem) return;
+
+  await postmortemService.refresh(postmortem, incident);
+
+  res.json({
+    success: true,
+    data: postmortem
+  });
+}));
+
+// @desc    Export the postmortem of an incident as Markdown or printable HTML
+// @route   GET /api/monitoring/incidents/:incidentId/postmortem/export?format=markdown|html
+// @access  Private
+router.get('/incidents/:incidentId/postmortem/export', asyncHandler(async (req, res) => {
+  const format = req.query.format || 'markdown';
+
+  if (!exportFormats.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `format must be one of: ${exportFormats.join(', ')}`
+    });
+  }
+
+  const postmortem = await findPostmortem(req, res);
+  if (!postmortem) return;
+
+  const filename = `postmortem-${postmortem.incidentId}`;
+
+  if (format === 'html') {
+    res.type('html');
+    res.set('Content-Disposition', `inline; filename="${filename}.html"`);
+    return res.send(postmortemService.toHtml(postmortem));
+  }
+
+  res.type('text/markdown; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}.md"`);
+  res.send(postmortemService.toMarkdown(postmortem));
+}));
+
 export default router;
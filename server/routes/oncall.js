@@ -0,0 +1,258 @@
+import express from 'express';
+import OnCallSchedule, { rotationLengths } from '../models/OnCallSchedule.js';
+import EscalationPolicy from '../models/EscalationPolicy.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { isValidTimezone } from '../utils/timezone.js';
+import { logBusiness } from '../utils/logger.js';
+
+const router = express.Router();
+
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const phonePattern = /^\+[1-9]\d{6,14}$/;
+
+// Check someone who can be put on call, returning the first problem
+const validateParticipant = (participant) => {
+  if (!participant || typeof participant.name !== 'string' || !participant.name.trim()) {
+    return 'Each participant needs a name';
+  }
+  if (!participant.email && !participant.phone) {
+    return `${participant.name} needs an email address or phone number`;
+  }
+  if (participant.email && !emailPattern.test(participant.email)) {
+    return `${participant.name} has an invalid email address`;
+  }
+  if (participant.phone && !phonePattern.test(participant.phone)) {
+    return `${participant.name} needs a phone number in international format, e.g. +14155550123`;
+  }
+  return null;
+};
+
+// Check a complete schedule definition, returning the first problem
+const validateSchedule = ({ name, timezone, rotationLength, rotationStart, participants }) => {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return 'name must be between 1 and 100 characters';
+  }
+  if (!isValidTimezone(timezone)) {
+    return 'timezone must be an IANA timezone such as Europe/Amsterdam';
+  }
+  if (!rotationLengths.includes(rotationLength)) {
+    return `rotationLength must be one of: ${rotationLengths.join(', ')}`;
+  }
+  if (!rotationStart || isNaN(new Date(rotationStart))) {
+    return 'rotationStart must be a date';
+  }
+  if (!Array.isArray(participants) || participants.length === 0 || participants.length > 50) {
+    return 'participants must list between 1 and 50 people';
+  }
+  return participants.map(validateParticipant).find(Boolean) || null;
+};
+
+const scheduleFields = (body) => {
+  const fields = {};
+  for (const field of ['name', 'timezone', 'rotationLength', 'rotationStart', 'participants']) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  return fields;
+};
+
+// Load one of the user's schedules, answering 404 when there is none
+const findSchedule = async (req, res) => {
+  const schedule = await OnCallSchedule.findOne({
+    scheduleId: req.params.scheduleId,
+    userId: req.user.userId
+  });
+
+  if (!schedule) {
+    res.status(404).json({
+      success: false,
+      error: 'On-call schedule not found'
+    });
+  }
+
+  return schedule;
+};
+
+const withOnCall = (schedule, at = new Date()) => ({
+  ...schedule.toJSON(),
+  onCall: schedule.onCallAt(at)
+});
+
+// @desc    Get the user's on-call schedules with who is on call now
+// @route   GET /api/oncall
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const schedules = await OnCallSchedule.find({ userId: req.user.userId }).sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: schedules.map(schedule => withOnCall(schedule))
+  });
+}));
+
+// @desc    Create an on-call schedule
+// @route   POST /api/oncall
+// @access  Private
+router.post('/', asyncHandler(async (req, res) => {
+  const fields = { timezone: 'UTC', rotationLength: 'weekly', ...scheduleFields(req.body) };
+
+  const invalid = validateSchedule(fields);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  const schedule = await OnCallSchedule.create({ ...fields, userId: req.user.userId });
+
+  logBusiness('On-call schedule created', {
+    userId: req.user.userId,
+    scheduleId: schedule.scheduleId,
+    participants: schedule.participants.length
+  });
+
+  res.status(201).json({
+    success: true,
+    data: withOnCall(schedule)
+  });
+}));
+
+// @desc    Get an on-call schedule and who is on call at a moment (default now)
+// @route   GET /api/oncall/:scheduleId?at=
+// @access  Private
+router.get('/:scheduleId', asyncHandler(async (req, res) => {
+  const schedule = await findSchedule(req, res);
+  if (!schedule) return;
+
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(at)) {
+    return res.status(400).json({
+      success: false,
+      error: 'at must be a date'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: withOnCall(schedule, at)
+  });
+}));
+
+// @desc    Update an on-call schedule
+// @route   PUT /api/oncall/:scheduleId
+// @access  Private
+router.put('/:scheduleId', asyncHandler(async (req, res) => {
+  const schedule = await findSchedule(req, res);
+  if (!schedule) return;
+
+  const fields = scheduleFields(req.body);
+  const invalid = validateSchedule({
+    name: schedule.name,
+    timezone: schedule.timezone,
+    rotationLength: schedule.rotationLength,
+    rotationStart: schedule.rotationStart,
+    participants: schedule.participants,
+    ...fields
+  });
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  schedule.set(fields);
+  await schedule.save();
+
+  res.json({
+    success: true,
+    data: withOnCall(schedule)
+  });
+}));
+
+// @desc    Delete an on-call schedule that no escalation policy uses
+// @route   DELETE /api/oncall/:scheduleId
+// @access  Private
+router.delete('/:scheduleId', asyncHandler(async (req, res) => {
+  const schedule = await findSchedule(req, res);
+  if (!schedule) return;
+
+  const policies = await EscalationPolicy.countDocuments({ 'levels.targets.scheduleId': schedule.scheduleId });
+  if (policies > 0) {
+    return res.status(409).json({
+      success: false,
+      error: `Schedule is used by ${policies} escalation polic${policies === 1 ? 'y' : 'ies'}`
+    });
+  }
+
+  await schedule.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'On-call schedule deleted'
+  });
+}));
+
+// @desc    Put someone else on call for a period
+// @route   POST /api/oncall/:scheduleId/overrides
+// @access  Private
+router.post('/:scheduleId/overrides', asyncHandler(async (req, res) => {
+  const schedule = await findSchedule(req, res);
+  if (!schedule) return;
+
+  const { participant, startTime, endTime, reason } = req.body;
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+
+  const invalid = validateParticipant(participant) ||
+    (!startTime || !endTime || isNaN(start) || isNaN(end) ? 'startTime and endTime must be dates' : null) ||
+    (end <= start ? 'endTime must be after startTime' : null);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  // Overrides that ended are no longer needed
+  schedule.overrides = schedule.overrides.filter(override => override.endTime > new Date());
+  schedule.overrides.push({
+    participant: { name: participant.name.trim(), email: participant.email, phone: participant.phone },
+    startTime: start,
+    endTime: end,
+    reason: reason ? String(reason).slice(0, 500) : undefined,
+    createdBy: req.user.userId
+  });
+  await schedule.save();
+
+  res.status(201).json({
+    success: true,
+    data: withOnCall(schedule)
+  });
+}));
+
+// @desc    Remove an override
+// @route   DELETE /api/oncall/:scheduleId/overrides/:overrideId
+// @access  Private
+router.delete('/:scheduleId/overrides/:overrideId', asyncHandler(async (req, res) => {
+  const schedule = await findSchedule(req, res);
+  if (!schedule) return;
+
+  const override = schedule.overrides.id(req.params.overrideId);
+  if (!override) {
+    return res.status(404).json({
+      success: false,
+      error: 'Override not found'
+    });
+  }
+
+  override.deleteOne();
+  await schedule.save();
+
+  res.json({
+    success: true,
+    data: withOnCall(schedule)
+  });
+}));
+
+export default router;
@@ -0,0 +1,58 @@
+import express from 'express';
+import { ProbeCoordinator, locationPattern, primaryLocation } from '../services/ProbeCoordinator.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+const probeCoordinator = new ProbeCoordinator();
+
+// Every probe route needs a valid location label other than this server's
+router.use((req, res, next) => {
+  const location = req.probeLocation;
+
+  if (!location || !locationPattern.test(location) || location === primaryLocation()) {
+    return res.status(400).json({
+      success: false,
+      error: 'X-Probe-Location must be a label of letters, digits, _ or - other than this server\'s location'
+    });
+  }
+  next();
+});
+
+// @desc    Claim the checks due for the probe's location
+// @route   GET /api/probes/checks
+// @access  Probe
+router.get('/checks', asyncHandler(async (req, res) => {
+  const limit = Math.max(1, parseInt(req.query.limit) || 50);
+  const checks = await probeCoordinator.claimChecks(req.probeLocation, limit);
+
+  res.json({
+    success: true,
+    data: { checks }
+  });
+}));
+
+// @desc    Report check results from the probe's location
+// @route   POST /api/probes/results
+// @access  Probe
+router.post('/results', asyncHandler(async (req, res) => {
+  const { results } = req.body;
+
+  if (!Array.isArray(results)) {
+    return res.status(400).json({
+      success: false,
+      error: 'results must be an array'
+    });
+  }
+
+  const accepted = await probeCoordinator.recordResults(req.probeLocation, results.slice(0, 500));
+
+  logger.debug(`Probe ${req.probeLocation} reported ${accepted}/${results.length} results`);
+
+  res.json({
+    success: true,
+    data: { accepted }
+  });
+}));
+
+export default router;
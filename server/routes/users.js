@@ -1,10 +1,15 @@
 import express from 'express';
+import crypto from 'crypto';
 import User from '../models/User.js';
+import { SmsService } from '../services/SmsService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { logger, logBusiness } from '../utils/logger.js';
 
 const router = express.Router();
 
+const phonePattern = /^\+[1-9]\d{6,14}$/;
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
 // @desc    Get current user profile
 // @route   GET /api/users/profile
 // @access  Private
@@ -81,6 +86,253 @@ router.get('/usage', asyncHandler(async (req, res) => {
   });
 }));
 
+// Text a fresh verification code to a number. Returns the phone entry to
+// store, or null after answering the request when no code could be sent.
+const sendVerificationCode = async (res, user, number, previous) => {
+  if (previous?.verificationSentAt && Date.now() - previous.verificationSentAt < 60 * 1000) {
+    res.status(429).json({
+      success: false,
+      error: 'Please wait a minute before requesting another code'
+    });
+    return null;
+  }
+
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+  try {
+    await new SmsService().send({
+      userId: user.userId,
+      to: number,
+      text: `Your DeployWise verification code is ${code}. It expires in 10 minutes.`,
+      purpose: 'verification'
+    });
+  } catch (error) {
+    res.status(502).json({
+      success: false,
+      error: `Could not send the verification code: ${error.message}`
+    });
+    return null;
+  }
+
+  return {
+    number,
+    verified: false,
+    verificationCode: hashCode(code),
+    verificationSentAt: new Date(),
+    verificationExpires: new Date(Date.now() + 10 * 60 * 1000), // 10 minutes
+    verificationAttempts: 0
+  };
+};
+
+// Check a code against a phone entry, marking it verified or counting the
+// failed attempt; returns the problem or null
+const checkVerificationCode = (phone, code) => {
+  if (!phone?.verificationCode || phone.verificationExpires < Date.now() || phone.verificationAttempts >= 5) {
+    return 'No valid verification code; request a new one';
+  }
+
+  const expected = Buffer.from(phone.verificationCode, 'hex');
+  const actual = Buffer.from(hashCode(String(code ?? '')), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    phone.verificationAttempts += 1;
+    return 'Invalid verification code';
+  }
+
+  phone.verified = true;
+  phone.verifiedAt = new Date();
+  phone.verificationCode = undefined;
+  phone.verificationExpires = undefined;
+  return null;
+};
+
+const invalidNumber = (res) => res.status(400).json({
+  success: false,
+  error: 'number must be a phone number in international format, e.g. +14155550123'
+});
+
+// @desc    Set the phone number for SMS and voice alerts and text it a verification code
+// @route   PUT /api/users/phone
+// @access  Private
+router.put('/phone', asyncHandler(async (req, res) => {
+  const { number } = req.body;
+
+  if (typeof number !== 'string' || !phonePattern.test(number)) {
+    return invalidNumber(res);
+  }
+
+  const user = await User.findOne({ userId: req.user.userId });
+
+  const phone = await sendVerificationCode(res, user, number, user.phone);
+  if (!phone) return;
+
+  user.phone = phone;
+  await user.save();
+
+  res.json({
+    success: true,
+    data: user.toJSON().phone,
+    message: 'Verification code sent'
+  });
+}));
+
+// @desc    Verify the phone number with the code texted to it
+// @route   POST /api/users/phone/verify
+// @access  Private
+router.post('/phone/verify', asyncHandler(async (req, res) => {
+  const user = await User.findOne({ userId: req.user.userId });
+
+  const invalid = checkVerificationCode(user.phone, req.body.code);
+  await user.save();
+
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  logBusiness('Phone number verified', { userId: user.userId });
+
+  res.json({
+    success: true,
+    data: user.toJSON().phone
+  });
+}));
+
+// @desc    Remove the phone number and turn off SMS alerts
+// @route   DELETE /api/users/phone
+// @access  Private
+router.delete('/phone', asyncHandler(async (req, res) => {
+  const user = await User.findOne({ userId: req.user.userId });
+
+  user.phone = undefined;
+  user.preferences.notifications.sms = false;
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Phone number removed'
+  });
+}));
+
+// @desc    Get the other numbers alerts and escalations may text or call
+// @route   GET /api/users/phone-numbers
+// @access  Private
+router.get('/phone-numbers', asyncHandler(async (req, res) => {
+  const user = await User.findOne({ userId: req.user.userId });
+
+  res.json({
+    success: true,
+    data: user.toJSON().extraPhones
+  });
+}));
+
+// @desc    Add another number for SMS and voice alerts and text it a verification code
+// @route   POST /api/users/phone-numbers
+// @access  Private
+router.post('/phone-numbers', asyncHandler(async (req, res) => {
+  const { number } = req.body;
+
+  if (typeof number !== 'string' || !phonePattern.test(number)) {
+    return invalidNumber(res);
+  }
+
+  const user = await User.findOne({ userId: req.user.userId });
+  const index = user.extraPhones.findIndex(phone => phone.number === number);
+
+  if (index === -1 && user.extraPhones.length >= 20) {
+    return res.status(400).json({
+      success: false,
+      error: 'You can add up to 20 phone numbers'
+    });
+  }
+
+  const phone = await sendVerificationCode(res, user, number, user.extraPhones[index]);
+  if (!phone) return;
+
+  if (index === -1) {
+    user.extraPhones.push(phone);
+  } else {
+    user.extraPhones.set(index, phone);
+  }
+  await user.save();
+
+  res.status(index === -1 ? 201 : 200).json({
+    success: true,
+    data: user.toJSON().extraPhones.find(entry => entry.number === number),
+    message: 'Verification code sent'
+  });
+}));
+
+// @desc    Verify another number with the code texted to it
+// @route   POST /api/users/phone-numbers/verify
+// @access  Private
+router.post('/phone-numbers/verify', asyncHandler(async (req, res) => {
+  const { number, code } = req.body;
+  const user = await User.findOne({ userId: req.user.userId });
+  const phone = user.extraPhones.find(entry => entry.number === number);
+
+  if (!phone) {
+    return res.status(404).json({
+      success: false,
+      error: 'Phone number not found'
+    });
+  }
+
+  const invalid = checkVerificationCode(phone, code);
+  await user.save();
+
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  logBusiness('Phone number verified', { userId: user.userId, extra: true });
+
+  res.json({
+    success: true,
+    data: user.toJSON().extraPhones.find(entry => entry.number === number)
+  });
+}));
+
+// @desc    Remove another number; alerts to it stop being sent
+// @route   DELETE /api/users/phone-numbers/:number
+// @access  Private
+router.delete('/phone-numbers/:number', asyncHandler(async (req, res) => {
+  const user = await User.findOne({ userId: req.user.userId });
+  const remaining = user.extraPhones.filter(phone => phone.number !== req.params.number);
+
+  if (remaining.length === user.extraPhones.length) {
+    return res.status(404).json({
+      success: false,
+      error: 'Phone number not found'
+    });
+  }
+
+  user.extraPhones = remaining;
+  await user.save();
+
+  res.json({
+    success: true,
+    message: 'Phone number removed'
+  });
+}));
+
+// @desc    Get SMS and voice messages sent in the last hour and day against the caps
+// @route   GET /api/users/sms-usage
+// @access  Private
+router.get('/sms-usage', asyncHandler(async (req, res) => {
+  const usage = await new SmsService().usage(req.user.userId);
+
+  res.json({
+    success: true,
+    data: usage
+  });
+}));
+
 // @desc    Delete user account
 // @route   DELETE /api/users/account
 // @access  Private
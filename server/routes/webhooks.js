@@ -0,0 +1,296 @@
+import express from 'express';
+import WebhookEndpoint, { webhookEvents, generateWebhookSecret } from '../models/WebhookEndpoint.js';
+import WebhookDelivery, { deliveryStatuses } from '../models/WebhookDelivery.js';
+import { WebhookService } from '../services/WebhookService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { assertPublicUrl } from '../utils/safeUrl.js';
+import { logBusiness } from '../utils/logger.js';
+
+const router = express.Router();
+const webhookService = new WebhookService();
+
+// Check endpoint settings from the API, returning the first problem. The URL
+// must resolve to a public address.
+const validateEndpoint = async ({ url, description, events, appIds, isActive }) => {
+  if (url !== undefined) {
+    try {
+      await assertPublicUrl(url);
+    } catch (error) {
+      return `url must be a public http(s) URL (${error.message})`;
+    }
+  }
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > 200)) {
+    return 'description must be at most 200 characters';
+  }
+  if (events !== undefined && !(Array.isArray(events) && events.every(event => webhookEvents.includes(event)))) {
+    return `events must be a list of: ${webhookEvents.join(', ')} (empty for all)`;
+  }
+  if (appIds !== undefined && !(Array.isArray(appIds) && appIds.length <= 100 && appIds.every(appId => typeof appId === 'string'))) {
+    return 'appIds must be a list of app IDs (empty for all apps)';
+  }
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    return 'isActive must be true or false';
+  }
+  return null;
+};
+
+const endpointFields = (body) => {
+  const fields = {};
+  for (const field of ['url', 'description', 'events', 'appIds', 'isActive']) {
+    if (body[field] !== undefined) fields[field] = body[field];
+  }
+  if (fields.events) fields.events = [...new Set(fields.events)];
+  if (fields.appIds) fields.appIds = [...new Set(fields.appIds)];
+  return fields;
+};
+
+// Load one of the user's endpoints, answering 404 when there is none
+const findEndpoint = async (req, res) => {
+  const endpoint = await WebhookEndpoint.findOne({
+    webhookId: req.params.webhookId,
+    userId: req.user.userId
+  });
+
+  if (!endpoint) {
+    res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+
+  return endpoint;
+};
+
+// @desc    Get the user's webhook endpoints
+// @route   GET /api/webhooks
+// @access  Private
+router.get('/', asyncHandler(async (req, res) => {
+  const endpoints = await WebhookEndpoint.find({ userId: req.user.userId }).sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: endpoints
+  });
+}));
+
+// @desc    Register a webhook endpoint; the signing secret is only returned here
+// @route   POST /api/webhooks
+// @access  Private
+router.post('/', asyncHandler(async (req, res) => {
+  const fields = endpointFields(req.body);
+
+  const invalid = fields.url === undefined ? 'url is required' : await validateEndpoint(fields);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  const count = await WebhookEndpoint.countDocuments({ userId: req.user.userId, forAlertRules: { $ne: true } });
+  if (count >= 20) {
+    return res.status(400).json({
+      success: false,
+      error: 'You can register up to 20 webhook endpoints'
+    });
+  }
+
+  const endpoint = await WebhookEndpoint.create({ ...fields, userId: req.user.userId });
+
+  logBusiness('Webhook endpoint created', {
+    userId: req.user.userId,
+    webhookId: endpoint.webhookId,
+    events: endpoint.events
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      ...endpoint.toJSON(),
+      secret: endpoint.secret
+    }
+  });
+}));
+
+// @desc    Get a webhook endpoint
+// @route   GET /api/webhooks/:webhookId
+// @access  Private
+router.get('/:webhookId', asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req, res);
+  if (!endpoint) return;
+
+  res.json({
+    success: true,
+    data: endpoint
+  });
+}));
+
+// @desc    Update a webhook endpoint
+// @route   PUT /api/webhooks/:webhookId
+// @access  Private
+router.put('/:webhookId', asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req, res);
+  if (!endpoint) return;
+
+  const fields = endpointFields(req.body);
+  const invalid = await validateEndpoint(fields);
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid
+    });
+  }
+
+  endpoint.set(fields);
+  await endpoint.save();
+
+  res.json({
+    success: true,
+    data: endpoint
+  });
+}));
+
+// @desc    Delete a webhook endpoint and its delivery log
+// @route   DELETE /api/webhooks/:webhookId
+// @access  Private
+router.delete('/:webhookId', asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req, res);
+  if (!endpoint) return;
+
+  await endpoint.deleteOne();
+  await WebhookDelivery.deleteMany({ webhookId: endpoint.webhookId });
+
+  logBusiness('Webhook endpoint deleted', {
+    userId: req.user.userId,
+    webhookId: endpoint.webhookId
+  });
+
+  res.json({
+    success: true,
+    message: 'Webhook deleted'
+  });
+}));
+
+// @desc    Replace the signing secret; the old one stops working immediately
+// @route   POST /api/webhooks/:webhookId/rotate-secret
+// @access  Private
+router.post('/:webhookId/rotate-secret', asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req, res);
+  if (!endpoint) return;
+
+  endpoint.secret = generateWebhookSecret();
+  await endpoint.save();
+
+  res.json({
+    success: true,
+    data: {
+      ...endpoint.toJSON(),
+      secret: endpoint.secret
+    }
+  });
+}));
+
+// @desc    Get the delivery log of a webhook endpoint, newest first
+// @route   GET /api/webhooks/:webhookId/deliveries?status=&event=&before=&limit=
+// @access  Private
+router.get('/:webhookId/deliveries', asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req, res);
+  if (!endpoint) return;
+
+  const { status, event, before } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+  const query = { webhookId: endpoint.webhookId };
+  if (deliveryStatuses.includes(status)) query.status = status;
+  if (webhookEvents.includes(event)) query.event = event;
+
+  if (before) {
+    const position = new Date(before);
+    if (isNaN(position)) {
+      return res.status(400).json({
+        success: false,
+        error: 'before must be a date'
+      });
+    }
+    query.createdAt = { $lt: position };
+  }
+
+  // One extra to know whether there is another page
+  const deliveries = await WebhookDelivery.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit + 1);
+
+  const hasMore = deliveries.length > limit;
+  const page = deliveries.slice(0, limit);
+
+  res.json({
+    success: true,
+    data: {
+      deliveries: page,
+      pagination: {
+        limit,
+        hasMore,
+        nextBefore: hasMore ? page[page.length - 1].createdAt : null
+      }
+    }
+  });
+}));
+
+// @desc    Get one delivery with its request, response and attempts
+// @route   GET /api/webhooks/:webhookId/deliveries/:deliveryId
+// @access  Private
+router.get('/:webhookId/deliveries/:deliveryId', asyncHandler(async (req, res) => {
+  const delivery = await WebhookDelivery.findOne({
+    deliveryId: req.params.deliveryId,
+    webhookId: req.params.webhookId,
+    userId: req.user.userId
+  });
+
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      error: 'Delivery not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: delivery
+  });
+}));
+
+// @desc    Send a delivery's event to the endpoint again
+// @route   POST /api/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+// @access  Private
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', asyncHandler(async (req, res) => {
+  const endpoint = await findEndpoint(req, res);
+  if (!endpoint) return;
+
+  const delivery = await WebhookDelivery.findOne({
+    deliveryId: req.params.deliveryId,
+    webhookId: endpoint.webhookId
+  });
+
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      error: 'Delivery not found'
+    });
+  }
+
+  if (!endpoint.isActive) {
+    return res.status(409).json({
+      success: false,
+      error: 'Webhook is disabled'
+    });
+  }
+
+  const redelivery = await webhookService.redeliver(delivery, endpoint);
+
+  res.status(202).json({
+    success: true,
+    data: redelivery
+  });
+}));
+
+export default router;
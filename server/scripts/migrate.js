@@ -0,0 +1,116 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import AlertState from '../models/AlertState.js';
+import Incident from '../models/Incident.js';
+import Postmortem from '../models/Postmortem.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import SmsMessage from '../models/SmsMessage.js';
+import { logger } from '../utils/logger.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/deploywise';
+
+// Incidents used to be embedded in DeployedApp.monitoring.incidents. Copy
+// them into the incidents collection and drop the embedded array. Incidents
+// already copied are matched by incidentId, so the migration can be re-run.
+const migrateEmbeddedIncidents = async () => {
+  const apps = mongoose.connection.collection('deployedapps');
+  const cursor = apps.find(
+    { 'monitoring.incidents.0': { $exists: true } },
+    { projection: { appId: 1, appName: 1, userId: 1, 'monitoring.incidents': 1 } }
+  );
+
+  let migrated = 0;
+
+  for await (const app of cursor) {
+    const operations = app.monitoring.incidents.map(incident => {
+      const status = incident.status || (incident.resolved ? 'resolved' : 'triggered');
+      const timeline = incident.timeline?.length
+        ? incident.timeline
+        : [
+            { type: 'triggered', at: incident.startTime, by: 'system', message: incident.description },
+            ...(status === 'resolved' ? [{ type: 'resolved', at: incident.endTime || incident.startTime, by: 'system' }] : [])
+          ];
+
+      return {
+        updateOne: {
+          filter: { incidentId: incident.id || `incident_${incident._id}` },
+          update: {
+            $setOnInsert: {
+              appId: app.appId,
+              appName: app.appName,
+              userId: app.userId,
+              type: incident.type,
+              severity: incident.severity || 'medium',
+              status,
+              description: incident.description,
+              affectedUsers: incident.affectedUsers,
+              startTime: incident.startTime,
+              endTime: incident.endTime,
+              duration: incident.duration,
+              assignee: incident.assignee,
+              acknowledgedAt: incident.acknowledgedAt,
+              acknowledgedBy: incident.acknowledgedBy,
+              resolvedBy: incident.resolvedBy,
+              timeline
+            }
+          },
+          upsert: true
+        }
+      };
+    });
+
+    await Incident.bulkWrite(operations);
+    await apps.updateOne({ _id: app._id }, { $unset: { 'monitoring.incidents': '' } });
+
+    migrated += operations.length;
+  }
+
+  return `${migrated} incidents moved to the incidents collection`;
+};
+
+// Alert rule conditions used to be tracked in DeployedApp.monitoring.alertPending;
+// they now live in the alertstates collection and rebuild within a check
+const dropAlertPending = async () => {
+  const { modifiedCount } = await mongoose.connection.collection('deployedapps').updateMany(
+    { 'monitoring.alertPending': { $exists: true } },
+    { $unset: { 'monitoring.alertPending': '' } }
+  );
+
+  return `${modifiedCount} apps cleaned up`;
+};
+
+// Run in order; every migration must be safe to run more than once
+const migrations = [
+  ['embedded-incidents', migrateEmbeddedIncidents],
+  ['alert-pending', dropAlertPending]
+];
+
+const run = async () => {
+  await mongoose.connect(MONGODB_URI);
+  logger.info('Migration connected to MongoDB');
+
+  // Make sure the indexes exist before the collections are used
+  await Incident.init();
+  await Postmortem.init();
+  await AlertState.init();
+  await WebhookDelivery.init();
+  await SmsMessage.init();
+
+  for (const [name, migrate] of migrations) {
+    logger.info(`Running migration ${name}`);
+    const summary = await migrate();
+    logger.info(`Migration ${name} done: ${summary}`);
+  }
+
+  await mongoose.connection.close();
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error('Migration failed:', error);
+    process.exit(1);
+  });
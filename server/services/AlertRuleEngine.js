@@ -0,0 +1,285 @@
+import AlertState, { FLAP_HISTORY, FLAP_START } from '../models/AlertState.js';
+import { MetricsCalculator } from './MetricsCalculator.js';
+
+export const alertChannels = ['email', 'slack', 'teams', 'discord', 'webhook', 'sms', 'voice'];
+
+// Chat services without a per-user integration; rules must name a webhook URL
+const chatWebhookChannels = ['teams', 'discord'];
+
+// Channels whose recipient is a URL the server posts to
+export const urlChannels = ['slack', 'webhook', ...chatWebhookChannels];
+
+// Alert severities, least serious first
+export const alertSeverities = ['low', 'medium', 'high', 'critical'];
+
+// Channels that cost money per message only page for serious alerts unless a
+// rule lowers its minSeverity
+export const phoneChannels = ['sms', 'voice'];
+
+export const minimumSeverity = ({ type, minSeverity }) =>
+  minSeverity || (phoneChannels.includes(type) ? 'high' : 'low');
+
+// Most serious first; a rule with several conditions holding alerts on the
+// first of them
+export const alertConditions = ['downtime', 'warning', 'errorRate', 'slowResponse'];
+
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const phonePattern = /^\+[1-9]\d{6,14}$/;
+
+const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+const formatSeconds = (seconds) => {
+  if (seconds >= 3600 && seconds % 3600 === 0) return `${seconds / 3600} hour${seconds === 3600 ? '' : 's'}`;
+  if (seconds >= 60 && seconds % 60 === 0) return `${seconds / 60} minute${seconds === 60 ? '' : 's'}`;
+  return `${seconds} second${seconds === 1 ? '' : 's'}`;
+};
+
+// Phone rules may only text or call numbers verified on the user's account
+export const validatePhoneRecipient = (rule, user) =>
+  phoneChannels.includes(rule?.type) && rule.recipient && !user.isVerifiedPhone(rule.recipient)
+    ? `${rule.recipient} is not a verified phone number; add and verify it under /api/users/phone-numbers first`
+    : null;
+
+// Check an alert rule from the API, returning the first problem
+export const validateAlertRule = (rule) => {
+  if (!rule || typeof rule !== 'object') {
+    return 'Each alert rule must be an object';
+  }
+  if (!alertChannels.includes(rule.type)) {
+    return `Alert rule type must be one of: ${alertChannels.join(', ')}`;
+  }
+
+  const { recipient } = rule;
+  if (recipient !== undefined && recipient !== null && recipient !== '') {
+    if (rule.type === 'email' && !emailPattern.test(recipient)) {
+      return 'Email alert recipient must be an email address';
+    }
+    if (phoneChannels.includes(rule.type) && !phonePattern.test(recipient)) {
+      return `${rule.type === 'sms' ? 'SMS' : 'Voice'} alert recipient must be a phone number in international format, e.g. +14155550123`;
+    }
+    if (urlChannels.includes(rule.type) && !/^https?:\/\//.test(recipient)) {
+      return `${rule.type} alert recipient must be an http(s) URL`;
+    }
+  } else if (chatWebhookChannels.includes(rule.type)) {
+    return `${rule.type} alert rules need the channel's incoming webhook URL as recipient`;
+  }
+
+  if (rule.for !== undefined && !inRange(rule.for, 0, 86400)) {
+    return 'Alert rule "for" must be between 0 and 86400 seconds';
+  }
+  if (rule.reminderInterval !== undefined && rule.reminderInterval !== 0 && !inRange(rule.reminderInterval, 300, 604800)) {
+    return 'reminderInterval must be 0 (no reminders) or between 300 and 604800 seconds';
+  }
+  if (rule.minSeverity !== undefined && !alertSeverities.includes(rule.minSeverity)) {
+    return `minSeverity must be one of: ${alertSeverities.join(', ')}`;
+  }
+  if (rule.notifyRecovery !== undefined && typeof rule.notifyRecovery !== 'boolean') {
+    return 'notifyRecovery must be true or false';
+  }
+
+  const conditions = rule.conditions || {};
+  if (conditions.failureThreshold !== undefined && !(Number.isInteger(conditions.failureThreshold) && inRange(conditions.failureThreshold, 1, 10))) {
+    return 'failureThreshold must be a whole number between 1 and 10';
+  }
+  if (conditions.slowResponse?.threshold !== undefined && !inRange(conditions.slowResponse.threshold, 100, 300000)) {
+    return 'slowResponse.threshold must be between 100 and 300000 milliseconds';
+  }
+  if (conditions.errorRate?.threshold !== undefined && !inRange(conditions.errorRate.threshold, 0, 100)) {
+    return 'errorRate.threshold must be a percentage between 0 and 100';
+  }
+  if (conditions.errorRate?.window !== undefined && !inRange(conditions.errorRate.window, 60, 86400)) {
+    return 'errorRate.window must be between 60 and 86400 seconds';
+  }
+  return null;
+};
+
+// Evaluates an app's alert rules after each check and decides who to tell
+// what. Each rule's state lives in an AlertState document: a condition has to
+// hold for the rule's "for" duration before the rule fires, a firing rule
+// sends one alert, reminders every reminderInterval seconds if set, and a
+// single recovery notice once every condition has cleared. While the app
+// flaps between states the rule sends one notice and then stays quiet until
+// it settles.
+export class AlertRuleEngine {
+  constructor(metricsCalculator = new MetricsCalculator()) {
+    this.metricsCalculator = metricsCalculator;
+  }
+
+  // Consecutive failed checks before an app counts as down. A missed
+  // heartbeat has already had its grace period.
+  static failureThreshold(app, user) {
+    if (app.configuration.monitor?.type === 'heartbeat') {
+      return 1;
+    }
+    return user?.preferences?.monitoring?.alertThreshold || 3;
+  }
+
+  // The app's enabled rules, or a rule that sends to the owner's preferred
+  // channels when the app has none
+  rulesFor(app, user) {
+    if (app.monitoring.alerts?.length > 0) {
+      return app.monitoring.alerts
+        .filter(rule => rule.enabled !== false)
+        .map(rule => ({ key: rule._id.toString(), rule }));
+    }
+
+    return [{
+      key: 'default',
+      rule: {
+        name: 'Default',
+        for: 0,
+        reminderInterval: 0,
+        notifyRecovery: true,
+        conditions: {
+          downtime: true,
+          warning: true,
+          slowResponse: { enabled: true, threshold: 5000 },
+          errorRate: { enabled: false }
+        }
+      }
+    }];
+  }
+
+  // Returns the notifications this check calls for as
+  // { rule, kind, condition, reason } with kind one of alert, reminder,
+  // recovery or flapping
+  async evaluate(app, user, check, now = new Date()) {
+    const rules = this.rulesFor(app, user);
+    const states = new Map(
+      (await AlertState.find({ appId: app.appId })).map(state => [state.ruleKey, state])
+    );
+    const errorRates = new Map();
+    const notifications = [];
+
+    for (const { key, rule } of rules) {
+      const state = states.get(key) || new AlertState({ appId: app.appId, userId: app.userId, ruleKey: key });
+      const notification = await this.evaluateRule(app, user, rule, state, check, errorRates, now);
+
+      if (notification) {
+        notifications.push({ rule, ...notification });
+      }
+      await state.save();
+    }
+
+    // Forget the state of rules that were removed or disabled
+    await AlertState.deleteMany({ appId: app.appId, ruleKey: { $nin: rules.map(({ key }) => key) } });
+
+    return notifications;
+  }
+
+  async evaluateRule(app, user, rule, state, check, errorRates, now) {
+    const duration = rule.for || 0;
+    let firing = null;
+    let breached = false;
+
+    for (const condition of alertConditions) {
+      const reason = await this.measure(app, user, rule, condition, check, errorRates);
+
+      if (!reason) {
+        state.pending.delete(condition);
+        continue;
+      }
+
+      breached = true;
+      if (!state.pending.has(condition)) {
+        state.pending.set(condition, now);
+      }
+      if (!firing && now - state.pending.get(condition) >= duration * 1000) {
+        firing = { condition, reason: duration > 0 ? `${reason} for ${formatSeconds(duration)}` : reason };
+      }
+    }
+
+    // Up/warning oscillation never builds up consecutive failures, so any
+    // unhealthy check counts towards flapping
+    const flap = state.recordCheck(breached || check.status !== 'up', now);
+    if (flap === 'started') {
+      return {
+        kind: 'flapping',
+        condition: firing?.condition || (state.status === 'firing' ? state.condition : undefined),
+        reason: `Changed state ${FLAP_START} or more times in the last ${FLAP_HISTORY} checks; alerts are paused until it settles`
+      };
+    }
+    if (state.flapping) {
+      return null;
+    }
+
+    if (state.status === 'ok') {
+      if (!firing) return null;
+
+      state.fire(firing.condition, firing.reason, now);
+      return { kind: 'alert', ...firing };
+    }
+
+    // Firing: a more serious condition is a new alert, not a reminder
+    if (firing && alertConditions.indexOf(firing.condition) < alertConditions.indexOf(state.condition)) {
+      state.fire(firing.condition, firing.reason, now);
+      return { kind: 'alert', ...firing };
+    }
+
+    if (breached) {
+      const interval = rule.reminderInterval || 0;
+      if (interval > 0 && now - state.lastNotifiedAt >= interval * 1000) {
+        state.lastNotifiedAt = now;
+        state.reminders += 1;
+        return {
+          kind: 'reminder',
+          condition: state.condition,
+          reason: `${firing?.reason || state.reason} (${formatSeconds(Math.round((now - state.firedAt) / 1000))} since the first alert)`
+        };
+      }
+      return null;
+    }
+
+    const condition = state.condition;
+    const lasted = Math.round((now - state.firedAt) / 1000);
+    state.recover(now);
+
+    return rule.notifyRecovery === false
+      ? null
+      : { kind: 'recovery', condition, reason: `Recovered after ${formatSeconds(lasted)}` };
+  }
+
+  // Why the condition holds for this check, or null when it does not
+  async measure(app, user, rule, condition, check, errorRates) {
+    const conditions = rule.conditions || {};
+    const failures = app.monitoring.consecutiveFailures;
+    const threshold = conditions.failureThreshold || AlertRuleEngine.failureThreshold(app, user);
+
+    switch (condition) {
+      case 'downtime':
+        return conditions.downtime !== false && check.status === 'down' && failures >= threshold
+          ? `Down for ${failures} consecutive check${failures === 1 ? '' : 's'}`
+          : null;
+
+      case 'warning':
+        return conditions.warning !== false && check.status === 'warning' && failures >= threshold
+          ? `Degraded for ${failures} consecutive check${failures === 1 ? '' : 's'}`
+          : null;
+
+      case 'slowResponse': {
+        const { enabled, threshold: limit = 5000 } = conditions.slowResponse || {};
+        return enabled !== false && check.status !== 'down' && check.responseTime > limit
+          ? `Response time ${check.responseTime}ms above ${limit}ms`
+          : null;
+      }
+
+      case 'errorRate': {
+        const { enabled, threshold: limit = 5, window = 300 } = conditions.errorRate || {};
+        if (enabled === false) return null;
+
+        if (!errorRates.has(window)) {
+          const summary = await this.metricsCalculator.summarizeApp(app.appId, new Date(Date.now() - window * 1000));
+          errorRates.set(window, summary.checks > 0 ? (summary.downChecks / summary.checks) * 100 : null);
+        }
+        const rate = errorRates.get(window);
+
+        return rate !== null && rate > limit
+          ? `${rate.toFixed(1)}% of checks failed in the last ${formatSeconds(window)} (limit ${limit}%)`
+          : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+}
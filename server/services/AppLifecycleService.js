@@ -0,0 +1,266 @@
+import RestartAttempt from '../models/RestartAttempt.js';
+import { JobQueue } from './JobQueue.js';
+import { MonitoringService } from './MonitoringService.js';
+import { getProvider } from './providers/index.js';
+import { logger, logBusiness } from '../utils/logger.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Job type for each lifecycle action
+export const actionJobTypes = {
+  restart: 'restart-app',
+  stop: 'stop-app',
+  start: 'start-app'
+};
+
+// Restarts, stops and starts apps through their provider adapter. An app is
+// only reported as up again once a health check against it has passed.
+export class AppLifecycleService {
+  constructor(io) {
+    this.io = io;
+    this.monitoringService = new MonitoringService(io);
+    this.verifyInterval = parseInt(process.env.RESTART_VERIFY_INTERVAL) || 5000;
+    this.verifyTimeout = parseInt(process.env.RESTART_VERIFY_TIMEOUT) || 2 * 60 * 1000;
+  }
+
+  // Why the action cannot run against the app right now, or null if it can
+  getBlockReason(app, action, trigger = 'user') {
+    const { autoRestart, restartPolicy } = app.configuration;
+
+    if (trigger === 'auto') {
+      if (!autoRestart) {
+        return 'Auto-restart is disabled for this app';
+      }
+      // Only the "always" policy brings back an app its owner stopped
+      if (app.deploymentStatus === 'stopped') {
+        return restartPolicy === 'always' ? null : `App was stopped and its restart policy is ${restartPolicy}`;
+      }
+    }
+
+    switch (action) {
+      case 'restart':
+        return app.deploymentStatus === 'deployed' ? null : 'Only deployed apps can be restarted';
+      case 'stop':
+        return app.deploymentStatus === 'deployed' ? null : 'Only deployed apps can be stopped';
+      case 'start':
+        return app.deploymentStatus === 'stopped' ? null : 'Only stopped apps can be started';
+      default:
+        return `Unknown action ${action}`;
+    }
+  }
+
+  // Whether a restart, stop or start job for the app is queued or running
+  static async hasPendingAction(app) {
+    const pending = await Promise.all(
+      Object.values(actionJobTypes).map(type => JobQueue.hasPending(type, { appId: app.appId }))
+    );
+    return pending.some(Boolean);
+  }
+
+  async queueAction(app, action, { trigger = 'user', userId } = {}) {
+    const previousHealth = app.healthStatus;
+    if (action !== 'stop') {
+      app.healthStatus = 'restarting';
+      await app.save();
+      this.monitoringService.emitHealthUpdate(app);
+    }
+
+    let job;
+    try {
+      job = await JobQueue.enqueue(actionJobTypes[action], { appId: app.appId, trigger }, {
+        userId: userId || app.userId,
+        // Retries happen inside the action so every attempt is verified and recorded
+        maxAttempts: 1
+      });
+    } catch (error) {
+      // No job will ever release the marker
+      if (app.healthStatus !== previousHealth) {
+        app.healthStatus = previousHealth;
+        await app.save();
+        this.monitoringService.emitHealthUpdate(app);
+      }
+      throw error;
+    }
+
+    logBusiness(`App ${action} queued`, {
+      userId: userId || app.userId,
+      appId: app.appId,
+      trigger,
+      jobId: job.jobId
+    });
+
+    return job;
+  }
+
+  // Runs on the worker. Restarts and starts requested by the user are retried
+  // up to configuration.maxRestartAttempts times until a health check passes;
+  // automatic ones make a single attempt and the restart supervisor spaces
+  // out the next one.
+  async runAction(app, action, { trigger = 'user', jobId } = {}) {
+    try {
+      return await this.performAction(app, action, { trigger, jobId });
+    } finally {
+      // Whatever happened, the app must not be left "restarting": monitoring
+      // skips apps in that state
+      await this.settleHealth(app);
+    }
+  }
+
+  async performAction(app, action, { trigger, jobId }) {
+    const blockReason = this.getBlockReason(app, action, trigger);
+    if (blockReason) {
+      return { skipped: true, reason: blockReason };
+    }
+
+    // A stopped app is brought back with a start rather than a restart
+    if (action === 'restart' && app.deploymentStatus === 'stopped') {
+      action = 'start';
+    }
+
+    const provider = getProvider(app.deployment.provider);
+    const maxAttempts = action === 'stop' || trigger === 'auto' ? 1 : app.configuration.maxRestartAttempts || 1;
+    let attempt;
+
+    for (let number = 1; number <= maxAttempts; number++) {
+      attempt = await RestartAttempt.create({
+        appId: app.appId,
+        userId: app.userId,
+        action,
+        trigger,
+        provider: provider.name,
+        jobId,
+        attempt: number
+      });
+      this.emitAttempt(attempt);
+
+      const outcome = await this.attempt(app, provider, action, attempt);
+      await attempt.finish(outcome.ok ? 'succeeded' : 'failed', outcome.error);
+      this.emitAttempt(attempt);
+
+      // Nothing to retry when the provider cannot perform the action at all
+      if (outcome.ok || outcome.permanent) break;
+
+      if (number < maxAttempts) {
+        logger.warn(`App ${app.appId} ${action} attempt ${number}/${maxAttempts} failed: ${outcome.error}`);
+        await sleep(this.verifyInterval);
+      }
+    }
+
+    await this.applyOutcome(app, action, attempt);
+
+    logBusiness(`App ${action} ${attempt.status}`, {
+      userId: app.userId,
+      appId: app.appId,
+      trigger,
+      attempts: attempt.attempt,
+      error: attempt.error
+    });
+
+    return {
+      action,
+      status: attempt.status,
+      attempts: attempt.attempt,
+      attemptId: attempt.attemptId,
+      healthStatus: app.healthStatus,
+      error: attempt.error
+    };
+  }
+
+  async attempt(app, provider, action, attempt) {
+    try {
+      const result = await provider[action](app);
+      if (result?.deploymentId) {
+        app.deployment.deploymentId = result.deploymentId;
+      }
+    } catch (error) {
+      logger.error(`Provider ${action} failed for app ${app.appId}:`, error);
+      return { ok: false, error: error.message, permanent: error.statusCode === 400 };
+    }
+
+    if (action === 'stop') {
+      return { ok: true };
+    }
+
+    const check = await this.verify(app, attempt);
+    return check.status === 'up'
+      ? { ok: true }
+      : { ok: false, error: `Health check did not pass: ${check.error || check.status}` };
+  }
+
+  // Poll the health check until it passes or the verification window closes
+  async verify(app, attempt) {
+    const deadline = Date.now() + this.verifyTimeout;
+    let check = await this.probe(app, attempt);
+
+    while (check.status !== 'up' && Date.now() + this.verifyInterval <= deadline) {
+      await sleep(this.verifyInterval);
+      check = await this.probe(app, attempt);
+    }
+
+    return check;
+  }
+
+  async probe(app, attempt) {
+    const check = await this.monitoringService.probeApp(app);
+    attempt.verification = {
+      status: check.status,
+      statusCode: check.statusCode,
+      responseTime: check.responseTime,
+      checks: (attempt.verification?.checks || 0) + 1,
+      checkedAt: new Date()
+    };
+    return check;
+  }
+
+  async applyOutcome(app, action, attempt) {
+    const succeeded = attempt.status === 'succeeded';
+
+    if (action === 'stop') {
+      if (succeeded) {
+        app.deploymentStatus = 'stopped';
+        app.healthStatus = 'down';
+        app.lastCheck = new Date();
+        await app.save();
+      } else {
+        await this.settleHealth(app);
+      }
+    } else if (succeeded) {
+      app.deploymentStatus = 'deployed';
+      await app.updateHealthStatus('up', attempt.verification?.responseTime ?? null);
+    } else if (action === 'start' && !attempt.verification?.checks) {
+      // The provider never started the app
+      app.healthStatus = 'down';
+      await app.save();
+    } else {
+      // Running but unhealthy; regular monitoring takes over from here
+      app.deploymentStatus = 'deployed';
+      await app.updateHealthStatus(attempt.verification?.status === 'warning' ? 'warning' : 'down');
+    }
+
+    this.monitoringService.emitHealthUpdate(app);
+  }
+
+  // Release the "restarting" marker set when the action was queued
+  async settleHealth(app) {
+    if (app.healthStatus !== 'restarting') return;
+
+    app.healthStatus = app.deploymentStatus === 'stopped' ? 'down' : 'unknown';
+    await app.save();
+    this.monitoringService.emitHealthUpdate(app);
+  }
+
+  emitAttempt(attempt) {
+    if (!this.io) return;
+
+    this.io.to(`user-${attempt.userId}`).emit('app-restart-attempt', {
+      appId: attempt.appId,
+      attemptId: attempt.attemptId,
+      action: attempt.action,
+      trigger: attempt.trigger,
+      attempt: attempt.attempt,
+      status: attempt.status,
+      error: attempt.error,
+      verification: attempt.verification
+    });
+  }
+}
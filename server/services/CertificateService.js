@@ -0,0 +1,288 @@
+import tls from 'tls';
+import net from 'net';
+import axios from 'axios';
+import { getDomain } from 'tldts';
+import DeployedApp from '../models/DeployedApp.js';
+import Incident from '../models/Incident.js';
+import { logger, logBusiness, logExternalAPI } from '../utils/logger.js';
+
+export const defaultExpiryThresholds = [30, 14, 7, 1];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysUntil = (date) => Math.floor((new Date(date) - Date.now()) / DAY);
+
+// Smallest configured threshold the remaining days have fallen under, e.g.
+// 10 days left with [30, 14, 7, 1] -> 14
+const crossedThreshold = (daysRemaining, thresholds) =>
+  [...thresholds].sort((a, b) => a - b).find(threshold => daysRemaining <= threshold) ?? null;
+
+const expirySeverity = (daysRemaining) => {
+  if (daysRemaining <= 1) return 'critical';
+  if (daysRemaining <= 7) return 'high';
+  if (daysRemaining <= 14) return 'medium';
+  return 'low';
+};
+
+// Inspects the TLS certificate and domain registration of each monitored app
+// once per CERTIFICATE_CHECK_INTERVAL hours and opens incidents as expiry
+// thresholds are crossed or the certificate stops validating
+export class CertificateService {
+  constructor(io) {
+    this.io = io;
+    this.interval = (parseInt(process.env.CERTIFICATE_CHECK_INTERVAL) || 24) * 60 * 60 * 1000;
+    this.rdapUrl = process.env.RDAP_URL || 'https://rdap.org';
+    this.timeout = parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 30000;
+  }
+
+  // Check every app whose last certificate check is older than the interval
+  async checkDueApps() {
+    const checkedBefore = new Date(Date.now() - this.interval);
+    const apps = await DeployedApp.find({
+      monitoringEnabled: true,
+      isActive: true,
+      deploymentStatus: 'deployed',
+      $or: [
+        { 'monitoring.certificate.checkedAt': { $lte: checkedBefore } },
+        { 'monitoring.certificate.checkedAt': { $exists: false } }
+      ]
+    });
+
+    const batchSize = parseInt(process.env.MAX_CONCURRENT_CHECKS) || 50;
+    for (let i = 0; i < apps.length; i += batchSize) {
+      const batch = apps.slice(i, i + batchSize);
+      await Promise.allSettled(batch.map(app => this.checkApp(app)));
+    }
+
+    return apps.length;
+  }
+
+  async checkApp(app) {
+    const certificate = app.monitoring.certificate;
+    const target = this.getTarget(app);
+
+    if (!target) {
+      Object.assign(certificate, { checkedAt: new Date(), error: 'App is not served over HTTPS' });
+      return app.save();
+    }
+
+    try {
+      Object.assign(certificate, await this.inspectCertificate(target.hostname, target.port), { checkedAt: new Date() });
+      await this.evaluateCertificate(app);
+    } catch (error) {
+      logger.warn(`Certificate check failed for ${app.appName}: ${error.message}`);
+      Object.assign(certificate, { checkedAt: new Date(), error: error.message });
+    }
+
+    if (app.deployment.customDomain) {
+      const domain = app.monitoring.domain;
+      try {
+        Object.assign(domain, await this.lookupDomain(app.deployment.customDomain), { checkedAt: new Date() });
+        await this.evaluateDomain(app);
+      } catch (error) {
+        logger.warn(`Domain expiry lookup failed for ${app.deployment.customDomain}: ${error.message}`);
+        Object.assign(domain, { checkedAt: new Date(), error: error.message });
+      }
+    }
+
+    await app.save();
+    this.emitCertificateUpdate(app);
+    return app;
+  }
+
+  getTarget(app) {
+    const url = app.fullUrl;
+    if (!url) return null;
+
+    try {
+      const { protocol, hostname, port } = new URL(url);
+      if (protocol !== 'https:') return null;
+      return { hostname, port: port ? parseInt(port) : 443 };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Handshake without rejecting so invalid certificates can still be reported
+  inspectCertificate(hostname, port = 443) {
+    return new Promise((resolve, reject) => {
+      const socket = tls.connect({
+        host: hostname,
+        port,
+        servername: net.isIP(hostname) ? undefined : hostname,
+        rejectUnauthorized: false,
+        timeout: this.timeout
+      });
+
+      socket.once('secureConnect', () => {
+        const peer = socket.getPeerCertificate(true);
+        socket.end();
+
+        if (!peer || !peer.valid_to) {
+          return reject(new Error(`No certificate presented by ${hostname}`));
+        }
+
+        const hostnameError = tls.checkServerIdentity(hostname, peer);
+
+        resolve({
+          subject: peer.subject?.CN,
+          issuer: peer.issuer?.O || peer.issuer?.CN,
+          altNames: (peer.subjectaltname || '').split(', ').filter(Boolean).map(name => name.replace(/^DNS:/, '')),
+          serialNumber: peer.serialNumber,
+          fingerprint: peer.fingerprint256,
+          validFrom: new Date(peer.valid_from),
+          validTo: new Date(peer.valid_to),
+          daysRemaining: daysUntil(peer.valid_to),
+          chainValid: socket.authorized,
+          chainError: socket.authorized ? undefined : String(socket.authorizationError),
+          hostnameMatch: !hostnameError,
+          error: undefined
+        });
+      });
+
+      socket.once('timeout', () => {
+        socket.destroy();
+        reject(new Error(`TLS handshake with ${hostname}:${port} timed out`));
+      });
+      socket.once('error', reject);
+    });
+  }
+
+  // Registration expiry from RDAP. RDAP is served for the registered domain,
+  // which the public suffix list tells apart from subdomains (shop.example.co.uk
+  // is registered as example.co.uk).
+  async lookupDomain(hostname) {
+    const domain = getDomain(hostname);
+    if (!domain) {
+      throw new Error(`${hostname} is not a registered domain name`);
+    }
+    const startTime = Date.now();
+
+    const response = await axios.get(`${this.rdapUrl}/domain/${domain}`, {
+      timeout: this.timeout,
+      headers: { Accept: 'application/rdap+json' }
+    });
+    logExternalAPI('rdap', 'GET', `/domain/${domain}`, response.status, Date.now() - startTime);
+
+    const expiration = (response.data.events || []).find(event => event.eventAction === 'expiration');
+    if (!expiration) {
+      throw new Error(`No expiration date published for ${domain}`);
+    }
+
+    const registrar = (response.data.entities || []).find(entity => (entity.roles || []).includes('registrar'));
+
+    return {
+      name: domain,
+      registrar: registrar?.vcardArray?.[1]?.find(field => field[0] === 'fn')?.[3],
+      expiresAt: new Date(expiration.eventDate),
+      daysRemaining: daysUntil(expiration.eventDate),
+      error: undefined
+    };
+  }
+
+  async evaluateCertificate(app) {
+    const certificate = app.monitoring.certificate;
+    const thresholds = app.configuration.certificateExpiryThresholds?.length
+      ? app.configuration.certificateExpiryThresholds
+      : defaultExpiryThresholds;
+
+    const problems = [];
+    if (certificate.daysRemaining < 0) {
+      problems.push(`expired on ${certificate.validTo.toISOString().slice(0, 10)}`);
+    }
+    if (!certificate.chainValid && certificate.daysRemaining >= 0) {
+      problems.push(`does not validate (${certificate.chainError})`);
+    }
+    if (!certificate.hostnameMatch) {
+      problems.push(`does not cover ${new URL(app.fullUrl).hostname}`);
+    }
+
+    const threshold = crossedThreshold(certificate.daysRemaining, thresholds);
+
+    // Valid again: close the problem's incident. It superseded any expiry
+    // incident, so that one is opened again below if still due.
+    if (problems.length === 0 && certificate.notifiedProblem) {
+      await Incident.resolveOpen(app.appId, ['ssl_issue'], 'Certificate is valid again');
+      certificate.notifiedProblem = undefined;
+      certificate.notifiedThreshold = undefined;
+    }
+
+    // Renewed: close the expiry incident and re-arm the thresholds
+    if (problems.length === 0 && threshold === null) {
+      if (certificate.notifiedThreshold != null) {
+        await Incident.resolveOpen(app.appId, ['ssl_issue'], 'Certificate was renewed');
+        certificate.notifiedThreshold = undefined;
+      }
+      return;
+    }
+
+    if (problems.length > 0) {
+      const problem = `The TLS certificate for ${app.appName} ${problems.join(' and ')}`;
+      if (certificate.notifiedProblem !== problem) {
+        certificate.notifiedProblem = problem;
+        await this.openIncident(app, 'ssl_issue', 'critical', `${problem}.`);
+      }
+      return;
+    }
+
+    if (certificate.notifiedThreshold == null || threshold < certificate.notifiedThreshold) {
+      certificate.notifiedThreshold = threshold;
+      await this.openIncident(
+        app,
+        'ssl_issue',
+        expirySeverity(certificate.daysRemaining),
+        `The TLS certificate for ${app.appName} (issued by ${certificate.issuer}) expires in ${certificate.daysRemaining} day${certificate.daysRemaining === 1 ? '' : 's'}, on ${certificate.validTo.toISOString().slice(0, 10)}.`
+      );
+    }
+  }
+
+  async evaluateDomain(app) {
+    const domain = app.monitoring.domain;
+    const thresholds = app.configuration.certificateExpiryThresholds?.length
+      ? app.configuration.certificateExpiryThresholds
+      : defaultExpiryThresholds;
+
+    const threshold = crossedThreshold(domain.daysRemaining, thresholds);
+
+    if (threshold === null) {
+      if (domain.notifiedThreshold != null) {
+        await Incident.resolveOpen(app.appId, ['domain_expiry'], 'Domain registration was renewed');
+        domain.notifiedThreshold = undefined;
+      }
+      return;
+    }
+
+    if (domain.notifiedThreshold == null || threshold < domain.notifiedThreshold) {
+      domain.notifiedThreshold = threshold;
+      const description = domain.daysRemaining < 0
+        ? `The domain ${domain.name} expired on ${domain.expiresAt.toISOString().slice(0, 10)}.`
+        : `The domain ${domain.name} expires in ${domain.daysRemaining} day${domain.daysRemaining === 1 ? '' : 's'}, on ${domain.expiresAt.toISOString().slice(0, 10)}.`;
+
+      await this.openIncident(app, 'domain_expiry', expirySeverity(domain.daysRemaining), description);
+    }
+  }
+
+  async openIncident(app, type, severity, description) {
+    // An earlier, less urgent incident of the same kind is superseded
+    await Incident.resolveOpen(app.appId, [type], 'Superseded by a newer incident');
+    await Incident.open(app, type, severity, description);
+
+    logger.warn(`${type} incident for app ${app.appId}: ${description}`);
+    logBusiness('Certificate incident opened', {
+      userId: app.userId,
+      appId: app.appId,
+      type,
+      severity
+    });
+  }
+
+  emitCertificateUpdate(app) {
+    if (!this.io) return;
+
+    this.io.to(`user-${app.userId}`).emit('app-certificate-update', {
+      appId: app.appId,
+      certificate: app.monitoring.certificate,
+      domain: app.monitoring.domain
+    });
+  }
+}
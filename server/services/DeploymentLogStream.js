@@ -0,0 +1,97 @@
+import DeploymentLog from '../models/DeploymentLog.js';
+import { logger } from '../utils/logger.js';
+
+// Buffers build/deploy output for one deployment, persists it in chunks to
+// the DeploymentLog store and pushes each chunk to the owner's Socket.IO room.
+export class DeploymentLogStream {
+  constructor(deployment, io, options = {}) {
+    this.deployment = deployment;
+    this.io = io;
+    this.flushInterval = options.flushInterval || 500;
+    this.maxChunkSize = options.maxChunkSize || 100;
+    this.buffer = [];
+    this.tail = [];
+    this.tailSize = options.tailSize || 50;
+    this.seq = 0;
+    this.timer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  // Continue numbering after lines written by an earlier attempt of the same deployment
+  async init() {
+    const last = await DeploymentLog.findOne({ deploymentId: this.deployment.deploymentId })
+      .sort({ seq: -1 })
+      .select('seq')
+      .lean();
+
+    this.seq = last ? last.seq : 0;
+    return this;
+  }
+
+  write(message, stream = 'build') {
+    String(message).split('\n').filter(Boolean).forEach(text => {
+      const line = {
+        deploymentId: this.deployment.deploymentId,
+        appId: this.deployment.appId,
+        userId: this.deployment.userId,
+        seq: ++this.seq,
+        stream,
+        message: text,
+        timestamp: new Date()
+      };
+
+      this.buffer.push(line);
+      this.tail.push(line);
+      if (this.tail.length > this.tailSize) this.tail.shift();
+    });
+
+    if (this.buffer.length >= this.maxChunkSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+  }
+
+  // Chunks are written in order; each flush waits for the previous one
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (this.buffer.length === 0) return this.flushing;
+
+    const chunk = this.buffer;
+    this.buffer = [];
+
+    this.flushing = this.flushing.then(async () => {
+      try {
+        await DeploymentLog.insertMany(chunk, { ordered: false });
+      } catch (error) {
+        logger.error(`Failed to store log chunk for deployment ${this.deployment.deploymentId}:`, error);
+      }
+      this.emit(chunk);
+    });
+
+    return this.flushing;
+  }
+
+  close() {
+    return this.flush();
+  }
+
+  // Last lines as plain text, kept on the app as a quick summary
+  tailText() {
+    return this.tail
+      .map(line => `[${line.timestamp.toISOString()}] ${line.message}`)
+      .join('\n');
+  }
+
+  emit(chunk) {
+    if (!this.io) return;
+
+    this.io.to(`user-${this.deployment.userId}`).emit('deployment-log', {
+      appId: this.deployment.appId,
+      deploymentId: this.deployment.deploymentId,
+      lines: chunk.map(({ seq, stream, message, timestamp }) => ({ seq, stream, message, timestamp }))
+    });
+  }
+}
@@ -0,0 +1,182 @@
+import Deployment from '../models/Deployment.js';
+import { JobQueue } from './JobQueue.js';
+import { DeploymentLogStream } from './DeploymentLogStream.js';
+import { getProvider } from './providers/index.js';
+import { logger, logBusiness } from '../utils/logger.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class DeploymentService {
+  constructor(io) {
+    this.io = io;
+    this.pollInterval = parseInt(process.env.DEPLOYMENT_POLL_INTERVAL) || 5000;
+    this.timeout = parseInt(process.env.DEPLOYMENT_TIMEOUT) || 30 * 60 * 1000;
+  }
+
+  // Record a release from the app's current configuration and queue it
+  async queueDeployment(app, triggeredBy = {}) {
+    const deployment = await Deployment.fromApp(app, triggeredBy);
+    const job = await this.enqueue(deployment);
+    return { deployment, job };
+  }
+
+  // Record a release that redeploys a previous artifact and queue it
+  async queueRollback(app, targetDeployment, userId) {
+    const deployment = await targetDeployment.createRollback(userId);
+    const job = await this.enqueue(deployment);
+
+    logBusiness('App rollback requested', {
+      userId,
+      appId: app.appId,
+      deploymentId: deployment.deploymentId,
+      rollbackOf: targetDeployment.deploymentId
+    });
+
+    return { deployment, job };
+  }
+
+  enqueue(deployment) {
+    return JobQueue.enqueue('deploy-app', {
+      appId: deployment.appId,
+      deploymentId: deployment.deploymentId
+    }, {
+      userId: deployment.userId
+    });
+  }
+
+  // Walk the app through pending -> deploying -> deployed/failed
+  async deployApp(app, deployment) {
+    const release = deployment.toRelease();
+    const logStream = await new DeploymentLogStream(deployment, this.io).init();
+    const onLog = (line) => logStream.write(line, 'build');
+    const systemLog = (line) => logStream.write(line, 'system');
+
+    const startedAt = new Date();
+    deployment.status = 'deploying';
+    deployment.startedAt = startedAt;
+    await deployment.save();
+
+    app.deploymentStatus = 'deploying';
+    app.deployment.lastDeployment = {
+      id: deployment.deploymentId,
+      status: 'deploying',
+      createdAt: startedAt
+    };
+    await app.save();
+    this.emitDeploymentUpdate(app);
+
+    try {
+      // Inside the try so a provider that was removed or switched off since
+      // the deployment was queued fails it instead of leaving it deploying
+      const provider = getProvider(deployment.provider);
+      systemLog(`Deploying ${deployment.deploymentId} with ${provider.name}`);
+
+      const result = deployment.promoteFrom && provider.canPromote
+        ? await provider.promote(app, deployment.promoteFrom, { onLog })
+        : await provider.deploy(app, release, { onLog });
+      deployment.providerDeploymentId = result.deploymentId;
+
+      const logCursor = { seen: 0 };
+      const state = await this.waitForDeployment(app, provider, result, () =>
+        this.pullProviderLogs(app, provider, result.deploymentId, logCursor, onLog)
+      );
+      await this.pullProviderLogs(app, provider, result.deploymentId, logCursor, onLog);
+
+      if (state.status === 'failed') {
+        throw new Error(state.error || 'Deployment failed');
+      }
+
+      app.deployment.deploymentId = result.deploymentId;
+      app.deployment.url = state.url || result.url || app.deployment.url;
+      app.deploymentStatus = 'deployed';
+      app.deployment.lastDeployment.status = 'deployed';
+      // Check the new release right away
+      app.monitoring.nextCheckAt = new Date();
+
+      deployment.status = 'deployed';
+      deployment.url = app.deployment.url;
+      // What was built, so a rollback to this release rebuilds the same commit
+      deployment.resolvedCommitHash = state.commitHash || result.commitHash || deployment.source?.commitHash;
+
+      logBusiness('App deployment completed', {
+        userId: app.userId,
+        appId: app.appId,
+        provider: provider.name,
+        deploymentId: deployment.deploymentId,
+        providerDeploymentId: result.deploymentId
+      });
+    } catch (error) {
+      systemLog(`Deployment failed: ${error.message}`);
+      app.deploymentStatus = 'failed';
+      app.deployment.lastDeployment.status = 'failed';
+
+      deployment.status = 'failed';
+      deployment.error = error.message;
+
+      logger.error(`Deployment failed for app ${app.appId}:`, error);
+    }
+
+    const completedAt = new Date();
+    systemLog(`Finished with status ${deployment.status} in ${Math.round((completedAt - startedAt) / 1000)}s`);
+    await logStream.close();
+
+    app.deployment.lastDeployment.completedAt = completedAt;
+    app.deployment.lastDeployment.logs = logStream.tailText();
+    await app.save();
+
+    deployment.completedAt = completedAt;
+    deployment.duration = completedAt - startedAt;
+    await deployment.save();
+
+    this.emitDeploymentUpdate(app);
+
+    return deployment;
+  }
+
+  async waitForDeployment(app, provider, result, onPoll = async () => {}) {
+    const deadline = Date.now() + this.timeout;
+    let state = { status: result.status, url: result.url };
+
+    while (state.status === 'deploying') {
+      if (Date.now() > deadline) {
+        return { status: 'failed', error: `Deployment timed out after ${Math.round(this.timeout / 1000)}s` };
+      }
+
+      await sleep(this.pollInterval);
+      state = await provider.getStatus(app, result.deploymentId);
+      await onPoll();
+    }
+
+    return state;
+  }
+
+  // Providers that cannot stream return their whole log on every call; only
+  // forward the lines we have not seen yet
+  async pullProviderLogs(app, provider, providerDeploymentId, cursor, onLog) {
+    if (provider.streamsLogs) return;
+
+    try {
+      const lines = await provider.getLogs(app, providerDeploymentId);
+      lines.slice(cursor.seen).forEach(onLog);
+      cursor.seen = Math.max(cursor.seen, lines.length);
+    } catch (error) {
+      logger.debug(`Could not fetch ${provider.name} logs for ${providerDeploymentId}: ${error.message}`);
+    }
+  }
+
+  emitDeploymentUpdate(app) {
+    if (!this.io) return;
+
+    this.io.to(`user-${app.userId}`).emit('app-deployment-update', {
+      appId: app.appId,
+      deploymentStatus: app.deploymentStatus,
+      url: app.deployment.url,
+      lastDeployment: {
+        id: app.deployment.lastDeployment?.id,
+        status: app.deployment.lastDeployment?.status,
+        createdAt: app.deployment.lastDeployment?.createdAt,
+        completedAt: app.deployment.lastDeployment?.completedAt
+      }
+    });
+  }
+}
@@ -0,0 +1,159 @@
+import DeployedApp from '../models/DeployedApp.js';
+import EscalationPolicy from '../models/EscalationPolicy.js';
+import Incident from '../models/Incident.js';
+import OnCallSchedule from '../models/OnCallSchedule.js';
+import User from '../models/User.js';
+import { phoneChannels } from './AlertRuleEngine.js';
+import { logger, logBusiness } from '../utils/logger.js';
+
+// Walks open, unacknowledged incidents through their app's escalation
+// policy: when a level's delay has passed since the previous page, everyone
+// on that level is paged and the incident moves on to the next level.
+// Acknowledging or resolving the incident stops it.
+export class EscalationService {
+  constructor(notificationService) {
+    this.notificationService = notificationService;
+  }
+
+  // Page every level that is due; returns how many incidents were escalated
+  async escalateDue(now = new Date()) {
+    const incidents = await Incident.find({
+      status: 'triggered',
+      'escalation.policyId': { $exists: true },
+      'escalation.exhausted': false
+    }).limit(500);
+
+    const policies = new Map();
+    let escalated = 0;
+
+    for (const incident of incidents) {
+      try {
+        if (await this.escalate(incident, policies, now)) {
+          escalated += 1;
+        }
+      } catch (error) {
+        logger.error(`Failed to escalate incident ${incident.incidentId}:`, error);
+      }
+    }
+
+    return escalated;
+  }
+
+  async escalate(incident, policies, now) {
+    const { policyId, level, cycle, lastEscalatedAt } = incident.escalation;
+
+    if (!policies.has(policyId)) {
+      policies.set(policyId, await EscalationPolicy.findOne({ policyId, userId: incident.userId }));
+    }
+    const policy = policies.get(policyId);
+    const step = policy?.levels[level];
+
+    // The policy was deleted, edited down or does not cover this severity
+    if (!step || !policy.appliesTo(incident.severity)) {
+      incident.escalation.exhausted = true;
+      await incident.save();
+      return false;
+    }
+
+    const dueAt = new Date(lastEscalatedAt || incident.startTime).getTime() + step.delay * 60 * 1000;
+    if (now < dueAt) {
+      return false;
+    }
+
+    const [app, user] = await Promise.all([
+      DeployedApp.findOne({ appId: incident.appId }),
+      User.findOne({ userId: incident.userId })
+    ]);
+    if (!app || !user) {
+      incident.escalation.exhausted = true;
+      await incident.save();
+      return false;
+    }
+
+    const minutes = Math.round((now - incident.startTime) / 60000);
+    const reason = `"${incident.description}" has not been acknowledged for ${minutes} minute${minutes === 1 ? '' : 's'}`;
+    const outcomes = [];
+
+    for (const target of await this.resolveTargets(step.targets, user, now)) {
+      if (!target.type) {
+        outcomes.push(target.label);
+        continue;
+      }
+
+      const alert = await this.notificationService.sendAlert({
+        app,
+        user,
+        status: app.healthStatus,
+        responseTime: app.monitoring.responseTime.current,
+        consecutiveFailures: app.monitoring.consecutiveFailures,
+        rule: { type: target.type, recipient: target.recipient },
+        kind: 'escalation',
+        reason
+      });
+
+      outcomes.push(`${target.label} ${alert?.sent.length > 0 ? 'paged' : 'could not be paged'}`);
+    }
+
+    // Move on to the next level, starting over while repeats are left
+    if (level + 1 < policy.levels.length) {
+      incident.escalation.level = level + 1;
+    } else if (cycle < policy.repeat) {
+      incident.escalation.level = 0;
+      incident.escalation.cycle = cycle + 1;
+    } else {
+      incident.escalation.exhausted = true;
+    }
+
+    await incident.recordEscalation(level, outcomes.join(', ') || 'nobody to page', now);
+
+    logBusiness('Incident escalated', {
+      userId: incident.userId,
+      appId: incident.appId,
+      incidentId: incident.incidentId,
+      policyId,
+      level: level + 1
+    });
+
+    return true;
+  }
+
+  // Turn a level's targets into channels and recipients. Targets that cannot
+  // be paged come back without a type and only a label saying why; phone
+  // targets must be numbers verified on the user's account.
+  async resolveTargets(targets, user, now) {
+    const resolved = [];
+
+    for (const target of targets) {
+      if (target.type !== 'schedule') {
+        resolved.push({
+          type: target.type,
+          recipient: target.recipient || undefined,
+          label: target.recipient ? `${target.type} (${target.recipient})` : target.type
+        });
+        continue;
+      }
+
+      const schedule = await OnCallSchedule.findOne({ scheduleId: target.scheduleId, userId: user.userId });
+      const person = schedule?.onCallAt(now);
+
+      if (!person) {
+        resolved.push({ label: schedule ? `nobody on call for ${schedule.name}` : `schedule ${target.scheduleId} not found` });
+        continue;
+      }
+
+      const byPhone = phoneChannels.includes(target.channel);
+      const recipient = byPhone ? person.phone : person.email;
+      const label = `${person.name} (on call for ${schedule.name})`;
+
+      if (!recipient) {
+        resolved.push({ label: `${label} has no ${byPhone ? 'phone number' : 'email address'}` });
+      } else if (byPhone && !user.isVerifiedPhone(recipient)) {
+        resolved.push({ label: `${label} has a phone number that is not verified` });
+      } else {
+        resolved.push({ type: target.channel, recipient, label });
+      }
+    }
+
+    return resolved;
+  }
+}
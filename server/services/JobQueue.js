@@ -0,0 +1,203 @@
+import os from 'os';
+import Job from '../models/Job.js';
+import { logger } from '../utils/logger.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export class JobQueue {
+  constructor(options = {}) {
+    this.workerId = options.workerId || `${os.hostname()}-${process.pid}`;
+    this.visibilityTimeout = options.visibilityTimeout || parseInt(process.env.JOB_VISIBILITY_TIMEOUT) || 60000;
+    this.pollInterval = options.pollInterval || parseInt(process.env.JOB_POLL_INTERVAL) || 1000;
+    this.concurrency = options.concurrency || parseInt(process.env.WORKER_CONCURRENCY) || 2;
+    this.handlers = {};
+    this.failureHandlers = {};
+    this.activeJobs = new Set();
+    this.isRunning = false;
+  }
+
+  // Add a job to the queue; safe to call from the API process
+  static enqueue(type, payload = {}, options = {}) {
+    return Job.create({
+      type,
+      payload,
+      userId: options.userId,
+      maxAttempts: options.maxAttempts,
+      backoff: options.backoff,
+      runAt: options.runAt || new Date()
+    });
+  }
+
+  // Whether a job of this type with a matching payload is queued or running
+  static hasPending(type, payloadMatch = {}) {
+    const query = { type, state: { $in: ['queued', 'running'] } };
+    Object.entries(payloadMatch).forEach(([key, value]) => {
+      query[`payload.${key}`] = value;
+    });
+    return Job.exists(query);
+  }
+
+  // `onFailed(payload, job)` runs once a job of this type has failed for good,
+  // including when its worker died on the last attempt
+  register(type, handler, { onFailed } = {}) {
+    this.handlers[type] = handler;
+    if (onFailed) {
+      this.failureHandlers[type] = onFailed;
+    }
+    return this;
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn('Job queue is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    logger.info(`Job worker ${this.workerId} started for: ${Object.keys(this.handlers).join(', ')}`);
+
+    for (let slot = 0; slot < this.concurrency; slot++) {
+      this.runLoop().catch(error => logger.error('Job loop crashed:', error));
+    }
+  }
+
+  // Stop claiming new jobs and wait for the ones in flight
+  async stop() {
+    this.isRunning = false;
+
+    while (this.activeJobs.size > 0) {
+      await sleep(100);
+    }
+
+    logger.info(`Job worker ${this.workerId} stopped`);
+  }
+
+  async runLoop() {
+    while (this.isRunning) {
+      let job = null;
+
+      try {
+        job = await this.claim();
+      } catch (error) {
+        logger.error('Error claiming job:', error);
+      }
+
+      if (!job) {
+        await sleep(this.pollInterval);
+        continue;
+      }
+
+      await this.process(job);
+    }
+  }
+
+  // Atomically lease the next runnable job: queued and due, or running with
+  // an expired lease (its worker crashed or was restarted)
+  async claim() {
+    const now = new Date();
+
+    const job = await Job.findOneAndUpdate(
+      {
+        type: { $in: Object.keys(this.handlers) },
+        $or: [
+          { state: 'queued', runAt: { $lte: now } },
+          { state: 'running', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          state: 'running',
+          lockedBy: this.workerId,
+          lockedUntil: new Date(now.getTime() + this.visibilityTimeout),
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+
+    if (job && job.attempts > job.maxAttempts) {
+      await this.markFailed(job, job.lastError || 'Job lease expired too many times');
+      return null;
+    }
+
+    return job;
+  }
+
+  async process(job) {
+    const handler = this.handlers[job.type];
+    this.activeJobs.add(job.jobId);
+
+    // Keep extending the lease while the handler runs
+    const heartbeat = setInterval(() => {
+      this.extendLease(job).catch(error => logger.error(`Failed to extend lease for job ${job.jobId}:`, error));
+    }, Math.floor(this.visibilityTimeout / 2));
+
+    try {
+      logger.debug(`Processing job ${job.jobId} (${job.type}), attempt ${job.attempts}/${job.maxAttempts}`);
+      const result = await handler(job.payload, job);
+      await this.complete(job, result);
+    } catch (error) {
+      logger.error(`Job ${job.jobId} (${job.type}) failed:`, error);
+      await this.fail(job, error);
+    } finally {
+      clearInterval(heartbeat);
+      this.activeJobs.delete(job.jobId);
+    }
+  }
+
+  extendLease(job) {
+    return Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId, state: 'running' },
+      { $set: { lockedUntil: new Date(Date.now() + this.visibilityTimeout) } }
+    );
+  }
+
+  complete(job, result) {
+    return Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: { state: 'completed', completedAt: new Date(), result },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+  }
+
+  async fail(job, error) {
+    if (job.attempts >= job.maxAttempts) {
+      return this.markFailed(job, error.message);
+    }
+
+    const delay = job.nextRetryDelay();
+    logger.info(`Retrying job ${job.jobId} in ${delay}ms`);
+
+    return Job.updateOne(
+      { _id: job._id, lockedBy: this.workerId },
+      {
+        $set: { state: 'queued', runAt: new Date(Date.now() + delay), lastError: error.message },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+  }
+
+  async markFailed(job, message) {
+    const result = await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: { state: 'failed', completedAt: new Date(), lastError: message },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      }
+    );
+
+    const onFailed = this.failureHandlers[job.type];
+    if (onFailed) {
+      try {
+        await onFailed(job.payload, job);
+      } catch (error) {
+        logger.error(`Failure handler for job ${job.jobId} (${job.type}) failed:`, error);
+      }
+    }
+
+    return result;
+  }
+}
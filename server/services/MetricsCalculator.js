@@ -0,0 +1,188 @@
+import HealthCheck, { healthCheckWindows } from '../models/HealthCheck.js';
+import { logger } from '../utils/logger.js';
+
+// Window the DeployedApp.monitoring summary is computed over
+const SUMMARY_WINDOW = '24h';
+
+// Ratio between the bounds of consecutive latency histogram buckets; 5 minute
+// timeouts fit in about 260 buckets
+const BUCKET_GROWTH = 1.05;
+
+// Derives uptime and latency percentiles from stored health check results.
+// Checks that got an answer ('up' or 'warning') count as available; latency
+// percentiles are taken over those checks only. 'unknown' results and checks
+// made during a maintenance window are left out entirely.
+export class MetricsCalculator {
+  // Start of a named window ('1h', '24h', '7d', '30d'); unknown names fall back to 24h
+  static windowStart(period, now = Date.now()) {
+    return new Date(now - (healthCheckWindows[period] || healthCheckWindows['24h']));
+  }
+
+  // Counts per app (or overall) and a latency histogram, so a window of any
+  // length comes back as at most a few hundred buckets rather than every
+  // sample. Buckets are BUCKET_GROWTH wide on a log scale and remember their
+  // slowest sample, which percentiles report.
+  async aggregate(match, groupBy = null) {
+    const counted = { $ne: ['$maintenance', true] };
+    const timed = { $and: [counted, { $in: ['$status', ['up', 'warning']] }, { $gt: ['$responseTime', null] }] };
+
+    return HealthCheck.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            group: groupBy,
+            bucket: { $cond: [timed, { $floor: { $divide: [{ $ln: { $add: ['$responseTime', 1] } }, Math.log(BUCKET_GROWTH)] } }, null] }
+          },
+          checks: { $sum: { $cond: [{ $and: [counted, { $ne: ['$status', 'unknown'] }] }, 1, 0] } },
+          available: { $sum: { $cond: [{ $and: [counted, { $in: ['$status', ['up', 'warning']] }] }, 1, 0] } },
+          down: { $sum: { $cond: [{ $and: [counted, { $eq: ['$status', 'down'] }] }, 1, 0] } },
+          maintenance: { $sum: { $cond: [{ $eq: ['$maintenance', true] }, 1, 0] } },
+          latencyCount: { $sum: { $cond: [timed, 1, 0] } },
+          latencySum: { $sum: { $cond: [timed, '$responseTime', 0] } },
+          latencyMax: { $max: { $cond: [timed, '$responseTime', null] } }
+        }
+      },
+      {
+        $group: {
+          _id: '$_id.group',
+          checks: { $sum: '$checks' },
+          available: { $sum: '$available' },
+          down: { $sum: '$down' },
+          maintenance: { $sum: '$maintenance' },
+          latencyCount: { $sum: '$latencyCount' },
+          latencySum: { $sum: '$latencySum' },
+          histogram: {
+            $push: {
+              $cond: [
+                { $ne: ['$_id.bucket', null] },
+                { bucket: '$_id.bucket', count: '$latencyCount', max: '$latencyMax' },
+                '$$REMOVE'
+              ]
+            }
+          }
+        }
+      }
+    ]);
+  }
+
+  summarize(row, since) {
+    const checks = row?.checks || 0;
+    const latencyCount = row?.latencyCount || 0;
+    const histogram = [...(row?.histogram || [])].sort((a, b) => a.bucket - b.bucket);
+
+    return {
+      since,
+      checks,
+      downChecks: row?.down || 0,
+      maintenanceChecks: row?.maintenance || 0,
+      uptimePercentage: checks > 0 ? (row.available / checks) * 100 : null,
+      responseTime: {
+        average: latencyCount > 0 ? row.latencySum / latencyCount : null,
+        p95: this.percentile(histogram, 95),
+        p99: this.percentile(histogram, 99)
+      }
+    };
+  }
+
+  // Nearest-rank percentile of a histogram in ascending bucket order, as the
+  // slowest sample in the bucket holding that rank (within BUCKET_GROWTH of
+  // the exact value)
+  percentile(histogram, p) {
+    const total = histogram.reduce((sum, { count }) => sum + count, 0);
+    if (total === 0) return null;
+
+    const rank = Math.min(Math.max(Math.ceil((p / 100) * total), 1), total);
+    let seen = 0;
+    for (const { count, max } of histogram) {
+      seen += count;
+      if (seen >= rank) return max;
+    }
+    return histogram[histogram.length - 1].max;
+  }
+
+  async summarizeApp(appId, since) {
+    const [row] = await this.aggregate({ 'meta.appId': appId, timestamp: { $gte: since } });
+    return this.summarize(row, since);
+  }
+
+  // Summaries for each standard window (1h, 24h, 7d, 30d)
+  async summarizeWindows(appId, windows = Object.keys(healthCheckWindows)) {
+    const now = Date.now();
+    const summaries = await Promise.all(
+      windows.map(window => this.summarizeApp(appId, MetricsCalculator.windowStart(window, now)))
+    );
+
+    return windows.reduce((result, window, index) => {
+      result[window] = summaries[index];
+      return result;
+    }, {});
+  }
+
+  // appId -> summary for many apps in one pass over the collection
+  async summarizeApps(appIds, since) {
+    const rows = await this.aggregate(
+      { 'meta.appId': { $in: appIds }, timestamp: { $gte: since } },
+      '$meta.appId'
+    );
+    const byApp = new Map(rows.map(row => [row._id, row]));
+
+    return new Map(appIds.map(appId => [appId, this.summarize(byApp.get(appId), since)]));
+  }
+
+  // Refresh the monitoring summary stored on each app
+  async updateAppSummaries(apps) {
+    const since = MetricsCalculator.windowStart(SUMMARY_WINDOW);
+    const summaries = await this.summarizeApps(apps.map(app => app.appId), since);
+
+    for (const app of apps) {
+      const summary = summaries.get(app.appId);
+      if (summary.checks === 0) continue;
+
+      app.monitoring.uptimePercentage = summary.uptimePercentage;
+      if (summary.responseTime.average !== null) {
+        app.monitoring.responseTime.average = Math.round(summary.responseTime.average);
+        app.monitoring.responseTime.p95 = summary.responseTime.p95;
+        app.monitoring.responseTime.p99 = summary.responseTime.p99;
+      }
+
+      try {
+        await app.save();
+      } catch (error) {
+        logger.error(`Failed to update metrics summary for app ${app.appId}:`, error);
+      }
+    }
+
+    return summaries;
+  }
+
+  // Windowed statistics across a set of apps for the stats endpoint
+  async getStats(apps, period) {
+    const since = MetricsCalculator.windowStart(period);
+    const appIds = apps.map(app => app.appId);
+
+    const [perApp, [overallRow]] = await Promise.all([
+      this.summarizeApps(appIds, since),
+      this.aggregate({ 'meta.appId': { $in: appIds }, timestamp: { $gte: since } })
+    ]);
+    const overall = this.summarize(overallRow, since);
+
+    const appsWithChecks = [...perApp.values()].filter(summary => summary.checks > 0);
+
+    return {
+      since,
+      averageUptime: appsWithChecks.length > 0
+        ? appsWithChecks.reduce((sum, summary) => sum + summary.uptimePercentage, 0) / appsWithChecks.length
+        : null,
+      checksPerformed: overall.checks,
+      downChecks: overall.downChecks,
+      maintenanceChecks: overall.maintenanceChecks,
+      responseTime: overall.responseTime,
+      apps: apps.map(app => ({
+        appId: app.appId,
+        appName: app.appName,
+        ...perApp.get(app.appId)
+      }))
+    };
+  }
+}
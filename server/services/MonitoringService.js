@@ -1,16 +1,33 @@
-import axios from 'axios';
 import cron from 'node-cron';
 import DeployedApp from '../models/DeployedApp.js';
 import User from '../models/User.js';
+import HealthCheck from '../models/HealthCheck.js';
+import Incident from '../models/Incident.js';
+import Postmortem from '../models/Postmortem.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
 import { NotificationService } from './NotificationService.js';
+import { RestartSupervisor } from './RestartSupervisor.js';
+import { AppLifecycleService } from './AppLifecycleService.js';
+import { MetricsCalculator } from './MetricsCalculator.js';
+import { CertificateService } from './CertificateService.js';
+import { ProbeCoordinator, primaryLocation } from './ProbeCoordinator.js';
+import { AlertRuleEngine } from './AlertRuleEngine.js';
+import { EscalationService } from './EscalationService.js';
+import { getCheck } from './checks/index.js';
 import { logger } from '../utils/logger.js';
 
 export class MonitoringService {
   constructor(io) {
     this.io = io;
     this.notificationService = new NotificationService();
+    this.metricsCalculator = new MetricsCalculator();
+    this.certificateService = new CertificateService(io);
+    this.probeCoordinator = new ProbeCoordinator();
+    this.alertRuleEngine = new AlertRuleEngine(this.metricsCalculator);
+    this.escalationService = new EscalationService(this.notificationService);
     this.monitoringJobs = new Map();
     this.isRunning = false;
+    this.checksInProgress = false;
   }
 
   start() {
@@ -50,8 +67,8 @@ export class MonitoringService {
   }
 
   scheduleMonitoring() {
-    // Main monitoring job - runs every 30 seconds
-    const monitoringJob = cron.schedule('*/30 * * * * *', async () => {
+    // Main monitoring job - runs every 5 seconds and checks the apps that are due
+    const monitoringJob = cron.schedule('*/5 * * * * *', async () => {
       try {
         await this.performMonitoringChecks();
       } catch (error) {
@@ -77,6 +94,40 @@ export class MonitoringService {
 
     this.monitoringJobs.set('aggregation', aggregationJob);
     aggregationJob.start();
+
+    // Certificate and domain expiry - runs hourly, each app is inspected once a day
+    const certificateJob = cron.schedule('0 * * * *', async () => {
+      try {
+        const checked = await this.certificateService.checkDueApps();
+        if (checked > 0) {
+          logger.info(`Checked certificates for ${checked} apps`);
+        }
+      } catch (error) {
+        logger.error('Error in certificate job:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.monitoringJobs.set('certificates', certificateJob);
+    certificateJob.start();
+
+    // Escalation of unacknowledged incidents - runs every minute
+    const escalationJob = cron.schedule('* * * * *', async () => {
+      try {
+        const escalated = await this.escalationService.escalateDue();
+        if (escalated > 0) {
+          logger.info(`Escalated ${escalated} incidents`);
+        }
+      } catch (error) {
+        logger.error('Error in escalation job:', error);
+      }
+    }, {
+      scheduled: false
+    });
+
+    this.monitoringJobs.set('escalations', escalationJob);
+    escalationJob.start();
   }
 
   scheduleCleanup() {
@@ -96,20 +147,48 @@ export class MonitoringService {
   }
 
   async performMonitoringChecks() {
+    // A slow round must not overlap with the next tick
+    if (this.checksInProgress) {
+      return;
+    }
+    this.checksInProgress = true;
+
     try {
-      // Find all apps that need monitoring
+      // Find all apps whose next check is due
       const apps = await DeployedApp.findAppsForMonitoring();
       
       if (apps.length === 0) {
         return;
       }
 
-      logger.info(`Performing monitoring checks for ${apps.length} apps`);
+      const now = new Date();
+      const due = [];
+      const updates = apps.map(app => {
+        if (app.monitoring.nextCheckAt) {
+          due.push(app);
+          return { app, nextCheckAt: app.scheduleNextCheck(now) };
+        }
+        return { app, nextCheckAt: app.spreadFirstCheck(now) };
+      });
+
+      // Book the next slot before checking so slow checks are not picked up twice
+      await DeployedApp.bulkWrite(updates.map(({ app, nextCheckAt }) => ({
+        updateOne: {
+          filter: { _id: app._id },
+          update: { $set: { 'monitoring.nextCheckAt': nextCheckAt } }
+        }
+      })));
+
+      if (due.length === 0) {
+        return;
+      }
+
+      logger.info(`Performing monitoring checks for ${due.length} apps`);
 
       // Process apps in batches to avoid overwhelming the system
-      const batchSize = 10;
-      for (let i = 0; i < apps.length; i += batchSize) {
-        const batch = apps.slice(i, i + batchSize);
+      const batchSize = parseInt(process.env.MAX_CONCURRENT_CHECKS) || 10;
+      for (let i = 0; i < due.length; i += batchSize) {
+        const batch = due.slice(i, i + batchSize);
         await Promise.allSettled(
           batch.map(app => this.checkAppHealth(app))
         );
@@ -117,194 +196,166 @@ export class MonitoringService {
 
     } catch (error) {
       logger.error('Error performing monitoring checks:', error);
+    } finally {
+      this.checksInProgress = false;
     }
   }
 
   async checkAppHealth(app) {
-    const startTime = Date.now();
-    let status = 'unknown';
-    let responseTime = null;
-    let error = null;
-
-    try {
-      const url = app.fullUrl || app.deployment.url;
-      if (!url) {
-        logger.warn(`No URL found for app ${app.appId}`);
+    // A restart/start job owns the app's health status until it has verified
+    // the app; without one the marker is stale and the app is checked again
+    if (app.healthStatus === 'restarting') {
+      if (await AppLifecycleService.hasPendingAction(app)) {
+        logger.debug(`Skipping health check for ${app.appName}: restart in progress`);
         return;
       }
+      logger.warn(`App ${app.appId} was left restarting with no restart job; checking it again`);
+    }
 
-      const healthCheckPath = app.configuration.healthCheckPath || '/';
-      const checkUrl = url.endsWith('/') ? url + healthCheckPath.slice(1) : url + healthCheckPath;
-      const timeout = app.configuration.timeout * 1000 || 30000;
+    const result = await this.probeApp(app);
 
-      logger.debug(`Checking health for ${app.appName} at ${checkUrl}`);
+    // Nothing to check yet (no URL or host configured)
+    if (result.status === 'unknown') {
+      logger.warn(`Skipping health check for app ${app.appId}: ${result.error}`);
+      return;
+    }
 
-      const response = await axios.get(checkUrl, {
-        timeout,
-        validateStatus: (status) => status < 500, // Accept 4xx as "up" but 5xx as "down"
-        headers: {
-          'User-Agent': 'DeployWise-Monitor/1.0',
-          'Accept': 'text/html,application/json,*/*'
-        }
-      });
+    // Planned downtime: the result is kept but flagged so uptime leaves it out
+    const maintenance = await this.activeMaintenance(app);
+    result.maintenance = Boolean(maintenance);
 
-      responseTime = Date.now() - startTime;
+    // Keep every result so uptime and latency can be computed per window
+    try {
+      await HealthCheck.record(app, result);
+    } catch (err) {
+      logger.error(`Failed to store health check for app ${app.appId}:`, err);
+    }
 
-      if (response.status >= 200 && response.status < 400) {
-        status = 'up';
-      } else if (response.status >= 400 && response.status < 500) {
-        status = 'warning'; // Client errors might indicate issues but app is responding
-      } else {
-        status = 'down';
-      }
+    // With remote probe locations the app's status is decided by quorum
+    if (!app.monitoring.locationResults) {
+      app.monitoring.locationResults = new Map();
+    }
+    app.monitoring.locationResults.set(primaryLocation(), this.probeCoordinator.summarize({ ...result, checkedAt: new Date() }));
+    const { status, responseTime, error } = this.probeCoordinator.decide(app, result);
 
-    } catch (err) {
-      responseTime = Date.now() - startTime;
-      error = err.message;
-
-      if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND' || err.code === 'ETIMEDOUT') {
-        status = 'down';
-      } else if (err.response && err.response.status >= 500) {
-        status = 'down';
-      } else {
-        status = 'warning';
+    // Recovery closes the incidents the outage opened
+    if (status === 'up') {
+      try {
+        await Incident.resolveOpen(app.appId, ['downtime', 'slow_response', 'error_rate'], 'App recovered and is responding to health checks');
+      } catch (err) {
+        logger.error(`Failed to resolve incidents for app ${app.appId}:`, err);
       }
-
-      logger.warn(`Health check failed for ${app.appName}: ${error}`);
     }
 
     // Update app health status
     await app.updateHealthStatus(status, responseTime);
 
     // Check if we need to send alerts
-    await this.checkAlertConditions(app, status, responseTime, error);
+    await this.checkAlertConditions(app, status, responseTime, error, maintenance);
 
-    // Check if auto-restart is needed
-    if (app.shouldAutoRestart()) {
-      await this.attemptAutoRestart(app);
+    // Let the restart supervisor decide whether to auto-restart, unless the
+    // app is down on purpose
+    if (!maintenance) {
+      try {
+        await new RestartSupervisor(this.io).evaluate(app);
+      } catch (error) {
+        logger.error(`Auto-restart failed for app ${app.appId}:`, error);
+      }
     }
 
     // Emit real-time update to connected clients
-    this.emitHealthUpdate(app);
+    this.emitHealthUpdate(app, maintenance);
 
     logger.debug(`Health check completed for ${app.appName}: ${status} (${responseTime}ms)`);
   }
 
-  async checkAlertConditions(app, status, responseTime, error) {
-    try {
-      const user = await User.findOne({ userId: app.userId });
-      if (!user) return;
-
-      const shouldAlert = this.shouldSendAlert(app, status, responseTime);
-      
-      if (shouldAlert) {
-        const alertData = {
-          app,
-          user,
-          status,
-          responseTime,
-          error,
-          consecutiveFailures: app.monitoring.consecutiveFailures,
-          lastCheck: app.lastCheck
-        };
-
-        // Send notifications based on user preferences
-        await this.notificationService.sendAlert(alertData);
-
-        // Create incident if this is a new issue
-        if (app.monitoring.consecutiveFailures === 1 && status === 'down') {
-          await app.createIncident('downtime', 'high', `Application is down: ${error || 'Unknown error'}`);
-        }
-      }
+  // Run the app's configured monitor type (HTTP by default) once
+  async probeApp(app) {
+    return getCheck(app.configuration.monitor?.type || 'http').run(app);
+  }
 
+  // The maintenance window the app is in right now, if any
+  async activeMaintenance(app) {
+    try {
+      return await MaintenanceWindow.activeFor(app.appId);
     } catch (error) {
-      logger.error(`Error checking alert conditions for app ${app.appId}:`, error);
+      logger.error(`Failed to look up maintenance windows for app ${app.appId}:`, error);
+      return null;
     }
   }
 
-  shouldSendAlert(app, status, responseTime) {
-    // Don't send alerts if monitoring is disabled
-    if (!app.monitoringEnabled) return false;
-
-    // Alert on downtime
-    if (status === 'down' && app.monitoring.consecutiveFailures >= 3) {
-      return true;
-    }
-
-    // Alert on slow response times
-    if (responseTime && responseTime > 5000 && app.monitoring.consecutiveFailures >= 2) {
-      return true;
-    }
-
-    // Alert on warning status with multiple failures
-    if (status === 'warning' && app.monitoring.consecutiveFailures >= 5) {
-      return true;
+  async checkAlertConditions(app, status, responseTime, error, maintenance = null) {
+    // No alerts or incidents during planned maintenance. Failures still
+    // count, so an app that is down once the window closes alerts right away.
+    if (maintenance) {
+      logger.debug(`Not alerting for ${app.appName}: in maintenance window "${maintenance.title}"`);
+      return;
     }
 
-    return false;
-  }
+    // Don't send alerts if monitoring is disabled
+    if (!app.monitoringEnabled) return;
 
-  async attemptAutoRestart(app) {
     try {
-      logger.info(`Attempting auto-restart for app ${app.appName}`);
+      const user = await User.findOne({ userId: app.userId });
+      if (!user) return;
 
-      // Update status to restarting
-      app.healthStatus = 'restarting';
-      await app.save();
+      // Create incident if this is a new issue
+      if (
+        status === 'down' &&
+        app.monitoring.consecutiveFailures >= AlertRuleEngine.failureThreshold(app, user) &&
+        !(await Incident.hasOpen(app.appId, ['downtime']))
+      ) {
+        await Incident.open(app, 'downtime', 'high', `Application is down: ${error || 'Unknown error'}`);
+      }
 
-      // Emit update to clients
-      this.emitHealthUpdate(app);
+      const notifications = await this.alertRuleEngine.evaluate(app, user, { status, responseTime });
+      if (notifications.length === 0) return;
 
-      // Simulate restart process (in real implementation, this would call cloud provider APIs)
-      await this.simulateRestart(app);
+      const incident = await Incident.findOne({
+        appId: app.appId,
+        status: { $ne: 'resolved' }
+      }).sort({ startTime: -1 });
 
-      logger.info(`Auto-restart completed for app ${app.appName}`);
+      for (const { rule, kind, condition, reason } of notifications) {
+        // Each rule goes to its own channel and recipient
+        const alert = await this.notificationService.sendAlert({
+          app,
+          user,
+          status,
+          responseTime,
+          error,
+          consecutiveFailures: app.monitoring.consecutiveFailures,
+          lastCheck: app.lastCheck,
+          rule,
+          kind,
+          condition,
+          reason
+        });
+
+        // Keep a record of the alert on the open incident for postmortems
+        if (alert && incident) {
+          await incident.recordAlert(alert);
+        }
+      }
 
     } catch (error) {
-      logger.error(`Auto-restart failed for app ${app.appId}:`, error);
-      
-      // Update status back to down if restart failed
-      app.healthStatus = 'down';
-      await app.save();
-      this.emitHealthUpdate(app);
+      logger.error(`Error checking alert conditions for app ${app.appId}:`, error);
     }
   }
 
-  async simulateRestart(app) {
-    // Simulate restart delay
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
-    // In a real implementation, this would:
-    // 1. Call the cloud provider's API to restart the application
-    // 2. Wait for the restart to complete
-    // 3. Verify the application is responding
-    
-    // For now, we'll just reset the consecutive failures and mark as up
-    app.monitoring.consecutiveFailures = 0;
-    app.healthStatus = 'up';
-    app.lastCheck = new Date();
-    await app.save();
-  }
-
   async aggregateHealthMetrics() {
     try {
       logger.info('Aggregating health metrics...');
 
-      const apps = await DeployedApp.find({ 
-        isActive: true, 
-        deploymentStatus: 'deployed' 
+      const apps = await DeployedApp.find({
+        isActive: true,
+        $or: [{ deploymentStatus: 'deployed' }, { 'configuration.monitor.type': 'heartbeat' }]
       });
 
-      for (const app of apps) {
-        // Calculate uptime percentage for the last 24 hours
-        const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-        
-        // In a real implementation, you would query historical monitoring data
-        // For now, we'll use the current consecutive failures to estimate uptime
-        const estimatedUptime = Math.max(0, 100 - (app.monitoring.consecutiveFailures * 2));
-        app.monitoring.uptimePercentage = estimatedUptime;
-        
-        await app.save();
+      // Uptime and latency percentiles over the last 24 hours of stored checks
+      const batchSize = 100;
+      for (let i = 0; i < apps.length; i += batchSize) {
+        await this.metricsCalculator.updateAppSummaries(apps.slice(i, i + batchSize));
       }
 
       logger.info('Health metrics aggregation completed');
@@ -318,20 +369,20 @@ export class MonitoringService {
     try {
       logger.info('Cleaning up old monitoring data...');
 
-      const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-
-      // Clean up old incidents
-      await DeployedApp.updateMany(
-        {},
-        {
-          $pull: {
-            'monitoring.incidents': {
-              startTime: { $lt: thirtyDaysAgo },
-              resolved: true
-            }
-          }
-        }
-      );
+      // Incident history is kept unless INCIDENT_RETENTION_DAYS is set, and
+      // incidents with a postmortem are always kept
+      const retentionDays = parseInt(process.env.INCIDENT_RETENTION_DAYS) || 0;
+      if (retentionDays > 0) {
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+        const withPostmortem = await Postmortem.distinct('incidentId');
+
+        const { deletedCount } = await Incident.deleteMany({
+          status: 'resolved',
+          startTime: { $lt: cutoff },
+          incidentId: { $nin: withPostmortem }
+        });
+        logger.info(`Deleted ${deletedCount} resolved incidents older than ${retentionDays} days`);
+      }
 
       logger.info('Old monitoring data cleanup completed');
 
@@ -340,7 +391,7 @@ export class MonitoringService {
     }
   }
 
-  emitHealthUpdate(app) {
+  emitHealthUpdate(app, maintenance = null) {
     if (!this.io) return;
 
     // Emit to user's room
@@ -350,7 +401,10 @@ export class MonitoringService {
       lastCheck: app.lastCheck,
       responseTime: app.monitoring.responseTime.current,
       uptimePercentage: app.monitoring.uptimePercentage,
-      consecutiveFailures: app.monitoring.consecutiveFailures
+      consecutiveFailures: app.monitoring.consecutiveFailures,
+      maintenance: maintenance
+        ? { windowId: maintenance.windowId, title: maintenance.title, endTime: maintenance.occurrenceAt()?.endTime }
+        : null
     });
   }
 
@@ -362,6 +416,8 @@ export class MonitoringService {
         throw new Error('App not found');
       }
 
+      // A manual check counts as the app's scheduled check
+      app.scheduleNextCheck();
       await this.checkAppHealth(app);
       return app;
 
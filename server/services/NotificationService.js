@@ -1,10 +1,25 @@
 import nodemailer from 'nodemailer';
 import axios from 'axios';
+import { WebhookService, alertKindEvents } from './WebhookService.js';
+import { SmsService } from './SmsService.js';
+import { formatChatMessage } from './chat/index.js';
+import { alertSeverities, minimumSeverity } from './AlertRuleEngine.js';
 import { logger } from '../utils/logger.js';
+import { assertPublicUrl, publicAgents } from '../utils/safeUrl.js';
+
+// For values placed in the HTML of alert emails
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
 
 export class NotificationService {
   constructor() {
     this.emailTransporter = this.createEmailTransporter();
+    this.webhookService = new WebhookService();
+    this.smsService = new SmsService();
   }
 
   createEmailTransporter() {
@@ -28,29 +43,31 @@ export class NotificationService {
   }
 
   async sendAlert(alertData) {
-    const { app, user, status, responseTime, error, consecutiveFailures } = alertData;
+    const { app, user, status, responseTime, error, consecutiveFailures, rule, kind, condition, reason } = alertData;
 
     try {
       // Determine alert severity
       const severity = this.determineAlertSeverity(status, consecutiveFailures, responseTime);
       
       // Create alert message
-      const alertMessage = this.createAlertMessage(app, status, responseTime, error, severity);
-
-      // Send notifications based on user preferences
-      const notifications = [];
-
-      if (user.preferences.notifications.email) {
-        notifications.push(this.sendEmailAlert(user, app, alertMessage, severity));
-      }
-
-      if (user.preferences.notifications.slack && user.integrations.slack.enabled) {
-        notifications.push(this.sendSlackAlert(user, app, alertMessage, severity));
+      const alertMessage = this.createAlertMessage(app, status, responseTime, error, severity, { kind, condition, reason });
+
+      // An alert rule names its channel; otherwise use the user's preferences.
+      // Escalations page whatever the severity, the policy already chose.
+      const channels = (rule?.type
+        ? [{ type: rule.type, recipient: rule.recipient || undefined, minSeverity: rule.minSeverity }]
+        : this.preferredChannels(user)
+      ).filter(channel => kind === 'escalation' ||
+        alertSeverities.indexOf(severity) >= alertSeverities.indexOf(minimumSeverity(channel)));
+
+      if (channels.length === 0) {
+        logger.debug(`No channel takes ${severity} alerts for app ${app.appName}`);
+        return null;
       }
 
-      if (user.preferences.notifications.webhooks) {
-        notifications.push(this.sendWebhookAlert(user, app, alertMessage, severity));
-      }
+      const notifications = channels.map(({ type, recipient }) =>
+        this.sendToChannel(type, recipient, user, app, alertMessage, severity)
+      );
 
       // Wait for all notifications to complete
       const results = await Promise.allSettled(notifications);
@@ -64,8 +81,76 @@ export class NotificationService {
 
       logger.info(`Sent ${results.filter(r => r.status === 'fulfilled').length} notifications for app ${app.appName}`);
 
+      // Which channels were notified, for the incident timeline
+      const label = ({ type, recipient }) => recipient ? `${type} (${recipient})` : type;
+      return {
+        title: alertMessage.title,
+        severity,
+        sent: channels.filter((channel, index) => results[index].status === 'fulfilled').map(label),
+        failed: channels.filter((channel, index) => results[index].status === 'rejected').map(label)
+      };
+
     } catch (error) {
       logger.error('Error sending alert:', error);
+      return null;
+    }
+  }
+
+  // Send a sample alert over one channel, with the app's current details.
+  // Unlike alerts, failures are thrown so the caller can show them.
+  async sendTestNotification({ app, user, type, recipient }) {
+    const severity = 'low';
+    const alertMessage = this.createAlertMessage(app, app.healthStatus, app.monitoring.responseTime?.current, null, severity, { kind: 'test' });
+
+    await this.sendToChannel(type, recipient || undefined, user, app, alertMessage, severity);
+
+    return {
+      title: alertMessage.title,
+      channel: recipient ? `${type} (${recipient})` : type
+    };
+  }
+
+  preferredChannels(user) {
+    const channels = [];
+
+    if (user.preferences.notifications.email) {
+      channels.push({ type: 'email' });
+    }
+
+    if (user.preferences.notifications.slack && user.integrations.slack.enabled) {
+      channels.push({ type: 'slack' });
+    }
+
+    if (user.preferences.notifications.webhooks) {
+      channels.push({ type: 'webhook' });
+    }
+
+    if (user.preferences.notifications.sms && user.phone?.verified) {
+      channels.push({ type: 'sms' });
+    }
+
+    return channels;
+  }
+
+  // Send one alert over one channel; the recipient defaults to the user's own
+  // address or integration
+  sendToChannel(type, recipient, user, app, alertMessage, severity) {
+    switch (type) {
+      case 'email':
+        return this.sendEmailAlert(user, app, alertMessage, severity, recipient);
+      case 'slack':
+        return this.sendSlackAlert(user, app, alertMessage, severity, recipient);
+      case 'teams':
+      case 'discord':
+        return this.sendChatAlert(type, app, alertMessage, severity, recipient);
+      case 'webhook':
+        return this.sendWebhookAlert(user, app, alertMessage, severity, recipient);
+      case 'sms':
+        return this.sendSmsAlert(user, app, alertMessage, severity, recipient);
+      case 'voice':
+        return this.sendVoiceAlert(user, app, alertMessage, severity, recipient);
+      default:
+        return Promise.reject(new Error(`${type} alerts are not supported yet`));
     }
   }
 
@@ -82,7 +167,7 @@ export class NotificationService {
     return 'low';
   }
 
-  createAlertMessage(app, status, responseTime, error, severity) {
+  createAlertMessage(app, status, responseTime, error, severity, { kind = 'alert', condition = null, reason = null } = {}) {
     const timestamp = new Date().toISOString();
     
     let message = {
@@ -117,6 +202,46 @@ export class NotificationService {
         message.summary = `Status update for your application "${app.appName}".`;
     }
 
+    // Rules that fire while the app is still up describe their own problem
+    switch (condition) {
+      case 'slowResponse':
+        message.title = `🐢 ${app.appName} is responding slowly`;
+        message.summary = `Your application "${app.appName}" is up but responding slowly.`;
+        break;
+      case 'errorRate':
+        message.title = `⚠️ ${app.appName} has a high error rate`;
+        message.summary = `Too many health checks of your application "${app.appName}" are failing.`;
+        break;
+    }
+
+    switch (kind) {
+      case 'reminder':
+        message.title = `🔁 Still ongoing: ${message.title}`;
+        break;
+      case 'recovery':
+        message.title = `✅ ${app.appName} has recovered`;
+        message.summary = `Your application "${app.appName}" is healthy again.`;
+        break;
+      case 'flapping':
+        message.title = `〰️ ${app.appName} is flapping`;
+        message.summary = `Your application "${app.appName}" keeps switching between healthy and unhealthy.`;
+        break;
+      case 'escalation':
+        message.title = `🚨 Unacknowledged incident on ${app.appName}`;
+        message.summary = `An incident on "${app.appName}" needs someone to acknowledge it and has been escalated to you.`;
+        break;
+      case 'test':
+        message.title = `🧪 Test notification for ${app.appName}`;
+        message.summary = `This is a test from DeployWise. Alerts for "${app.appName}" will arrive here looking like this.`;
+        break;
+    }
+    message.details.kind = kind;
+
+    if (reason) {
+      message.summary += ` ${reason}.`;
+      message.details.reason = reason;
+    }
+
     if (error) {
       message.details.error = error;
     }
@@ -124,7 +249,7 @@ export class NotificationService {
     return message;
   }
 
-  async sendEmailAlert(user, app, alertMessage, severity) {
+  async sendEmailAlert(user, app, alertMessage, severity, recipient = user.email) {
     if (!this.emailTransporter) {
       throw new Error('Email transporter not configured');
     }
@@ -136,13 +261,15 @@ export class NotificationService {
       low: '#65a30d'
     };
 
+    // Titles, summaries and errors carry app names and check results
+    const title = escapeHtml(alertMessage.title);
     const emailHtml = `
       <!DOCTYPE html>
       <html>
       <head>
         <meta charset="utf-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${alertMessage.title}</title>
+        <title>${title}</title>
         <style>
           body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 20px; background-color: #f8fafc; }
           .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 8px; overflow: hidden; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
@@ -159,27 +286,27 @@ export class NotificationService {
       <body>
         <div class="container">
           <div class="header">
-            <h1>${alertMessage.title}</h1>
+            <h1>${title}</h1>
           </div>
           <div class="content">
-            <p>${alertMessage.summary}</p>
+            <p>${escapeHtml(alertMessage.summary)}</p>
             
             <div class="details">
               <div class="detail-row">
                 <span class="detail-label">Application:</span>
-                <span class="detail-value">${alertMessage.details.appName}</span>
+                <span class="detail-value">${escapeHtml(alertMessage.details.appName)}</span>
               </div>
               <div class="detail-row">
                 <span class="detail-label">Status:</span>
-                <span class="detail-value">${alertMessage.details.status.toUpperCase()}</span>
+                <span class="detail-value">${escapeHtml(alertMessage.details.status.toUpperCase())}</span>
               </div>
               <div class="detail-row">
                 <span class="detail-label">Response Time:</span>
-                <span class="detail-value">${alertMessage.details.responseTime}</span>
+                <span class="detail-value">${escapeHtml(alertMessage.details.responseTime)}</span>
               </div>
               <div class="detail-row">
                 <span class="detail-label">Uptime:</span>
-                <span class="detail-value">${alertMessage.details.uptime}</span>
+                <span class="detail-value">${escapeHtml(alertMessage.details.uptime)}</span>
               </div>
               <div class="detail-row">
                 <span class="detail-label">Consecutive Failures:</span>
@@ -192,14 +319,14 @@ export class NotificationService {
               ${alertMessage.details.error ? `
               <div class="detail-row">
                 <span class="detail-label">Error:</span>
-                <span class="detail-value">${alertMessage.details.error}</span>
+                <span class="detail-value">${escapeHtml(alertMessage.details.error)}</span>
               </div>
               ` : ''}
             </div>
 
-            ${alertMessage.details.url ? `
+            ${/^https?:\/\//.test(alertMessage.details.url || '') ? `
             <div style="text-align: center;">
-              <a href="${alertMessage.details.url}" class="button">View Application</a>
+              <a href="${escapeHtml(alertMessage.details.url)}" class="button">View Application</a>
             </div>
             ` : ''}
           </div>
@@ -214,109 +341,109 @@ export class NotificationService {
 
     const mailOptions = {
       from: `"DeployWise Alerts" <${process.env.SMTP_USER}>`,
-      to: user.email,
+      to: recipient,
       subject: alertMessage.title,
       html: emailHtml,
       text: `${alertMessage.title}\n\n${alertMessage.summary}\n\nDetails:\n- Status: ${alertMessage.details.status}\n- Response Time: ${alertMessage.details.responseTime}\n- Uptime: ${alertMessage.details.uptime}\n- Time: ${new Date(alertMessage.details.timestamp).toLocaleString()}`
     };
 
     const result = await this.emailTransporter.sendMail(mailOptions);
-    logger.info(`Email alert sent to ${user.email} for app ${app.appName}`);
+    logger.info(`Email alert sent to ${recipient} for app ${app.appName}`);
     return result;
   }
 
-  async sendSlackAlert(user, app, alertMessage, severity) {
-    const webhookUrl = user.integrations.slack.webhookUrl;
+  async sendSlackAlert(user, app, alertMessage, severity, webhookUrl = user.integrations.slack.webhookUrl) {
     if (!webhookUrl) {
       throw new Error('Slack webhook URL not configured');
     }
 
-    const severityColors = {
-      critical: '#dc2626',
-      high: '#ea580c',
-      medium: '#d97706',
-      low: '#65a30d'
-    };
+    return this.sendChatAlert('slack', app, alertMessage, severity, webhookUrl);
+  }
 
-    const slackMessage = {
-      text: alertMessage.title,
-      attachments: [
-        {
-          color: severityColors[severity],
-          title: alertMessage.title,
-          text: alertMessage.summary,
-          fields: [
-            {
-              title: 'Application',
-              value: alertMessage.details.appName,
-              short: true
-            },
-            {
-              title: 'Status',
-              value: alertMessage.details.status.toUpperCase(),
-              short: true
-            },
-            {
-              title: 'Response Time',
-              value: alertMessage.details.responseTime,
-              short: true
-            },
-            {
-              title: 'Uptime',
-              value: alertMessage.details.uptime,
-              short: true
-            },
-            {
-              title: 'Consecutive Failures',
-              value: alertMessage.details.consecutiveFailures.toString(),
-              short: true
-            },
-            {
-              title: 'Time',
-              value: new Date(alertMessage.details.timestamp).toLocaleString(),
-              short: true
-            }
-          ],
-          footer: 'DeployWise',
-          ts: Math.floor(Date.now() / 1000)
-        }
-      ]
-    };
+  // Post to a chat service's incoming webhook in its own message format
+  async sendChatAlert(type, app, alertMessage, severity, webhookUrl) {
+    if (!webhookUrl) {
+      throw new Error(`${type} webhook URL not configured`);
+    }
 
-    if (alertMessage.details.error) {
-      slackMessage.attachments[0].fields.push({
-        title: 'Error',
-        value: alertMessage.details.error,
-        short: false
-      });
+    // Incoming webhook URLs come from users, so they may not point into our
+    // own network
+    await assertPublicUrl(webhookUrl);
+
+    const response = await axios.post(webhookUrl, formatChatMessage(type, alertMessage, severity), {
+      ...publicAgents,
+      timeout: 10000,
+      maxRedirects: 0
+    });
+    logger.info(`${type} alert sent for app ${app.appName}`);
+    return response.data;
+  }
+
+  async sendWebhookAlert(user, app, alertMessage, severity, url = null) {
+    const event = alertKindEvents[alertMessage.details.kind] || alertKindEvents.alert;
+    const data = { appId: app.appId, ...alertMessage };
+
+    // Alert rules can name a URL to receive the alert; it is delivered like
+    // any endpoint's, signed and retried
+    if (url) {
+      const endpoint = await this.webhookService.endpointForUrl(user.userId, url);
+      if (!endpoint.isActive) {
+        throw new Error(`Webhook endpoint ${endpoint.webhookId} for ${url} is disabled`);
+      }
+
+      const delivery = await this.webhookService.sendTo(endpoint, event, data);
+      logger.info(`Queued webhook delivery of ${event} to ${endpoint.webhookId} for app ${app.appName}`);
+      return [delivery];
     }
 
-    if (alertMessage.details.url) {
-      slackMessage.attachments[0].actions = [
-        {
-          type: 'button',
-          text: 'View Application',
-          url: alertMessage.details.url
-        }
-      ];
+    // Otherwise queue signed deliveries to the user's registered endpoints
+    const deliveries = await this.webhookService.dispatch(user.userId, event, data);
+
+    if (deliveries.length === 0) {
+      throw new Error(`No webhook endpoints subscribed to ${event}`);
     }
 
-    const response = await axios.post(webhookUrl, slackMessage);
-    logger.info(`Slack alert sent for app ${app.appName}`);
-    return response.data;
+    logger.info(`Queued ${deliveries.length} webhook deliveries of ${event} for app ${app.appName}`);
+    return deliveries;
   }
 
-  async sendWebhookAlert(user, app, alertMessage, severity) {
-    // This would send to user-configured webhook endpoints
-    // For now, we'll just log that we would send a webhook
-    logger.info(`Would send webhook alert for app ${app.appName} (webhook notifications not fully implemented)`);
-    
-    // In a real implementation, you would:
-    // 1. Get webhook URLs from user configuration
-    // 2. Send POST requests to those URLs with the alert data
-    // 3. Handle retries and failures appropriately
-    
-    return Promise.resolve();
+  // Phone alerts go to the rule's recipient or the user's own number, and
+  // only ever to numbers verified on the account
+  phoneRecipient(user, recipient) {
+    if (recipient) {
+      if (!user.isVerifiedPhone(recipient)) {
+        throw new Error(`${recipient} is not a verified phone number on the account`);
+      }
+      return recipient;
+    }
+    if (!user.phone?.number || !user.phone.verified) {
+      throw new Error('No verified phone number on the account');
+    }
+    return user.phone.number;
+  }
+
+  async sendSmsAlert(user, app, alertMessage, severity, recipient = null) {
+    const to = this.phoneRecipient(user, recipient);
+    const text = `${alertMessage.title}\n${alertMessage.summary}`;
+
+    // Two SMS segments at most
+    return this.smsService.send({
+      userId: user.userId,
+      to,
+      text: text.length > 306 ? `${text.slice(0, 305)}…` : text
+    });
+  }
+
+  async sendVoiceAlert(user, app, alertMessage, severity, recipient = null) {
+    const to = this.phoneRecipient(user, recipient);
+
+    // Titles carry emoji, so the call reads out the summary
+    return this.smsService.send({
+      userId: user.userId,
+      to,
+      channel: 'voice',
+      text: `Alert from DeployWise. ${alertMessage.summary}`
+    });
   }
 
   async sendWelcomeEmail(user) {
@@ -0,0 +1,366 @@
+import HealthCheck from '../models/HealthCheck.js';
+import Postmortem from '../models/Postmortem.js';
+import RestartAttempt from '../models/RestartAttempt.js';
+import { logBusiness } from '../utils/logger.js';
+
+// Checks this long before and after the outage are included so the report
+// shows the app going down and coming back
+const WINDOW_PADDING = 15 * 60 * 1000;
+const MAX_CHECKS = 10000;
+
+export const exportFormats = ['markdown', 'html'];
+
+const formatDate = (date) => date ? new Date(date).toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '-';
+
+const formatDuration = (seconds) => {
+  if (seconds == null) return '-';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const parts = [hours && `${hours}h`, minutes && `${minutes}m`, `${seconds % 60}s`].filter(Boolean);
+  return parts.join(' ');
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Table cells cannot hold pipes or line breaks
+const markdownCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+const sections = [
+  ['summary', 'Summary'],
+  ['impact', 'Impact'],
+  ['rootCause', 'Root cause'],
+  ['resolution', 'Resolution'],
+  ['lessonsLearned', 'Lessons learned']
+];
+
+// Builds postmortems from resolved incidents and renders them for export
+export class PostmortemService {
+  // Create the postmortem of a resolved incident, prefilled from what was
+  // recorded while it was open
+  async generate(incident, userId) {
+    const facts = await this.collectFacts(incident);
+
+    const postmortem = await Postmortem.create({
+      incidentId: incident.incidentId,
+      appId: incident.appId,
+      userId: incident.userId,
+      title: `${incident.appName || incident.appId}: ${incident.description || incident.type}`.slice(0, 200),
+      summary: incident.description,
+      updatedBy: userId,
+      ...facts
+    });
+
+    logBusiness('Postmortem created', {
+      userId,
+      postmortemId: postmortem.postmortemId,
+      incidentId: incident.incidentId,
+      appId: incident.appId
+    });
+
+    return postmortem;
+  }
+
+  // Recollect the generated parts, leaving what the team wrote alone
+  async refresh(postmortem, incident) {
+    Object.assign(postmortem, await this.collectFacts(incident));
+    return postmortem.save();
+  }
+
+  async collectFacts(incident) {
+    const startTime = new Date(incident.startTime);
+    const endTime = incident.endTime ? new Date(incident.endTime) : new Date();
+    const window = {
+      from: new Date(startTime.getTime() - WINDOW_PADDING),
+      to: new Date(endTime.getTime() + WINDOW_PADDING)
+    };
+
+    const [checks, restarts] = await Promise.all([
+      HealthCheck.find({
+        'meta.appId': incident.appId,
+        timestamp: { $gte: window.from, $lte: window.to }
+      })
+        .sort({ timestamp: 1 })
+        .limit(MAX_CHECKS)
+        .lean(),
+      RestartAttempt.find({
+        appId: incident.appId,
+        startedAt: { $gte: window.from, $lte: window.to }
+      })
+        .sort({ startedAt: 1 })
+        .lean()
+    ]);
+
+    const timeline = [
+      ...this.incidentEvents(incident),
+      ...this.checkEvents(checks),
+      ...this.restartEvents(restarts)
+    ].sort((a, b) => a.at - b.at);
+
+    return {
+      outage: {
+        startTime,
+        endTime: incident.endTime,
+        duration: incident.duration ?? Math.floor((endTime - startTime) / 1000),
+        severity: incident.severity,
+        type: incident.type
+      },
+      window,
+      checks: this.summarizeChecks(checks),
+      timeline,
+      generatedAt: new Date()
+    };
+  }
+
+  incidentEvents(incident) {
+    return incident.timeline.map(event => {
+      const by = event.by && event.by !== 'system' ? ` by ${event.by}` : '';
+      const message = event.message ? `: ${event.message}` : '';
+
+      if (event.type === 'alerted' || event.type === 'escalated') {
+        return {
+          at: new Date(event.at),
+          source: 'alert',
+          message: event.type === 'alerted' ? `Alert ${event.message}` : `Escalation ${event.message}`
+        };
+      }
+
+      return {
+        at: new Date(event.at),
+        source: 'incident',
+        message: `Incident ${event.type}${by}${message}`
+      };
+    });
+  }
+
+  // Only status changes are interesting, tracked per probe location
+  checkEvents(checks) {
+    const events = [];
+    const previous = new Map();
+
+    for (const check of checks) {
+      const location = check.meta.location;
+      const status = check.status;
+
+      if (status === 'unknown' || previous.get(location) === status) {
+        continue;
+      }
+
+      if (previous.has(location) || status !== 'up') {
+        const detail = check.error ? `: ${check.error}` : check.statusCode ? ` (HTTP ${check.statusCode})` : '';
+        events.push({
+          at: new Date(check.timestamp),
+          source: 'check',
+          message: `Check from ${location} reported ${status}${detail}`
+        });
+      }
+      previous.set(location, status);
+    }
+
+    return events;
+  }
+
+  restartEvents(restarts) {
+    return restarts.flatMap(attempt => {
+      const label = `${attempt.trigger === 'auto' ? 'Automatic' : 'Manual'} ${attempt.action}` +
+        (attempt.trigger === 'auto' ? ` (attempt ${attempt.attempt})` : '') +
+        (attempt.provider ? ` via ${attempt.provider}` : '');
+      const events = [{ at: new Date(attempt.startedAt), source: 'restart', message: `${label} started` }];
+
+      if (attempt.completedAt) {
+        events.push({
+          at: new Date(attempt.completedAt),
+          source: 'restart',
+          message: `${label} ${attempt.status}${attempt.error ? `: ${attempt.error}` : ''}`
+        });
+      }
+      return events;
+    });
+  }
+
+  summarizeChecks(checks) {
+    const counted = checks.filter(check => check.status !== 'unknown');
+    const failures = counted.filter(check => check.status === 'down');
+    const timings = counted.map(check => check.responseTime).filter(time => typeof time === 'number');
+    const errors = new Map();
+
+    for (const check of failures) {
+      if (check.error) {
+        errors.set(check.error, (errors.get(check.error) || 0) + 1);
+      }
+    }
+
+    return {
+      total: counted.length,
+      down: failures.length,
+      warning: counted.filter(check => check.status === 'warning').length,
+      firstFailureAt: failures[0]?.timestamp,
+      lastFailureAt: failures[failures.length - 1]?.timestamp,
+      averageResponseTime: timings.length > 0
+        ? Math.round(timings.reduce((sum, time) => sum + time, 0) / timings.length)
+        : undefined,
+      maxResponseTime: timings.length > 0 ? Math.max(...timings) : undefined,
+      locations: [...new Set(counted.map(check => check.meta.location))],
+      errors: [...errors.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 5)
+        .map(([error, count]) => ({ error: error.slice(0, 500), count }))
+    };
+  }
+
+  toMarkdown(postmortem) {
+    const { outage = {}, checks = {} } = postmortem;
+    const lines = [
+      `# Postmortem: ${postmortem.title}`,
+      '',
+      `- **Status:** ${postmortem.status}`,
+      `- **Incident:** ${postmortem.incidentId} (${outage.type || '-'}, ${outage.severity || '-'} severity)`,
+      `- **Started:** ${formatDate(outage.startTime)}`,
+      `- **Resolved:** ${formatDate(outage.endTime)}`,
+      `- **Duration:** ${formatDuration(outage.duration)}`,
+      ''
+    ];
+
+    for (const [field, heading] of sections.slice(0, 4)) {
+      lines.push(`## ${heading}`, '', postmortem[field] || '_Not written yet._', '');
+    }
+
+    lines.push('## Timeline', '');
+    if (postmortem.timeline.length > 0) {
+      lines.push('| Time | Source | Event |', '| --- | --- | --- |');
+      for (const event of postmortem.timeline) {
+        lines.push(`| ${formatDate(event.at)} | ${event.source} | ${markdownCell(event.message)} |`);
+      }
+    } else {
+      lines.push('_No events recorded._');
+    }
+    lines.push('');
+
+    lines.push(
+      '## Check history',
+      '',
+      `${checks.total || 0} checks between ${formatDate(postmortem.window?.from)} and ${formatDate(postmortem.window?.to)}: ` +
+        `${checks.down || 0} down, ${checks.warning || 0} warning.`,
+      ''
+    );
+    if (checks.firstFailureAt) {
+      lines.push(`- First failure: ${formatDate(checks.firstFailureAt)}`, `- Last failure: ${formatDate(checks.lastFailureAt)}`);
+    }
+    if (checks.averageResponseTime != null) {
+      lines.push(`- Response time: ${checks.averageResponseTime}ms average, ${checks.maxResponseTime}ms max`);
+    }
+    if (checks.locations?.length > 0) {
+      lines.push(`- Locations: ${checks.locations.join(', ')}`);
+    }
+    for (const { error, count } of checks.errors || []) {
+      lines.push(`- ${count}× ${markdownCell(error)}`);
+    }
+    lines.push('');
+
+    lines.push('## Action items', '');
+    if (postmortem.actionItems.length > 0) {
+      for (const item of postmortem.actionItems) {
+        const owner = item.owner ? ` (owner: ${item.owner}` + (item.dueDate ? `, due ${formatDate(item.dueDate).slice(0, 10)})` : ')') : '';
+        lines.push(`- [${item.done ? 'x' : ' '}] ${markdownCell(item.description)}${owner}`);
+      }
+    } else {
+      lines.push('_None yet._');
+    }
+    lines.push('');
+
+    const [field, heading] = sections[4];
+    lines.push(`## ${heading}`, '', postmortem[field] || '_Not written yet._', '');
+
+    return lines.join('\n');
+  }
+
+  // Standalone page with print styles, so "Save as PDF" from a browser
+  // gives a clean document
+  toHtml(postmortem) {
+    const { outage = {}, checks = {} } = postmortem;
+    const paragraphs = (text) => text
+      ? text.split(/\n{2,}/).map(block => `<p>${escapeHtml(block).replace(/\n/g, '<br>')}</p>`).join('\n')
+      : '<p class="empty">Not written yet.</p>';
+    const section = ([field, heading]) => `<h2>${heading}</h2>\n${paragraphs(postmortem[field])}`;
+
+    const timeline = postmortem.timeline.length > 0
+      ? `<table>
+<thead><tr><th>Time</th><th>Source</th><th>Event</th></tr></thead>
+<tbody>
+${postmortem.timeline.map(event => `<tr class="${event.source}"><td class="time">${formatDate(event.at)}</td><td>${event.source}</td><td>${escapeHtml(event.message)}</td></tr>`).join('\n')}
+</tbody>
+</table>`
+      : '<p class="empty">No events recorded.</p>';
+
+    const checkFacts = [
+      checks.firstFailureAt && `<li>First failure: ${formatDate(checks.firstFailureAt)}</li>`,
+      checks.firstFailureAt && `<li>Last failure: ${formatDate(checks.lastFailureAt)}</li>`,
+      checks.averageResponseTime != null && `<li>Response time: ${checks.averageResponseTime}ms average, ${checks.maxResponseTime}ms max</li>`,
+      checks.locations?.length > 0 && `<li>Locations: ${escapeHtml(checks.locations.join(', '))}</li>`,
+      ...(checks.errors || []).map(({ error, count }) => `<li>${count}× ${escapeHtml(error)}</li>`)
+    ].filter(Boolean);
+
+    const actionItems = postmortem.actionItems.length > 0
+      ? `<ul class="actions">
+${postmortem.actionItems.map(item => `<li class="${item.done ? 'done' : ''}">${item.done ? '&#9745;' : '&#9744;'} ${escapeHtml(item.description)}` +
+  (item.owner ? ` <span class="owner">${escapeHtml(item.owner)}${item.dueDate ? `, due ${formatDate(item.dueDate).slice(0, 10)}` : ''}</span>` : '') +
+  '</li>').join('\n')}
+</ul>`
+      : '<p class="empty">None yet.</p>';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Postmortem: ${escapeHtml(postmortem.title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2937; max-width: 860px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.75rem; border-bottom: 2px solid #e5e7eb; padding-bottom: .5rem; }
+  h2 { font-size: 1.25rem; margin-top: 2rem; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: .25rem 1rem; }
+  dt { font-weight: 600; }
+  dd { margin: 0; }
+  table { width: 100%; border-collapse: collapse; font-size: .875rem; }
+  th, td { text-align: left; padding: .375rem .5rem; border-bottom: 1px solid #e5e7eb; vertical-align: top; }
+  td.time { white-space: nowrap; }
+  tr.alert td { color: #92400e; }
+  tr.restart td { color: #1e40af; }
+  .empty { color: #6b7280; font-style: italic; }
+  .owner { color: #6b7280; }
+  ul.actions { list-style: none; padding-left: 0; }
+  li.done { color: #6b7280; text-decoration: line-through; }
+  @page { margin: 2cm; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 11pt; }
+    h2 { page-break-after: avoid; }
+    tr, li { page-break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<h1>Postmortem: ${escapeHtml(postmortem.title)}</h1>
+<dl>
+  <dt>Status</dt><dd>${postmortem.status}</dd>
+  <dt>Incident</dt><dd>${escapeHtml(postmortem.incidentId)} (${escapeHtml(outage.type || '-')}, ${escapeHtml(outage.severity || '-')} severity)</dd>
+  <dt>Started</dt><dd>${formatDate(outage.startTime)}</dd>
+  <dt>Resolved</dt><dd>${formatDate(outage.endTime)}</dd>
+  <dt>Duration</dt><dd>${formatDuration(outage.duration)}</dd>
+</dl>
+${sections.slice(0, 4).map(section).join('\n')}
+<h2>Timeline</h2>
+${timeline}
+<h2>Check history</h2>
+<p>${checks.total || 0} checks between ${formatDate(postmortem.window?.from)} and ${formatDate(postmortem.window?.to)}: ${checks.down || 0} down, ${checks.warning || 0} warning.</p>
+${checkFacts.length > 0 ? `<ul>\n${checkFacts.join('\n')}\n</ul>` : ''}
+<h2>Action items</h2>
+${actionItems}
+${section(sections[4])}
+</body>
+</html>
+`;
+  }
+}
@@ -0,0 +1,175 @@
+import DeployedApp from '../models/DeployedApp.js';
+import HealthCheck from '../models/HealthCheck.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import { logger } from '../utils/logger.js';
+
+// Location labels become map keys in MongoDB, so no dots or dollars
+export const locationPattern = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+export const primaryLocation = () => process.env.PROBE_LOCATION || 'primary';
+
+const resultStatuses = ['up', 'down', 'warning'];
+
+// Hands due checks to remote probe agents, stores what they report, and
+// combines the latest result of every location into one status. The
+// scheduler in this process still owns the app's status: remote results
+// only count while they are fresh, i.e. younger than two check intervals.
+export class ProbeCoordinator {
+  // Every location checking the app, this server first
+  static locationsFor(app) {
+    return [...new Set([primaryLocation(), ...(app.configuration.locations || [])])];
+  }
+
+  static quorumFor(app) {
+    const locations = ProbeCoordinator.locationsFor(app);
+    const majority = Math.floor(locations.length / 2) + 1;
+    return Math.min(app.configuration.quorum || majority, locations.length);
+  }
+
+  // Due apps for a remote location, booked so they are not handed out twice
+  async claimChecks(location, limit = 50) {
+    const now = new Date();
+    const scheduleKey = `monitoring.probeSchedule.${location}`;
+
+    const apps = await DeployedApp.find({
+      monitoringEnabled: true,
+      isActive: true,
+      deploymentStatus: 'deployed',
+      'configuration.locations': location,
+      'configuration.monitor.type': { $ne: 'heartbeat' },
+      $or: [
+        { [scheduleKey]: { $lte: now } },
+        { [scheduleKey]: { $exists: false } }
+      ]
+    })
+      .sort({ [scheduleKey]: 1 })
+      .limit(Math.min(limit, 500));
+
+    if (apps.length === 0) {
+      return [];
+    }
+
+    await DeployedApp.bulkWrite(apps.map(app => ({
+      updateOne: {
+        filter: { _id: app._id },
+        update: { $set: { [scheduleKey]: app.nextCheckTime(now) } }
+      }
+    })));
+
+    return apps.map(app => this.serialize(app));
+  }
+
+  // What a probe needs to run the app's check and nothing else
+  serialize(app) {
+    const { monitor, assertions, healthCheckPath, timeout } = app.configuration;
+
+    return {
+      appId: app.appId,
+      appName: app.appName,
+      fullUrl: app.fullUrl,
+      deployment: { url: app.deployment.url },
+      configuration: {
+        monitor: monitor ? monitor.toObject() : undefined,
+        assertions: assertions.map(assertion => assertion.toObject()),
+        healthCheckPath,
+        timeout
+      }
+    };
+  }
+
+  // Store results posted by a probe agent; returns how many were accepted
+  async recordResults(location, results = []) {
+    let accepted = 0;
+
+    for (const result of results) {
+      if (!result || !result.appId || !resultStatuses.includes(result.status)) {
+        continue;
+      }
+
+      const app = await DeployedApp.findOne({
+        appId: result.appId,
+        isActive: true,
+        'configuration.locations': location
+      });
+      if (!app) {
+        continue;
+      }
+
+      const checkedAt = result.checkedAt ? new Date(result.checkedAt) : new Date();
+      const stored = { ...result, checkedAt: isNaN(checkedAt) || checkedAt > new Date() ? new Date() : checkedAt };
+
+      try {
+        stored.maintenance = Boolean(await MaintenanceWindow.activeFor(app.appId, stored.checkedAt));
+        await HealthCheck.record(app, stored, location);
+        await DeployedApp.updateOne(
+          { _id: app._id },
+          { $set: { [`monitoring.locationResults.${location}`]: this.summarize(stored) } }
+        );
+        accepted += 1;
+      } catch (error) {
+        logger.error(`Failed to store probe result from ${location} for app ${app.appId}:`, error);
+      }
+    }
+
+    return accepted;
+  }
+
+  summarize(result) {
+    return {
+      status: result.status,
+      statusCode: result.statusCode ?? undefined,
+      responseTime: result.responseTime ?? undefined,
+      error: result.error ? String(result.error).slice(0, 500) : undefined,
+      checkedAt: result.checkedAt || new Date()
+    };
+  }
+
+  // Combine this server's result with the fresh results of the other
+  // locations. The app is down when `quorum` locations say so; a minority
+  // of failing locations is treated as a network problem on their side.
+  decide(app, ownResult) {
+    const locations = ProbeCoordinator.locationsFor(app);
+    if (locations.length === 1) {
+      return ownResult;
+    }
+
+    const results = app.monitoring.locationResults;
+    const maxAge = (app.configuration.healthCheckInterval || 30) * 2000 + 30000;
+    const now = Date.now();
+
+    const fresh = locations
+      .map(location => ({ location, result: results?.get(location) }))
+      .filter(({ result }) => result && now - result.checkedAt <= maxAge);
+
+    // Probes that stopped reporting must not keep the app from going down
+    const quorum = Math.min(ProbeCoordinator.quorumFor(app), fresh.length);
+    const down = fresh.filter(({ result }) => result.status === 'down');
+
+    if (down.length >= quorum) {
+      return {
+        ...ownResult,
+        status: 'down',
+        error: `Down from ${down.length} of ${locations.length} locations: ` +
+          down.map(({ location, result }) => `${location} (${result.error || 'no error reported'})`).join(', ')
+      };
+    }
+
+    if (ownResult.status !== 'down') {
+      return ownResult;
+    }
+
+    // This server could not reach the app but most locations could
+    const reachable = fresh.filter(({ result }) => result.status !== 'down');
+    const latest = reachable.sort((a, b) => b.result.checkedAt - a.result.checkedAt)[0].result;
+
+    logger.info(`Ignoring failure of ${app.appName} from ${primaryLocation()}: only ${down.length} of ${locations.length} locations report it down`);
+
+    return {
+      ...ownResult,
+      status: reachable.some(({ result }) => result.status === 'warning') ? 'warning' : 'up',
+      statusCode: latest.statusCode ?? null,
+      responseTime: latest.responseTime ?? null,
+      error: null
+    };
+  }
+}
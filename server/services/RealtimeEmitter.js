@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import RealtimeEvent from '../models/RealtimeEvent.js';
+import { logger } from '../utils/logger.js';
+
+// Drop-in replacement for the Socket.IO server in processes that have no
+// client connections (the job worker). Services keep calling
+// `io.to(room).emit(event, data)`; the events are written to a capped
+// collection and replayed by RealtimeRelay in the API process.
+export class RealtimeEmitter {
+  to(room) {
+    return {
+      emit: (event, data) => {
+        RealtimeEvent.create({ room, event, data }).catch(error => {
+          logger.error(`Failed to publish realtime event ${event}:`, error);
+        });
+      }
+    };
+  }
+}
+
+// Tails the capped collection and forwards events to connected clients
+export class RealtimeRelay {
+  constructor(io) {
+    this.io = io;
+    this.cursor = null;
+    this.isRunning = false;
+    this.lastId = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+    // Only relay events published after this server came up
+    this.lastId = mongoose.Types.ObjectId.createFromTime(Math.floor(Date.now() / 1000));
+    this.tail();
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.cursor) {
+      this.cursor.close().catch(() => {});
+      this.cursor = null;
+    }
+  }
+
+  tail() {
+    if (!this.isRunning) return;
+
+    this.cursor = RealtimeEvent.find({ _id: { $gt: this.lastId } })
+      .tailable(true, { awaitData: true })
+      .lean()
+      .cursor();
+
+    this.cursor.on('data', (doc) => {
+      this.lastId = doc._id;
+      this.io.to(doc.room).emit(doc.event, doc.data);
+    });
+
+    // Tailable cursors die on an empty collection or network errors; reopen
+    const cursor = this.cursor;
+    let reopened = false;
+    const reopen = () => {
+      if (reopened) return;
+      reopened = true;
+
+      if (this.cursor === cursor) this.cursor = null;
+      if (this.isRunning) {
+        setTimeout(() => this.tail(), 1000);
+      }
+    };
+
+    cursor.on('error', (error) => {
+      logger.debug(`Realtime relay cursor error: ${error.message}`);
+      reopen();
+    });
+    cursor.on('close', reopen);
+  }
+}
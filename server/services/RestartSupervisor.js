@@ -0,0 +1,122 @@
+import RestartAttempt from '../models/RestartAttempt.js';
+import Incident from '../models/Incident.js';
+import { AppLifecycleService } from './AppLifecycleService.js';
+import { logger, logBusiness } from '../utils/logger.js';
+
+// Decides when an unhealthy app gets an automatic restart. Attempts are
+// counted per rolling window; each one waits exponentially longer than the
+// last, and once configuration.maxRestartAttempts is used up within the
+// window the supervisor gives up and opens a critical incident.
+export class RestartSupervisor {
+  constructor(io) {
+    this.io = io;
+    this.window = (parseInt(process.env.RESTART_WINDOW) || 60 * 60) * 1000;
+    this.backoffBase = (parseInt(process.env.RESTART_BACKOFF_BASE) || 30) * 1000;
+    this.backoffMax = (parseInt(process.env.RESTART_BACKOFF_MAX) || 30 * 60) * 1000;
+  }
+
+  // Called after every health check of the app
+  async evaluate(app) {
+    const state = app.monitoring.restarts;
+    const now = new Date();
+
+    // Someone fixed the app after we gave up; start supervising from scratch
+    if (app.healthStatus === 'up') {
+      if (state.gaveUpAt) {
+        this.reset(app);
+        await app.save();
+      }
+      return { action: 'none' };
+    }
+
+    if (!app.shouldAutoRestart()) {
+      return { action: 'none' };
+    }
+
+    if (state.gaveUpAt) {
+      return { action: 'gave-up' };
+    }
+
+    if (!state.windowStartedAt || now - state.windowStartedAt > this.window) {
+      state.windowStartedAt = now;
+      state.attempts = 0;
+      state.nextAttemptAt = undefined;
+    }
+
+    if (state.attempts >= app.configuration.maxRestartAttempts) {
+      await this.giveUp(app);
+      return { action: 'gave-up' };
+    }
+
+    if (state.nextAttemptAt && state.nextAttemptAt > now) {
+      logger.debug(`Backing off auto-restart of ${app.appName} until ${state.nextAttemptAt.toISOString()}`);
+      return { action: 'backoff', nextAttemptAt: state.nextAttemptAt };
+    }
+
+    const lifecycleService = new AppLifecycleService(this.io);
+
+    const blockReason = lifecycleService.getBlockReason(app, 'restart', 'auto');
+    if (blockReason) {
+      logger.debug(`Not auto-restarting app ${app.appName}: ${blockReason}`);
+      return { action: 'none', reason: blockReason };
+    }
+
+    if (await AppLifecycleService.hasPendingAction(app)) {
+      logger.debug(`Restart already pending for app ${app.appName}`);
+      return { action: 'pending' };
+    }
+
+    state.attempts += 1;
+    state.lastAttemptAt = now;
+    state.nextAttemptAt = new Date(now.getTime() + this.backoffDelay(state.attempts));
+
+    logger.info(`Queueing auto-restart ${state.attempts}/${app.configuration.maxRestartAttempts} for app ${app.appName}`);
+
+    // queueAction saves the app along with the updated restart state
+    const job = await lifecycleService.queueAction(app, 'restart', { trigger: 'auto' });
+
+    return { action: 'restart', attempt: state.attempts, jobId: job.jobId };
+  }
+
+  // Delay before the attempt after `attempts` attempts have been made
+  backoffDelay(attempts) {
+    return Math.min(this.backoffBase * Math.pow(2, Math.max(attempts - 1, 0)), this.backoffMax);
+  }
+
+  async giveUp(app) {
+    const state = app.monitoring.restarts;
+    state.gaveUpAt = new Date();
+
+    const lastAttempt = await RestartAttempt.findOne({ appId: app.appId, trigger: 'auto' })
+      .sort({ createdAt: -1 });
+
+    const minutes = Math.round((state.gaveUpAt - state.windowStartedAt) / 60000);
+    const description = [
+      `Auto-restart gave up after ${state.attempts} attempt${state.attempts === 1 ? '' : 's'} in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+      `(limit ${app.configuration.maxRestartAttempts}, policy ${app.configuration.restartPolicy}).`,
+      lastAttempt?.error ? `Last attempt failed: ${lastAttempt.error}.` : null,
+      'The app stays down until it is restarted manually or recovers on its own.'
+    ].filter(Boolean).join(' ');
+
+    await app.save();
+    await Incident.open(app, 'downtime', 'critical', description);
+
+    logger.warn(`Auto-restart gave up for app ${app.appId}: ${description}`);
+    logBusiness('App auto-restart gave up', {
+      userId: app.userId,
+      appId: app.appId,
+      attempts: state.attempts,
+      maxRestartAttempts: app.configuration.maxRestartAttempts
+    });
+  }
+
+  reset(app) {
+    app.monitoring.restarts = {
+      attempts: 0,
+      windowStartedAt: undefined,
+      lastAttemptAt: undefined,
+      nextAttemptAt: undefined,
+      gaveUpAt: undefined
+    };
+  }
+}
@@ -0,0 +1,60 @@
+import SmsMessage from '../models/SmsMessage.js';
+import { getMessagingProvider } from './messaging/index.js';
+import { logger } from '../utils/logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+// Messages and calls a user can be sent, to keep a misconfigured rule or a
+// flapping app from running up the bill
+export const smsLimits = () => ({
+  perHour: parseInt(process.env.SMS_MAX_PER_HOUR) || 10,
+  perDay: parseInt(process.env.SMS_MAX_PER_DAY) || 50
+});
+
+// Sends text messages and voice calls through the configured provider,
+// counting them against the user's caps
+export class SmsService {
+  constructor(provider = getMessagingProvider()) {
+    this.provider = provider;
+  }
+
+  async usage(userId, now = new Date()) {
+    const sentSince = (ms) => SmsMessage.countDocuments({
+      userId,
+      status: 'sent',
+      createdAt: { $gt: new Date(now.getTime() - ms) }
+    });
+
+    const [lastHour, lastDay] = await Promise.all([sentSince(HOUR), sentSince(24 * HOUR)]);
+    return { lastHour, lastDay, limits: smsLimits() };
+  }
+
+  // Send one message or call; throws when a cap is reached or the provider fails
+  async send({ userId, to, text, channel = 'sms', purpose = 'alert' }) {
+    const { lastHour, lastDay, limits } = await this.usage(userId);
+
+    if (lastHour >= limits.perHour || lastDay >= limits.perDay) {
+      const limit = lastHour >= limits.perHour ? `${limits.perHour} per hour` : `${limits.perDay} per day`;
+      logger.warn(`SMS cap of ${limit} reached for user ${userId}, not sending ${channel} to ${to}`);
+      throw new Error(`SMS limit of ${limit} reached`);
+    }
+
+    const message = new SmsMessage({ userId, to, channel, purpose, provider: this.provider.name });
+
+    try {
+      message.providerMessageId = channel === 'voice'
+        ? await this.provider.call(to, text)
+        : await this.provider.sendSms(to, text);
+      message.status = 'sent';
+    } catch (error) {
+      message.status = 'failed';
+      message.error = error.message;
+      throw error;
+    } finally {
+      await message.save();
+    }
+
+    logger.info(`${channel === 'voice' ? 'Voice call' : 'SMS'} (${purpose}) sent to ${to} via ${this.provider.name}`);
+    return message;
+  }
+}
@@ -0,0 +1,190 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import WebhookEndpoint from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { JobQueue } from './JobQueue.js';
+import { logger } from '../utils/logger.js';
+import { assertPublicUrl, publicAgents } from '../utils/safeUrl.js';
+
+// Retries back off exponentially: 30s, 1m, 2m, 4m, 8m, 16m, 32m
+const MAX_ATTEMPTS = 8;
+const RETRY_DELAY = 30 * 1000;
+const RESPONSE_LIMIT = 2000;
+
+// Alert kinds from the rule engine and escalations, as webhook events
+export const alertKindEvents = {
+  alert: 'alert.triggered',
+  reminder: 'alert.reminder',
+  recovery: 'alert.resolved',
+  flapping: 'alert.flapping',
+  escalation: 'incident.escalated',
+  test: 'test'
+};
+
+const buildEvent = (event, data) => {
+  const eventId = `evt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const body = JSON.stringify({ id: eventId, event, createdAt: new Date().toISOString(), data });
+  return { eventId, body };
+};
+
+// Sends events to a user's webhook endpoints. Each request is signed so the
+// receiver can check it came from DeployWise and is recent:
+//
+//   X-DeployWise-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// using the endpoint's secret. Deliveries run on the job queue and are
+// retried with exponential backoff until the endpoint answers with a 2xx.
+export class WebhookService {
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Queue an event for every active endpoint of the user subscribed to it;
+  // returns the deliveries created
+  async dispatch(userId, event, data) {
+    const endpoints = await WebhookEndpoint.find({ userId, isActive: true, forAlertRules: { $ne: true } });
+    const subscribed = endpoints.filter(endpoint => endpoint.subscribesTo(event, data.appId));
+    const { eventId, body } = buildEvent(event, data);
+
+    return Promise.all(subscribed.map(endpoint => this.queue(endpoint, {
+      eventId,
+      event,
+      appId: data.appId,
+      request: { url: endpoint.url, body }
+    })));
+  }
+
+  // Queue an event for one endpoint whatever it subscribes to
+  sendTo(endpoint, event, data) {
+    const { eventId, body } = buildEvent(event, data);
+
+    return this.queue(endpoint, {
+      eventId,
+      event,
+      appId: data.appId,
+      request: { url: endpoint.url, body }
+    });
+  }
+
+  // The endpoint alerts to a rule's URL are delivered through, registered the
+  // first time the URL is used so they are signed, retried and logged like
+  // any other delivery
+  async endpointForUrl(userId, url) {
+    const existing = await WebhookEndpoint.findOne({ userId, url });
+    if (existing) {
+      return existing;
+    }
+
+    const endpoint = await WebhookEndpoint.create({
+      userId,
+      url,
+      description: 'Alert rule URL',
+      forAlertRules: true
+    });
+    logger.info(`Registered webhook endpoint ${endpoint.webhookId} for alert rule URL of user ${userId}`);
+    return endpoint;
+  }
+
+  // Send an earlier delivery's event again, to the endpoint's current URL
+  redeliver(delivery, endpoint) {
+    return this.queue(endpoint, {
+      eventId: delivery.eventId,
+      event: delivery.event,
+      appId: delivery.appId,
+      request: { url: endpoint.url, body: delivery.request.body },
+      redeliveryOf: delivery.deliveryId
+    });
+  }
+
+  async queue(endpoint, fields) {
+    const delivery = new WebhookDelivery({
+      ...fields,
+      webhookId: endpoint.webhookId,
+      userId: endpoint.userId,
+      nextAttemptAt: new Date()
+    });
+
+    const job = await JobQueue.enqueue('deliver-webhook', { deliveryId: delivery.deliveryId }, {
+      userId: endpoint.userId,
+      maxAttempts: MAX_ATTEMPTS,
+      backoff: { type: 'exponential', delay: RETRY_DELAY }
+    });
+
+    delivery.jobId = job.jobId;
+    await delivery.save();
+    return delivery;
+  }
+
+  // Make one attempt at a delivery and record it. `retryIn` is how long the
+  // job queue waits before the next attempt, or null when this was the last.
+  async attempt(delivery, endpoint, retryIn = null) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'DeployWise-Webhooks/1.0',
+      'X-DeployWise-Event': delivery.event,
+      'X-DeployWise-Delivery': delivery.deliveryId,
+      'X-DeployWise-Timestamp': String(timestamp),
+      'X-DeployWise-Signature': `t=${timestamp},v1=${WebhookService.sign(endpoint.secret, timestamp, delivery.request.body)}`
+    };
+
+    const started = Date.now();
+    let statusCode;
+    let responseBody;
+    let error;
+
+    try {
+      // Checked on every attempt, as the host may resolve elsewhere by now
+      await assertPublicUrl(endpoint.url);
+
+      const response = await axios.post(endpoint.url, delivery.request.body, {
+        ...publicAgents,
+        headers,
+        timeout: 10000,
+        maxRedirects: 0,
+        responseType: 'text',
+        transformResponse: [data => data],
+        validateStatus: () => true
+      });
+      statusCode = response.status;
+      responseBody = typeof response.data === 'string' ? response.data.slice(0, RESPONSE_LIMIT) : '';
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Endpoint responded with ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.code ? `${requestError.code}: ${requestError.message}` : requestError.message;
+    }
+
+    const now = new Date();
+    const duration = now - started;
+    const succeeded = !error;
+
+    delivery.request = { url: endpoint.url, headers, body: delivery.request.body };
+    delivery.response = { statusCode, body: responseBody, duration };
+    delivery.attempts.push({ at: now, statusCode, error, duration });
+
+    if (succeeded) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = now;
+      delivery.nextAttemptAt = undefined;
+    } else if (retryIn === null) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.nextAttemptAt = new Date(now.getTime() + retryIn);
+    }
+    await delivery.save();
+
+    if (succeeded || retryIn === null) {
+      endpoint.lastDeliveryAt = now;
+      endpoint.lastDeliveryStatus = delivery.status;
+      await endpoint.save();
+    }
+
+    if (!succeeded) {
+      logger.warn(`Webhook delivery ${delivery.deliveryId} to ${endpoint.url} failed: ${error}`);
+    }
+
+    return { succeeded, statusCode, error };
+  }
+}
@@ -0,0 +1,37 @@
+export const severityColors = {
+  critical: '#dc2626',
+  high: '#ea580c',
+  medium: '#d97706',
+  low: '#65a30d'
+};
+
+// Alert text includes app names, check errors and DNS answers, which must
+// not turn into links, mentions or formatting in the channel
+
+// Slack reads <...> as links and mentions
+export const escapeSlack = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Markdown as rendered by Teams cards and Discord embeds
+export const escapeMarkdown = (text) => String(text).replace(/[\\`*_~|>#[\]()]/g, '\\$&');
+
+// The details every chat message lists, from createAlertMessage's model,
+// with values passed through the channel's escape
+export const alertFacts = ({ details }, escape = String) => {
+  const facts = [
+    { title: 'Application', value: details.appName, short: true },
+    { title: 'Status', value: details.status.toUpperCase(), short: true },
+    { title: 'Response Time', value: details.responseTime, short: true },
+    { title: 'Uptime', value: details.uptime, short: true },
+    { title: 'Consecutive Failures', value: String(details.consecutiveFailures), short: true },
+    { title: 'Time', value: new Date(details.timestamp).toLocaleString(), short: true }
+  ];
+
+  if (details.error) {
+    facts.push({ title: 'Error', value: details.error, short: false });
+  }
+
+  return facts.map(fact => ({ ...fact, value: escape(fact.value) }));
+};
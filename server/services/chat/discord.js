@@ -0,0 +1,32 @@
+import { severityColors, alertFacts, escapeMarkdown } from './common.js';
+
+const truncate = (text, length) => text.length > length ? `${text.slice(0, length - 1)}…` : text;
+
+// Discord webhook message with one embed; Discord rejects embeds over its
+// field length limits, so long values are cut short. Nothing in it may ping
+// anyone.
+export const formatDiscord = (alertMessage, severity) => {
+  const embed = {
+    title: truncate(alertMessage.title, 256),
+    description: truncate(escapeMarkdown(alertMessage.summary), 4096),
+    color: parseInt(severityColors[severity].slice(1), 16),
+    fields: alertFacts(alertMessage, escapeMarkdown).map(({ title, value, short }) => ({
+      name: title,
+      value: truncate(value, 1024),
+      inline: short
+    })),
+    footer: { text: 'DeployWise' },
+    timestamp: alertMessage.details.timestamp
+  };
+
+  if (alertMessage.details.url) {
+    embed.url = alertMessage.details.url;
+  }
+
+  return {
+    username: 'DeployWise',
+    content: truncate(escapeMarkdown(alertMessage.title), 2000),
+    embeds: [embed],
+    allowed_mentions: { parse: [] }
+  };
+};
@@ -0,0 +1,22 @@
+import { formatSlack } from './slack.js';
+import { formatTeams } from './teams.js';
+import { formatDiscord } from './discord.js';
+
+// Chat webhook formatters keyed by alert rule type. Each turns the alert
+// model from NotificationService.createAlertMessage into the JSON body the
+// service's incoming webhooks expect.
+const formatters = {
+  slack: formatSlack,
+  teams: formatTeams,
+  discord: formatDiscord
+};
+
+export const chatChannels = Object.keys(formatters);
+
+export const formatChatMessage = (type, alertMessage, severity) => {
+  const format = formatters[type];
+  if (!format) {
+    throw new Error(`Unknown chat channel: ${type}`);
+  }
+  return format(alertMessage, severity);
+};
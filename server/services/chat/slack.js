@@ -0,0 +1,28 @@
+import { severityColors, alertFacts, escapeSlack } from './common.js';
+
+// Slack incoming webhook message with a legacy attachment
+export const formatSlack = (alertMessage, severity) => {
+  const attachment = {
+    color: severityColors[severity],
+    title: escapeSlack(alertMessage.title),
+    text: escapeSlack(alertMessage.summary),
+    fields: alertFacts(alertMessage, escapeSlack),
+    footer: 'DeployWise',
+    ts: Math.floor(Date.now() / 1000)
+  };
+
+  if (alertMessage.details.url) {
+    attachment.actions = [
+      {
+        type: 'button',
+        text: 'View Application',
+        url: alertMessage.details.url
+      }
+    ];
+  }
+
+  return {
+    text: escapeSlack(alertMessage.title),
+    attachments: [attachment]
+  };
+};
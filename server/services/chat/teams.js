@@ -0,0 +1,62 @@
+import { alertFacts, escapeMarkdown } from './common.js';
+
+// Adaptive Card text colours closest to each severity
+const severityStyles = {
+  critical: 'attention',
+  high: 'attention',
+  medium: 'warning',
+  low: 'default'
+};
+
+// Microsoft Teams incoming webhook (or Workflows "post to a channel when a
+// webhook request is received") message carrying an Adaptive Card
+export const formatTeams = (alertMessage, severity) => {
+  const recovered = alertMessage.details.kind === 'recovery' || alertMessage.details.status === 'up';
+
+  const card = {
+    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+    type: 'AdaptiveCard',
+    version: '1.4',
+    msteams: { width: 'Full' },
+    body: [
+      {
+        type: 'TextBlock',
+        text: escapeMarkdown(alertMessage.title),
+        size: 'Large',
+        weight: 'Bolder',
+        color: recovered ? 'good' : severityStyles[severity],
+        wrap: true
+      },
+      {
+        type: 'TextBlock',
+        text: escapeMarkdown(alertMessage.summary),
+        wrap: true
+      },
+      {
+        type: 'FactSet',
+        facts: alertFacts(alertMessage, escapeMarkdown).map(({ title, value }) => ({ title, value }))
+      }
+    ]
+  };
+
+  if (alertMessage.details.url) {
+    card.actions = [
+      {
+        type: 'Action.OpenUrl',
+        title: 'View Application',
+        url: alertMessage.details.url
+      }
+    ];
+  }
+
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: card
+      }
+    ]
+  };
+};
@@ -0,0 +1,38 @@
+// Base class for monitor types. Every check resolves to the same result
+// shape so history, incidents, alerts and restarts treat them alike:
+// { status: 'up'|'warning'|'down'|'unknown', statusCode, responseTime, error }
+export class BaseCheck {
+  constructor(type) {
+    this.type = type;
+  }
+
+  async run(app) {
+    throw new Error(`The ${this.type} check is not implemented`);
+  }
+
+  // Error message for an invalid configuration.monitor, or null; may be async
+  validate(monitor = {}) {
+    return null;
+  }
+
+  timeout(app) {
+    return app.configuration.timeout * 1000 || 30000;
+  }
+
+  // Hostname (and port, if any) of the app's public URL
+  target(app) {
+    const url = app.fullUrl || app.deployment.url;
+    if (!url) return null;
+
+    try {
+      const { hostname, port, protocol } = new URL(url);
+      return { hostname, port: port ? parseInt(port) : null, protocol };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  result({ status, statusCode = null, responseTime = null, error = null, ...details }) {
+    return { type: this.type, status, statusCode, responseTime, error, ...details };
+  }
+}
@@ -0,0 +1,103 @@
+import { promises as dns } from 'dns';
+import net from 'net';
+import { BaseCheck } from './BaseCheck.js';
+import { logger } from '../../utils/logger.js';
+
+const recordTypes = ['A', 'AAAA', 'CNAME', 'MX', 'TXT', 'NS', 'SRV', 'CAA'];
+
+// Flatten the different answer shapes of dns.resolve() into strings
+const formatRecord = (recordType, record) => {
+  switch (recordType) {
+    case 'MX':
+      return record.exchange;
+    case 'TXT':
+      return record.join('');
+    case 'SRV':
+      return `${record.name}:${record.port}`;
+    case 'CAA':
+      return Object.entries(record)
+        .filter(([key]) => key !== 'critical')
+        .map(([key, value]) => `${key} ${value}`)
+        .join(' ');
+    default:
+      return String(record);
+  }
+};
+
+// dns.setServers() takes an IP address, optionally with a port as
+// 1.2.3.4:53 or [2001:db8::1]:53
+const isResolverAddress = (value) => {
+  if (typeof value !== 'string') return false;
+  if (net.isIP(value)) return true;
+
+  const match = value.match(/^(?:\[([0-9a-f:.]+)\]|([0-9.]+)):(\d{1,5})$/i);
+  return Boolean(match) &&
+    (match[1] ? net.isIPv6(match[1]) : net.isIPv4(match[2])) &&
+    Number(match[3]) > 0 && Number(match[3]) <= 65535;
+};
+
+const normalize = (value) => String(value).trim().toLowerCase().replace(/\.$/, '');
+
+// Resolves a DNS record and, when expected values are configured, requires
+// every one of them to be present in the answer
+export class DnsCheck extends BaseCheck {
+  constructor() {
+    super('dns');
+  }
+
+  validate(monitor = {}) {
+    if (monitor.recordType && !recordTypes.includes(String(monitor.recordType).toUpperCase())) {
+      return `DNS record type must be one of ${recordTypes.join(', ')}`;
+    }
+    if (monitor.expectedValues && !Array.isArray(monitor.expectedValues)) {
+      return 'DNS expectedValues must be an array';
+    }
+    if (monitor.resolver && !isResolverAddress(monitor.resolver)) {
+      return 'DNS resolver must be an IP address, optionally with a port (e.g. 1.1.1.1 or 1.1.1.1:53)';
+    }
+    return null;
+  }
+
+  async run(app) {
+    const monitor = app.configuration.monitor || {};
+    const hostname = monitor.host || this.target(app)?.hostname;
+    const recordType = String(monitor.recordType || 'A').toUpperCase();
+
+    if (!hostname) {
+      return this.result({ status: 'unknown', error: 'No hostname configured for DNS check' });
+    }
+
+    logger.debug(`Resolving ${recordType} ${hostname} for ${app.appName}`);
+
+    const startTime = Date.now();
+
+    try {
+      // Apps saved before the resolver was validated can still hold a bad
+      // address; setServers throws for it and the check reports it as down
+      const resolver = new dns.Resolver({ timeout: this.timeout(app), tries: 1 });
+      if (monitor.resolver) {
+        resolver.setServers([monitor.resolver]);
+      }
+
+      const answer = await resolver.resolve(hostname, recordType);
+      const responseTime = Date.now() - startTime;
+      const records = answer.map(record => formatRecord(recordType, record));
+
+      const expected = (monitor.expectedValues || []).filter(Boolean);
+      const missing = expected.filter(value => !records.some(record => normalize(record) === normalize(value)));
+
+      if (missing.length > 0) {
+        const error = `Expected ${recordType} ${missing.join(', ')} for ${hostname}, got ${records.join(', ') || 'no records'}`;
+        logger.warn(`Health check failed for ${app.appName}: ${error}`);
+        return this.result({ status: 'down', responseTime, error, records });
+      }
+
+      return this.result({ status: 'up', responseTime, records });
+
+    } catch (err) {
+      const error = `${recordType} lookup for ${hostname} failed: ${err.code || err.message}`;
+      logger.warn(`Health check failed for ${app.appName}: ${error}`);
+      return this.result({ status: 'down', responseTime: Date.now() - startTime, error });
+    }
+  }
+}
@@ -0,0 +1,76 @@
+import { BaseCheck } from './BaseCheck.js';
+
+const MIN_PERIOD = 60; // seconds
+const MAX_PERIOD = 31 * 24 * 60 * 60;
+const DEFAULT_GRACE = 5 * 60;
+
+const since = (date) => date.toISOString();
+
+// Dead man's switch for jobs that run elsewhere (Zapier zaps, scheduled
+// functions). Nothing is requested: the job pings /api/heartbeat/:token and
+// this check judges the pings recorded in monitoring.heartbeat. The job is
+// down when a ping is later than period + grace, when it reported a
+// failure, or when a run it started has not finished within grace.
+// responseTime is the duration of the last run, when it sent a start ping.
+export class HeartbeatCheck extends BaseCheck {
+  constructor() {
+    super('heartbeat');
+  }
+
+  validate(monitor = {}) {
+    const period = parseInt(monitor.period);
+    if (!(period >= MIN_PERIOD && period <= MAX_PERIOD)) {
+      return `Heartbeat period must be between ${MIN_PERIOD} and ${MAX_PERIOD} seconds`;
+    }
+    if (monitor.grace !== undefined && !(parseInt(monitor.grace) >= 0)) {
+      return 'Heartbeat grace must be a number of seconds';
+    }
+    return null;
+  }
+
+  async run(app) {
+    const monitor = app.configuration.monitor || {};
+    const state = app.monitoring.heartbeat || {};
+    const period = (monitor.period || 0) * 1000;
+    const grace = (monitor.grace ?? DEFAULT_GRACE) * 1000;
+    const now = Date.now();
+
+    if (!period) {
+      return this.result({ status: 'unknown', error: 'No period configured for heartbeat' });
+    }
+
+    if (state.startedAt && now - state.startedAt > grace) {
+      return this.result({
+        status: 'down',
+        responseTime: now - state.startedAt,
+        error: `Run started at ${since(state.startedAt)} has not finished`
+      });
+    }
+
+    if (!state.lastPingAt) {
+      // Give a new heartbeat one full period to send its first ping
+      const waitingSince = app.createdAt || new Date(now);
+      if (now - waitingSince <= period + grace) {
+        return this.result({ status: 'unknown', error: 'Waiting for the first ping' });
+      }
+      return this.result({ status: 'down', error: `No ping received since ${since(waitingSince)}` });
+    }
+
+    if (state.lastStatus === 'fail') {
+      return this.result({
+        status: 'down',
+        responseTime: state.lastDuration ?? null,
+        error: `Job reported a failure at ${since(state.lastPingAt)}${state.lastMessage ? `: ${state.lastMessage}` : ''}`
+      });
+    }
+
+    if (now - state.lastPingAt > period + grace) {
+      return this.result({
+        status: 'down',
+        error: `No ping since ${since(state.lastPingAt)}, expected every ${monitor.period}s`
+      });
+    }
+
+    return this.result({ status: 'up', responseTime: state.lastDuration ?? null });
+  }
+}
@@ -0,0 +1,136 @@
+import axios from 'axios';
+import http from 'http';
+import https from 'https';
+import { BaseCheck } from './BaseCheck.js';
+import { evaluateAssertions } from '../../utils/assertions.js';
+import { assertPublicUrl, publicAgents, refusePrivateRedirect } from '../../utils/safeUrl.js';
+import { logger } from '../../utils/logger.js';
+
+// Fresh connection per check so a restarted server is not probed over a stale socket
+export const httpAgent = new http.Agent({ keepAlive: false });
+export const httpsAgent = new https.Agent({ keepAlive: false });
+
+// Apps of the local provider are served from this host by design; every
+// other app is only reached at public addresses (publicAgents don't keep
+// connections alive either)
+const agentsFor = (app) => app.deployment?.provider === 'local'
+  ? { httpAgent, httpsAgent }
+  : { ...publicAgents, beforeRedirect: refusePrivateRedirect };
+
+export const httpMethods = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
+
+// Request against the app's health check path, judged by the app's
+// configured assertions when it has any
+export class HttpCheck extends BaseCheck {
+  constructor() {
+    super('http');
+  }
+
+  validate(monitor = {}) {
+    if (monitor.method && !httpMethods.includes(String(monitor.method).toUpperCase())) {
+      return `HTTP method must be one of ${httpMethods.join(', ')}`;
+    }
+    if (monitor.headers && (typeof monitor.headers !== 'object' || Array.isArray(monitor.headers))) {
+      return 'HTTP headers must be an object';
+    }
+    return null;
+  }
+
+  async run(app) {
+    const startTime = Date.now();
+    let status = 'unknown';
+    let statusCode = null;
+    let responseTime = null;
+    let error = null;
+    let failedAssertion = null;
+
+    const url = app.fullUrl || app.deployment.url;
+    if (!url) {
+      return this.result({ status, error: 'No URL found for app' });
+    }
+
+    const monitor = app.configuration.monitor || {};
+    const assertions = (app.configuration.assertions || []).filter(assertion => assertion.enabled !== false);
+    // With a status_code assertion the assertion decides which codes are healthy
+    const assertsStatusCode = assertions.some(assertion => assertion.type === 'status_code');
+
+    try {
+      const healthCheckPath = app.configuration.healthCheckPath || '/';
+      const checkUrl = url.endsWith('/') ? url + healthCheckPath.slice(1) : url + healthCheckPath;
+      const method = String(monitor.method || 'GET').toUpperCase();
+
+      if (app.deployment?.provider !== 'local') {
+        try {
+          await assertPublicUrl(checkUrl);
+        } catch (refused) {
+          // A host that does not resolve is down like any other
+          if (refused.code) throw refused;
+          return this.result({ status, error: `Not checking ${checkUrl}: ${refused.message}` });
+        }
+      }
+
+      logger.debug(`Checking health for ${app.appName} with ${method} ${checkUrl}`);
+
+      const response = await axios.request({
+        url: checkUrl,
+        method,
+        data: monitor.body || undefined,
+        timeout: this.timeout(app),
+        validateStatus: assertsStatusCode ? () => true : (status) => status < 500, // Accept 4xx as "up" but 5xx as "down"
+        // Keep the raw body for assertions
+        responseType: 'text',
+        transformResponse: [data => data],
+        maxContentLength: 5 * 1024 * 1024,
+        ...agentsFor(app),
+        headers: {
+          'User-Agent': 'DeployWise-Monitor/1.0',
+          'Accept': 'text/html,application/json,*/*',
+          ...(monitor.headers || {})
+        }
+      });
+
+      responseTime = Date.now() - startTime;
+      statusCode = response.status;
+
+      if (assertsStatusCode || (response.status >= 200 && response.status < 400)) {
+        status = 'up';
+      } else if (response.status >= 400 && response.status < 500) {
+        status = 'warning'; // Client errors might indicate issues but app is responding
+      } else {
+        status = 'down';
+      }
+
+      if (assertions.length > 0) {
+        failedAssertion = evaluateAssertions(assertions, {
+          statusCode,
+          headers: response.headers,
+          body: typeof response.data === 'string' ? response.data : String(response.data ?? ''),
+          responseTime
+        });
+
+        if (failedAssertion) {
+          status = failedAssertion.status === 'down' ? 'down' : 'warning';
+          error = `Assertion failed: ${failedAssertion.message}`;
+          logger.warn(`Health check assertion failed for ${app.appName}: ${failedAssertion.message}`);
+        }
+      }
+
+    } catch (err) {
+      responseTime = Date.now() - startTime;
+      statusCode = err.response?.status || null;
+      error = err.message;
+
+      if (err.code === 'ECONNREFUSED' || err.code === 'ENOTFOUND' || err.code === 'ETIMEDOUT') {
+        status = 'down';
+      } else if (err.response && err.response.status >= 500) {
+        status = 'down';
+      } else {
+        status = 'warning';
+      }
+
+      logger.warn(`Health check failed for ${app.appName}: ${error}`);
+    }
+
+    return this.result({ status, statusCode, responseTime, error, failedAssertion });
+  }
+}
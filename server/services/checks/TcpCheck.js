@@ -0,0 +1,85 @@
+import net from 'net';
+import { BaseCheck } from './BaseCheck.js';
+import { assertPublicHost, publicLookup } from '../../utils/safeUrl.js';
+import { logger } from '../../utils/logger.js';
+
+const defaultPorts = { 'http:': 80, 'https:': 443 };
+
+// Opens a TCP connection to host:port (databases, SMTP relays, ...). The
+// app is up when the connection is accepted. Only public addresses are
+// connected to, so the check cannot scan the server's own network.
+export class TcpCheck extends BaseCheck {
+  constructor() {
+    super('tcp');
+  }
+
+  async validate(monitor = {}) {
+    const port = parseInt(monitor.port);
+    if (monitor.port !== undefined && !(port > 0 && port < 65536)) {
+      return 'TCP port must be between 1 and 65535';
+    }
+
+    if (monitor.host) {
+      try {
+        await assertPublicHost(monitor.host);
+      } catch (refused) {
+        // A host that does not resolve yet is reported by the check itself
+        if (!refused.code) return `TCP host not allowed: ${refused.message}`;
+      }
+    }
+    return null;
+  }
+
+  endpoint(app) {
+    const monitor = app.configuration.monitor || {};
+    const target = this.target(app);
+
+    return {
+      host: monitor.host || target?.hostname,
+      port: parseInt(monitor.port) || target?.port || defaultPorts[target?.protocol]
+    };
+  }
+
+  async run(app) {
+    const { host, port } = this.endpoint(app);
+    if (!host || !port) {
+      return this.result({ status: 'unknown', error: 'No host and port configured for TCP check' });
+    }
+
+    // Apps of the local provider are served from this host by design, but a
+    // host configured on the monitor is always checked
+    const guarded = app.configuration.monitor?.host || app.deployment?.provider !== 'local';
+    if (guarded) {
+      try {
+        await assertPublicHost(host);
+      } catch (refused) {
+        if (!refused.code) {
+          return this.result({ status: 'unknown', error: `Not checking ${host}:${port}: ${refused.message}` });
+        }
+      }
+    }
+
+    logger.debug(`Checking TCP ${host}:${port} for ${app.appName}`);
+
+    const startTime = Date.now();
+
+    return new Promise(resolve => {
+      // The lookup refuses names that resolve to private addresses by the
+      // time of connecting
+      const socket = net.connect({ host, port, ...(guarded && { lookup: publicLookup }) });
+
+      const finish = (status, error = null) => {
+        socket.destroy();
+        if (error) {
+          logger.warn(`Health check failed for ${app.appName}: ${error}`);
+        }
+        resolve(this.result({ status, responseTime: Date.now() - startTime, error }));
+      };
+
+      socket.setTimeout(this.timeout(app));
+      socket.once('connect', () => finish('up'));
+      socket.once('timeout', () => finish('down', `Connection to ${host}:${port} timed out`));
+      socket.once('error', (error) => finish('down', `Connection to ${host}:${port} failed: ${error.message}`));
+    });
+  }
+}
@@ -0,0 +1,321 @@
+import axios from 'axios';
+import { BaseCheck } from './BaseCheck.js';
+import { httpAgent, httpsAgent, httpMethods } from './HttpCheck.js';
+import { evaluateAssertions, validateAssertion, matchRegExp, REGEX_PATTERN_LIMIT } from '../../utils/assertions.js';
+import { parseJsonPath, queryJsonPath } from '../../utils/jsonPath.js';
+import { assertPublicUrl, publicAgents } from '../../utils/safeUrl.js';
+import { logger } from '../../utils/logger.js';
+
+export const extractSources = ['json', 'header', 'cookie', 'regex'];
+
+const MAX_STEPS = 20;
+const MAX_REDIRECTS = 5;
+
+// "{{name}}" placeholders in step URLs, headers and bodies
+const VARIABLE = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+const substitute = (template, variables) => {
+  if (typeof template !== 'string') return template;
+
+  return template.replace(VARIABLE, (placeholder, name) => {
+    if (!(name in variables)) {
+      throw new Error(`Unknown variable ${name}`);
+    }
+    return variables[name];
+  });
+};
+
+// Minimal cookie jar: origin -> name -> value. Cookies are only sent back to
+// the origin that set them; Domain and Path attributes are ignored.
+const storeCookies = (jar, origin, setCookie = []) => {
+  [].concat(setCookie).forEach(header => {
+    const [pair] = header.split(';');
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      jar[origin] = jar[origin] || {};
+      jar[origin][pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+    }
+  });
+};
+
+const cookieHeader = (jar, origin) =>
+  Object.entries(jar[origin] || {}).map(([name, value]) => `${name}=${value}`).join('; ');
+
+const extractValue = (extract, response, cookies, context) => {
+  switch (extract.source) {
+    case 'json': {
+      if (context.json === undefined) {
+        try {
+          context.json = JSON.parse(response.body);
+        } catch (error) {
+          context.json = null;
+        }
+      }
+      const result = context.json === null ? { found: false } : queryJsonPath(context.json, extract.property);
+      if (!result.found) return undefined;
+      return typeof result.value === 'object' ? JSON.stringify(result.value) : String(result.value);
+    }
+    case 'header':
+      return response.headers[String(extract.property).toLowerCase()];
+    case 'cookie':
+      return cookies[extract.property];
+    case 'regex': {
+      // Only the start of the body is searched, under a time limit
+      const match = matchRegExp(new RegExp(extract.property), response.body);
+      return match ? (match[1] ?? match[0]) : undefined;
+    }
+    default:
+      return undefined;
+  }
+};
+
+// Scripted sequence of HTTP requests (log in, add to cart, ...). Steps run
+// in order, share cookies and variables extracted from earlier responses,
+// and the transaction stops at the first step that fails. Steps and
+// redirects only reach public addresses, except the app's own origin for
+// apps the local provider serves from this host.
+export class TransactionCheck extends BaseCheck {
+  constructor() {
+    super('transaction');
+  }
+
+  validate(monitor = {}) {
+    const { steps, variables } = monitor;
+
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return 'Transaction monitors need at least one step';
+    }
+    if (steps.length > MAX_STEPS) {
+      return `Transaction monitors are limited to ${MAX_STEPS} steps`;
+    }
+    if (variables && (typeof variables !== 'object' || Array.isArray(variables))) {
+      return 'Transaction variables must be an object';
+    }
+
+    for (const [index, step] of steps.entries()) {
+      const label = `Step ${index + 1}`;
+
+      if (!step || !step.url) {
+        return `${label} needs a url`;
+      }
+      if (step.method && !httpMethods.includes(String(step.method).toUpperCase())) {
+        return `${label}: method must be one of ${httpMethods.join(', ')}`;
+      }
+      if (step.headers && (typeof step.headers !== 'object' || Array.isArray(step.headers))) {
+        return `${label}: headers must be an object`;
+      }
+
+      for (const extract of step.extract || []) {
+        if (!/^[\w.-]+$/.test(extract.name || '')) {
+          return `${label}: extracted variables need a name of letters, digits, _ . or -`;
+        }
+        if (!extractSources.includes(extract.source)) {
+          return `${label}: extract source must be one of ${extractSources.join(', ')}`;
+        }
+        if (!extract.property) {
+          return `${label}: extracting ${extract.name} needs a property`;
+        }
+        if (extract.source === 'regex' && String(extract.property).length > REGEX_PATTERN_LIMIT) {
+          return `${label}: regex patterns can be at most ${REGEX_PATTERN_LIMIT} characters`;
+        }
+        try {
+          if (extract.source === 'json') parseJsonPath(extract.property);
+          if (extract.source === 'regex') new RegExp(extract.property);
+        } catch (error) {
+          return `${label}: ${error.message}`;
+        }
+      }
+
+      const invalidAssertion = (step.assertions || []).map(validateAssertion).find(Boolean);
+      if (invalidAssertion) {
+        return `${label}: ${invalidAssertion}`;
+      }
+    }
+
+    return null;
+  }
+
+  async run(app) {
+    const monitor = app.configuration.monitor || {};
+    const baseUrl = app.fullUrl || app.deployment.url;
+    const steps = monitor.steps || [];
+
+    if (steps.length === 0) {
+      return this.result({ status: 'unknown', error: 'No steps configured for transaction check' });
+    }
+
+    const variables = { ...(monitor.variables || {}) };
+    const jar = {};
+    const results = [];
+    let status = 'up';
+    let error = null;
+    let failedAssertion = null;
+    let failedStep = null;
+    let statusCode = null;
+
+    for (const [index, step] of steps.entries()) {
+      const name = step.name || `Step ${index + 1}`;
+      const stepResult = await this.runStep(app, step, { baseUrl, variables, jar });
+
+      results.push({ name, ...stepResult.summary });
+      statusCode = stepResult.summary.statusCode;
+
+      if (stepResult.summary.status === 'warning' && status === 'up') {
+        status = 'warning';
+        error = `Step "${name}": ${stepResult.summary.error}`;
+        failedAssertion = stepResult.failedAssertion;
+        failedStep = name;
+      }
+
+      if (stepResult.summary.status === 'down') {
+        status = 'down';
+        error = `Step "${name}" failed: ${stepResult.summary.error}`;
+        failedAssertion = stepResult.failedAssertion;
+        failedStep = name;
+        break;
+      }
+
+      // A refused request says nothing about the app's health
+      if (stepResult.summary.status === 'unknown') {
+        status = 'unknown';
+        error = `Step "${name}": ${stepResult.summary.error}`;
+        failedStep = name;
+        break;
+      }
+    }
+
+    if (error) {
+      logger.warn(`Transaction check failed for ${app.appName}: ${error}`);
+    }
+
+    return this.result({
+      status,
+      statusCode,
+      responseTime: results.reduce((total, step) => total + (step.responseTime || 0), 0),
+      error,
+      failedAssertion,
+      failedStep,
+      steps: results
+    });
+  }
+
+  // Agents to request the URL with; throws an error marked `refused` when
+  // the URL may not be requested
+  async agentsFor(app, url, baseUrl) {
+    if (app.deployment?.provider === 'local' && new URL(url).origin === new URL(baseUrl).origin) {
+      return { httpAgent, httpsAgent };
+    }
+
+    try {
+      await assertPublicUrl(url);
+    } catch (refused) {
+      // A host that does not resolve is down like any other
+      if (refused.code) throw refused;
+      throw Object.assign(new Error(`Not requesting ${url}: ${refused.message}`), { refused: true });
+    }
+    return publicAgents;
+  }
+
+  async runStep(app, step, { baseUrl, variables, jar }) {
+    const startTime = Date.now();
+    const summary = { status: 'up', statusCode: null, responseTime: null, error: null };
+
+    try {
+      const method = String(step.method || 'GET').toUpperCase();
+      const headers = Object.fromEntries(
+        Object.entries(step.headers || {}).map(([key, value]) => [key, substitute(String(value), variables)])
+      );
+      const data = step.body ? substitute(step.body, variables) : undefined;
+      let url = new URL(substitute(step.url, variables), baseUrl).toString();
+
+      logger.debug(`Transaction step ${step.name || url} for ${app.appName}: ${method} ${url}`);
+
+      // Redirects are followed by hand so cookies set along the way are kept
+      let response;
+      let currentMethod = method;
+      for (let redirects = 0; ; redirects++) {
+        const origin = new URL(url).origin;
+        response = await axios.request({
+          url,
+          method: currentMethod,
+          data: currentMethod === method ? data : undefined,
+          timeout: this.timeout(app),
+          maxRedirects: 0,
+          validateStatus: () => true,
+          responseType: 'text',
+          transformResponse: [body => body],
+          maxContentLength: 5 * 1024 * 1024,
+          ...await this.agentsFor(app, url, baseUrl),
+          headers: {
+            'User-Agent': 'DeployWise-Monitor/1.0',
+            'Accept': 'text/html,application/json,*/*',
+            ...headers,
+            ...(jar[origin] ? { Cookie: cookieHeader(jar, origin) } : {})
+          }
+        });
+
+        storeCookies(jar, origin, response.headers['set-cookie']);
+
+        const location = response.headers.location;
+        if (step.followRedirects === false || !location || response.status < 300 || response.status >= 400) {
+          break;
+        }
+        if (redirects >= MAX_REDIRECTS) {
+          throw new Error(`More than ${MAX_REDIRECTS} redirects`);
+        }
+
+        url = new URL(location, url).toString();
+        if (response.status === 303 || ((response.status === 301 || response.status === 302) && currentMethod === 'POST')) {
+          currentMethod = 'GET';
+        }
+      }
+
+      summary.responseTime = Date.now() - startTime;
+      summary.statusCode = response.status;
+
+      const body = typeof response.data === 'string' ? response.data : String(response.data ?? '');
+      const assertions = (step.assertions || []).filter(assertion => assertion.enabled !== false);
+
+      // Without a status_code assertion a step must answer 2xx/3xx
+      if (!assertions.some(assertion => assertion.type === 'status_code') && response.status >= 400) {
+        summary.status = 'down';
+        summary.error = `HTTP ${response.status}`;
+        return { summary };
+      }
+
+      const failedAssertion = evaluateAssertions(assertions, {
+        statusCode: response.status,
+        headers: response.headers,
+        body,
+        responseTime: summary.responseTime
+      });
+
+      if (failedAssertion) {
+        summary.status = failedAssertion.status === 'down' ? 'down' : 'warning';
+        summary.error = `Assertion failed: ${failedAssertion.message}`;
+        if (summary.status === 'down') {
+          return { summary, failedAssertion };
+        }
+      }
+
+      const context = {};
+      for (const extract of step.extract || []) {
+        const value = extractValue(extract, { headers: response.headers, body }, jar[new URL(url).origin] || {}, context);
+        if (value === undefined) {
+          summary.status = 'down';
+          summary.error = `Could not extract ${extract.name} from ${extract.source} ${extract.property}`;
+          return { summary };
+        }
+        variables[extract.name] = value;
+      }
+
+      return { summary, failedAssertion };
+
+    } catch (err) {
+      summary.responseTime = Date.now() - startTime;
+      summary.status = err.refused ? 'unknown' : 'down';
+      summary.error = err.message;
+      return { summary };
+    }
+  }
+}
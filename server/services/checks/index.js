@@ -0,0 +1,40 @@
+import { HttpCheck } from './HttpCheck.js';
+import { TcpCheck } from './TcpCheck.js';
+import { DnsCheck } from './DnsCheck.js';
+import { TransactionCheck } from './TransactionCheck.js';
+import { HeartbeatCheck } from './HeartbeatCheck.js';
+
+// Monitor types keyed by DeployedApp.configuration.monitor.type
+const checks = {
+  http: new HttpCheck(),
+  tcp: new TcpCheck(),
+  dns: new DnsCheck(),
+  transaction: new TransactionCheck(),
+  heartbeat: new HeartbeatCheck()
+};
+
+export const getCheck = (type = 'http') => {
+  const check = checks[type];
+  if (!check) {
+    throw new Error(`Unknown monitor type: ${type}`);
+  }
+  return check;
+};
+
+export const checkTypes = Object.keys(checks);
+
+// Error message for an invalid configuration.monitor, or null. Async since
+// some types look up the hosts they are pointed at.
+export const validateMonitor = async (monitor) => {
+  if (monitor === undefined || monitor === null) return null;
+  if (typeof monitor !== 'object' || Array.isArray(monitor)) {
+    return 'monitor must be an object';
+  }
+
+  const type = monitor.type || 'http';
+  if (!checkTypes.includes(type)) {
+    return `monitor.type must be one of ${checkTypes.join(', ')}`;
+  }
+
+  return checks[type].validate(monitor);
+};
@@ -0,0 +1,20 @@
+// Base class for SMS and voice providers. Both methods take a phone number
+// in international format and resolve with the provider's message or call
+// id; they throw when the provider refuses the request.
+export class BaseMessagingProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async sendSms(to, body) {
+    throw this.unsupported('SMS');
+  }
+
+  async call(to, message) {
+    throw this.unsupported('voice calls');
+  }
+
+  unsupported(feature) {
+    return new Error(`The ${this.name} messaging provider does not support ${feature}`);
+  }
+}
@@ -0,0 +1,33 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { BaseMessagingProvider } from './BaseMessagingProvider.js';
+import { logger } from '../../utils/logger.js';
+
+const outboxPath = () => process.env.SMS_OUTBOX_PATH || path.join('logs', 'sms-outbox.log');
+
+// Stand-in for development and tests: messages and calls are logged and
+// appended as JSON lines to SMS_OUTBOX_PATH instead of being sent
+export class LocalMessagingProvider extends BaseMessagingProvider {
+  constructor() {
+    super('local');
+  }
+
+  async record(type, to, text) {
+    const id = `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const file = outboxPath();
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify({ id, type, to, text, at: new Date().toISOString() })}\n`);
+    logger.info(`[${type} to ${to}] ${text}`);
+
+    return id;
+  }
+
+  sendSms(to, body) {
+    return this.record('sms', to, body);
+  }
+
+  call(to, message) {
+    return this.record('voice', to, message);
+  }
+}
@@ -0,0 +1,55 @@
+import axios from 'axios';
+import { BaseMessagingProvider } from './BaseMessagingProvider.js';
+
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, char => ({
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  "'": '&apos;',
+  '"': '&quot;'
+}[char]));
+
+// Sends through the Twilio REST API using TWILIO_ACCOUNT_SID,
+// TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER as the sender
+export class TwilioMessagingProvider extends BaseMessagingProvider {
+  constructor() {
+    super('twilio');
+  }
+
+  async request(resource, params) {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const from = process.env.TWILIO_PHONE_NUMBER;
+
+    if (!accountSid || !authToken || !from) {
+      throw new Error('Twilio credentials not configured');
+    }
+
+    try {
+      const response = await axios.post(
+        `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/${resource}.json`,
+        new URLSearchParams({ From: from, ...params }).toString(),
+        {
+          auth: { username: accountSid, password: authToken },
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: 10000
+        }
+      );
+      return response.data.sid;
+    } catch (error) {
+      // Twilio explains refusals (unverified numbers, bad formats) in the body
+      const message = error.response?.data?.message;
+      throw message ? new Error(`Twilio: ${message}`) : error;
+    }
+  }
+
+  sendSms(to, body) {
+    return this.request('Messages', { To: to, Body: body });
+  }
+
+  // The message is read out twice so it is not missed when picking up
+  call(to, message) {
+    const say = `<Say>${escapeXml(message)}</Say>`;
+    return this.request('Calls', { To: to, Twiml: `<Response>${say}<Pause length="1"/>${say}</Response>` });
+  }
+}
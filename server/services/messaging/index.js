@@ -0,0 +1,19 @@
+import { TwilioMessagingProvider } from './TwilioMessagingProvider.js';
+import { LocalMessagingProvider } from './LocalMessagingProvider.js';
+
+// SMS and voice providers keyed by SMS_PROVIDER
+const providers = {
+  twilio: new TwilioMessagingProvider(),
+  local: new LocalMessagingProvider()
+};
+
+// Twilio when it is configured, otherwise the local stand-in
+export const getMessagingProvider = (name = process.env.SMS_PROVIDER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'local')) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown messaging provider: ${name}`);
+  }
+  return provider;
+};
+
+export const messagingProviderNames = Object.keys(providers);
@@ -0,0 +1,128 @@
+import axios from 'axios';
+import { BaseProvider } from './BaseProvider.js';
+import { signRequest } from '../../utils/awsSigner.js';
+import { logExternalAPI } from '../../utils/logger.js';
+
+// AWS apps are hosted on Amplify; deployment.projectId is the Amplify app id
+// and the source branch selects the Amplify branch.
+const STATUS_MAP = {
+  PENDING: 'deploying',
+  PROVISIONING: 'deploying',
+  RUNNING: 'deploying',
+  CANCELLING: 'deploying',
+  SUCCEED: 'deployed',
+  FAILED: 'failed',
+  CANCELLED: 'failed'
+};
+
+export class AwsProvider extends BaseProvider {
+  constructor() {
+    super('aws');
+  }
+
+  get region() {
+    return process.env.AWS_REGION || 'us-east-1';
+  }
+
+  async request(method, path, body) {
+    const url = `https://amplify.${this.region}.amazonaws.com${path}`;
+    const payload = body ? JSON.stringify(body) : '';
+
+    const headers = signRequest({
+      method,
+      url,
+      region: this.region,
+      service: 'amplify',
+      body: payload,
+      headers: { 'Content-Type': 'application/json' }
+    });
+
+    const { data } = await axios({ method, url, headers, data: payload || undefined });
+    return data;
+  }
+
+  branch(app) {
+    return app.source.branch || 'main';
+  }
+
+  async deploy(app, release, { onLog = () => {} } = {}) {
+    const amplifyAppId = this.requireProjectId(app);
+    const branch = release.source.branch || this.branch(app);
+    const env = this.environmentToObject(release.environmentVariables);
+
+    if (Object.keys(env).length > 0) {
+      onLog(`Updating environment for Amplify branch ${branch}`);
+      await this.request('POST', `/apps/${amplifyAppId}/branches/${branch}`, {
+        environmentVariables: env
+      });
+    }
+
+    logExternalAPI('AWS Amplify', 'start job', { appId: app.appId, amplifyAppId, branch });
+
+    const data = await this.request('POST', `/apps/${amplifyAppId}/branches/${branch}/jobs`, {
+      jobType: 'RELEASE',
+      ...(release.source.commitHash && { commitId: release.source.commitHash })
+    });
+
+    onLog(`Amplify job ${data.jobSummary.jobId} started on branch ${branch}`);
+
+    return {
+      deploymentId: data.jobSummary.jobId,
+      url: null,
+      status: STATUS_MAP[data.jobSummary.status] || 'deploying'
+    };
+  }
+
+  async getStatus(app, deploymentId) {
+    const amplifyAppId = this.requireProjectId(app);
+    const branch = this.branch(app);
+    const data = await this.request('GET', `/apps/${amplifyAppId}/branches/${branch}/jobs/${deploymentId}`);
+    const status = STATUS_MAP[data.job.summary.status] || 'deploying';
+
+    let url = null;
+    if (status === 'deployed') {
+      const appData = await this.request('GET', `/apps/${amplifyAppId}`);
+      url = `https://${branch}.${appData.app.defaultDomain}`;
+    }
+
+    return {
+      status,
+      url,
+      error: status === 'failed' ? `Amplify job ${data.job.summary.status.toLowerCase()}` : undefined
+    };
+  }
+
+  async getLogs(app, deploymentId) {
+    const amplifyAppId = this.requireProjectId(app);
+    const data = await this.request('GET', `/apps/${amplifyAppId}/branches/${this.branch(app)}/jobs/${deploymentId}`);
+
+    const lines = [];
+    for (const step of data.job.steps || []) {
+      lines.push(`--- ${step.stepName}: ${step.status}`);
+      if (step.logUrl) {
+        const { data: output } = await axios.get(step.logUrl, { responseType: 'text' });
+        lines.push(...output.split('\n').filter(Boolean));
+      }
+    }
+    return lines;
+  }
+
+  // Static Amplify hosting has nothing to restart, so re-run the last release
+  async restart(app) {
+    const amplifyAppId = this.requireProjectId(app);
+    logExternalAPI('AWS Amplify', 'retry job', { appId: app.appId, amplifyAppId });
+
+    const data = await this.request('POST', `/apps/${amplifyAppId}/branches/${this.branch(app)}/jobs`, {
+      jobType: 'RETRY',
+      ...(app.deployment.deploymentId && { jobId: app.deployment.deploymentId })
+    });
+
+    return { deploymentId: data.jobSummary.jobId };
+  }
+
+  async destroy(app) {
+    const amplifyAppId = this.requireProjectId(app);
+    logExternalAPI('AWS Amplify', 'delete branch', { appId: app.appId, amplifyAppId });
+    await this.request('DELETE', `/apps/${amplifyAppId}/branches/${this.branch(app)}`);
+  }
+}
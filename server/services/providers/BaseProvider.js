@@ -0,0 +1,96 @@
+// Base class for deployment provider adapters.
+// Every provider normalises its own deployment states to one of
+// 'deploying', 'deployed' or 'failed' so the deployment service can drive
+// the app through the same lifecycle regardless of where it is hosted.
+export class BaseProvider {
+  constructor(name) {
+    this.name = name;
+    // Providers that report all build output through onLog during deploy()
+    this.streamsLogs = false;
+    // Providers that can put an earlier deployment back live with promote()
+    this.canPromote = false;
+  }
+
+  async deploy(app, release, { onLog } = {}) {
+    throw this.unsupported('deploy');
+  }
+
+  // Make an earlier deployment live again without rebuilding it; returns
+  // the same shape as deploy()
+  async promote(app, deploymentId, { onLog } = {}) {
+    throw this.unsupported('promote');
+  }
+
+  async getStatus(app, deploymentId) {
+    throw this.unsupported('status');
+  }
+
+  async getLogs(app, deploymentId) {
+    return [];
+  }
+
+  async restart(app) {
+    throw this.unsupported('restart');
+  }
+
+  async stop(app) {
+    throw this.unsupported('stop');
+  }
+
+  async start(app) {
+    throw this.unsupported('start');
+  }
+
+  async destroy(app) {
+    throw this.unsupported('destroy');
+  }
+
+  unsupported(operation) {
+    const error = new Error(`The ${this.name} provider does not support ${operation}`);
+    error.statusCode = 400;
+    return error;
+  }
+
+  requireProjectId(app) {
+    const projectId = app.deployment.projectId;
+    if (!projectId) {
+      throw new Error(`deployment.projectId is required for the ${this.name} provider`);
+    }
+    return projectId;
+  }
+
+  environmentToObject(environmentVariables = []) {
+    return environmentVariables.reduce((env, variable) => {
+      if (variable.key) {
+        env[variable.key] = variable.value;
+      }
+      return env;
+    }, {});
+  }
+
+  // Parse "https://github.com/org/repo(.git)" style repository URLs
+  parseRepository(repository) {
+    if (!repository) return null;
+
+    const match = repository.match(/github\.com[/:]([^/]+)\/([^/]+?)(\.git)?\/?$/);
+    if (!match) return null;
+
+    return { org: match[1], repo: match[2] };
+  }
+
+  // Resolve a downloadable tarball/zip for the release source
+  resolveSourceArchive(release) {
+    const { source } = release;
+
+    if (source.zipUrl) return source.zipUrl;
+    if (source.platformExportUrl) return source.platformExportUrl;
+
+    const repository = this.parseRepository(source.repository);
+    if (repository) {
+      const ref = source.commitHash || source.branch || 'main';
+      return `https://github.com/${repository.org}/${repository.repo}/archive/${ref}.tar.gz`;
+    }
+
+    return null;
+  }
+}
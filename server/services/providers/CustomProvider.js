@@ -0,0 +1,90 @@
+import axios from 'axios';
+import { BaseProvider } from './BaseProvider.js';
+import { logExternalAPI } from '../../utils/logger.js';
+import { assertPublicUrl, publicAgents } from '../../utils/safeUrl.js';
+
+// Custom hosting is driven by user supplied HTTP hooks (deployment.hooks.*).
+// A hook may answer with { id, url, status, logs } to report back; anything
+// else is treated as an accepted request.
+export class CustomProvider extends BaseProvider {
+  constructor() {
+    super('custom');
+  }
+
+  async callHook(app, name, payload = {}) {
+    const hookUrl = app.deployment.hooks?.[name];
+    if (!hookUrl) {
+      throw this.unsupported(name);
+    }
+
+    // Hooks are user supplied, so they may not point into our own network
+    await assertPublicUrl(hookUrl);
+
+    logExternalAPI('Custom hook', name, { appId: app.appId });
+
+    const { data } = await axios.post(hookUrl, {
+      event: name,
+      appId: app.appId,
+      appName: app.appName,
+      ...payload
+    }, {
+      ...publicAgents,
+      timeout: 30000,
+      maxRedirects: 0,
+      headers: { 'User-Agent': 'DeployWise-Deployer/1.0' }
+    });
+
+    return data && typeof data === 'object' ? data : {};
+  }
+
+  async deploy(app, release, { onLog = () => {} } = {}) {
+    onLog('Calling custom deploy hook');
+
+    const data = await this.callHook(app, 'deploy', {
+      release: {
+        id: release.id,
+        source: release.source,
+        buildCommand: release.buildCommand,
+        outputDirectory: release.outputDirectory,
+        environment: this.environmentToObject(release.environmentVariables)
+      }
+    });
+
+    (data.logs || []).forEach(line => onLog(line));
+
+    return {
+      deploymentId: data.id || release.id,
+      url: data.url || app.deployment.url,
+      status: ['deploying', 'deployed', 'failed'].includes(data.status) ? data.status : 'deployed'
+    };
+  }
+
+  async getStatus(app, deploymentId) {
+    if (!app.deployment.hooks?.status) {
+      return { status: 'deployed', url: app.deployment.url };
+    }
+
+    const data = await this.callHook(app, 'status', { deploymentId });
+    return {
+      status: data.status || 'deploying',
+      url: data.url || app.deployment.url,
+      error: data.error
+    };
+  }
+
+  async restart(app) {
+    await this.callHook(app, 'restart');
+  }
+
+  async stop(app) {
+    await this.callHook(app, 'stop');
+  }
+
+  async start(app) {
+    await this.callHook(app, 'start');
+  }
+
+  async destroy(app) {
+    await this.callHook(app, 'destroy');
+  }
+}
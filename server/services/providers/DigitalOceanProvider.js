@@ -0,0 +1,115 @@
+import axios from 'axios';
+import { BaseProvider } from './BaseProvider.js';
+import { logExternalAPI } from '../../utils/logger.js';
+
+const STATUS_MAP = {
+  UNKNOWN: 'deploying',
+  PENDING_BUILD: 'deploying',
+  BUILDING: 'deploying',
+  PENDING_DEPLOY: 'deploying',
+  DEPLOYING: 'deploying',
+  ACTIVE: 'deployed',
+  SUPERSEDED: 'deployed',
+  ERROR: 'failed',
+  CANCELED: 'failed'
+};
+
+export class DigitalOceanProvider extends BaseProvider {
+  constructor() {
+    super('digitalocean');
+  }
+
+  get client() {
+    if (!process.env.DO_TOKEN) {
+      throw new Error('DO_TOKEN is not configured');
+    }
+
+    return axios.create({
+      baseURL: 'https://api.digitalocean.com/v2',
+      headers: { Authorization: `Bearer ${process.env.DO_TOKEN}` }
+    });
+  }
+
+  async deploy(app, release, { onLog = () => {} } = {}) {
+    const doAppId = this.requireProjectId(app);
+    const env = this.environmentToObject(release.environmentVariables);
+
+    if (Object.keys(env).length > 0) {
+      onLog('Updating app spec environment variables');
+      await this.updateSpecEnvironment(doAppId, env);
+    }
+
+    logExternalAPI('DigitalOcean', 'create deployment', { appId: app.appId, doAppId });
+
+    const { data } = await this.client.post(`/apps/${doAppId}/deployments`, {
+      force_build: true
+    });
+
+    onLog(`DigitalOcean deployment ${data.deployment.id} created`);
+
+    return {
+      deploymentId: data.deployment.id,
+      url: null,
+      status: STATUS_MAP[data.deployment.phase] || 'deploying'
+    };
+  }
+
+  // App Platform only accepts whole specs, so merge env vars into every service
+  async updateSpecEnvironment(doAppId, env) {
+    const { data } = await this.client.get(`/apps/${doAppId}`);
+    const spec = data.app.spec;
+
+    (spec.services || []).concat(spec.static_sites || []).forEach(component => {
+      const envs = (component.envs || []).filter(existing => !(existing.key in env));
+      component.envs = envs.concat(
+        Object.entries(env).map(([key, value]) => ({ key, value, scope: 'RUN_AND_BUILD_TIME' }))
+      );
+    });
+
+    await this.client.put(`/apps/${doAppId}`, { spec });
+  }
+
+  async getStatus(app, deploymentId) {
+    const doAppId = this.requireProjectId(app);
+    const { data } = await this.client.get(`/apps/${doAppId}/deployments/${deploymentId}`);
+    const status = STATUS_MAP[data.deployment.phase] || 'deploying';
+
+    let url = null;
+    if (status === 'deployed') {
+      const { data: appData } = await this.client.get(`/apps/${doAppId}`);
+      url = appData.app.live_url;
+    }
+
+    return {
+      status,
+      url,
+      error: status === 'failed' ? `Deployment ${data.deployment.phase.toLowerCase()}` : undefined
+    };
+  }
+
+  async getLogs(app, deploymentId) {
+    const doAppId = this.requireProjectId(app);
+    const { data } = await this.client.get(`/apps/${doAppId}/deployments/${deploymentId}/logs`, {
+      params: { type: 'BUILD', follow: false }
+    });
+
+    const lines = [];
+    for (const url of data.historic_urls || []) {
+      const { data: output } = await axios.get(url, { responseType: 'text' });
+      lines.push(...output.split('\n').filter(Boolean));
+    }
+    return lines;
+  }
+
+  async restart(app) {
+    const doAppId = this.requireProjectId(app);
+    logExternalAPI('DigitalOcean', 'restart app', { appId: app.appId, doAppId });
+    await this.client.post(`/apps/${doAppId}/restart`, {});
+  }
+
+  async destroy(app) {
+    const doAppId = this.requireProjectId(app);
+    logExternalAPI('DigitalOcean', 'delete app', { appId: app.appId, doAppId });
+    await this.client.delete(`/apps/${doAppId}`);
+  }
+}
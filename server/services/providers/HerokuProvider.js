@@ -0,0 +1,108 @@
+import axios from 'axios';
+import { BaseProvider } from './BaseProvider.js';
+import { logExternalAPI } from '../../utils/logger.js';
+
+const STATUS_MAP = {
+  pending: 'deploying',
+  succeeded: 'deployed',
+  failed: 'failed'
+};
+
+export class HerokuProvider extends BaseProvider {
+  constructor() {
+    super('heroku');
+  }
+
+  get client() {
+    if (!process.env.HEROKU_API_KEY) {
+      throw new Error('HEROKU_API_KEY is not configured');
+    }
+
+    return axios.create({
+      baseURL: 'https://api.heroku.com',
+      headers: {
+        Authorization: `Bearer ${process.env.HEROKU_API_KEY}`,
+        Accept: 'application/vnd.heroku+json; version=3'
+      }
+    });
+  }
+
+  async deploy(app, release, { onLog = () => {} } = {}) {
+    const herokuApp = this.requireProjectId(app);
+    const sourceUrl = this.resolveSourceArchive(release);
+
+    if (!sourceUrl) {
+      throw new Error('Heroku deployments require a zip, export or GitHub repository source');
+    }
+
+    const env = this.environmentToObject(release.environmentVariables);
+    if (Object.keys(env).length > 0) {
+      onLog(`Updating ${Object.keys(env).length} config vars`);
+      await this.client.patch(`/apps/${herokuApp}/config-vars`, env);
+    }
+
+    logExternalAPI('Heroku', 'create build', { appId: app.appId, herokuApp });
+
+    const { data } = await this.client.post(`/apps/${herokuApp}/builds`, {
+      source_blob: {
+        url: sourceUrl,
+        ...(release.source.commitHash && { version: release.source.commitHash })
+      }
+    });
+
+    onLog(`Heroku build ${data.id} created from ${sourceUrl}`);
+
+    return {
+      deploymentId: data.id,
+      url: `https://${herokuApp}.herokuapp.com`,
+      status: STATUS_MAP[data.status] || 'deploying'
+    };
+  }
+
+  async getStatus(app, deploymentId) {
+    const herokuApp = this.requireProjectId(app);
+    const { data } = await this.client.get(`/apps/${herokuApp}/builds/${deploymentId}`);
+
+    return {
+      status: STATUS_MAP[data.status] || 'deploying',
+      url: `https://${herokuApp}.herokuapp.com`,
+      error: data.status === 'failed' ? 'Heroku build failed' : undefined
+    };
+  }
+
+  async getLogs(app, deploymentId) {
+    const herokuApp = this.requireProjectId(app);
+    const { data } = await this.client.get(`/apps/${herokuApp}/builds/${deploymentId}`);
+
+    if (!data.output_stream_url) return [];
+
+    const { data: output } = await axios.get(data.output_stream_url, { responseType: 'text' });
+    return output.split('\n').filter(Boolean);
+  }
+
+  async restart(app) {
+    const herokuApp = this.requireProjectId(app);
+    logExternalAPI('Heroku', 'restart dynos', { appId: app.appId, herokuApp });
+    await this.client.delete(`/apps/${herokuApp}/dynos`);
+  }
+
+  async stop(app) {
+    await this.scaleWeb(app, 0);
+  }
+
+  async start(app) {
+    await this.scaleWeb(app, 1);
+  }
+
+  async scaleWeb(app, quantity) {
+    const herokuApp = this.requireProjectId(app);
+    logExternalAPI('Heroku', 'scale web', { appId: app.appId, herokuApp, quantity });
+    await this.client.patch(`/apps/${herokuApp}/formation/web`, { quantity });
+  }
+
+  async destroy(app) {
+    const herokuApp = this.requireProjectId(app);
+    logExternalAPI('Heroku', 'delete app', { appId: app.appId, herokuApp });
+    await this.client.delete(`/apps/${herokuApp}`);
+  }
+}
@@ -0,0 +1,161 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createServer } from 'http';
+import { spawn } from 'child_process';
+import express from 'express';
+import { BaseProvider } from './BaseProvider.js';
+import { logger } from '../../utils/logger.js';
+
+// Filesystem/static server provider used for local development and tests.
+// source.repository is a local directory; the optional build command runs
+// inside it and deployment.outputDirectory (relative to it) is copied into
+// LOCAL_DEPLOY_ROOT and served on a local port.
+const servers = new Map(); // appId -> { server, port, releaseDir }
+const deploymentLogs = new Map(); // deploymentId -> [lines]
+
+const deployRoot = () => process.env.LOCAL_DEPLOY_ROOT || path.join(os.tmpdir(), 'deploywise-deployments');
+const host = () => process.env.LOCAL_DEPLOY_HOST || '127.0.0.1';
+
+export class LocalProvider extends BaseProvider {
+  constructor() {
+    super('local');
+    this.streamsLogs = true;
+    this.canPromote = true;
+  }
+
+  async deploy(app, release, { onLog = () => {} } = {}) {
+    const lines = [];
+    const log = (line) => {
+      lines.push(line);
+      onLog(line);
+    };
+    deploymentLogs.set(release.id, lines);
+
+    const sourceDir = path.resolve(release.source.repository || process.cwd());
+    const outputDir = path.resolve(sourceDir, release.outputDirectory || '.');
+    const releaseDir = path.join(deployRoot(), app.appId, release.id);
+
+    log(`Using source directory ${sourceDir}`);
+
+    if (release.buildCommand) {
+      await this.runBuild(release.buildCommand, sourceDir, release, log);
+    }
+
+    log(`Copying ${outputDir} to ${releaseDir}`);
+    await fs.rm(releaseDir, { recursive: true, force: true });
+    await fs.mkdir(path.dirname(releaseDir), { recursive: true });
+    await fs.cp(outputDir, releaseDir, { recursive: true });
+
+    const url = await this.serve(app.appId, releaseDir);
+    log(`Serving release ${release.id} at ${url}`);
+
+    return { deploymentId: release.id, url, status: 'deployed' };
+  }
+
+  // Serve an earlier release's copy again; releases stay on disk until the
+  // app is destroyed
+  async promote(app, deploymentId, { onLog = () => {} } = {}) {
+    const releaseDir = path.join(deployRoot(), app.appId, deploymentId);
+
+    try {
+      await fs.access(releaseDir);
+    } catch (error) {
+      throw new Error(`Release ${deploymentId} is no longer on disk`);
+    }
+
+    const url = await this.serve(app.appId, releaseDir);
+    onLog(`Serving release ${deploymentId} again at ${url}`);
+
+    return { deploymentId, url, status: 'deployed' };
+  }
+
+  runBuild(command, cwd, release, log) {
+    log(`$ ${command}`);
+
+    return new Promise((resolve, reject) => {
+      const child = spawn('sh', ['-c', command], {
+        cwd,
+        env: { ...process.env, ...this.environmentToObject(release.environmentVariables) }
+      });
+
+      const forward = (chunk) => chunk.toString().split('\n').filter(Boolean).forEach(log);
+      child.stdout.on('data', forward);
+      child.stderr.on('data', forward);
+      child.on('error', reject);
+      child.on('close', (code) => {
+        if (code === 0) return resolve();
+        reject(new Error(`Build command exited with code ${code}`));
+      });
+    });
+  }
+
+  async serve(appId, releaseDir) {
+    const existing = servers.get(appId);
+    await this.close(appId);
+
+    const staticApp = express();
+    staticApp.use(express.static(releaseDir));
+    staticApp.use((req, res) => res.sendFile(path.join(releaseDir, 'index.html'), (err) => {
+      if (err) res.status(404).end();
+    }));
+
+    const server = createServer(staticApp);
+    const port = await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      // Reuse the previous port so the app URL stays stable across releases
+      server.listen(existing?.port || 0, host(), () => resolve(server.address().port));
+    });
+
+    servers.set(appId, { server, port, releaseDir });
+    return `http://${host()}:${port}`;
+  }
+
+  async close(appId) {
+    const entry = servers.get(appId);
+    if (!entry?.server) return;
+
+    await new Promise(resolve => {
+      entry.server.close(() => resolve());
+      entry.server.closeAllConnections();
+    });
+    servers.set(appId, { ...entry, server: null });
+  }
+
+  async getStatus(app) {
+    const entry = servers.get(app.appId);
+    return {
+      status: entry?.server ? 'deployed' : 'failed',
+      url: entry ? `http://${host()}:${entry.port}` : null,
+      error: entry?.server ? undefined : 'Local server is not running'
+    };
+  }
+
+  async getLogs(app, deploymentId) {
+    return deploymentLogs.get(deploymentId) || [];
+  }
+
+  async restart(app) {
+    const entry = servers.get(app.appId);
+    if (!entry) {
+      throw new Error('App has not been deployed locally');
+    }
+
+    await this.serve(app.appId, entry.releaseDir);
+  }
+
+  async stop(app) {
+    await this.close(app.appId);
+  }
+
+  async start(app) {
+    await this.restart(app);
+  }
+
+  async destroy(app) {
+    await this.close(app.appId);
+    servers.delete(app.appId);
+    await fs.rm(path.join(deployRoot(), app.appId), { recursive: true, force: true });
+    logger.debug(`Removed local deployment files for app ${app.appId}`);
+  }
+}
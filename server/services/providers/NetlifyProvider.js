@@ -0,0 +1,116 @@
+import axios from 'axios';
+import { BaseProvider } from './BaseProvider.js';
+import { logExternalAPI } from '../../utils/logger.js';
+
+const STATUS_MAP = {
+  new: 'deploying',
+  pending_review: 'deploying',
+  accepted: 'deploying',
+  enqueued: 'deploying',
+  building: 'deploying',
+  uploading: 'deploying',
+  uploaded: 'deploying',
+  preparing: 'deploying',
+  prepared: 'deploying',
+  processing: 'deploying',
+  ready: 'deployed',
+  error: 'failed',
+  rejected: 'failed'
+};
+
+export class NetlifyProvider extends BaseProvider {
+  constructor() {
+    super('netlify');
+    this.canPromote = true;
+  }
+
+  get client() {
+    if (!process.env.NETLIFY_TOKEN) {
+      throw new Error('NETLIFY_TOKEN is not configured');
+    }
+
+    return axios.create({
+      baseURL: 'https://api.netlify.com/api/v1',
+      headers: { Authorization: `Bearer ${process.env.NETLIFY_TOKEN}` }
+    });
+  }
+
+  async deploy(app, release, { onLog = () => {} } = {}) {
+    const siteId = this.requireProjectId(app);
+
+    onLog(`Updating build settings for Netlify site ${siteId}`);
+    await this.client.patch(`/sites/${siteId}`, {
+      build_settings: {
+        ...(release.buildCommand && { cmd: release.buildCommand }),
+        ...(release.outputDirectory && { dir: release.outputDirectory }),
+        ...(release.source.branch && { repo_branch: release.source.branch }),
+        env: this.environmentToObject(release.environmentVariables)
+      }
+    });
+
+    logExternalAPI('Netlify', 'trigger build', { appId: app.appId, siteId });
+
+    const { data } = await this.client.post(`/sites/${siteId}/builds`, {
+      clear_cache: false
+    });
+
+    onLog(`Netlify build ${data.id} triggered (deploy ${data.deploy_id})`);
+
+    return {
+      deploymentId: data.deploy_id,
+      url: null,
+      status: 'deploying'
+    };
+  }
+
+  async promote(app, deploymentId, { onLog = () => {} } = {}) {
+    const siteId = this.requireProjectId(app);
+
+    onLog(`Restoring Netlify deploy ${deploymentId}`);
+    logExternalAPI('Netlify', 'restore deploy', { appId: app.appId, siteId, deploymentId });
+
+    await this.client.post(`/sites/${siteId}/deploys/${deploymentId}/restore`);
+    return { deploymentId, url: null, status: 'deploying' };
+  }
+
+  async getStatus(app, deploymentId) {
+    const { data } = await this.client.get(`/deploys/${deploymentId}`);
+
+    return {
+      status: STATUS_MAP[data.state] || 'deploying',
+      url: data.ssl_url || data.url,
+      commitHash: data.commit_ref || undefined,
+      error: data.error_message
+    };
+  }
+
+  // Netlify does not expose build output over the REST API, only the deploy summary
+  async getLogs(app, deploymentId) {
+    const { data } = await this.client.get(`/deploys/${deploymentId}`);
+
+    return [
+      `Deploy ${data.id} state: ${data.state}`,
+      data.summary?.messages?.map(message => `${message.title}: ${message.description || ''}`),
+      data.error_message && `Error: ${data.error_message}`
+    ].flat().filter(Boolean);
+  }
+
+  // Re-publish the currently live deploy
+  async restart(app) {
+    const siteId = this.requireProjectId(app);
+
+    if (!app.deployment.deploymentId) {
+      throw new Error('No Netlify deploy to restore');
+    }
+
+    logExternalAPI('Netlify', 'restore deploy', { appId: app.appId, siteId });
+    await this.client.post(`/sites/${siteId}/deploys/${app.deployment.deploymentId}/restore`);
+    return { deploymentId: app.deployment.deploymentId };
+  }
+
+  async destroy(app) {
+    const siteId = this.requireProjectId(app);
+    logExternalAPI('Netlify', 'delete site', { appId: app.appId, siteId });
+    await this.client.delete(`/sites/${siteId}`);
+  }
+}
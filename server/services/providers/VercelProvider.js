@@ -0,0 +1,137 @@
+import axios from 'axios';
+import { BaseProvider } from './BaseProvider.js';
+import { logExternalAPI } from '../../utils/logger.js';
+
+const STATUS_MAP = {
+  QUEUED: 'deploying',
+  INITIALIZING: 'deploying',
+  BUILDING: 'deploying',
+  READY: 'deployed',
+  ERROR: 'failed',
+  CANCELED: 'failed'
+};
+
+export class VercelProvider extends BaseProvider {
+  constructor() {
+    super('vercel');
+    this.canPromote = true;
+  }
+
+  get client() {
+    if (!process.env.VERCEL_TOKEN) {
+      throw new Error('VERCEL_TOKEN is not configured');
+    }
+
+    return axios.create({
+      baseURL: 'https://api.vercel.com',
+      headers: { Authorization: `Bearer ${process.env.VERCEL_TOKEN}` },
+      params: process.env.VERCEL_TEAM_ID ? { teamId: process.env.VERCEL_TEAM_ID } : {}
+    });
+  }
+
+  async deploy(app, release, { onLog = () => {} } = {}) {
+    const project = this.requireProjectId(app);
+    const repository = this.parseRepository(release.source.repository);
+
+    if (!repository) {
+      throw new Error('Vercel deployments require a GitHub repository source');
+    }
+
+    onLog(`Creating Vercel deployment for project ${project}`);
+    logExternalAPI('Vercel', 'create deployment', { appId: app.appId, project });
+
+    const { data } = await this.client.post('/v13/deployments', {
+      name: project,
+      project,
+      target: 'production',
+      gitSource: {
+        type: 'github',
+        org: repository.org,
+        repo: repository.repo,
+        ref: release.source.branch || 'main',
+        ...(release.source.commitHash && { sha: release.source.commitHash })
+      },
+      projectSettings: {
+        ...(release.buildCommand && { buildCommand: release.buildCommand }),
+        ...(release.outputDirectory && { outputDirectory: release.outputDirectory })
+      },
+      build: { env: this.environmentToObject(release.environmentVariables) }
+    });
+
+    onLog(`Vercel deployment ${data.id} created (${data.readyState})`);
+
+    return {
+      deploymentId: data.id,
+      url: data.url ? `https://${data.url}` : null,
+      status: STATUS_MAP[data.readyState] || 'deploying'
+    };
+  }
+
+  async promote(app, deploymentId, { onLog = () => {} } = {}) {
+    const project = this.requireProjectId(app);
+
+    onLog(`Promoting Vercel deployment ${deploymentId} to production`);
+    logExternalAPI('Vercel', 'promote deployment', { appId: app.appId, project, deploymentId });
+
+    await this.client.post(`/v10/projects/${project}/promote/${deploymentId}`);
+    return { deploymentId, url: null, status: 'deploying' };
+  }
+
+  async getStatus(app, deploymentId) {
+    const { data } = await this.client.get(`/v13/deployments/${deploymentId}`);
+
+    return {
+      status: STATUS_MAP[data.readyState] || 'deploying',
+      url: data.url ? `https://${data.url}` : null,
+      commitHash: data.meta?.githubCommitSha,
+      error: data.errorMessage
+    };
+  }
+
+  async getLogs(app, deploymentId) {
+    const { data } = await this.client.get(`/v3/deployments/${deploymentId}/events`, {
+      params: { builds: 1, direction: 'forward' }
+    });
+
+    return (Array.isArray(data) ? data : [])
+      .map(event => event.text || event.payload?.text)
+      .filter(Boolean);
+  }
+
+  // Vercel has no process to restart, so a restart is a redeploy of the current build
+  async restart(app) {
+    const project = this.requireProjectId(app);
+
+    if (!app.deployment.deploymentId) {
+      throw new Error('No Vercel deployment to restart');
+    }
+
+    logExternalAPI('Vercel', 'redeploy', { appId: app.appId, project });
+
+    const { data } = await this.client.post('/v13/deployments', {
+      name: project,
+      deploymentId: app.deployment.deploymentId,
+      target: 'production'
+    });
+
+    return { deploymentId: data.id };
+  }
+
+  async stop(app) {
+    const project = this.requireProjectId(app);
+    logExternalAPI('Vercel', 'pause project', { appId: app.appId, project });
+    await this.client.post(`/v1/projects/${project}/pause`);
+  }
+
+  async start(app) {
+    const project = this.requireProjectId(app);
+    logExternalAPI('Vercel', 'unpause project', { appId: app.appId, project });
+    await this.client.post(`/v1/projects/${project}/unpause`);
+  }
+
+  async destroy(app) {
+    const project = this.requireProjectId(app);
+    logExternalAPI('Vercel', 'delete project', { appId: app.appId, project });
+    await this.client.delete(`/v9/projects/${project}`);
+  }
+}
@@ -0,0 +1,37 @@
+import { VercelProvider } from './VercelProvider.js';
+import { NetlifyProvider } from './NetlifyProvider.js';
+import { AwsProvider } from './AwsProvider.js';
+import { HerokuProvider } from './HerokuProvider.js';
+import { DigitalOceanProvider } from './DigitalOceanProvider.js';
+import { CustomProvider } from './CustomProvider.js';
+import { LocalProvider } from './LocalProvider.js';
+
+// Provider adapters keyed by DeployedApp.deployment.provider
+const providers = {
+  vercel: new VercelProvider(),
+  netlify: new NetlifyProvider(),
+  aws: new AwsProvider(),
+  heroku: new HerokuProvider(),
+  digitalocean: new DigitalOceanProvider(),
+  custom: new CustomProvider(),
+  local: new LocalProvider()
+};
+
+// The local provider runs build commands and serves directories on this
+// host, so it is only offered in tests or when explicitly switched on
+export const localProviderEnabled = () =>
+  process.env.NODE_ENV === 'test' || process.env.LOCAL_PROVIDER_ENABLED === 'true';
+
+const isAvailable = (name) => Object.hasOwn(providers, name) && (name !== 'local' || localProviderEnabled());
+
+export const getProvider = (name) => {
+  if (!isAvailable(name)) {
+    throw new Error(name === 'local'
+      ? 'The local deployment provider is disabled; set LOCAL_PROVIDER_ENABLED=true to use it'
+      : `Unknown deployment provider: ${name}`);
+  }
+  return providers[name];
+};
+
+// Providers apps can be created with
+export const providerNames = () => Object.keys(providers).filter(isAvailable);
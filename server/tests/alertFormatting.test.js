@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import { NotificationService } from '../services/NotificationService.js';
+import { formatChatMessage } from '../services/chat/index.js';
+
+// Alert text carries app names and check errors, which must reach emails and
+// chat channels as text rather than markup
+
+const app = new DeployedApp({
+  appId: 'app_1',
+  userId: 'user_1',
+  appName: 'Shop <b>',
+  lowCodePlatform: 'custom',
+  deployment: { provider: 'vercel', url: 'https://shop.example.com' }
+});
+
+const service = new NotificationService();
+const error = 'Assertion failed: Response body does not contain "<img src=x onerror=alert(1)>"';
+const alertMessage = () => service.createAlertMessage(app, 'down', 120, error, 'high');
+
+describe('alert emails', () => {
+  test('escape the title, summary and error', async () => {
+    const sendMail = jest.fn().mockResolvedValue({});
+    service.emailTransporter = { sendMail };
+
+    await service.sendEmailAlert({ email: 'owner@example.com' }, app, alertMessage(), 'high');
+
+    const { html, subject } = sendMail.mock.calls[0][0];
+    expect(html).not.toContain('<img');
+    expect(html).not.toContain('Shop <b>');
+    expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+    expect(html).toContain('<h1>🔴 Shop &lt;b&gt; is DOWN</h1>');
+    expect(html).toContain('href="https://shop.example.com"');
+    expect(subject).toBe('🔴 Shop <b> is DOWN');
+  });
+
+  test('leave out links that are not http(s)', async () => {
+    const sendMail = jest.fn().mockResolvedValue({});
+    service.emailTransporter = { sendMail };
+    const message = alertMessage();
+    message.details.url = 'javascript:alert(1)';
+
+    await service.sendEmailAlert({ email: 'owner@example.com' }, app, message, 'high');
+
+    expect(sendMail.mock.calls[0][0].html).not.toContain('javascript:');
+  });
+});
+
+describe('chat messages', () => {
+  const withLink = () => {
+    const message = alertMessage();
+    message.details.error = 'Got [click here](https://evil.example) <!channel> @everyone';
+    return message;
+  };
+
+  test('Slack messages escape links and mentions', () => {
+    const { attachments: [attachment] } = formatChatMessage('slack', withLink(), 'high');
+    const errorField = attachment.fields.find(field => field.title === 'Error');
+
+    expect(errorField.value).toBe('Got [click here](https://evil.example) &lt;!channel&gt; @everyone');
+    expect(attachment.title).toBe('🔴 Shop &lt;b&gt; is DOWN');
+  });
+
+  test('Discord messages escape markdown and ping nobody', () => {
+    const message = formatChatMessage('discord', withLink(), 'high');
+    const errorField = message.embeds[0].fields.find(field => field.name === 'Error');
+
+    expect(errorField.value).toBe('Got \\[click here\\]\\(https://evil.example\\) <!channel\\> @everyone');
+    expect(message.allowed_mentions).toEqual({ parse: [] });
+  });
+
+  test('Teams cards escape markdown', () => {
+    const message = formatChatMessage('teams', withLink(), 'high');
+    const { facts } = message.attachments[0].content.body[2];
+
+    expect(facts.find(fact => fact.title === 'Error').value).toMatch(/^Got \\\[click here\\\]\\\(/);
+  });
+});
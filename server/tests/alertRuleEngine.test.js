@@ -0,0 +1,206 @@
+import { jest } from '@jest/globals';
+import AlertState, { FLAP_START } from '../models/AlertState.js';
+import { AlertRuleEngine } from '../services/AlertRuleEngine.js';
+
+// Walks alert rules through pending, firing, reminders, escalation, recovery
+// and flapping. States are plain AlertState documents that are never saved.
+
+const start = new Date('2026-03-01T12:00:00Z');
+const after = (seconds) => new Date(start.getTime() + seconds * 1000);
+
+const rule = (overrides = {}) => ({
+  name: 'On call',
+  for: 0,
+  reminderInterval: 0,
+  notifyRecovery: true,
+  ...overrides,
+  conditions: {
+    failureThreshold: 1,
+    downtime: true,
+    warning: true,
+    slowResponse: { enabled: true, threshold: 2000 },
+    errorRate: { enabled: false },
+    ...overrides.conditions
+  }
+});
+
+const app = (consecutiveFailures = 0) => ({
+  appId: 'app_1',
+  userId: 'user_1',
+  configuration: {},
+  monitoring: { alerts: [], consecutiveFailures }
+});
+
+const up = { status: 'up', responseTime: 150 };
+const slow = { status: 'up', responseTime: 3000 };
+const down = { status: 'down', responseTime: 0 };
+
+describe('AlertRuleEngine.evaluateRule', () => {
+  const engine = new AlertRuleEngine();
+  let state;
+
+  const check = (result, at, rules = rule(), failures = result.status === 'down' ? 1 : 0) =>
+    engine.evaluateRule(app(failures), null, rules, state, result, new Map(), at);
+
+  beforeEach(() => {
+    state = new AlertState({ appId: 'app_1', userId: 'user_1', ruleKey: 'rule_1' });
+  });
+
+  test('stays quiet while the app is healthy', async () => {
+    expect(await check(up, start)).toBeNull();
+    expect(state.status).toBe('ok');
+  });
+
+  test('alerts at once when the rule has no duration', async () => {
+    const notification = await check(down, start);
+
+    expect(notification).toEqual({ kind: 'alert', condition: 'downtime', reason: 'Down for 1 consecutive check' });
+    expect(state.status).toBe('firing');
+    expect(state.firedAt).toEqual(start);
+  });
+
+  test('waits until a condition has held for the rule duration', async () => {
+    const rules = rule({ for: 120 });
+
+    expect(await check(down, start, rules)).toBeNull();
+    expect(state.pending.get('downtime')).toEqual(start);
+    expect(await check(down, after(60), rules)).toBeNull();
+
+    const notification = await check(down, after(120), rules);
+    expect(notification).toMatchObject({ kind: 'alert', condition: 'downtime' });
+    expect(notification.reason).toMatch(/ for 2 minutes$/);
+  });
+
+  test('starts the duration over when the condition clears', async () => {
+    const rules = rule({ for: 120 });
+
+    await check(down, start, rules);
+    await check(up, after(60), rules);
+    expect(state.pending.has('downtime')).toBe(false);
+
+    expect(await check(down, after(120), rules)).toBeNull();
+    expect(state.status).toBe('ok');
+  });
+
+  test('reminds at the reminder interval while the rule keeps firing', async () => {
+    const rules = rule({ reminderInterval: 300 });
+
+    await check(down, start, rules);
+    expect(await check(down, after(60), rules)).toBeNull();
+
+    const reminder = await check(down, after(300), rules);
+    expect(reminder).toMatchObject({ kind: 'reminder', condition: 'downtime' });
+    expect(reminder.reason).toMatch(/\(5 minutes since the first alert\)$/);
+    expect(state.reminders).toBe(1);
+    expect(state.lastNotifiedAt).toEqual(after(300));
+  });
+
+  test('never reminds without a reminder interval', async () => {
+    await check(down, start);
+
+    expect(await check(down, after(86400))).toBeNull();
+  });
+
+  test('alerts again when a more serious condition starts', async () => {
+    expect(await check(slow, start)).toMatchObject({ kind: 'alert', condition: 'slowResponse' });
+
+    const escalated = await check(down, after(30));
+    expect(escalated).toMatchObject({ kind: 'alert', condition: 'downtime' });
+    expect(state.condition).toBe('downtime');
+
+    // A less serious condition while down is not a new alert
+    expect(await check(slow, after(60))).toBeNull();
+    expect(state.condition).toBe('downtime');
+  });
+
+  test('sends a recovery once nothing holds', async () => {
+    await check(down, start);
+
+    const recovery = await check(up, after(90));
+    expect(recovery).toEqual({ kind: 'recovery', condition: 'downtime', reason: 'Recovered after 90 seconds' });
+    expect(state.status).toBe('ok');
+    expect(state.resolvedAt).toEqual(after(90));
+  });
+
+  test('recovers silently when the rule opts out of recoveries', async () => {
+    const rules = rule({ notifyRecovery: false });
+    await check(down, start, rules);
+
+    expect(await check(up, after(90), rules)).toBeNull();
+    expect(state.status).toBe('ok');
+  });
+
+  test('pauses alerts while the app flaps and resumes once it settles', async () => {
+    let flapping;
+    // FLAP_START changes between alternating checks need FLAP_START + 1 checks
+    for (let i = 0; i <= FLAP_START; i++) {
+      flapping = await check(i % 2 === 0 ? down : up, after(i * 30));
+    }
+
+    expect(flapping).toMatchObject({ kind: 'flapping' });
+    expect(flapping.reason).toMatch(/alerts are paused/);
+    expect(state.flapping).toBe(true);
+
+    expect(await check(down, after((FLAP_START + 1) * 30))).toBeNull();
+    expect(await check(up, after((FLAP_START + 2) * 30))).toBeNull();
+
+    // Enough steady checks push the changes out of the history
+    let resumed = null;
+    for (let i = 0; i < 20 && state.flapping; i++) {
+      resumed = await check(down, after((FLAP_START + 3 + i) * 30));
+    }
+    expect(state.flapping).toBe(false);
+    expect(resumed).toMatchObject({ kind: 'alert', condition: 'downtime' });
+  });
+
+  test('counts down only after the failure threshold', async () => {
+    const rules = rule({ conditions: { failureThreshold: 3 } });
+
+    expect(await check(down, start, rules, 2)).toBeNull();
+    expect(await check(down, after(30), rules, 3)).toMatchObject({ kind: 'alert', condition: 'downtime' });
+  });
+});
+
+describe('AlertRuleEngine.evaluate', () => {
+  const engine = new AlertRuleEngine();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('evaluates each enabled rule against its saved state and forgets removed rules', async () => {
+    const firing = new AlertState({ appId: 'app_1', userId: 'user_1', ruleKey: 'rule_a' });
+    firing.fire('downtime', 'Down', start);
+
+    jest.spyOn(AlertState, 'find').mockResolvedValue([firing]);
+    const deleteMany = jest.spyOn(AlertState, 'deleteMany').mockResolvedValue({});
+    const save = jest.spyOn(AlertState.prototype, 'save').mockImplementation(async function() { return this; });
+
+    const monitored = app(0);
+    monitored.monitoring.alerts = [
+      { _id: 'rule_a', ...rule() },
+      { _id: 'rule_b', ...rule({ conditions: { slowResponse: { enabled: true, threshold: 100 } } }) },
+      { _id: 'rule_c', ...rule(), enabled: false }
+    ];
+
+    const notifications = await engine.evaluate(monitored, null, up, after(60));
+
+    expect(notifications.map(({ rule: { _id }, kind, condition }) => ({ _id, kind, condition }))).toEqual([
+      { _id: 'rule_a', kind: 'recovery', condition: 'downtime' },
+      { _id: 'rule_b', kind: 'alert', condition: 'slowResponse' }
+    ]);
+    expect(save).toHaveBeenCalledTimes(2);
+    expect(deleteMany).toHaveBeenCalledWith({ appId: 'app_1', ruleKey: { $nin: ['rule_a', 'rule_b'] } });
+  });
+
+  test('falls back to a default rule when the app has none', async () => {
+    jest.spyOn(AlertState, 'find').mockResolvedValue([]);
+    jest.spyOn(AlertState, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(AlertState.prototype, 'save').mockImplementation(async function() { return this; });
+
+    const notifications = await engine.evaluate(app(3), null, down, start);
+
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0]).toMatchObject({ kind: 'alert', condition: 'downtime', rule: { name: 'Default' } });
+  });
+});
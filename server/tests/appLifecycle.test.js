@@ -0,0 +1,107 @@
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import Job from '../models/Job.js';
+import { JobQueue } from '../services/JobQueue.js';
+import { AppLifecycleService } from '../services/AppLifecycleService.js';
+import { MonitoringService } from '../services/MonitoringService.js';
+import { registerJobHandlers } from '../jobs/index.js';
+import { stubSave } from './helpers.js';
+
+// An app marked "restarting" is skipped by monitoring, so every way a
+// restart can go wrong must release the marker
+
+const appFor = (fields = {}) => new DeployedApp({
+  appId: 'app_1',
+  userId: 'user_1',
+  appName: 'Shop',
+  lowCodePlatform: 'custom',
+  deploymentStatus: 'deployed',
+  healthStatus: 'up',
+  deployment: { provider: 'vercel' },
+  ...fields
+});
+
+let lifecycle;
+
+beforeEach(() => {
+  lifecycle = new AppLifecycleService(null);
+  stubSave(DeployedApp);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AppLifecycleService', () => {
+  test('marks the app restarting once the restart is queued', async () => {
+    const app = appFor();
+    jest.spyOn(JobQueue, 'enqueue').mockResolvedValue({ jobId: 'job_1' });
+
+    await lifecycle.queueAction(app, 'restart');
+
+    expect(app.healthStatus).toBe('restarting');
+  });
+
+  test('restores the health status when the job cannot be queued', async () => {
+    const app = appFor();
+    jest.spyOn(JobQueue, 'enqueue').mockRejectedValue(new Error('Connection closed'));
+
+    await expect(lifecycle.queueAction(app, 'restart')).rejects.toThrow('Connection closed');
+
+    expect(app.healthStatus).toBe('up');
+  });
+
+  test('releases the marker when the provider cannot be found', async () => {
+    const app = appFor({ healthStatus: 'restarting', deployment: { provider: 'gcp' } });
+
+    await expect(lifecycle.runAction(app, 'restart')).rejects.toThrow('Unknown deployment provider: gcp');
+
+    expect(app.healthStatus).toBe('unknown');
+  });
+
+  test('releases the marker when the action is no longer allowed', async () => {
+    const app = appFor({ healthStatus: 'restarting', deploymentStatus: 'failed' });
+
+    const result = await lifecycle.runAction(app, 'restart');
+
+    expect(result).toEqual({ skipped: true, reason: 'Only deployed apps can be restarted' });
+    expect(app.healthStatus).toBe('unknown');
+  });
+});
+
+describe('restart jobs that fail for good', () => {
+  test('release the marker when the worker died on the only attempt', async () => {
+    const app = appFor({ healthStatus: 'restarting' });
+    const job = new Job({ type: 'restart-app', payload: { appId: 'app_1' }, state: 'running', attempts: 2, maxAttempts: 1 });
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(job);
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(DeployedApp, 'findOne').mockResolvedValue(app);
+
+    const queue = registerJobHandlers(new JobQueue({ workerId: 'worker_test' }), { io: null });
+
+    expect(await queue.claim()).toBeNull();
+    expect(app.healthStatus).toBe('unknown');
+  });
+});
+
+describe('MonitoringService.checkAppHealth', () => {
+  const monitoring = new MonitoringService(null);
+
+  test('leaves an app alone while its restart job is pending', async () => {
+    jest.spyOn(Job, 'exists').mockResolvedValue({ _id: 'job' });
+    const probe = jest.spyOn(monitoring, 'probeApp');
+
+    await monitoring.checkAppHealth(appFor({ healthStatus: 'restarting' }));
+
+    expect(probe).not.toHaveBeenCalled();
+  });
+
+  test('checks an app again once no restart job is left to release it', async () => {
+    jest.spyOn(Job, 'exists').mockResolvedValue(null);
+    const probe = jest.spyOn(monitoring, 'probeApp').mockResolvedValue({ status: 'unknown', error: 'No URL' });
+
+    await monitoring.checkAppHealth(appFor({ healthStatus: 'restarting' }));
+
+    expect(probe).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,131 @@
+import {
+  validateAssertion,
+  evaluateAssertions,
+  matchRegExp,
+  REGEX_INPUT_LIMIT
+} from '../utils/assertions.js';
+
+const response = (overrides = {}) => ({
+  statusCode: 200,
+  headers: { 'content-type': 'application/json; charset=utf-8' },
+  body: JSON.stringify({ status: 'ok', checks: [{ name: 'db', healthy: true }], version: 3 }),
+  responseTime: 120,
+  ...overrides
+});
+
+describe('validateAssertion', () => {
+  test('accepts well-formed assertions', () => {
+    expect(validateAssertion({ type: 'status_code', value: '200, 3xx' })).toBeNull();
+    expect(validateAssertion({ type: 'body_contains', value: 'ok' })).toBeNull();
+    expect(validateAssertion({ type: 'body_regex', value: '/"status":\\s*"ok"/i' })).toBeNull();
+    expect(validateAssertion({ type: 'json_path', property: '$.checks[0].healthy', value: 'true' })).toBeNull();
+    expect(validateAssertion({ type: 'header', property: 'Content-Type', value: 'json' })).toBeNull();
+    expect(validateAssertion({ type: 'max_response_time', value: 500 })).toBeNull();
+  });
+
+  test('rejects unknown types and missing values', () => {
+    expect(validateAssertion({ type: 'ping' })).toBe('Unknown assertion type "ping"');
+    expect(validateAssertion({ type: 'status_code', value: '600' })).toMatch(/status_code/);
+    expect(validateAssertion({ type: 'body_contains' })).toBe('body_contains assertions need a value');
+    expect(validateAssertion({ type: 'header' })).toMatch(/header name/);
+    expect(validateAssertion({ type: 'max_response_time', value: 0 })).toMatch(/limit/);
+  });
+
+  test('rejects invalid and oversized patterns', () => {
+    expect(validateAssertion({ type: 'body_regex', value: '(' })).toMatch(/^Invalid body_regex pattern/);
+    expect(validateAssertion({ type: 'body_regex', value: 'a'.repeat(1001) })).toMatch(/at most 1000 characters/);
+  });
+});
+
+describe('evaluateAssertions', () => {
+  test('passes when every assertion holds', () => {
+    const result = evaluateAssertions([
+      { type: 'status_code', value: '2xx' },
+      { type: 'body_contains', value: '"ok"' },
+      { type: 'body_not_contains', value: 'error' },
+      { type: 'body_regex', value: '/"STATUS":\\s*"ok"/i' },
+      { type: 'json_path', property: '$.version', value: '3' },
+      { type: 'header', property: 'Content-Type', value: 'JSON' },
+      { type: 'max_response_time', value: 500 }
+    ], response());
+
+    expect(result).toBeNull();
+  });
+
+  test('reports the failing assertion without copying response content', () => {
+    const json = evaluateAssertions([
+      { type: 'json_path', property: '$.status', value: '"degraded"' }
+    ], response());
+
+    expect(json).toEqual({
+      type: 'json_path',
+      property: '$.status',
+      expected: '"degraded"',
+      actual: undefined,
+      message: '$.status is not "degraded"',
+      status: 'down'
+    });
+
+    const header = evaluateAssertions([
+      { type: 'header', property: 'Content-Type', value: 'text/html' }
+    ], response({ headers: { 'content-type': '<script>alert(1)</script>' } }));
+
+    expect(header.message).toBe('Header Content-Type does not contain "text/html"');
+    expect(header.actual).toBeUndefined();
+  });
+
+  test('keeps the status code a status assertion saw', () => {
+    const result = evaluateAssertions([{ type: 'status_code', value: '200' }], response({ statusCode: 503 }));
+
+    expect(result).toMatchObject({ actual: '503', message: 'Expected status 200, got 503' });
+  });
+
+  test('skips disabled assertions', () => {
+    expect(evaluateAssertions([{ type: 'status_code', value: '500', enabled: false }], response())).toBeNull();
+  });
+
+  test('reports failures that take the app down before latency warnings', () => {
+    const result = evaluateAssertions([
+      { type: 'max_response_time', value: 50 },
+      { type: 'status_code', value: '200' }
+    ], response({ statusCode: 503 }));
+
+    expect(result).toMatchObject({ type: 'status_code', status: 'down' });
+
+    const slow = evaluateAssertions([{ type: 'max_response_time', value: 50 }], response());
+    expect(slow).toMatchObject({ type: 'max_response_time', status: 'warning' });
+  });
+
+  test('fails JSON assertions on a body that is not JSON', () => {
+    const result = evaluateAssertions([
+      { type: 'json_path', property: '$.status', value: '"ok"' }
+    ], response({ body: '<html>' }));
+
+    expect(result.message).toBe('Response body is not valid JSON');
+  });
+
+  test('only matches patterns against the start of a large body', () => {
+    const body = `${'x'.repeat(REGEX_INPUT_LIMIT)}needle`;
+    const result = evaluateAssertions([{ type: 'body_regex', value: 'needle' }], response({ body }));
+
+    expect(result.message).toBe('Response body does not match needle in its first 64KB');
+  });
+
+  test('fails a pattern that takes too long instead of blocking', () => {
+    const result = evaluateAssertions([
+      { type: 'body_regex', value: '^(a+)+$' }
+    ], response({ body: `${'a'.repeat(40)}!` }));
+
+    expect(result).toMatchObject({ type: 'body_regex', status: 'down' });
+    expect(result.message).toMatch(/took longer than/);
+  });
+});
+
+describe('matchRegExp', () => {
+  test('returns the match like String.prototype.match', () => {
+    const match = matchRegExp(/token=(\w+)/, 'id=1 token=abc123');
+
+    expect(match[1]).toBe('abc123');
+    expect(matchRegExp(/missing/, 'text')).toBeNull();
+  });
+});
@@ -0,0 +1,146 @@
+import axios from 'axios';
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import Incident from '../models/Incident.js';
+import { CertificateService } from '../services/CertificateService.js';
+
+// Certificate and domain expiry incidents open as thresholds are crossed and
+// close once the certificate is healthy again
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const certificateFor = (daysRemaining, overrides = {}) => ({
+  issuer: "Let's Encrypt",
+  validTo: new Date(Date.now() + daysRemaining * DAY + 60 * 60 * 1000),
+  daysRemaining,
+  chainValid: true,
+  hostnameMatch: true,
+  ...overrides
+});
+
+const newApp = () => new DeployedApp({
+  appId: 'app_1',
+  userId: 'user_1',
+  appName: 'Shop',
+  lowCodePlatform: 'custom',
+  deployment: { provider: 'vercel', url: 'https://shop.example.co.uk' }
+});
+
+const service = new CertificateService(null);
+let opened;
+let resolved;
+
+beforeEach(() => {
+  opened = [];
+  resolved = [];
+  jest.spyOn(Incident, 'open').mockImplementation(async (app, type, severity, description) => {
+    opened.push({ type, severity, description });
+  });
+  jest.spyOn(Incident, 'resolveOpen').mockImplementation(async (appId, types, message) => {
+    resolved.push(message);
+    return 1;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Run the evaluation with the certificate as inspected
+const evaluate = async (app, certificate) => {
+  Object.assign(app.monitoring.certificate, certificate);
+  opened = [];
+  resolved = [];
+  await service.evaluateCertificate(app);
+};
+
+describe('CertificateService.evaluateCertificate', () => {
+  test('opens an expiry incident per threshold crossed', async () => {
+    const app = newApp();
+
+    await evaluate(app, certificateFor(20));
+    expect(opened).toEqual([expect.objectContaining({ type: 'ssl_issue', severity: 'low' })]);
+    expect(app.monitoring.certificate.notifiedThreshold).toBe(30);
+
+    await evaluate(app, certificateFor(19));
+    expect(opened).toEqual([]);
+
+    await evaluate(app, certificateFor(6));
+    expect(opened).toEqual([expect.objectContaining({ severity: 'high' })]);
+    expect(opened[0].description).toMatch(/expires in 6 days/);
+  });
+
+  test('resolves a problem incident once the certificate validates again, still within a threshold', async () => {
+    const app = newApp();
+
+    await evaluate(app, certificateFor(10));
+    await evaluate(app, certificateFor(10, { chainValid: false, chainError: 'UNABLE_TO_VERIFY_LEAF_SIGNATURE' }));
+    expect(opened).toEqual([expect.objectContaining({ severity: 'critical' })]);
+
+    await evaluate(app, certificateFor(10));
+
+    expect(resolved).toContain('Certificate is valid again');
+    expect(app.monitoring.certificate.notifiedProblem).toBeUndefined();
+    // The expiry incident the problem superseded is back
+    expect(opened).toEqual([expect.objectContaining({ severity: 'medium' })]);
+    expect(app.monitoring.certificate.notifiedThreshold).toBe(14);
+  });
+
+  test('resolves a problem incident once the certificate is renewed', async () => {
+    const app = newApp();
+
+    await evaluate(app, certificateFor(60, { hostnameMatch: false }));
+    expect(opened[0].description).toMatch(/does not cover shop\.example\.co\.uk/);
+
+    await evaluate(app, certificateFor(89));
+
+    expect(resolved).toEqual(['Certificate is valid again']);
+    expect(opened).toEqual([]);
+    expect(app.monitoring.certificate.notifiedProblem).toBeUndefined();
+  });
+
+  test('resolves the expiry incident once the certificate is renewed', async () => {
+    const app = newApp();
+
+    await evaluate(app, certificateFor(3));
+    await evaluate(app, certificateFor(89));
+
+    expect(resolved).toEqual(['Certificate was renewed']);
+    expect(app.monitoring.certificate.notifiedThreshold).toBeUndefined();
+  });
+});
+
+describe('CertificateService.lookupDomain', () => {
+  const rdapAnswer = {
+    status: 200,
+    data: {
+      events: [{ eventAction: 'expiration', eventDate: new Date(Date.now() + 40 * DAY + 60 * 60 * 1000).toISOString() }],
+      entities: [{ roles: ['registrar'], vcardArray: ['vcard', [['fn', {}, 'text', 'Nominet']]] }]
+    }
+  };
+
+  test('looks up the registered domain under a multi-label public suffix', async () => {
+    const get = jest.spyOn(axios, 'get').mockResolvedValue(rdapAnswer);
+
+    const domain = await service.lookupDomain('shop.example.co.uk');
+
+    expect(get).toHaveBeenCalledWith('https://rdap.org/domain/example.co.uk', expect.any(Object));
+    expect(domain).toEqual(expect.objectContaining({ name: 'example.co.uk', registrar: 'Nominet', daysRemaining: 40 }));
+  });
+
+  test('looks up subdomains of ordinary domains by their registered domain', async () => {
+    const get = jest.spyOn(axios, 'get').mockResolvedValue(rdapAnswer);
+
+    await service.lookupDomain('www.status.example.com');
+
+    expect(get).toHaveBeenCalledWith('https://rdap.org/domain/example.com', expect.any(Object));
+  });
+
+  test('refuses names that are not registered domains', async () => {
+    const get = jest.spyOn(axios, 'get');
+
+    await expect(service.lookupDomain('co.uk')).rejects.toThrow('co.uk is not a registered domain name');
+    await expect(service.lookupDomain('203.0.113.7')).rejects.toThrow('203.0.113.7 is not a registered domain name');
+    expect(get).not.toHaveBeenCalled();
+  });
+});
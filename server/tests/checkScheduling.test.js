@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import { MonitoringService } from '../services/MonitoringService.js';
+
+// Each app is checked on its own interval from monitoring.nextCheckAt, with
+// jitter so apps sharing an interval do not all run in the same second
+
+const now = new Date('2026-10-01T12:00:00Z');
+
+const appWith = (healthCheckInterval, nextCheckAt) => {
+  const app = new DeployedApp({
+    appId: `app_${healthCheckInterval}`,
+    userId: 'user_1',
+    appName: 'Shop',
+    lowCodePlatform: 'custom',
+    deploymentStatus: 'deployed',
+    deployment: { provider: 'vercel', url: 'https://shop.example.com' },
+    configuration: { healthCheckInterval }
+  });
+  app.monitoring.nextCheckAt = nextCheckAt;
+  return app;
+};
+
+const secondsFromNow = (date) => (date - now) / 1000;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DeployedApp check scheduling', () => {
+  test('schedules the next check one interval ahead, give or take 10%', () => {
+    const app = appWith(60);
+
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(secondsFromNow(app.scheduleNextCheck(now))).toBe(54);
+
+    Math.random.mockReturnValue(0.5);
+    expect(secondsFromNow(app.scheduleNextCheck(now))).toBe(60);
+    expect(app.monitoring.nextCheckAt).toEqual(new Date(now.getTime() + 60 * 1000));
+  });
+
+  test('never jitters by more than 30 seconds', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect(secondsFromNow(appWith(3600).scheduleNextCheck(now))).toBe(3630);
+  });
+
+  test('spreads the first check over the first interval', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.25);
+
+    expect(secondsFromNow(appWith(120).spreadFirstCheck(now))).toBe(30);
+  });
+
+  test('finds apps that are due or were never scheduled, most overdue first', () => {
+    const query = { sort: jest.fn(() => query), limit: jest.fn(() => query) };
+    const find = jest.spyOn(DeployedApp, 'find').mockReturnValue(query);
+
+    DeployedApp.findAppsForMonitoring(50);
+
+    const [{ monitoringEnabled, isActive, $and }] = find.mock.calls[0];
+    expect([monitoringEnabled, isActive]).toEqual([true, true]);
+    expect($and[1].$or).toEqual([
+      { 'monitoring.nextCheckAt': { $lte: expect.any(Date) } },
+      { 'monitoring.nextCheckAt': { $exists: false } }
+    ]);
+    expect(query.sort).toHaveBeenCalledWith({ 'monitoring.nextCheckAt': 1 });
+    expect(query.limit).toHaveBeenCalledWith(50);
+  });
+});
+
+describe('MonitoringService.performMonitoringChecks', () => {
+  test('books the next slot, then checks only the apps that were due', async () => {
+    const service = new MonitoringService(null);
+    const due = appWith(60, new Date(Date.now() - 1000));
+    const unscheduled = appWith(300);
+    jest.spyOn(DeployedApp, 'findAppsForMonitoring').mockResolvedValue([due, unscheduled]);
+    const bulkWrite = jest.spyOn(DeployedApp, 'bulkWrite').mockResolvedValue({});
+    const checkAppHealth = jest.spyOn(service, 'checkAppHealth').mockResolvedValue();
+
+    await service.performMonitoringChecks();
+
+    expect(bulkWrite.mock.calls[0][0]).toEqual([due, unscheduled].map(app => ({
+      updateOne: {
+        filter: { _id: app._id },
+        update: { $set: { 'monitoring.nextCheckAt': app.monitoring.nextCheckAt } }
+      }
+    })));
+    expect(due.monitoring.nextCheckAt.getTime()).toBeGreaterThan(Date.now() + 50 * 1000);
+    expect(unscheduled.monitoring.nextCheckAt.getTime()).toBeLessThanOrEqual(Date.now() + 300 * 1000);
+    expect(checkAppHealth.mock.calls.map(([app]) => app)).toEqual([due]);
+  });
+
+  test('skips a round while the previous one is still running', async () => {
+    const service = new MonitoringService(null);
+    const find = jest.spyOn(DeployedApp, 'findAppsForMonitoring').mockResolvedValue([]);
+    service.checksInProgress = true;
+
+    await service.performMonitoringChecks();
+
+    expect(find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,187 @@
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import EscalationPolicy from '../models/EscalationPolicy.js';
+import Incident from '../models/Incident.js';
+import OnCallSchedule from '../models/OnCallSchedule.js';
+import User from '../models/User.js';
+import { EscalationService } from '../services/EscalationService.js';
+import { stubSave } from './helpers.js';
+
+// Unacknowledged incidents page each level of their app's escalation
+// policy in turn, reaching whoever is on call
+
+const start = new Date('2026-10-05T07:00:00Z'); // Monday 09:00 in Amsterdam
+const after = (minutes) => new Date(start.getTime() + minutes * 60 * 1000);
+
+const schedule = () => new OnCallSchedule({
+  scheduleId: 'oncall_1',
+  userId: 'user_1',
+  name: 'Platform',
+  timezone: 'Europe/Amsterdam',
+  rotationLength: 'weekly',
+  rotationStart: new Date('2026-09-28T07:00:00Z'), // Monday 09:00
+  participants: [
+    { name: 'Ada', email: 'ada@example.com', phone: '+31600000001' },
+    { name: 'Grace', email: 'grace@example.com', phone: '+31600000002' }
+  ]
+});
+
+const policy = (fields = {}) => new EscalationPolicy({
+  policyId: 'esc_1',
+  userId: 'user_1',
+  name: 'Platform',
+  levels: [
+    { delay: 0, targets: [{ type: 'email', recipient: 'ops@example.com' }] },
+    { delay: 10, targets: [{ type: 'schedule', scheduleId: 'oncall_1', channel: 'sms' }] }
+  ],
+  repeat: 1,
+  ...fields
+});
+
+const user = () => new User({
+  userId: 'user_1',
+  email: 'owner@example.com',
+  password: 'secret-password',
+  firstName: 'Olive',
+  lastName: 'Owner',
+  extraPhones: [{ number: '+31600000002', verified: true }]
+});
+
+const incidentAt = (fields = {}) => new Incident({
+  incidentId: 'incident_1',
+  appId: 'app_1',
+  userId: 'user_1',
+  type: 'downtime',
+  severity: 'high',
+  description: 'Application is down',
+  startTime: start,
+  escalation: { policyId: 'esc_1' },
+  ...fields
+});
+
+let notificationService;
+let service;
+let incident;
+let currentPolicy;
+let owner;
+
+beforeEach(() => {
+  notificationService = { sendAlert: jest.fn(async ({ rule }) => ({ sent: [rule.type] })) };
+  service = new EscalationService(notificationService);
+  incident = incidentAt();
+  currentPolicy = policy();
+  owner = user();
+
+  stubSave(Incident);
+  jest.spyOn(Incident, 'find').mockImplementation(() => ({ limit: async () => [incident] }));
+  jest.spyOn(EscalationPolicy, 'findOne').mockImplementation(async () => currentPolicy);
+  jest.spyOn(OnCallSchedule, 'findOne').mockImplementation(async () => schedule());
+  jest.spyOn(User, 'findOne').mockImplementation(async () => owner);
+  jest.spyOn(DeployedApp, 'findOne').mockResolvedValue(new DeployedApp({
+    appId: 'app_1',
+    userId: 'user_1',
+    appName: 'Shop',
+    lowCodePlatform: 'custom',
+    deployment: { provider: 'vercel', url: 'https://shop.example.com' },
+    healthStatus: 'down'
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const pages = () => notificationService.sendAlert.mock.calls.map(([{ rule }]) => rule);
+const escalations = () => incident.timeline.filter(event => event.type === 'escalated').map(event => event.message);
+
+describe('EscalationService.escalateDue', () => {
+  test('only looks at triggered incidents with a policy left to walk', async () => {
+    await service.escalateDue(start);
+
+    expect(Incident.find).toHaveBeenCalledWith({
+      status: 'triggered',
+      'escalation.policyId': { $exists: true },
+      'escalation.exhausted': false
+    });
+  });
+
+  test('pages each level once its delay has passed, then repeats the policy', async () => {
+    expect(await service.escalateDue(start)).toBe(1);
+    expect(pages()).toEqual([{ type: 'email', recipient: 'ops@example.com' }]);
+    expect(notificationService.sendAlert.mock.calls[0][0]).toEqual(expect.objectContaining({
+      kind: 'escalation',
+      reason: '"Application is down" has not been acknowledged for 0 minutes'
+    }));
+    expect(incident.escalation.level).toBe(1);
+
+    // The second level waits 10 minutes after the first
+    expect(await service.escalateDue(after(9))).toBe(0);
+    expect(await service.escalateDue(after(10))).toBe(1);
+    // Grace took over from Ada at Monday 09:00 and has a verified number
+    expect(pages()[1]).toEqual({ type: 'sms', recipient: '+31600000002' });
+    expect(incident.escalation).toEqual(expect.objectContaining({ level: 0, cycle: 1, exhausted: false }));
+
+    await service.escalateDue(after(10));
+    await service.escalateDue(after(20));
+    expect(incident.escalation.exhausted).toBe(true);
+
+    expect(escalations()).toEqual([
+      'Level 1: email (ops@example.com) paged',
+      'Level 2: Grace (on call for Platform) paged',
+      'Level 1: email (ops@example.com) paged',
+      'Level 2: Grace (on call for Platform) paged'
+    ]);
+  });
+
+  test('does not text on-call numbers that are not verified on the account', async () => {
+    owner.extraPhones = [];
+    incident.escalation.level = 1;
+
+    await service.escalateDue(after(10));
+
+    expect(pages()).toEqual([]);
+    expect(escalations()).toEqual(['Level 2: Grace (on call for Platform) has a phone number that is not verified']);
+  });
+
+  test('stops for severities the policy does not cover', async () => {
+    incident.severity = 'low';
+
+    expect(await service.escalateDue(start)).toBe(0);
+
+    expect(pages()).toEqual([]);
+    expect(incident.escalation.exhausted).toBe(true);
+  });
+
+  test('stops when the policy was deleted', async () => {
+    currentPolicy = null;
+
+    await service.escalateDue(start);
+
+    expect(incident.escalation.exhausted).toBe(true);
+  });
+});
+
+describe('OnCallSchedule.onCallAt', () => {
+  test('hands off at the local time of the rotation start', () => {
+    const rotation = schedule();
+
+    expect(rotation.onCallAt(new Date('2026-10-05T06:59:00Z')).name).toBe('Ada');
+    expect(rotation.onCallAt(new Date('2026-10-05T07:00:00Z')).name).toBe('Grace');
+    // After daylight saving ends 09:00 in Amsterdam is 08:00 UTC
+    expect(rotation.onCallAt(new Date('2026-10-26T07:30:00Z')).name).toBe('Grace');
+    expect(rotation.onCallAt(new Date('2026-10-26T08:00:00Z')).name).toBe('Ada');
+    expect(rotation.onCallAt(new Date('2026-09-01T00:00:00Z'))).toBeNull();
+  });
+
+  test('puts whoever covers an override on call', () => {
+    const rotation = schedule();
+    rotation.overrides.push({
+      participant: { name: 'Linus', email: 'linus@example.com' },
+      startTime: new Date('2026-10-06T00:00:00Z'),
+      endTime: new Date('2026-10-07T00:00:00Z')
+    });
+
+    expect(rotation.onCallAt(new Date('2026-10-06T12:00:00Z'))).toEqual(expect.objectContaining({ name: 'Linus', override: true }));
+    expect(rotation.onCallAt(new Date('2026-10-07T12:00:00Z'))).toEqual(expect.objectContaining({ name: 'Grace', override: false }));
+  });
+});
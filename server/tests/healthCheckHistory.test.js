@@ -0,0 +1,112 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import HealthCheck from '../models/HealthCheck.js';
+import monitoringRoutes from '../routes/monitoring.js';
+import { MetricsCalculator } from '../services/MetricsCalculator.js';
+import { routerApp } from './helpers.js';
+
+// Every check result is kept in a time-series collection, queried per app
+// and summarized over the standard windows
+
+const server = routerApp('/api/monitoring', monitoringRoutes, { userId: 'user_1' });
+
+const app = new DeployedApp({
+  appId: 'app_1',
+  userId: 'user_1',
+  appName: 'Shop',
+  lowCodePlatform: 'custom',
+  deployment: { provider: 'vercel', url: 'https://shop.example.com' }
+});
+
+beforeEach(() => {
+  jest.spyOn(DeployedApp, 'findOne').mockImplementation(async ({ appId, userId }) =>
+    appId === app.appId && userId === app.userId ? app : null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('HealthCheck', () => {
+  test('is a time-series collection keyed by app and location', () => {
+    expect(HealthCheck.schema.options.timeseries).toEqual({ timeField: 'timestamp', metaField: 'meta', granularity: 'seconds' });
+    expect(HealthCheck.schema.options.expireAfterSeconds).toBe(30 * 24 * 60 * 60);
+  });
+
+  test('records a check result for the app and location', async () => {
+    const create = jest.spyOn(HealthCheck, 'create').mockImplementation(async (fields) => fields);
+    const checkedAt = new Date('2026-10-01T12:00:00Z');
+
+    await HealthCheck.record(app, {
+      status: 'warning',
+      responseTime: 250,
+      statusCode: 500,
+      error: null,
+      checkedAt,
+      failedAssertion: { type: 'status_code', expected: '200', actual: '500', message: 'Status code was 500', extra: 'dropped' }
+    }, 'eu');
+
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      timestamp: checkedAt,
+      meta: { appId: 'app_1', userId: 'user_1', location: 'eu' },
+      type: 'http',
+      status: 'warning',
+      responseTime: 250,
+      statusCode: 500,
+      error: undefined,
+      maintenance: false,
+      assertion: { type: 'status_code', property: undefined, expected: '200', actual: '500', message: 'Status code was 500' }
+    }));
+  });
+});
+
+describe('GET /apps/:appId/checks', () => {
+  const mockChecks = (documents) => {
+    const query = { sort: jest.fn(() => query), limit: jest.fn(() => query), lean: async () => documents };
+    jest.spyOn(HealthCheck, 'find').mockReturnValue(query);
+    return query;
+  };
+
+  test('filters by time, status and location, newest first', async () => {
+    const query = mockChecks([
+      { _id: 'hc_1', timestamp: '2026-10-01T12:00:00.000Z', meta: { appId: 'app_1', userId: 'user_1', location: 'eu' }, status: 'down', error: 'timeout' }
+    ]);
+
+    const response = await request(server)
+      .get('/api/monitoring/apps/app_1/checks?from=2026-10-01T00:00:00Z&to=2026-10-02T00:00:00Z&status=down&location=eu&limit=5000')
+      .expect(200);
+
+    expect(HealthCheck.find).toHaveBeenCalledWith({
+      'meta.appId': 'app_1',
+      timestamp: { $gte: new Date('2026-10-01T00:00:00Z'), $lte: new Date('2026-10-02T00:00:00Z') },
+      status: 'down',
+      'meta.location': 'eu'
+    });
+    expect(query.sort).toHaveBeenCalledWith({ timestamp: -1 });
+    expect(query.limit).toHaveBeenCalledWith(1000);
+    expect(response.body.data.checks).toEqual([
+      { timestamp: '2026-10-01T12:00:00.000Z', status: 'down', error: 'timeout', location: 'eu' }
+    ]);
+  });
+
+  test('are only shown for the user\'s own apps', async () => {
+    mockChecks([]);
+
+    await request(server).get('/api/monitoring/apps/app_2/checks').expect(404);
+
+    expect(HealthCheck.find).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /apps/:appId/uptime', () => {
+  test('summarizes the standard windows', async () => {
+    const windows = { '1h': { uptimePercentage: 100 }, '24h': { uptimePercentage: 99.5 } };
+    const summarize = jest.spyOn(MetricsCalculator.prototype, 'summarizeWindows').mockResolvedValue(windows);
+
+    const response = await request(server).get('/api/monitoring/apps/app_1/uptime').expect(200);
+
+    expect(summarize).toHaveBeenCalledWith('app_1');
+    expect(response.body.data).toEqual({ appId: 'app_1', windows });
+  });
+});
@@ -0,0 +1,120 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import heartbeatRoutes from '../routes/heartbeat.js';
+import { HeartbeatCheck } from '../services/checks/HeartbeatCheck.js';
+import { validateMonitor } from '../services/checks/index.js';
+import { routerApp, stubSave } from './helpers.js';
+
+// Jobs ping /api/heartbeat/:token; the heartbeat check judges the pings
+
+const MINUTE = 60 * 1000;
+
+const heartbeatApp = (heartbeat = {}, { createdAt = new Date(Date.now() - 2 * 60 * MINUTE) } = {}) => {
+  const app = new DeployedApp({
+    appId: 'app_1',
+    userId: 'user_1',
+    appName: 'Nightly export',
+    lowCodePlatform: 'zapier',
+    deployment: { provider: 'custom' },
+    configuration: { monitor: { type: 'heartbeat', token: 'hb_token', period: 3600, grace: 300 } }
+  });
+  Object.assign(app.monitoring.heartbeat, heartbeat);
+  app.createdAt = createdAt;
+  return app;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('heartbeat pings', () => {
+  const server = routerApp('/api/heartbeat', heartbeatRoutes);
+
+  test('answer 404 for an unknown token', async () => {
+    jest.spyOn(DeployedApp, 'findOne').mockResolvedValue(null);
+
+    const response = await request(server).get('/api/heartbeat/nope');
+
+    expect(response.status).toBe(404);
+    expect(response.body).toEqual({ success: false, error: 'Heartbeat not found' });
+  });
+
+  test('record a run from its start and success pings', async () => {
+    const app = heartbeatApp();
+    const findOne = jest.spyOn(DeployedApp, 'findOne').mockResolvedValue(app);
+    stubSave(DeployedApp);
+
+    await request(server).post('/api/heartbeat/hb_token/start').expect(200);
+    expect(findOne).toHaveBeenCalledWith(expect.objectContaining({ 'configuration.monitor.token': 'hb_token', isActive: true }));
+    expect(app.monitoring.heartbeat.startedAt).toBeInstanceOf(Date);
+
+    app.monitoring.heartbeat.startedAt = new Date(Date.now() - 90 * 1000);
+    const response = await request(server).get('/api/heartbeat/hb_token');
+
+    expect(response.body.data).toEqual(expect.objectContaining({ appId: 'app_1', kind: 'success' }));
+    expect(response.body.data.duration).toBeGreaterThanOrEqual(90 * 1000);
+    expect(app.monitoring.heartbeat).toEqual(expect.objectContaining({ pings: 2, lastStatus: 'success', startedAt: undefined }));
+    expect(app.monitoring.nextCheckAt).toEqual(app.monitoring.heartbeat.lastPingAt);
+  });
+
+  test('record a failure with its message', async () => {
+    const app = heartbeatApp();
+    jest.spyOn(DeployedApp, 'findOne').mockResolvedValue(app);
+    stubSave(DeployedApp);
+
+    await request(server).post('/api/heartbeat/hb_token/fail').send({ message: 'Export timed out' }).expect(200);
+
+    expect(app.monitoring.heartbeat).toEqual(expect.objectContaining({ lastStatus: 'fail', lastMessage: 'Export timed out' }));
+  });
+});
+
+describe('HeartbeatCheck', () => {
+  const check = new HeartbeatCheck();
+
+  test('validates period and grace', async () => {
+    expect(await validateMonitor({ type: 'heartbeat', period: 30 })).toBe('Heartbeat period must be between 60 and 2678400 seconds');
+    expect(await validateMonitor({ type: 'heartbeat', period: 3600, grace: -1 })).toBe('Heartbeat grace must be a number of seconds');
+    expect(await validateMonitor({ type: 'heartbeat', period: 3600 })).toBeNull();
+  });
+
+  test('waits one period for the first ping, then is down', async () => {
+    const waiting = await check.run(heartbeatApp({}, { createdAt: new Date(Date.now() - 30 * MINUTE) }));
+    expect(waiting).toEqual(expect.objectContaining({ status: 'unknown', error: 'Waiting for the first ping' }));
+
+    const missing = await check.run(heartbeatApp({}, { createdAt: new Date(Date.now() - 70 * MINUTE) }));
+    expect(missing.status).toBe('down');
+    expect(missing.error).toMatch(/^No ping received since /);
+  });
+
+  test('is up while pings arrive within period and grace', async () => {
+    const result = await check.run(heartbeatApp({ lastPingAt: new Date(Date.now() - 62 * MINUTE), lastStatus: 'success', lastDuration: 4000 }));
+
+    expect(result).toEqual(expect.objectContaining({ status: 'up', responseTime: 4000 }));
+  });
+
+  test('is down once a ping is later than period and grace', async () => {
+    const result = await check.run(heartbeatApp({ lastPingAt: new Date(Date.now() - 66 * MINUTE), lastStatus: 'success' }));
+
+    expect(result.status).toBe('down');
+    expect(result.error).toMatch(/, expected every 3600s$/);
+  });
+
+  test('is down when the job reported a failure', async () => {
+    const result = await check.run(heartbeatApp({ lastPingAt: new Date(), lastStatus: 'fail', lastMessage: 'Export timed out' }));
+
+    expect(result.status).toBe('down');
+    expect(result.error).toMatch(/^Job reported a failure at .*: Export timed out$/);
+  });
+
+  test('is down when a run overruns its grace period', async () => {
+    const result = await check.run(heartbeatApp({
+      lastPingAt: new Date(Date.now() - 10 * MINUTE),
+      lastStatus: 'success',
+      startedAt: new Date(Date.now() - 6 * MINUTE)
+    }));
+
+    expect(result.status).toBe('down');
+    expect(result.error).toMatch(/has not finished$/);
+  });
+});
@@ -0,0 +1,21 @@
+import express from 'express';
+import { jest } from '@jest/globals';
+import { errorHandler } from '../middleware/errorHandler.js';
+
+// Mounts a router the way server/index.js does, with the given user standing
+// in for what authenticateToken would put on the request
+export const routerApp = (path, router, user) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(path, router);
+  app.use(errorHandler);
+  return app;
+};
+
+// Make save() on a model's documents a no-op that resolves to the document
+export const stubSave = (Model) =>
+  jest.spyOn(Model.prototype, 'save').mockImplementation(async function() { return this; });
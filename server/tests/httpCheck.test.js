@@ -0,0 +1,78 @@
+import http from 'http';
+import DeployedApp from '../models/DeployedApp.js';
+import { HttpCheck } from '../services/checks/HttpCheck.js';
+import { refusePrivateRedirect } from '../utils/safeUrl.js';
+
+// HTTP checks reach monitored apps only at public addresses, except for apps
+// the local provider serves from this host
+
+let server;
+let requests;
+let url;
+
+const appAt = (provider) => new DeployedApp({
+  appId: 'app_1',
+  userId: 'user_1',
+  appName: 'Shop',
+  lowCodePlatform: 'custom',
+  deployment: { provider, url },
+  configuration: { healthCheckPath: '/health' }
+});
+
+beforeAll(async () => {
+  server = http.createServer((request, response) => {
+    requests += 1;
+    response.end('ok');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+  requests = 0;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+describe('HttpCheck', () => {
+  const check = new HttpCheck();
+
+  test('does not request an app that resolves to a private address', async () => {
+    const result = await check.run(appAt('vercel'));
+
+    expect(result.status).toBe('unknown');
+    expect(result.error).toBe(`Not checking ${url}/health: 127.0.0.1 is a private or reserved address`);
+    expect(requests).toBe(0);
+  });
+
+  test('checks apps the local provider serves from this host', async () => {
+    const result = await check.run(appAt('local'));
+
+    expect(result.status).toBe('up');
+    expect(requests).toBe(1);
+  });
+
+  test('checks private addresses when they are allowed', async () => {
+    process.env.ALLOW_PRIVATE_NETWORK_REQUESTS = 'true';
+    try {
+      const result = await check.run(appAt('vercel'));
+
+      expect(result.status).toBe('up');
+    } finally {
+      delete process.env.ALLOW_PRIVATE_NETWORK_REQUESTS;
+    }
+  });
+});
+
+describe('refusePrivateRedirect', () => {
+  test('refuses redirects to private addresses given as IPs', () => {
+    expect(() => refusePrivateRedirect({ hostname: '169.254.169.254' }))
+      .toThrow('169.254.169.254 is a private or reserved address');
+    expect(() => refusePrivateRedirect({ hostname: '[::1]' })).toThrow(/private or reserved/);
+  });
+
+  test('leaves public addresses and host names to the agents', () => {
+    expect(() => refusePrivateRedirect({ hostname: '93.184.216.34' })).not.toThrow();
+    expect(() => refusePrivateRedirect({ hostname: 'example.com' })).not.toThrow();
+  });
+});
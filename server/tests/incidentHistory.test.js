@@ -0,0 +1,101 @@
+import request from 'supertest';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+import Incident from '../models/Incident.js';
+import Postmortem from '../models/Postmortem.js';
+import monitoringRoutes from '../routes/monitoring.js';
+import { MonitoringService } from '../services/MonitoringService.js';
+import { routerApp } from './helpers.js';
+
+// Incidents live in their own collection, listed with server-side filters
+// and cursor pagination and kept as long as INCIDENT_RETENTION_DAYS says
+
+const server = routerApp('/api/monitoring', monitoringRoutes, { userId: 'user_1' });
+
+const newIncident = (fields = {}) => new Incident({
+  incidentId: 'incident_1',
+  appId: 'app_1',
+  userId: 'user_1',
+  type: 'downtime',
+  severity: 'high',
+  status: 'resolved',
+  ...fields
+});
+
+afterEach(() => {
+  delete process.env.INCIDENT_RETENTION_DAYS;
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/monitoring/incidents', () => {
+  const incidentList = (count) => Array.from({ length: count }, (_, index) => newIncident({
+    _id: new mongoose.Types.ObjectId(),
+    incidentId: `incident_${index}`,
+    startTime: new Date(Date.now() - index * 60 * 1000)
+  }));
+
+  const mockFind = (incidents) => {
+    const limit = jest.fn().mockResolvedValue(incidents);
+    const sort = jest.fn().mockReturnValue({ limit });
+    const find = jest.spyOn(Incident, 'find').mockReturnValue({ sort });
+    return { find, sort, limit };
+  };
+
+  test('filters on the server and pages with a cursor', async () => {
+    const { find, sort, limit } = mockFind(incidentList(3));
+
+    const response = await request(server)
+      .get('/api/monitoring/incidents')
+      .query({ appId: 'app_1', severity: 'high', type: 'downtime', resolved: 'false', limit: 2 })
+      .expect(200);
+
+    expect(find).toHaveBeenCalledWith({ userId: 'user_1', appId: 'app_1', severity: 'high', type: 'downtime', status: { $ne: 'resolved' } });
+    expect(sort).toHaveBeenCalledWith({ startTime: -1, _id: -1 });
+    expect(limit).toHaveBeenCalledWith(3);
+    expect(response.body.data.incidents).toHaveLength(2);
+    expect(response.body.data.pagination).toEqual(expect.objectContaining({ limit: 2, hasMore: true, nextCursor: expect.any(String) }));
+
+    const next = mockFind([]);
+    await request(server).get('/api/monitoring/incidents').query({ cursor: response.body.data.pagination.nextCursor }).expect(200);
+
+    // Continues after the last incident of the page
+    const last = response.body.data.incidents[1];
+    const { $or } = next.find.mock.calls.at(-1)[0];
+    expect($or[0]).toEqual({ startTime: { $lt: new Date(last.startTime) } });
+    expect($or[1]._id.$lt.toString()).toBe(last._id);
+  });
+
+  test('ignores unknown filter values and refuses bad cursors', async () => {
+    const { find } = mockFind([]);
+
+    await request(server).get('/api/monitoring/incidents').query({ severity: 'apocalyptic', status: 'acknowledged' }).expect(200);
+    expect(find).toHaveBeenCalledWith({ userId: 'user_1', status: 'acknowledged' });
+
+    const response = await request(server).get('/api/monitoring/incidents').query({ cursor: 'not-a-cursor' }).expect(400);
+    expect(response.body.error).toBe('Invalid cursor');
+  });
+});
+
+describe('MonitoringService.cleanupOldData', () => {
+  const service = new MonitoringService(null);
+
+  test('keeps every incident unless a retention is configured', async () => {
+    const deleteMany = jest.spyOn(Incident, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+
+    await service.cleanupOldData();
+
+    expect(deleteMany).not.toHaveBeenCalled();
+  });
+
+  test('deletes resolved incidents past the retention that have no postmortem', async () => {
+    process.env.INCIDENT_RETENTION_DAYS = '365';
+    jest.spyOn(Postmortem, 'distinct').mockResolvedValue(['incident_7']);
+    const deleteMany = jest.spyOn(Incident, 'deleteMany').mockResolvedValue({ deletedCount: 3 });
+
+    await service.cleanupOldData();
+
+    const [query] = deleteMany.mock.calls[0];
+    expect(query).toEqual({ status: 'resolved', startTime: { $lt: expect.any(Date) }, incidentId: { $nin: ['incident_7'] } });
+    expect(Date.now() - query.startTime.$lt).toBeGreaterThanOrEqual(365 * 24 * 60 * 60 * 1000);
+  });
+});
@@ -0,0 +1,107 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import Incident from '../models/Incident.js';
+import monitoringRoutes from '../routes/monitoring.js';
+import { routerApp, stubSave } from './helpers.js';
+
+// Incidents go triggered -> acknowledged -> resolved and keep a timeline of
+// everything that happened to them
+
+const user = { userId: 'user_1' };
+const server = routerApp('/api/monitoring', monitoringRoutes, user);
+
+const newIncident = (fields = {}) => new Incident({
+  incidentId: 'incident_1',
+  appId: 'app_1',
+  userId: 'user_1',
+  type: 'downtime',
+  severity: 'high',
+  startTime: new Date(Date.now() - 5 * 60 * 1000),
+  timeline: [{ type: 'triggered', by: 'system', message: 'Application is down' }],
+  ...fields
+});
+
+let incident;
+
+beforeEach(() => {
+  incident = newIncident();
+  stubSave(Incident);
+  jest.spyOn(Incident, 'findOne').mockImplementation(async ({ incidentId, userId }) =>
+    incidentId === incident.incidentId && userId === incident.userId ? incident : null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const timelineTypes = () => incident.timeline.map(event => event.type);
+
+describe('incident lifecycle', () => {
+  test('acknowledging assigns the incident to the acknowledging user', async () => {
+    const response = await request(server).post('/api/monitoring/incidents/incident_1/ack').expect(200);
+
+    expect(response.body.data).toEqual(expect.objectContaining({ status: 'acknowledged', assignee: 'user_1', acknowledgedBy: 'user_1' }));
+    expect(timelineTypes()).toEqual(['triggered', 'acknowledged', 'assigned']);
+  });
+
+  test('acknowledging twice conflicts', async () => {
+    incident.status = 'acknowledged';
+
+    const response = await request(server).post('/api/monitoring/incidents/incident_1/ack').expect(409);
+
+    expect(response.body.error).toBe('Incident is already acknowledged');
+  });
+
+  test('acknowledging can name someone else, who can be reassigned later', async () => {
+    await request(server).post('/api/monitoring/incidents/incident_1/ack').send({ assignee: ' user_2 ' }).expect(200);
+    expect(incident.assignee).toBe('user_2');
+
+    await request(server).post('/api/monitoring/incidents/incident_1/assign').send({ assignee: 'user_3' }).expect(200);
+    expect(incident.assignee).toBe('user_3');
+    expect(incident.timeline.filter(event => event.type === 'assigned').map(event => event.message)).toEqual(['user_2', 'user_3']);
+
+    await request(server).post('/api/monitoring/incidents/incident_1/assign').send({ assignee: '' }).expect(400);
+  });
+
+  test('notes are added to the timeline', async () => {
+    await request(server).post('/api/monitoring/incidents/incident_1/notes').send({ message: ' Rolled back the release ' }).expect(201);
+
+    expect(incident.timeline[1]).toEqual(expect.objectContaining({ type: 'note', by: 'user_1', message: 'Rolled back the release' }));
+
+    const empty = await request(server).post('/api/monitoring/incidents/incident_1/notes').send({ message: '  ' }).expect(400);
+    expect(empty.body.error).toBe('Note message is required');
+  });
+
+  test('resolving records who resolved it and how long it lasted', async () => {
+    const response = await request(server).post('/api/monitoring/incidents/incident_1/resolve').send({ message: 'Fixed' }).expect(200);
+
+    expect(response.body.data).toEqual(expect.objectContaining({ status: 'resolved', resolved: true, resolvedBy: 'user_1' }));
+    expect(incident.duration).toBeGreaterThanOrEqual(5 * 60);
+    expect(incident.timeline[1]).toEqual(expect.objectContaining({ type: 'resolved', message: 'Fixed' }));
+
+    await request(server).post('/api/monitoring/incidents/incident_1/resolve').expect(409);
+    await request(server).post('/api/monitoring/incidents/incident_1/assign').send({ assignee: 'user_2' }).expect(409);
+  });
+
+  test('other users\' incidents are not found', async () => {
+    incident.userId = 'user_2';
+
+    const response = await request(server).get('/api/monitoring/incidents/incident_1').expect(404);
+
+    expect(response.body).toEqual({ success: false, error: 'Incident not found' });
+  });
+
+  test('open incidents of an app are resolved by the system once the cause goes away', async () => {
+    const open = [newIncident(), newIncident({ incidentId: 'incident_2', status: 'acknowledged' })];
+    const find = jest.spyOn(Incident, 'find').mockResolvedValue(open);
+
+    const resolved = await Incident.resolveOpen('app_1', ['downtime'], 'App recovered');
+
+    expect(resolved).toBe(2);
+    expect(find).toHaveBeenCalledWith({ appId: 'app_1', type: { $in: ['downtime'] }, status: { $ne: 'resolved' } });
+    open.forEach(item => {
+      expect(item).toEqual(expect.objectContaining({ status: 'resolved', resolvedBy: 'system' }));
+      expect(item.timeline[item.timeline.length - 1].message).toBe('App recovered');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+import Job from '../models/Job.js';
+import { JobQueue } from '../services/JobQueue.js';
+
+// Claims, retries and failures of queued jobs, with the Job collection stubbed
+
+const jobFor = (fields = {}) => new Job({ type: 'deploy', payload: { appId: 'app_1' }, ...fields });
+
+const updateOf = (updateOne, job) => updateOne.mock.calls.find(([filter]) => filter._id === job._id)?.[1];
+
+describe('JobQueue', () => {
+  let queue;
+  let updateOne;
+
+  beforeEach(() => {
+    queue = new JobQueue({ workerId: 'worker_test', visibilityTimeout: 1000 });
+    updateOne = jest.spyOn(Job, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('declares each index once', () => {
+    const jobIdIndexes = Job.schema.indexes().filter(([fields]) => Object.keys(fields).join() === 'jobId');
+
+    expect(jobIdIndexes).toEqual([[{ jobId: 1 }, expect.objectContaining({ unique: true })]]);
+  });
+
+  test('completes a job its handler finishes', async () => {
+    const job = jobFor({ attempts: 1 });
+    queue.register('deploy', async payload => ({ deployed: payload.appId }));
+
+    await queue.process(job);
+
+    expect(updateOf(updateOne, job).$set).toMatchObject({ state: 'completed', result: { deployed: 'app_1' } });
+  });
+
+  test('requeues a failed job with exponential backoff while attempts remain', async () => {
+    const job = jobFor({ attempts: 2, maxAttempts: 3, backoff: { type: 'exponential', delay: 1000 } });
+    queue.register('deploy', async () => { throw new Error('Provider timed out'); });
+
+    const before = Date.now();
+    await queue.process(job);
+
+    const { $set } = updateOf(updateOne, job);
+    expect($set).toMatchObject({ state: 'queued', lastError: 'Provider timed out' });
+    expect($set.runAt.getTime() - before).toBeGreaterThanOrEqual(2000);
+  });
+
+  test('fails a job on its last attempt', async () => {
+    const job = jobFor({ attempts: 3, maxAttempts: 3 });
+    queue.register('deploy', async () => { throw new Error('Provider timed out'); });
+
+    await queue.process(job);
+
+    expect(updateOf(updateOne, job).$set).toMatchObject({ state: 'failed', lastError: 'Provider timed out' });
+  });
+
+  test('fails a job whose lease expired more often than it may run', async () => {
+    const job = jobFor({ state: 'running', attempts: 2, maxAttempts: 1 });
+    jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(job);
+    queue.register('deploy', async () => ({}));
+
+    expect(await queue.claim()).toBeNull();
+    expect(updateOf(updateOne, job).$set).toMatchObject({ state: 'failed', lastError: 'Job lease expired too many times' });
+  });
+});
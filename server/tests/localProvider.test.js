@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import Deployment from '../models/Deployment.js';
+import DeploymentLog from '../models/DeploymentLog.js';
+import RestartAttempt from '../models/RestartAttempt.js';
+import { DeploymentService } from '../services/DeploymentService.js';
+import { AppLifecycleService } from '../services/AppLifecycleService.js';
+import { getProvider, providerNames } from '../services/providers/index.js';
+
+// Drives deploys, rollbacks and restart/stop/start through the local provider,
+// which builds a directory and serves it on a local port. Documents are kept
+// in memory; nothing here talks to MongoDB.
+
+// A fresh connection per request, so a server replaced by a new release is
+// never reached over a stale keep-alive socket
+const get = (url) => new Promise((resolve, reject) => {
+  http.get(url, { agent: false }, (response) => {
+    let body = '';
+    response.on('data', chunk => { body += chunk; });
+    response.on('end', () => resolve({ statusCode: response.statusCode, body }));
+  }).on('error', reject);
+});
+
+let root;
+let sourceDir;
+let app;
+
+const createApp = () => new DeployedApp({
+  appId: `app_test_${Date.now()}`,
+  userId: 'user_test',
+  appName: 'Local test',
+  lowCodePlatform: 'custom',
+  source: { type: 'git', repository: sourceDir, branch: 'main' },
+  deployment: { provider: 'local' },
+  configuration: { healthCheckPath: '/', maxRestartAttempts: 1 }
+});
+
+const writeRelease = (content) => fs.writeFile(path.join(sourceDir, 'index.html'), content);
+
+const deploy = async (service) => {
+  const deployment = await Deployment.fromApp(app, { userId: app.userId, type: 'user' });
+  return service.deployApp(app, deployment);
+};
+
+beforeAll(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'deploywise-test-'));
+  sourceDir = path.join(root, 'source');
+  await fs.mkdir(sourceDir);
+  process.env.LOCAL_DEPLOY_ROOT = path.join(root, 'deployments');
+  process.env.RESTART_VERIFY_INTERVAL = '50';
+  process.env.RESTART_VERIFY_TIMEOUT = '2000';
+});
+
+beforeEach(() => {
+  jest.spyOn(Deployment, 'create').mockImplementation(async fields => new Deployment(fields));
+  jest.spyOn(Deployment.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(DeployedApp.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(DeploymentLog, 'findOne').mockReturnValue({
+    sort: () => ({ select: () => ({ lean: async () => null }) })
+  });
+  jest.spyOn(DeploymentLog, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(RestartAttempt, 'create').mockImplementation(async fields => new RestartAttempt(fields));
+  jest.spyOn(RestartAttempt.prototype, 'save').mockImplementation(async function() { return this; });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(async () => {
+  if (app) {
+    await getProvider('local').destroy(app);
+  }
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+describe('local provider deployments', () => {
+  const service = new DeploymentService(null);
+
+  beforeAll(() => {
+    app = createApp();
+  });
+
+  test('deploys a release and serves it', async () => {
+    await writeRelease('release one');
+    const deployment = await deploy(service);
+
+    expect(deployment.status).toBe('deployed');
+    expect(deployment.providerDeploymentId).toBe(deployment.deploymentId);
+    expect(app.deploymentStatus).toBe('deployed');
+    expect(app.deployment.lastDeployment.status).toBe('deployed');
+
+    const response = await get(app.deployment.url);
+    expect(response.statusCode).toBe(200);
+    expect(response.body).toBe('release one');
+  });
+
+  test('rolls back by serving the earlier release again', async () => {
+    const [first] = await Promise.all([
+      Deployment.fromApp(app, { userId: app.userId }),
+      writeRelease('release one')
+    ]);
+    await service.deployApp(app, first);
+
+    await writeRelease('release two');
+    await deploy(service);
+    expect((await get(app.deployment.url)).body).toBe('release two');
+
+    expect(first.isReproducible(getProvider('local'))).toBe(true);
+    const rollback = await first.createRollback(app.userId);
+    expect(rollback.rollbackOf).toBe(first.deploymentId);
+    expect(rollback.promoteFrom).toBe(first.deploymentId);
+    expect(rollback.triggeredBy.type).toBe('rollback');
+
+    await service.deployApp(app, rollback);
+
+    expect(rollback.status).toBe('deployed');
+    expect(rollback.providerDeploymentId).toBe(first.deploymentId);
+    expect((await get(app.deployment.url)).body).toBe('release one');
+  });
+
+  test('fails a rollback to a release that is no longer on disk', async () => {
+    const gone = new Deployment({
+      appId: app.appId,
+      userId: app.userId,
+      provider: 'local',
+      status: 'deployed',
+      providerDeploymentId: 'dep_removed'
+    });
+
+    const rollback = await service.deployApp(app, await gone.createRollback(app.userId));
+
+    expect(rollback.status).toBe('failed');
+    expect(rollback.error).toMatch(/no longer on disk/);
+  });
+
+  test('fails a release whose build command fails', async () => {
+    app.deployment.buildCommand = 'exit 3';
+    try {
+      const deployment = await deploy(service);
+
+      expect(deployment.status).toBe('failed');
+      expect(deployment.error).toMatch(/exited with code 3/);
+      expect(app.deploymentStatus).toBe('failed');
+    } finally {
+      app.deployment.buildCommand = undefined;
+    }
+  });
+
+  test('fails a queued deployment whose provider has since been switched off', async () => {
+    const deployment = await Deployment.fromApp(app, { userId: app.userId });
+    const environment = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      await service.deployApp(app, deployment);
+    } finally {
+      process.env.NODE_ENV = environment;
+    }
+
+    expect(deployment.status).toBe('failed');
+    expect(deployment.error).toMatch(/local deployment provider is disabled/);
+    expect(app.deploymentStatus).toBe('failed');
+  });
+});
+
+describe('local provider lifecycle', () => {
+  const service = new DeploymentService(null);
+  let lifecycle;
+
+  beforeAll(() => {
+    lifecycle = new AppLifecycleService(null);
+  });
+
+  beforeEach(async () => {
+    await writeRelease('running');
+    await deploy(service);
+  });
+
+  test('stops and starts an app, checking it is healthy again', async () => {
+    const stopped = await lifecycle.runAction(app, 'stop');
+
+    expect(stopped.status).toBe('succeeded');
+    expect(app.deploymentStatus).toBe('stopped');
+    expect(app.healthStatus).toBe('down');
+    await expect(get(app.deployment.url)).rejects.toThrow();
+
+    const started = await lifecycle.runAction(app, 'start');
+
+    expect(started.status).toBe('succeeded');
+    expect(app.deploymentStatus).toBe('deployed');
+    expect(app.healthStatus).toBe('up');
+    expect((await get(app.deployment.url)).body).toBe('running');
+  });
+
+  test('restarts a deployed app on the same URL', async () => {
+    const url = app.deployment.url;
+    const restarted = await lifecycle.runAction(app, 'restart');
+
+    expect(restarted.status).toBe('succeeded');
+    expect(restarted.attempts).toBe(1);
+    expect(app.deployment.url).toBe(url);
+    expect((await get(url)).body).toBe('running');
+  });
+
+  test('refuses to start an app that is already running', async () => {
+    const result = await lifecycle.runAction(app, 'start');
+
+    expect(result).toEqual({ skipped: true, reason: 'Only stopped apps can be started' });
+  });
+});
+
+describe('provider registry', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env.NODE_ENV = env.NODE_ENV;
+    process.env.LOCAL_PROVIDER_ENABLED = env.LOCAL_PROVIDER_ENABLED ?? '';
+  });
+
+  test('offers the local provider only in tests or when switched on', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.LOCAL_PROVIDER_ENABLED = '';
+
+    expect(providerNames()).not.toContain('local');
+    expect(() => getProvider('local')).toThrow(/LOCAL_PROVIDER_ENABLED=true/);
+
+    process.env.LOCAL_PROVIDER_ENABLED = 'true';
+    expect(providerNames()).toContain('local');
+  });
+
+  test('rejects providers it does not know', () => {
+    expect(() => getProvider('gcp')).toThrow('Unknown deployment provider: gcp');
+  });
+});
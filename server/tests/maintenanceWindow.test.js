@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import { isValidTimezone, zonedParts, zonedTimeToUtc } from '../utils/timezone.js';
+
+// Recurring maintenance windows keep their local time in their timezone,
+// across daylight saving changes
+
+const iso = (occurrences) => occurrences.map(({ startTime, endTime }) => [startTime.toISOString(), endTime.toISOString()]);
+
+const windowFrom = (startTime, endTime, recurrence = {}, timezone = 'UTC') => new MaintenanceWindow({
+  appId: 'app_1',
+  userId: 'user_1',
+  title: 'Database upgrade',
+  timezone,
+  startTime: new Date(startTime),
+  endTime: new Date(endTime),
+  recurrence
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('timezone helpers', () => {
+  test('recognize IANA timezones', () => {
+    expect(isValidTimezone('Europe/Amsterdam')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+  });
+
+  test('read the local time of an instant', () => {
+    expect(zonedParts(new Date('2026-07-01T13:00:00Z'), 'America/New_York'))
+      .toEqual({ year: 2026, month: 7, day: 1, hour: 9, minute: 0, second: 0, weekday: 3 });
+    expect(zonedParts(new Date('2026-01-01T03:30:00Z'), 'Asia/Kolkata'))
+      .toEqual(expect.objectContaining({ day: 1, hour: 9, minute: 0 }));
+  });
+
+  test('convert local times to instants on either side of daylight saving', () => {
+    expect(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9 }, 'America/New_York').toISOString()).toBe('2026-01-15T14:00:00.000Z');
+    expect(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9 }, 'America/New_York').toISOString()).toBe('2026-07-15T13:00:00.000Z');
+    expect(zonedTimeToUtc({ year: 2026, month: 1, day: 1, hour: 9 }, 'Asia/Kolkata').toISOString()).toBe('2026-01-01T03:30:00.000Z');
+  });
+
+  test('move times skipped by clocks going forward past the jump', () => {
+    expect(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York').toISOString())
+      .toBe('2026-03-08T07:30:00.000Z'); // 03:30 EDT
+    expect(zonedTimeToUtc({ year: 2026, month: 3, day: 29, hour: 2, minute: 30 }, 'Europe/Berlin').toISOString())
+      .toBe('2026-03-29T01:30:00.000Z'); // 03:30 CEST
+    expect(zonedTimeToUtc({ year: 2026, month: 10, day: 4, hour: 2, minute: 15 }, 'Australia/Lord_Howe').toISOString())
+      .toBe('2026-10-03T15:45:00.000Z'); // 02:45 after a half-hour jump
+  });
+
+  test('resolve times repeated by clocks going back to one of them', () => {
+    const instant = zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York');
+
+    expect(['2026-11-01T05:30:00.000Z', '2026-11-01T06:30:00.000Z']).toContain(instant.toISOString());
+    expect(zonedParts(instant, 'America/New_York')).toEqual(expect.objectContaining({ hour: 1, minute: 30 }));
+  });
+});
+
+describe('MaintenanceWindow occurrences', () => {
+  test('one-off windows occur once', () => {
+    const window = windowFrom('2026-10-01T22:00:00Z', '2026-10-02T02:00:00Z');
+
+    expect(iso(window.occurrencesBetween('2026-10-01T00:00:00Z', '2026-10-31T00:00:00Z')))
+      .toEqual([['2026-10-01T22:00:00.000Z', '2026-10-02T02:00:00.000Z']]);
+    expect(window.occurrencesBetween('2026-10-02T02:00:00Z', '2026-10-03T00:00:00Z')).toEqual([]);
+  });
+
+  test('weekly windows keep their local time across the start of daylight saving', () => {
+    // Mondays 02:00-03:00 in New York; clocks go forward on Sunday 8 March
+    const window = windowFrom('2026-03-02T07:00:00Z', '2026-03-02T08:00:00Z', { frequency: 'weekly' }, 'America/New_York');
+
+    expect(iso(window.occurrencesBetween('2026-03-01T00:00:00Z', '2026-03-17T00:00:00Z'))).toEqual([
+      ['2026-03-02T07:00:00.000Z', '2026-03-02T08:00:00.000Z'],
+      ['2026-03-09T06:00:00.000Z', '2026-03-09T07:00:00.000Z'],
+      ['2026-03-16T06:00:00.000Z', '2026-03-16T07:00:00.000Z']
+    ]);
+  });
+
+  test('daily windows keep their local time across the end of daylight saving', () => {
+    // 23:30-00:30 in Amsterdam, spanning midnight; clocks go back on 25 October
+    const window = windowFrom('2026-10-23T21:30:00Z', '2026-10-23T22:30:00Z', { frequency: 'daily' }, 'Europe/Amsterdam');
+
+    expect(iso(window.occurrencesBetween('2026-10-24T00:00:00Z', '2026-10-27T00:00:00Z'))).toEqual([
+      ['2026-10-24T21:30:00.000Z', '2026-10-24T22:30:00.000Z'],
+      ['2026-10-25T22:30:00.000Z', '2026-10-25T23:30:00.000Z'],
+      ['2026-10-26T22:30:00.000Z', '2026-10-26T23:30:00.000Z']
+    ]);
+  });
+
+  test('weekly windows on chosen days of every other week', () => {
+    // 23:00 in Tokyo, Mondays and Wednesdays; the first week counts, from
+    // Sunday 4 October
+    const window = windowFrom('2026-10-04T14:00:00Z', '2026-10-04T15:00:00Z', {
+      frequency: 'weekly',
+      interval: 2,
+      daysOfWeek: [1, 3]
+    }, 'Asia/Tokyo');
+
+    const starts = window.occurrencesBetween('2026-10-01T00:00:00Z', '2026-10-25T00:00:00Z')
+      .map(({ startTime }) => zonedParts(startTime, 'Asia/Tokyo'))
+      .map(({ month, day, weekday, hour }) => [month, day, weekday, hour]);
+
+    expect(starts).toEqual([[10, 5, 1, 23], [10, 7, 3, 23], [10, 19, 1, 23], [10, 21, 3, 23]]);
+  });
+
+  test('monthly windows skip months without the day and stop at until', () => {
+    const window = windowFrom('2026-01-31T01:00:00Z', '2026-01-31T03:00:00Z', {
+      frequency: 'monthly',
+      until: new Date('2026-07-01T00:00:00Z')
+    });
+
+    expect(window.occurrencesBetween('2026-01-01T00:00:00Z', '2026-12-31T00:00:00Z').map(({ startTime }) => startTime.toISOString()))
+      .toEqual(['2026-01-31T01:00:00.000Z', '2026-03-31T01:00:00.000Z', '2026-05-31T01:00:00.000Z']);
+  });
+
+  test('find the occurrence in progress', async () => {
+    const window = windowFrom('2026-03-02T07:00:00Z', '2026-03-02T08:00:00Z', { frequency: 'weekly' }, 'America/New_York');
+    const find = jest.spyOn(MaintenanceWindow, 'find').mockResolvedValue([window]);
+
+    expect(window.occurrenceAt(new Date('2026-03-09T06:30:00Z'))).toEqual({
+      startTime: new Date('2026-03-09T06:00:00Z'),
+      endTime: new Date('2026-03-09T07:00:00Z')
+    });
+    expect(window.occurrenceAt(new Date('2026-03-09T07:30:00Z'))).toBeNull();
+
+    expect(await MaintenanceWindow.activeFor('app_1', new Date('2026-03-09T06:30:00Z'))).toBe(window);
+    expect(await MaintenanceWindow.activeFor('app_1', new Date('2026-03-10T06:30:00Z'))).toBeNull();
+    expect(find).toHaveBeenCalledWith(expect.objectContaining({ appId: 'app_1', isActive: true }));
+  });
+});
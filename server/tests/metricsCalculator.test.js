@@ -0,0 +1,103 @@
+import { jest } from '@jest/globals';
+import HealthCheck from '../models/HealthCheck.js';
+import { MetricsCalculator } from '../services/MetricsCalculator.js';
+
+// Histogram rows as the aggregation returns them: one bucket per ~5% of
+// latency, holding its sample count and slowest sample
+const histogramOf = (latencies) => {
+  const buckets = new Map();
+  for (const latency of latencies) {
+    const bucket = Math.floor(Math.log(latency + 1) / Math.log(1.05));
+    const entry = buckets.get(bucket) || { bucket, count: 0, max: 0 };
+    entry.count += 1;
+    entry.max = Math.max(entry.max, latency);
+    buckets.set(bucket, entry);
+  }
+  return [...buckets.values()];
+};
+
+describe('MetricsCalculator.summarize', () => {
+  const calculator = new MetricsCalculator();
+  const since = new Date('2026-01-01T00:00:00Z');
+
+  test('summarizes uptime, counts and latency', () => {
+    const latencies = [100, 100, 200, 300, 1000];
+    const summary = calculator.summarize({
+      checks: 8,
+      available: 5,
+      down: 3,
+      maintenance: 2,
+      latencyCount: latencies.length,
+      latencySum: latencies.reduce((sum, value) => sum + value, 0),
+      histogram: histogramOf(latencies)
+    }, since);
+
+    expect(summary).toEqual({
+      since,
+      checks: 8,
+      downChecks: 3,
+      maintenanceChecks: 2,
+      uptimePercentage: 62.5,
+      responseTime: { average: 340, p95: 1000, p99: 1000 }
+    });
+  });
+
+  test('takes nearest-rank percentiles whatever order the buckets come in', () => {
+    // 100 samples: 94 fast, 5 slow, 1 very slow
+    const latencies = [...Array(94).fill(50), ...Array(5).fill(800), 4000];
+    const summary = calculator.summarize({
+      checks: 100,
+      available: 100,
+      latencyCount: 100,
+      latencySum: latencies.reduce((sum, value) => sum + value, 0),
+      histogram: histogramOf(latencies).reverse()
+    }, since);
+
+    expect(summary.responseTime.p95).toBe(800);
+    expect(summary.responseTime.p99).toBe(800);
+  });
+
+  test('stays within 5% of the exact percentile', () => {
+    const latencies = Array.from({ length: 1000 }, (value, index) => 20 + index * 3);
+    const summary = calculator.summarize({
+      checks: 1000,
+      available: 1000,
+      latencyCount: 1000,
+      latencySum: latencies.reduce((sum, value) => sum + value, 0),
+      histogram: histogramOf(latencies)
+    }, since);
+
+    const exactP95 = latencies[949];
+    expect(Math.abs(summary.responseTime.p95 - exactP95) / exactP95).toBeLessThan(0.05);
+  });
+
+  test('reports nulls when there were no checks', () => {
+    expect(calculator.summarize(undefined, since)).toEqual({
+      since,
+      checks: 0,
+      downChecks: 0,
+      maintenanceChecks: 0,
+      uptimePercentage: null,
+      responseTime: { average: null, p95: null, p99: null }
+    });
+  });
+});
+
+describe('MetricsCalculator.aggregate', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('builds the histogram in the database rather than pushing every sample', async () => {
+    const aggregate = jest.spyOn(HealthCheck, 'aggregate').mockResolvedValue([]);
+
+    await new MetricsCalculator().aggregate({ 'meta.appId': 'app_1' }, '$meta.appId');
+
+    const pipeline = aggregate.mock.calls[0][0];
+    expect(pipeline).toHaveLength(3);
+    expect(pipeline[1].$group._id.group).toBe('$meta.appId');
+    expect(pipeline[1].$group._id.bucket).toBeDefined();
+    expect(pipeline[2].$group._id).toBe('$_id.group');
+    expect(JSON.stringify(pipeline)).not.toMatch(/"\$push":"\$responseTime"/);
+  });
+});
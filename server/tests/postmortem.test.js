@@ -0,0 +1,189 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import HealthCheck from '../models/HealthCheck.js';
+import Incident from '../models/Incident.js';
+import Postmortem from '../models/Postmortem.js';
+import RestartAttempt from '../models/RestartAttempt.js';
+import monitoringRoutes from '../routes/monitoring.js';
+import { PostmortemService } from '../services/PostmortemService.js';
+import { routerApp, stubSave } from './helpers.js';
+
+// Postmortems are generated from a resolved incident, its checks and
+// restarts, then edited and exported
+
+const at = (minute) => new Date(Date.UTC(2026, 9, 1, 12, minute));
+
+const resolvedIncident = () => new Incident({
+  incidentId: 'incident_1',
+  appId: 'app_1',
+  appName: 'Shop',
+  userId: 'user_1',
+  type: 'downtime',
+  severity: 'high',
+  status: 'resolved',
+  description: 'Application is down: ECONNREFUSED',
+  startTime: at(0),
+  endTime: at(12),
+  duration: 12 * 60,
+  timeline: [
+    { type: 'triggered', at: at(0), by: 'system', message: 'Application is down: ECONNREFUSED' },
+    { type: 'alerted', at: at(1), by: 'system', message: 'App down sent via email' },
+    { type: 'acknowledged', at: at(3), by: 'user_1' },
+    { type: 'resolved', at: at(12), by: 'system', message: 'App recovered' }
+  ]
+});
+
+const check = (minute, status, extra = {}) => ({
+  timestamp: at(minute),
+  meta: { appId: 'app_1', location: 'primary' },
+  status,
+  ...extra
+});
+
+const mockQuery = (Model, documents) => {
+  const query = { sort: () => query, limit: () => query, lean: async () => documents };
+  return jest.spyOn(Model, 'find').mockReturnValue(query);
+};
+
+const service = new PostmortemService();
+
+beforeEach(() => {
+  mockQuery(HealthCheck, [
+    check(-5, 'up', { responseTime: 100 }),
+    check(0, 'down', { error: 'ECONNREFUSED', responseTime: 5 }),
+    check(1, 'down', { error: 'ECONNREFUSED', responseTime: 7 }),
+    check(2, 'unknown'),
+    check(12, 'up', { statusCode: 200, responseTime: 120 })
+  ]);
+  mockQuery(RestartAttempt, [
+    { trigger: 'auto', action: 'restart', attempt: 1, provider: 'render', status: 'succeeded', startedAt: at(5), completedAt: at(6) }
+  ]);
+  jest.spyOn(Postmortem, 'create').mockImplementation(async (fields) => new Postmortem(fields));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PostmortemService.generate', () => {
+  test('prefills the outage, timeline and check history', async () => {
+    const postmortem = await service.generate(resolvedIncident(), 'user_1');
+
+    expect(postmortem).toEqual(expect.objectContaining({
+      title: 'Shop: Application is down: ECONNREFUSED',
+      status: 'draft',
+      updatedBy: 'user_1'
+    }));
+    expect(postmortem.outage).toEqual(expect.objectContaining({ duration: 720, severity: 'high', type: 'downtime' }));
+    expect(postmortem.window.from).toEqual(at(-15));
+    expect(postmortem.window.to).toEqual(at(27));
+
+    expect(postmortem.timeline.map(event => [event.source, event.message])).toEqual([
+      ['incident', 'Incident triggered: Application is down: ECONNREFUSED'],
+      ['check', 'Check from primary reported down: ECONNREFUSED'],
+      ['alert', 'Alert App down sent via email'],
+      ['incident', 'Incident acknowledged by user_1'],
+      ['restart', 'Automatic restart (attempt 1) via render started'],
+      ['restart', 'Automatic restart (attempt 1) via render succeeded'],
+      ['incident', 'Incident resolved: App recovered'],
+      ['check', 'Check from primary reported up (HTTP 200)']
+    ]);
+
+    expect(postmortem.checks).toEqual(expect.objectContaining({
+      total: 4,
+      down: 2,
+      warning: 0,
+      averageResponseTime: 58,
+      maxResponseTime: 120,
+      locations: ['primary']
+    }));
+    expect(postmortem.checks.errors.map(({ error, count }) => ({ error, count }))).toEqual([{ error: 'ECONNREFUSED', count: 2 }]);
+  });
+});
+
+describe('postmortem export', () => {
+  const postmortemWith = async (fields) => Object.assign(await service.generate(resolvedIncident(), 'user_1'), fields);
+
+  test('renders Markdown with every section', async () => {
+    const postmortem = await postmortemWith({
+      rootCause: 'A bad release',
+      actionItems: [{ description: 'Add a canary | stage', owner: 'user_2', dueDate: at(0), done: false }]
+    });
+
+    const markdown = service.toMarkdown(postmortem);
+
+    expect(markdown).toMatch(/^# Postmortem: Shop: Application is down: ECONNREFUSED\n/);
+    expect(markdown).toContain('- **Duration:** 12m 0s');
+    expect(markdown).toContain('## Root cause\n\nA bad release\n');
+    expect(markdown).toContain('## Impact\n\n_Not written yet._');
+    expect(markdown).toContain('| 2026-10-01 12:05:00 UTC | restart | Automatic restart (attempt 1) via render started |');
+    expect(markdown).toContain('- [ ] Add a canary \\| stage (owner: user_2, due 2026-10-01)');
+  });
+
+  test('escapes what the team wrote in HTML', async () => {
+    const postmortem = await postmortemWith({ title: '<script>alert(1)</script>', summary: 'First line\nsecond & last' });
+
+    const html = service.toHtml(postmortem);
+
+    expect(html).toContain('<title>Postmortem: &lt;script&gt;alert(1)&lt;/script&gt;</title>');
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('<p>First line<br>second &amp; last</p>');
+  });
+});
+
+describe('postmortem routes', () => {
+  const server = routerApp('/api/monitoring', monitoringRoutes, { userId: 'user_1' });
+  let incident;
+
+  beforeEach(() => {
+    incident = resolvedIncident();
+    jest.spyOn(Incident, 'findOne').mockImplementation(async () => incident);
+    jest.spyOn(Postmortem, 'exists').mockResolvedValue(null);
+  });
+
+  test('are only written for resolved incidents', async () => {
+    incident.status = 'acknowledged';
+
+    const response = await request(server).post('/api/monitoring/incidents/incident_1/postmortem').expect(409);
+
+    expect(response.body.error).toBe('Postmortems can only be written for resolved incidents');
+  });
+
+  test('are written once per incident', async () => {
+    await request(server).post('/api/monitoring/incidents/incident_1/postmortem').expect(201);
+
+    Postmortem.exists.mockResolvedValue({ _id: 'pm' });
+    const response = await request(server).post('/api/monitoring/incidents/incident_1/postmortem').expect(409);
+    expect(response.body.error).toBe('Incident already has a postmortem');
+  });
+
+  test('are edited and published', async () => {
+    const postmortem = await service.generate(incident, 'user_1');
+    jest.spyOn(Postmortem, 'findOne').mockResolvedValue(postmortem);
+    stubSave(Postmortem);
+
+    await request(server)
+      .put('/api/monitoring/incidents/incident_1/postmortem')
+      .send({ status: 'published', rootCause: 'A bad release', actionItems: [{ description: ' Add a canary ' }] })
+      .expect(200);
+
+    expect(postmortem).toEqual(expect.objectContaining({ status: 'published', rootCause: 'A bad release', updatedBy: 'user_1' }));
+    expect(postmortem.publishedAt).toBeInstanceOf(Date);
+    expect(postmortem.actionItems[0]).toEqual(expect.objectContaining({ description: 'Add a canary', done: false }));
+
+    const invalid = await request(server).put('/api/monitoring/incidents/incident_1/postmortem').send({ status: 'final' }).expect(400);
+    expect(invalid.body.error).toBe('status must be one of: draft, published');
+  });
+
+  test('are exported as Markdown or HTML', async () => {
+    jest.spyOn(Postmortem, 'findOne').mockResolvedValue(await service.generate(incident, 'user_1'));
+
+    const markdown = await request(server).get('/api/monitoring/incidents/incident_1/postmortem/export').expect(200);
+    expect(markdown.headers['content-disposition']).toBe('attachment; filename="postmortem-incident_1.md"');
+
+    const html = await request(server).get('/api/monitoring/incidents/incident_1/postmortem/export?format=html').expect(200);
+    expect(html.headers['content-type']).toMatch(/^text\/html/);
+
+    await request(server).get('/api/monitoring/incidents/incident_1/postmortem/export?format=pdf').expect(400);
+  });
+});
@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import HealthCheck from '../models/HealthCheck.js';
+import MaintenanceWindow from '../models/MaintenanceWindow.js';
+import { ProbeCoordinator } from '../services/ProbeCoordinator.js';
+
+// Results from probe locations are combined by quorum; stale locations do
+// not count
+
+const appAt = (locations, { quorum, results = {} } = {}) => {
+  const app = new DeployedApp({
+    appId: 'app_1',
+    userId: 'user_1',
+    appName: 'Shop',
+    lowCodePlatform: 'custom',
+    deployment: { provider: 'vercel', url: 'https://shop.example.com' },
+    configuration: { locations, quorum, healthCheckInterval: 60 }
+  });
+  app.monitoring.locationResults = new Map(Object.entries(results));
+  return app;
+};
+
+const fresh = (status, extra = {}) => ({ status, checkedAt: new Date(), ...extra });
+const stale = (status) => ({ status, checkedAt: new Date(Date.now() - 10 * 60 * 1000) });
+
+const coordinator = new ProbeCoordinator();
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ProbeCoordinator quorum', () => {
+  test('checks from this server first and defaults to a majority', () => {
+    const app = appAt(['eu', 'us', 'primary', 'ap']);
+
+    expect(ProbeCoordinator.locationsFor(app)).toEqual(['primary', 'eu', 'us', 'ap']);
+    expect(ProbeCoordinator.quorumFor(app)).toBe(3);
+    expect(ProbeCoordinator.quorumFor(appAt(['eu'], { quorum: 5 }))).toBe(2);
+  });
+
+  test('uses this server\'s result alone without other locations', () => {
+    const own = { status: 'down', error: 'ECONNREFUSED' };
+
+    expect(coordinator.decide(appAt([]), own)).toBe(own);
+  });
+
+  test('is down when a quorum of locations is down', () => {
+    const app = appAt(['eu', 'us'], {
+      results: { primary: fresh('down'), eu: fresh('down', { error: 'timeout' }), us: fresh('up') }
+    });
+
+    const decision = coordinator.decide(app, { status: 'down', error: 'ECONNREFUSED' });
+
+    expect(decision.status).toBe('down');
+    expect(decision.error).toBe('Down from 2 of 3 locations: primary (no error reported), eu (timeout)');
+  });
+
+  test('ignores this server\'s failure when most locations reach the app', () => {
+    const app = appAt(['eu', 'us'], {
+      results: { primary: fresh('down'), eu: fresh('up', { statusCode: 200, responseTime: 120 }), us: fresh('up') }
+    });
+
+    const decision = coordinator.decide(app, { status: 'down', error: 'ECONNREFUSED' });
+
+    expect(decision).toEqual(expect.objectContaining({ status: 'up', error: null }));
+  });
+
+  test('reports a warning from the locations that reach the app', () => {
+    const app = appAt(['eu', 'us'], {
+      results: { primary: fresh('down'), eu: fresh('warning', { statusCode: 404 }), us: fresh('up') }
+    });
+
+    expect(coordinator.decide(app, { status: 'down' }).status).toBe('warning');
+  });
+
+  test('is up when only a minority of locations is down', () => {
+    const app = appAt(['eu', 'us'], { results: { primary: fresh('up'), eu: fresh('down'), us: fresh('up') } });
+
+    expect(coordinator.decide(app, { status: 'up' }).status).toBe('up');
+  });
+
+  test('does not let locations that stopped reporting keep the app up', () => {
+    const app = appAt(['eu', 'us'], { results: { primary: fresh('down'), eu: stale('up'), us: stale('up') } });
+
+    expect(coordinator.decide(app, { status: 'down' }).status).toBe('down');
+  });
+});
+
+describe('ProbeCoordinator.recordResults', () => {
+  test('stores valid results of apps checked from the location', async () => {
+    const app = appAt(['eu']);
+    const findOne = jest.spyOn(DeployedApp, 'findOne').mockImplementation(async ({ appId }) => appId === 'app_1' ? app : null);
+    const record = jest.spyOn(HealthCheck, 'record').mockResolvedValue({});
+    const updateOne = jest.spyOn(DeployedApp, 'updateOne').mockResolvedValue({});
+    jest.spyOn(MaintenanceWindow, 'activeFor').mockResolvedValue(null);
+
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const accepted = await coordinator.recordResults('eu', [
+      { appId: 'app_1', status: 'up', responseTime: 80, checkedAt: future },
+      { appId: 'app_1', status: 'exploded' },
+      { appId: 'app_2', status: 'down' },
+      null
+    ]);
+
+    expect(accepted).toBe(1);
+    expect(findOne).toHaveBeenCalledWith({ appId: 'app_1', isActive: true, 'configuration.locations': 'eu' });
+    // Clocks ahead of the server's are not trusted
+    const stored = record.mock.calls[0][1];
+    expect(stored.checkedAt.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(stored.maintenance).toBe(false);
+    expect(record).toHaveBeenCalledWith(app, expect.any(Object), 'eu');
+    expect(updateOne).toHaveBeenCalledWith(
+      { _id: app._id },
+      { $set: { 'monitoring.locationResults.eu': expect.objectContaining({ status: 'up', responseTime: 80 }) } }
+    );
+  });
+});
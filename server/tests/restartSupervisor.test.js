@@ -0,0 +1,135 @@
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import Incident from '../models/Incident.js';
+import RestartAttempt from '../models/RestartAttempt.js';
+import { JobQueue } from '../services/JobQueue.js';
+import { RestartSupervisor } from '../services/RestartSupervisor.js';
+import { stubSave } from './helpers.js';
+
+// Unhealthy apps are restarted automatically, backing off between attempts,
+// until maxRestartAttempts is used up within the restart window
+
+const downApp = (configuration = {}, fields = {}) => {
+  const app = new DeployedApp({
+    appId: 'app_1',
+    userId: 'user_1',
+    appName: 'Shop',
+    lowCodePlatform: 'custom',
+    deploymentStatus: 'deployed',
+    healthStatus: 'down',
+    deployment: { provider: 'vercel', url: 'https://shop.example.com' },
+    configuration: { maxRestartAttempts: 2, ...configuration },
+    ...fields
+  });
+  app.monitoring.consecutiveFailures = 3;
+  return app;
+};
+
+// The next check finds the app down again
+const checkedDown = (app) => {
+  app.healthStatus = 'down';
+};
+
+// Let the backoff run out as if the supervisor were called again later
+const backOffElapsed = (app) => {
+  checkedDown(app);
+  app.monitoring.restarts.nextAttemptAt = new Date(Date.now() - 1000);
+};
+
+let supervisor;
+let open;
+
+beforeEach(() => {
+  supervisor = new RestartSupervisor(null);
+  stubSave(DeployedApp);
+  jest.spyOn(JobQueue, 'hasPending').mockResolvedValue(false);
+  jest.spyOn(JobQueue, 'enqueue').mockResolvedValue({ jobId: 'job_1' });
+  jest.spyOn(RestartAttempt, 'findOne').mockReturnValue({ sort: async () => ({ error: 'Provider returned 503' }) });
+  open = jest.spyOn(Incident, 'open').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('RestartSupervisor', () => {
+  test('backs off exponentially up to the maximum', () => {
+    expect([1, 2, 3, 4].map(attempts => supervisor.backoffDelay(attempts) / 1000)).toEqual([30, 60, 120, 240]);
+    expect(supervisor.backoffDelay(20)).toBe(30 * 60 * 1000);
+  });
+
+  test('restarts, waits out the backoff and gives up after the last attempt', async () => {
+    const app = downApp();
+
+    expect(await supervisor.evaluate(app)).toEqual({ action: 'restart', attempt: 1, jobId: 'job_1' });
+    expect(JobQueue.enqueue).toHaveBeenCalledWith('restart-app', { appId: 'app_1', trigger: 'auto' }, expect.any(Object));
+
+    checkedDown(app);
+    const backoff = await supervisor.evaluate(app);
+    expect(backoff.action).toBe('backoff');
+    expect(backoff.nextAttemptAt - app.monitoring.restarts.lastAttemptAt).toBe(30 * 1000);
+
+    backOffElapsed(app);
+    expect((await supervisor.evaluate(app)).attempt).toBe(2);
+
+    backOffElapsed(app);
+    expect(await supervisor.evaluate(app)).toEqual({ action: 'gave-up' });
+    expect(JobQueue.enqueue).toHaveBeenCalledTimes(2);
+    expect(app.monitoring.restarts.gaveUpAt).toBeInstanceOf(Date);
+
+    const [, type, severity, description] = open.mock.calls[0];
+    expect([type, severity]).toEqual(['downtime', 'critical']);
+    expect(description).toBe('Auto-restart gave up after 2 attempts in 0 minutes (limit 2, policy on-failure). ' +
+      'Last attempt failed: Provider returned 503. The app stays down until it is restarted manually or recovers on its own.');
+
+    // Having given up it stays quiet, without opening more incidents
+    expect(await supervisor.evaluate(app)).toEqual({ action: 'gave-up' });
+    expect(open).toHaveBeenCalledTimes(1);
+  });
+
+  test('starts counting again in a new window', async () => {
+    const app = downApp();
+    Object.assign(app.monitoring.restarts, {
+      windowStartedAt: new Date(Date.now() - 2 * 60 * 60 * 1000),
+      attempts: 2,
+      nextAttemptAt: new Date(Date.now() + 60 * 1000)
+    });
+
+    expect(await supervisor.evaluate(app)).toEqual(expect.objectContaining({ action: 'restart', attempt: 1 }));
+  });
+
+  test('supervises from scratch once the app is up again', async () => {
+    const app = downApp();
+    Object.assign(app.monitoring.restarts, { windowStartedAt: new Date(), attempts: 2, gaveUpAt: new Date() });
+    app.healthStatus = 'up';
+
+    expect(await supervisor.evaluate(app)).toEqual({ action: 'none' });
+    expect(app.monitoring.restarts.attempts).toBe(0);
+    expect(app.monitoring.restarts.gaveUpAt).toBeUndefined();
+  });
+
+  test('follows the restart policy', async () => {
+    const warning = downApp({}, { healthStatus: 'warning' });
+    expect(await supervisor.evaluate(warning)).toEqual({ action: 'none' });
+
+    const unlessStopped = downApp({ restartPolicy: 'unless-stopped' }, { healthStatus: 'warning' });
+    expect((await supervisor.evaluate(unlessStopped)).action).toBe('restart');
+
+    const stopped = downApp({ restartPolicy: 'unless-stopped' }, { deploymentStatus: 'stopped' });
+    expect(await supervisor.evaluate(stopped)).toEqual({ action: 'none', reason: 'App was stopped and its restart policy is unless-stopped' });
+
+    const always = downApp({ restartPolicy: 'always' }, { deploymentStatus: 'stopped' });
+    expect((await supervisor.evaluate(always)).action).toBe('restart');
+  });
+
+  test('waits for the failure threshold and for pending actions', async () => {
+    const app = downApp();
+    app.monitoring.consecutiveFailures = 2;
+    expect(await supervisor.evaluate(app)).toEqual({ action: 'none' });
+
+    app.monitoring.consecutiveFailures = 3;
+    JobQueue.hasPending.mockResolvedValue(true);
+    expect(await supervisor.evaluate(app)).toEqual({ action: 'pending' });
+    expect(app.monitoring.restarts.attempts).toBe(0);
+  });
+});
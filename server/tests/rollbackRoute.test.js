@@ -0,0 +1,95 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import Deployment from '../models/Deployment.js';
+import appRoutes from '../routes/apps.js';
+import { DeploymentService } from '../services/DeploymentService.js';
+import { routerApp } from './helpers.js';
+
+// What POST /api/apps/:appId/deployments/:deploymentId/rollback accepts
+
+const user = { userId: 'user_1' };
+const server = routerApp('/api/apps', appRoutes, user);
+
+const app = () => new DeployedApp({
+  appId: 'app_1',
+  userId: user.userId,
+  appName: 'Shop',
+  lowCodePlatform: 'custom',
+  deploymentStatus: 'deployed',
+  deployment: { provider: 'vercel' }
+});
+
+const target = (fields = {}) => new Deployment({
+  deploymentId: 'dep_1',
+  appId: 'app_1',
+  userId: user.userId,
+  provider: 'vercel',
+  status: 'deployed',
+  providerDeploymentId: 'dpl_1',
+  source: { type: 'git', repository: 'https://github.com/acme/shop', branch: 'main', commitHash: 'abc123' },
+  ...fields
+});
+
+const rollBack = () => request(server).post('/api/apps/app_1/deployments/dep_1/rollback');
+
+beforeEach(() => {
+  jest.spyOn(DeployedApp, 'findOne').mockResolvedValue(app());
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/apps/:appId/deployments/:deploymentId/rollback', () => {
+  test('queues a rollback to a reproducible deployment', async () => {
+    jest.spyOn(Deployment, 'findOne').mockResolvedValue(target());
+    const queueRollback = jest.spyOn(DeploymentService.prototype, 'queueRollback')
+      .mockImplementation(async (deployedApp, deployment) => ({
+        deployment: { rollbackOf: deployment.deploymentId },
+        job: { jobId: 'job_1' }
+      }));
+
+    const response = await rollBack();
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({ success: true, data: { rollbackOf: 'dep_1' }, jobId: 'job_1' });
+    expect(queueRollback).toHaveBeenCalled();
+  });
+
+  test('refuses a deployment built from a branch tip with no recorded commit', async () => {
+    jest.spyOn(Deployment, 'findOne').mockResolvedValue(target({
+      provider: 'heroku',
+      providerDeploymentId: undefined,
+      source: { type: 'git', repository: 'https://github.com/acme/shop', branch: 'main' }
+    }));
+
+    const response = await rollBack();
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/tip of main without a recorded commit/);
+  });
+
+  test('refuses a deployment whose provider is no longer available', async () => {
+    jest.spyOn(Deployment, 'findOne').mockResolvedValue(target({ provider: 'gcp' }));
+
+    const response = await rollBack();
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error: 'The gcp provider this deployment used is no longer available' });
+  });
+
+  test('refuses a local deployment once the local provider is switched off', async () => {
+    jest.spyOn(Deployment, 'findOne').mockResolvedValue(target({ provider: 'local' }));
+    const environment = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      const response = await rollBack();
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('The local provider this deployment used is no longer available');
+    } finally {
+      process.env.NODE_ENV = environment;
+    }
+  });
+});
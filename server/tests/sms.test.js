@@ -0,0 +1,237 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import SmsMessage from '../models/SmsMessage.js';
+import User from '../models/User.js';
+import userRoutes from '../routes/users.js';
+import { NotificationService } from '../services/NotificationService.js';
+import { SmsService } from '../services/SmsService.js';
+import { LocalMessagingProvider } from '../services/messaging/LocalMessagingProvider.js';
+import { TwilioMessagingProvider } from '../services/messaging/TwilioMessagingProvider.js';
+import { routerApp, stubSave } from './helpers.js';
+
+// Texts and calls go through a messaging provider, count against the user's
+// caps and only reach numbers verified with a texted code
+
+const fakeProvider = () => ({
+  name: 'fake',
+  sendSms: jest.fn(async () => 'SM1'),
+  call: jest.fn(async () => 'CA1')
+});
+
+const newUser = (fields = {}) => new User({
+  userId: 'user_1',
+  email: 'owner@example.com',
+  password: 'secret-password',
+  firstName: 'Olive',
+  lastName: 'Owner',
+  ...fields
+});
+
+let outbox;
+let saved;
+
+beforeEach(async () => {
+  outbox = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'sms-')), 'outbox.log');
+  process.env.SMS_OUTBOX_PATH = outbox;
+  saved = [];
+  jest.spyOn(SmsMessage.prototype, 'save').mockImplementation(async function() {
+    saved.push(this);
+    return this;
+  });
+  jest.spyOn(SmsMessage, 'countDocuments').mockResolvedValue(0);
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  delete process.env.SMS_OUTBOX_PATH;
+  await fs.rm(path.dirname(outbox), { recursive: true, force: true });
+});
+
+const outboxLines = async () => (await fs.readFile(outbox, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+
+describe('SmsService.send', () => {
+  test('texts or calls through the provider and records the message', async () => {
+    const provider = fakeProvider();
+    const service = new SmsService(provider);
+
+    const text = await service.send({ userId: 'user_1', to: '+14155550123', text: 'App down' });
+    const call = await service.send({ userId: 'user_1', to: '+14155550123', text: 'App down', channel: 'voice' });
+
+    expect(provider.sendSms).toHaveBeenCalledWith('+14155550123', 'App down');
+    expect(provider.call).toHaveBeenCalledWith('+14155550123', 'App down');
+    expect(text).toEqual(expect.objectContaining({ status: 'sent', providerMessageId: 'SM1', provider: 'fake', purpose: 'alert' }));
+    expect(call).toEqual(expect.objectContaining({ status: 'sent', providerMessageId: 'CA1', channel: 'voice' }));
+  });
+
+  test('stops at the hourly and daily caps', async () => {
+    const provider = fakeProvider();
+    const service = new SmsService(provider);
+    SmsMessage.countDocuments.mockImplementation(async ({ createdAt }) =>
+      Date.now() - createdAt.$gt.getTime() > 60 * 60 * 1000 ? 50 : 3);
+
+    await expect(service.send({ userId: 'user_1', to: '+14155550123', text: 'App down' }))
+      .rejects.toThrow('SMS limit of 50 per day reached');
+
+    process.env.SMS_MAX_PER_HOUR = '3';
+    try {
+      await expect(service.send({ userId: 'user_1', to: '+14155550123', text: 'App down' }))
+        .rejects.toThrow('SMS limit of 3 per hour reached');
+    } finally {
+      delete process.env.SMS_MAX_PER_HOUR;
+    }
+
+    expect(provider.sendSms).not.toHaveBeenCalled();
+    expect(saved).toEqual([]);
+  });
+
+  test('records what the provider refused', async () => {
+    const provider = fakeProvider();
+    provider.sendSms.mockRejectedValue(new Error('Twilio: unverified number'));
+
+    await expect(new SmsService(provider).send({ userId: 'user_1', to: '+14155550123', text: 'App down' }))
+      .rejects.toThrow('Twilio: unverified number');
+
+    expect(saved[0]).toEqual(expect.objectContaining({ status: 'failed', error: 'Twilio: unverified number' }));
+  });
+});
+
+describe('messaging providers', () => {
+  test('the local provider writes messages and calls to the outbox', async () => {
+    const provider = new LocalMessagingProvider();
+
+    const id = await provider.sendSms('+14155550123', 'App down');
+    await provider.call('+14155550123', 'Alert from DeployWise');
+
+    expect(await outboxLines()).toEqual([
+      expect.objectContaining({ id, type: 'sms', to: '+14155550123', text: 'App down' }),
+      expect.objectContaining({ type: 'voice', to: '+14155550123', text: 'Alert from DeployWise' })
+    ]);
+  });
+
+  test('Twilio needs its credentials and reads calls out as escaped TwiML', async () => {
+    const provider = new TwilioMessagingProvider();
+    await expect(provider.sendSms('+14155550123', 'App down')).rejects.toThrow('Twilio credentials not configured');
+
+    Object.assign(process.env, { TWILIO_ACCOUNT_SID: 'AC1', TWILIO_AUTH_TOKEN: 'token', TWILIO_PHONE_NUMBER: '+15005550006' });
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { sid: 'CA1' } });
+
+    try {
+      expect(await provider.call('+14155550123', 'Shop <b> & co is down')).toBe('CA1');
+
+      const [url, body] = post.mock.calls[0];
+      expect(url).toBe('https://api.twilio.com/2010-04-01/Accounts/AC1/Calls.json');
+      const twiml = new URLSearchParams(body).get('Twiml');
+      expect(twiml).toContain('<Say>Shop &lt;b&gt; &amp; co is down</Say>');
+      expect(twiml).not.toContain('<b>');
+
+      post.mockRejectedValue(Object.assign(new Error('Request failed'), { response: { data: { message: 'Invalid To number' } } }));
+      await expect(provider.sendSms('+14155550123', 'App down')).rejects.toThrow('Twilio: Invalid To number');
+    } finally {
+      delete process.env.TWILIO_ACCOUNT_SID;
+      delete process.env.TWILIO_AUTH_TOKEN;
+      delete process.env.TWILIO_PHONE_NUMBER;
+    }
+  });
+});
+
+describe('phone verification routes', () => {
+  const server = routerApp('/api/users', userRoutes, { userId: 'user_1' });
+  let user;
+
+  beforeEach(() => {
+    user = newUser();
+    stubSave(User);
+    jest.spyOn(User, 'findOne').mockImplementation(async () => user);
+  });
+
+  const sentCode = async () => (await outboxLines()).at(-1).text.match(/code is (\d{6})/)[1];
+
+  test('verify a number with the code texted to it', async () => {
+    const response = await request(server).put('/api/users/phone').send({ number: '+14155550123' }).expect(200);
+
+    expect(response.body.data).toEqual(expect.objectContaining({ number: '+14155550123', verified: false }));
+    expect(response.body.data.verificationCode).toBeUndefined();
+    expect(saved[0]).toEqual(expect.objectContaining({ purpose: 'verification', to: '+14155550123' }));
+
+    const code = await sentCode();
+    const wrong = code === '000000' ? '000001' : '000000';
+    const invalid = await request(server).post('/api/users/phone/verify').send({ code: wrong }).expect(400);
+    expect(invalid.body.error).toBe('Invalid verification code');
+    expect(user.phone.verificationAttempts).toBe(1);
+
+    await request(server).post('/api/users/phone/verify').send({ code }).expect(200);
+    expect(user.isVerifiedPhone('+14155550123')).toBe(true);
+
+    // Codes are used once
+    await request(server).post('/api/users/phone/verify').send({ code }).expect(400);
+  });
+
+  test('give up on a code after five wrong guesses', async () => {
+    await request(server).put('/api/users/phone').send({ number: '+14155550123' }).expect(200);
+    const code = await sentCode();
+    user.phone.verificationAttempts = 5;
+
+    const response = await request(server).post('/api/users/phone/verify').send({ code }).expect(400);
+
+    expect(response.body.error).toBe('No valid verification code; request a new one');
+    expect(user.phone.verified).toBe(false);
+  });
+
+  test('refuse malformed numbers and codes requested too often', async () => {
+    await request(server).put('/api/users/phone').send({ number: '555-0123' }).expect(400);
+
+    await request(server).post('/api/users/phone-numbers').send({ number: '+14155550199' }).expect(201);
+    const again = await request(server).post('/api/users/phone-numbers').send({ number: '+14155550199' }).expect(429);
+
+    expect(again.body.error).toBe('Please wait a minute before requesting another code');
+    expect(user.extraPhones).toHaveLength(1);
+  });
+
+  test('verify other numbers alerts may text', async () => {
+    await request(server).post('/api/users/phone-numbers').send({ number: '+14155550199' }).expect(201);
+    const code = await sentCode();
+
+    await request(server).post('/api/users/phone-numbers/verify').send({ number: '+14155550100', code }).expect(404);
+    await request(server).post('/api/users/phone-numbers/verify').send({ number: '+14155550199', code }).expect(200);
+    expect(user.isVerifiedPhone('+14155550199')).toBe(true);
+
+    await request(server).delete(`/api/users/phone-numbers/${encodeURIComponent('+14155550199')}`).expect(200);
+    expect(user.isVerifiedPhone('+14155550199')).toBe(false);
+  });
+});
+
+describe('NotificationService phone alerts', () => {
+  const service = new NotificationService();
+  const alertMessage = { title: '🚨 Shop is down', summary: 'Shop has been down for 3 checks' };
+
+  beforeEach(() => {
+    service.smsService = new SmsService(fakeProvider());
+  });
+
+  test('only text numbers verified on the account', async () => {
+    const user = newUser({
+      phone: { number: '+14155550123', verified: true },
+      extraPhones: [{ number: '+14155550199', verified: false }]
+    });
+
+    await service.sendSmsAlert(user, null, alertMessage, 'high');
+    expect(service.smsService.provider.sendSms).toHaveBeenCalledWith('+14155550123', '🚨 Shop is down\nShop has been down for 3 checks');
+
+    await expect(service.sendSmsAlert(user, null, alertMessage, 'high', '+14155550199'))
+      .rejects.toThrow('+14155550199 is not a verified phone number on the account');
+    await expect(service.sendVoiceAlert(newUser(), null, alertMessage, 'high'))
+      .rejects.toThrow('No verified phone number on the account');
+  });
+
+  test('read out the summary on calls', async () => {
+    const user = newUser({ extraPhones: [{ number: '+14155550199', verified: true }] });
+
+    await service.sendVoiceAlert(user, null, alertMessage, 'critical', '+14155550199');
+
+    expect(service.smsService.provider.call).toHaveBeenCalledWith('+14155550199', 'Alert from DeployWise. Shop has been down for 3 checks');
+  });
+});
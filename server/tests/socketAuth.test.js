@@ -0,0 +1,95 @@
+import { createServer } from 'http';
+import jwt from 'jsonwebtoken';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { jest } from '@jest/globals';
+import User from '../models/User.js';
+import { authenticateSocket } from '../middleware/auth.js';
+
+// Sockets only reach the room of the user their token belongs to
+
+const secret = process.env.JWT_SECRET || 'your-secret-key';
+let httpServer;
+let io;
+let url;
+const clients = [];
+
+const users = {
+  user_alice: { userId: 'user_alice', isLocked: false },
+  user_locked: { userId: 'user_locked', isLocked: true }
+};
+
+const open = (auth) => new Promise((resolve) => {
+  const socket = connect(url, { auth, reconnection: false, transports: ['websocket'] });
+  clients.push(socket);
+  socket.on('connect', () => resolve({ socket }));
+  socket.on('connect_error', error => resolve({ socket, error }));
+});
+
+beforeAll(async () => {
+  httpServer = createServer();
+  io = new Server(httpServer);
+  io.use(authenticateSocket);
+  await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+beforeEach(() => {
+  jest.spyOn(User, 'findOne').mockImplementation(async ({ userId }) => users[userId] || null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  clients.splice(0).forEach(socket => socket.disconnect());
+});
+
+afterAll(async () => {
+  io.close();
+  await new Promise(resolve => httpServer.close(resolve));
+});
+
+describe('authenticateSocket', () => {
+  test('joins the room of the user the token names', async () => {
+    const { socket, error } = await open({ token: jwt.sign({ userId: 'user_alice' }, secret) });
+    expect(error).toBeUndefined();
+
+    const received = new Promise(resolve => socket.on('deployment-log', resolve));
+    io.to('user-user_alice').emit('deployment-log', { lines: ['npm run build'] });
+
+    expect(await received).toEqual({ lines: ['npm run build'] });
+  });
+
+  test('ignores requests to join another user\'s room', async () => {
+    const { socket } = await open({ token: jwt.sign({ userId: 'user_alice' }, secret) });
+    const events = [];
+    socket.on('deployment-log', event => events.push(event));
+
+    socket.emit('join-user-room', 'user_bob');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    io.to('user-user_bob').emit('deployment-log', { lines: ['SECRET=1'] });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(events).toEqual([]);
+  });
+
+  test('refuses a connection without a token', async () => {
+    const { error } = await open({});
+
+    expect(error.message).toBe('Access token required');
+    expect(error.data).toEqual({ code: 'TOKEN_REQUIRED' });
+  });
+
+  test('refuses a forged token', async () => {
+    const { error } = await open({ token: jwt.sign({ userId: 'user_alice' }, 'not-the-secret') });
+
+    expect(error.data).toEqual({ code: 'INVALID_TOKEN' });
+  });
+
+  test('refuses unknown and locked users', async () => {
+    const unknown = await open({ token: jwt.sign({ userId: 'user_gone' }, secret) });
+    const locked = await open({ token: jwt.sign({ userId: 'user_locked' }, secret) });
+
+    expect(unknown.error.data).toEqual({ code: 'INVALID_TOKEN' });
+    expect(locked.error.data).toEqual({ code: 'ACCOUNT_LOCKED' });
+  });
+});
@@ -0,0 +1,177 @@
+import net from 'net';
+import { promises as dns } from 'dns';
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import { TcpCheck } from '../services/checks/TcpCheck.js';
+import { DnsCheck } from '../services/checks/DnsCheck.js';
+import { validateMonitor } from '../services/checks/index.js';
+
+// TCP checks connect only to public addresses, except to apps the local
+// provider serves from this host; DNS checks resolve and compare records
+
+let server;
+let connections;
+let port;
+
+const appWith = ({ provider = 'vercel', url = `http://127.0.0.1:${port}`, monitor }) => new DeployedApp({
+  appId: 'app_1',
+  userId: 'user_1',
+  appName: 'Shop',
+  lowCodePlatform: 'custom',
+  deployment: { provider, url },
+  configuration: { monitor, timeout: 2 }
+});
+
+beforeAll(async () => {
+  server = net.createServer(socket => {
+    connections += 1;
+    socket.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+beforeEach(() => {
+  connections = 0;
+});
+
+afterEach(() => {
+  delete process.env.ALLOW_PRIVATE_NETWORK_REQUESTS;
+  jest.restoreAllMocks();
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+describe('TcpCheck', () => {
+  const check = new TcpCheck();
+
+  test('refuses a private host when the monitor is saved', async () => {
+    expect(await validateMonitor({ type: 'tcp', host: '10.0.0.5', port: 5432 }))
+      .toBe('TCP host not allowed: 10.0.0.5 is a private or reserved address');
+    expect(await validateMonitor({ type: 'tcp', host: '169.254.169.254', port: 80 }))
+      .toBe('TCP host not allowed: 169.254.169.254 is a private or reserved address');
+  });
+
+  test('refuses a host name that resolves to a private address when the monitor is saved', async () => {
+    jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '192.168.1.10', family: 4 }]);
+
+    expect(await validateMonitor({ type: 'tcp', host: 'db.internal.example', port: 5432 }))
+      .toBe('TCP host not allowed: db.internal.example resolves to 192.168.1.10, a private or reserved address');
+  });
+
+  test('accepts public hosts and hosts that do not resolve yet', async () => {
+    jest.spyOn(dns, 'lookup')
+      .mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }])
+      .mockRejectedValueOnce(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+    expect(await validateMonitor({ type: 'tcp', host: 'example.com', port: 443 })).toBeNull();
+    expect(await validateMonitor({ type: 'tcp', host: 'soon.example.com', port: 443 })).toBeNull();
+  });
+
+  test('validates the port', async () => {
+    expect(await validateMonitor({ type: 'tcp', port: 70000 })).toBe('TCP port must be between 1 and 65535');
+  });
+
+  test('does not connect to a private host configured on the monitor', async () => {
+    const result = await check.run(appWith({ provider: 'local', monitor: { type: 'tcp', host: '127.0.0.1', port } }));
+
+    expect(result.status).toBe('unknown');
+    expect(result.error).toBe(`Not checking 127.0.0.1:${port}: 127.0.0.1 is a private or reserved address`);
+    expect(connections).toBe(0);
+  });
+
+  test('does not connect to an app that resolves to a private address', async () => {
+    const result = await check.run(appWith({ monitor: { type: 'tcp' } }));
+
+    expect(result.status).toBe('unknown');
+    expect(connections).toBe(0);
+  });
+
+  test('refuses a name that resolves to a private address by the time of connecting', async () => {
+    // Public when checked, private when connecting
+    jest.spyOn(dns, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    const result = await check.run(appWith({ url: `http://localhost:${port}`, monitor: { type: 'tcp' } }));
+
+    expect(result.status).toBe('down');
+    expect(result.error).toMatch(/a private or reserved address/);
+    expect(connections).toBe(0);
+  });
+
+  test('connects to apps the local provider serves from this host', async () => {
+    const result = await check.run(appWith({ provider: 'local', monitor: { type: 'tcp' } }));
+
+    expect(result.status).toBe('up');
+    expect(connections).toBe(1);
+  });
+
+  test('connects to private hosts when they are allowed', async () => {
+    process.env.ALLOW_PRIVATE_NETWORK_REQUESTS = 'true';
+
+    const result = await check.run(appWith({ monitor: { type: 'tcp', host: '127.0.0.1', port } }));
+
+    expect(result.status).toBe('up');
+    expect(connections).toBe(1);
+  });
+
+  test('is down when the connection is refused', async () => {
+    process.env.ALLOW_PRIVATE_NETWORK_REQUESTS = 'true';
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const closedPort = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+
+    const result = await check.run(appWith({ monitor: { type: 'tcp', host: '127.0.0.1', port: closedPort } }));
+
+    expect(result.status).toBe('down');
+    expect(result.error).toMatch(/ECONNREFUSED/);
+  });
+});
+
+describe('DnsCheck', () => {
+  const check = new DnsCheck();
+
+  test('validates record type, expected values and resolver', async () => {
+    expect(await validateMonitor({ type: 'dns', recordType: 'PTR' })).toMatch(/^DNS record type must be one of/);
+    expect(await validateMonitor({ type: 'dns', expectedValues: '1.2.3.4' })).toBe('DNS expectedValues must be an array');
+    expect(await validateMonitor({ type: 'dns', resolver: 'dns.google' })).toMatch(/^DNS resolver must be an IP address/);
+    expect(await validateMonitor({ type: 'dns', resolver: '[2001:db8::1]:53', recordType: 'mx' })).toBeNull();
+  });
+
+  test('is up when every expected value is in the answer', async () => {
+    const resolve = jest.spyOn(dns.Resolver.prototype, 'resolve').mockResolvedValue([
+      { exchange: 'mx1.example.com', priority: 10 },
+      { exchange: 'mx2.example.com', priority: 20 }
+    ]);
+
+    const result = await check.run(appWith({
+      url: 'https://shop.example.com',
+      monitor: { type: 'dns', recordType: 'MX', expectedValues: ['MX2.example.com.'] }
+    }));
+
+    expect(resolve).toHaveBeenCalledWith('shop.example.com', 'MX');
+    expect(result.status).toBe('up');
+    expect(result.records).toEqual(['mx1.example.com', 'mx2.example.com']);
+  });
+
+  test('is down when an expected value is missing', async () => {
+    jest.spyOn(dns.Resolver.prototype, 'resolve').mockResolvedValue([['v=spf1 ', 'include:example.net ~all']]);
+
+    const result = await check.run(appWith({
+      monitor: { type: 'dns', host: 'example.com', recordType: 'TXT', expectedValues: ['v=spf1 -all'] }
+    }));
+
+    expect(result.status).toBe('down');
+    expect(result.error).toBe('Expected TXT v=spf1 -all for example.com, got v=spf1 include:example.net ~all');
+  });
+
+  test('is down when the lookup fails', async () => {
+    jest.spyOn(dns.Resolver.prototype, 'resolve')
+      .mockRejectedValue(Object.assign(new Error('queryA ENOTFOUND'), { code: 'ENOTFOUND' }));
+
+    const result = await check.run(appWith({ monitor: { type: 'dns', host: 'gone.example.com' } }));
+
+    expect(result.status).toBe('down');
+    expect(result.error).toBe('A lookup for gone.example.com failed: ENOTFOUND');
+  });
+});
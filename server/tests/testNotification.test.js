@@ -0,0 +1,109 @@
+import request from 'supertest';
+import { jest } from '@jest/globals';
+import DeployedApp from '../models/DeployedApp.js';
+import User from '../models/User.js';
+import monitoringRoutes from '../routes/monitoring.js';
+import { routerApp } from './helpers.js';
+
+// Test notifications go over a saved alert rule or to the user themselves,
+// never to an address only named in the request
+
+const server = routerApp('/api/monitoring', monitoringRoutes, { userId: 'user_1' });
+const sendTestNotification = jest.fn(async ({ type, recipient }) => ({ channel: recipient ? `${type} (${recipient})` : type }));
+server.set('monitoringService', { notificationService: { sendTestNotification } });
+
+let app;
+let user;
+
+beforeEach(() => {
+  sendTestNotification.mockClear();
+  app = new DeployedApp({
+    appId: 'app_1',
+    userId: 'user_1',
+    appName: 'Shop',
+    lowCodePlatform: 'custom',
+    deployment: { provider: 'vercel', url: 'https://shop.example.com' },
+    monitoring: {
+      alerts: [
+        { type: 'email', recipient: 'oncall@example.com' },
+        { type: 'webhook', recipient: 'http://169.254.169.254/latest/meta-data' },
+        { type: 'slack' }
+      ]
+    }
+  });
+  user = new User({
+    userId: 'user_1',
+    email: 'owner@example.com',
+    password: 'secret-password',
+    firstName: 'Olive',
+    lastName: 'Owner',
+    emailVerified: true,
+    phone: { number: '+14155550123', verified: true },
+    extraPhones: [{ number: '+14155550199', verified: false }]
+  });
+  jest.spyOn(DeployedApp, 'findOne').mockImplementation(async () => app);
+  jest.spyOn(User, 'findOne').mockImplementation(async () => user);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const sendTest = (body) => request(server).post('/api/monitoring/apps/app_1/alerts/test').send(body);
+const refusal = 'Test notifications go over a saved alert rule (ruleId) or to your own verified email address or phone number';
+
+describe('POST /apps/:appId/alerts/test', () => {
+  test('sends over a saved rule', async () => {
+    const response = await sendTest({ ruleId: app.monitoring.alerts[0]._id.toString() }).expect(200);
+
+    expect(response.body.data.channel).toBe('email (oncall@example.com)');
+    expect(sendTestNotification).toHaveBeenCalledWith(expect.objectContaining({ app, user, type: 'email', recipient: 'oncall@example.com' }));
+
+    await sendTest({ ruleId: '507f1f77bcf86cd799439011' }).expect(404);
+  });
+
+  test('sends to the user\'s own verified email address and phone number', async () => {
+    await sendTest({ type: 'email' }).expect(200);
+    await sendTest({ type: 'email', recipient: 'Owner@Example.com' }).expect(200);
+    await sendTest({ type: 'sms' }).expect(200);
+    await sendTest({ type: 'voice', recipient: '+14155550123' }).expect(200);
+
+    expect(sendTestNotification).toHaveBeenCalledTimes(4);
+  });
+
+  test('refuses recipients only named in the request', async () => {
+    const bodies = [
+      { type: 'email', recipient: 'someone@example.org' },
+      { type: 'sms', recipient: '+14155550100' },
+      { type: 'sms', recipient: '+14155550199' },
+      { type: 'webhook', recipient: 'https://hooks.example.org/alerts' },
+      { type: 'discord', recipient: 'https://discord.com/api/webhooks/1/abc' },
+      { type: 'slack' }
+    ];
+
+    for (const body of bodies) {
+      const response = await sendTest(body).expect(400);
+      expect(response.body.error).toBe(refusal);
+    }
+    expect(sendTestNotification).not.toHaveBeenCalled();
+  });
+
+  test('refuses an email address that is not verified', async () => {
+    user.emailVerified = false;
+
+    const response = await sendTest({ type: 'email' }).expect(400);
+
+    expect(response.body.error).toBe(refusal);
+  });
+
+  test('checks that URL recipients are public before sending', async () => {
+    const webhook = await sendTest({ ruleId: app.monitoring.alerts[1]._id.toString() }).expect(400);
+    expect(webhook.body.error).toMatch(/^webhook alert recipient must be a public http\(s\) URL \(.*private or reserved address/);
+
+    user.integrations.slack.webhookUrl = 'http://127.0.0.1:8080/hook';
+    const slack = await sendTest({ ruleId: app.monitoring.alerts[2]._id.toString() }).expect(400);
+    expect(slack.body.error).toMatch(/^slack alert recipient must be a public http\(s\) URL/);
+
+    expect(sendTestNotification).not.toHaveBeenCalled();
+  });
+});
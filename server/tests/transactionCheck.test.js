@@ -0,0 +1,149 @@
+import http from 'http';
+import DeployedApp from '../models/DeployedApp.js';
+import { TransactionCheck } from '../services/checks/TransactionCheck.js';
+import { validateMonitor } from '../services/checks/index.js';
+
+// Transaction steps share cookies and variables, and only reach public
+// addresses except the own origin of apps the local provider serves
+
+const servers = {};
+const requests = [];
+
+// `app` logs in and serves the dashboard; `other` stands for anything else
+// on the server's network
+const handlers = {
+  app: (request, response) => {
+    if (request.url === '/login') {
+      response.setHeader('Set-Cookie', 'session=abc123; HttpOnly; Path=/');
+      response.setHeader('Content-Type', 'application/json');
+      return response.end(JSON.stringify({ user: { id: 42 } }));
+    }
+    if (request.url === '/users/42') {
+      const status = request.headers.cookie === 'session=abc123' ? 200 : 401;
+      response.statusCode = status;
+      return response.end(status === 200 ? 'Welcome back' : 'Log in first');
+    }
+    if (request.url === '/elsewhere') {
+      response.statusCode = 302;
+      response.setHeader('Location', `${servers.other.url}/internal`);
+      return response.end();
+    }
+    response.statusCode = 404;
+    response.end();
+  },
+  other: (request, response) => response.end('internal')
+};
+
+const appWith = (provider, steps) => new DeployedApp({
+  appId: 'app_1',
+  userId: 'user_1',
+  appName: 'Shop',
+  lowCodePlatform: 'custom',
+  deployment: { provider, url: servers.app.url },
+  configuration: { monitor: { type: 'transaction', steps }, timeout: 2 }
+});
+
+const requested = (name) => requests.filter(request => request.server === name);
+
+beforeAll(async () => {
+  for (const name of Object.keys(handlers)) {
+    const server = http.createServer((request, response) => {
+      requests.push({ server: name, url: request.url, cookie: request.headers.cookie });
+      handlers[name](request, response);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    servers[name] = { server, url: `http://127.0.0.1:${server.address().port}` };
+  }
+});
+
+beforeEach(() => {
+  requests.length = 0;
+});
+
+afterEach(() => {
+  delete process.env.ALLOW_PRIVATE_NETWORK_REQUESTS;
+});
+
+afterAll(() => Promise.all(Object.values(servers).map(({ server }) => new Promise(resolve => server.close(resolve)))));
+
+describe('TransactionCheck', () => {
+  const check = new TransactionCheck();
+
+  const loginSteps = [
+    { name: 'Log in', method: 'POST', url: '/login', extract: [{ name: 'userId', source: 'json', property: '$.user.id' }] },
+    { name: 'Dashboard', url: '/users/{{userId}}', assertions: [{ type: 'body_contains', value: 'Welcome' }] }
+  ];
+
+  test('runs steps in order with cookies and extracted variables', async () => {
+    const result = await check.run(appWith('local', loginSteps));
+
+    expect(result.status).toBe('up');
+    expect(result.steps.map(step => [step.name, step.statusCode])).toEqual([['Log in', 200], ['Dashboard', 200]]);
+    expect(requested('app').map(request => request.url)).toEqual(['/login', '/users/42']);
+  });
+
+  test('does not request steps of an app that resolves to a private address', async () => {
+    const result = await check.run(appWith('vercel', loginSteps));
+
+    expect(result.status).toBe('unknown');
+    expect(result.failedStep).toBe('Log in');
+    expect(result.error).toBe(`Step "Log in": Not requesting ${servers.app.url}/login: 127.0.0.1 is a private or reserved address`);
+    expect(requests).toEqual([]);
+  });
+
+  test('does not request a step on another private host, even for local apps', async () => {
+    const result = await check.run(appWith('local', [
+      { name: 'Metadata', url: 'http://169.254.169.254/latest/meta-data/' },
+      { name: 'Other', url: `${servers.other.url}/internal` }
+    ]));
+
+    expect(result.status).toBe('unknown');
+    expect(result.error).toMatch(/^Step "Metadata": Not requesting http:\/\/169\.254\.169\.254\/latest\/meta-data\/: 169\.254\.169\.254 is a private/);
+
+    const other = await check.run(appWith('local', [{ name: 'Other', url: `${servers.other.url}/internal` }]));
+    expect(other.status).toBe('unknown');
+    expect(requested('other')).toEqual([]);
+  });
+
+  test('does not follow a redirect to a private host', async () => {
+    const result = await check.run(appWith('local', [{ name: 'Redirect', url: '/elsewhere' }]));
+
+    expect(result.status).toBe('unknown');
+    expect(result.error).toBe(`Step "Redirect": Not requesting ${servers.other.url}/internal: 127.0.0.1 is a private or reserved address`);
+    expect(requested('app')).toHaveLength(1);
+    expect(requested('other')).toEqual([]);
+  });
+
+  test('only sends cookies back to the origin that set them', async () => {
+    process.env.ALLOW_PRIVATE_NETWORK_REQUESTS = 'true';
+
+    const result = await check.run(appWith('vercel', [
+      { name: 'Log in', method: 'POST', url: '/login' },
+      { name: 'Other', url: `${servers.other.url}/internal` },
+      { name: 'Redirect', url: '/elsewhere' },
+      { name: 'Cookie', url: '/users/42', extract: [{ name: 'session', source: 'cookie', property: 'session' }] }
+    ]));
+
+    expect(result.status).toBe('up');
+    expect(requested('other').map(request => request.cookie)).toEqual([undefined, undefined]);
+    expect(requested('app').map(request => request.cookie)).toEqual([undefined, 'session=abc123', 'session=abc123']);
+  });
+
+  test('fails at the first failing step', async () => {
+    const result = await check.run(appWith('local', [{ name: 'Dashboard', url: '/users/42' }, ...loginSteps]));
+
+    expect(result.status).toBe('down');
+    expect(result.failedStep).toBe('Dashboard');
+    expect(result.error).toBe('Step "Dashboard" failed: HTTP 401');
+    expect(result.steps).toHaveLength(1);
+  });
+
+  test('validates steps', async () => {
+    expect(await validateMonitor({ type: 'transaction', steps: [] })).toBe('Transaction monitors need at least one step');
+    expect(await validateMonitor({ type: 'transaction', steps: [{ url: '/', method: 'TRACE' }] }))
+      .toBe('Step 1: method must be one of GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+    expect(await validateMonitor({ type: 'transaction', steps: [{ url: '/', extract: [{ name: 'id', source: 'xml', property: 'a' }] }] }))
+      .toBe('Step 1: extract source must be one of json, header, cookie, regex');
+    expect(await validateMonitor({ type: 'transaction', steps: loginSteps })).toBeNull();
+  });
+});
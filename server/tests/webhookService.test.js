@@ -0,0 +1,163 @@
+import crypto from 'crypto';
+import http from 'http';
+import { jest } from '@jest/globals';
+import WebhookEndpoint from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { JobQueue } from '../services/JobQueue.js';
+import { WebhookService } from '../services/WebhookService.js';
+
+// Signs and delivers events to a receiver on a local port, which only
+// private network requests being allowed makes reachable
+
+const service = new WebhookService();
+let server;
+let received;
+let respondWith;
+let url;
+
+const endpointFor = (fields = {}) => new WebhookEndpoint({ userId: 'user_1', url, ...fields });
+
+const deliveryFor = (endpoint) => service.sendTo(endpoint, 'alert.triggered', { appId: 'app_1', reason: 'Down' });
+
+// What a receiver would do: recompute the HMAC over "<t>.<body>" and compare
+const verify = (secret, header, body) => {
+  const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${body}`).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(v1), Buffer.from(expected));
+};
+
+beforeAll(async () => {
+  server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      received.push({ headers: request.headers, body });
+      response.writeHead(respondWith);
+      response.end('received');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = `http://127.0.0.1:${server.address().port}/hooks`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+  respondWith = 200;
+  process.env.ALLOW_PRIVATE_NETWORK_REQUESTS = 'true';
+  jest.spyOn(JobQueue, 'enqueue').mockResolvedValue({ jobId: 'job_1' });
+  jest.spyOn(WebhookDelivery.prototype, 'save').mockImplementation(async function() { return this; });
+  jest.spyOn(WebhookEndpoint.prototype, 'save').mockImplementation(async function() { return this; });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.ALLOW_PRIVATE_NETWORK_REQUESTS;
+});
+
+describe('WebhookService.sign', () => {
+  test('signs the timestamp and body with the endpoint secret', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+
+    expect(WebhookService.sign('whsec_test', 1700000000, '{"a":1}')).toBe(expected);
+    expect(WebhookService.sign('whsec_other', 1700000000, '{"a":1}')).not.toBe(expected);
+    expect(WebhookService.sign('whsec_test', 1700000001, '{"a":1}')).not.toBe(expected);
+  });
+});
+
+describe('WebhookService.attempt', () => {
+  test('posts the event with a signature the receiver can verify', async () => {
+    const endpoint = endpointFor();
+    const delivery = await deliveryFor(endpoint);
+
+    const result = await service.attempt(delivery, endpoint, 30000);
+
+    expect(result).toEqual({ succeeded: true, statusCode: 200, error: undefined });
+    expect(received).toHaveLength(1);
+
+    const [{ headers, body }] = received;
+    expect(body).toBe(delivery.request.body);
+    expect(JSON.parse(body)).toMatchObject({ id: delivery.eventId, event: 'alert.triggered', data: { appId: 'app_1' } });
+    expect(headers['x-deploywise-event']).toBe('alert.triggered');
+    expect(headers['x-deploywise-delivery']).toBe(delivery.deliveryId);
+    expect(headers['x-deploywise-signature']).toMatch(new RegExp(`^t=${headers['x-deploywise-timestamp']},v1=[0-9a-f]{64}$`));
+    expect(verify(endpoint.secret, headers['x-deploywise-signature'], body)).toBe(true);
+    expect(verify('whsec_wrong', headers['x-deploywise-signature'], body)).toBe(false);
+
+    expect(delivery.status).toBe('succeeded');
+    expect(delivery.attempts).toHaveLength(1);
+    expect(endpoint.lastDeliveryStatus).toBe('succeeded');
+  });
+
+  test('keeps a failed delivery pending while retries remain', async () => {
+    respondWith = 503;
+    const endpoint = endpointFor();
+    const delivery = await deliveryFor(endpoint);
+
+    const result = await service.attempt(delivery, endpoint, 30000);
+
+    expect(result).toMatchObject({ succeeded: false, statusCode: 503, error: 'Endpoint responded with 503' });
+    expect(delivery.status).toBe('pending');
+    expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+    expect(endpoint.lastDeliveryStatus).toBeUndefined();
+  });
+
+  test('fails the delivery on its last attempt', async () => {
+    respondWith = 500;
+    const endpoint = endpointFor();
+    const delivery = await deliveryFor(endpoint);
+
+    await service.attempt(delivery, endpoint, null);
+
+    expect(delivery.status).toBe('failed');
+    expect(delivery.nextAttemptAt).toBeUndefined();
+    expect(endpoint.lastDeliveryStatus).toBe('failed');
+  });
+
+  test('refuses to send to a private address', async () => {
+    delete process.env.ALLOW_PRIVATE_NETWORK_REQUESTS;
+    const endpoint = endpointFor();
+    const delivery = await deliveryFor(endpoint);
+
+    const result = await service.attempt(delivery, endpoint, null);
+
+    expect(result.succeeded).toBe(false);
+    expect(result.error).toMatch(/private or reserved address/);
+    expect(received).toHaveLength(0);
+    expect(delivery.status).toBe('failed');
+  });
+});
+
+describe('WebhookService.dispatch', () => {
+  test('queues the event for subscribed endpoints only', async () => {
+    const everything = endpointFor();
+    const alerts = endpointFor({ events: ['alert.triggered'] });
+    const deploys = endpointFor({ events: ['deployment.succeeded'] });
+    const otherApp = endpointFor({ appIds: ['app_2'] });
+    const find = jest.spyOn(WebhookEndpoint, 'find').mockResolvedValue([everything, alerts, deploys, otherApp]);
+
+    const deliveries = await service.dispatch('user_1', 'alert.triggered', { appId: 'app_1' });
+
+    expect(find).toHaveBeenCalledWith({ userId: 'user_1', isActive: true, forAlertRules: { $ne: true } });
+    expect(deliveries.map(delivery => delivery.webhookId)).toEqual([everything.webhookId, alerts.webhookId]);
+    expect(new Set(deliveries.map(delivery => delivery.eventId)).size).toBe(1);
+    expect(JobQueue.enqueue).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('WebhookService.endpointForUrl', () => {
+  test('registers an alert rule URL once and reuses its endpoint', async () => {
+    const registered = endpointFor({ forAlertRules: true });
+    const findOne = jest.spyOn(WebhookEndpoint, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(registered);
+    const create = jest.spyOn(WebhookEndpoint, 'create').mockImplementation(async (fields) => new WebhookEndpoint(fields));
+
+    const first = await service.endpointForUrl('user_1', url);
+    expect(first).toEqual(expect.objectContaining({ userId: 'user_1', url, forAlertRules: true }));
+    expect(first.secret).toBeDefined();
+
+    expect(await service.endpointForUrl('user_1', url)).toBe(registered);
+    expect(findOne).toHaveBeenCalledWith({ userId: 'user_1', url });
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
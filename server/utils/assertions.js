@@ -0,0 +1,202 @@
+import vm from 'vm';
+import { parseJsonPath, queryJsonPath } from './jsonPath.js';
+
+// Checks a health check response must pass beyond "the server answered".
+// `property` is the JSONPath for json_path and the header name for header;
+// `value` is the expected text, pattern, JSON value, status list or limit.
+export const assertionTypes = [
+  'status_code',
+  'body_contains',
+  'body_not_contains',
+  'body_regex',
+  'json_path',
+  'header',
+  'max_response_time'
+];
+
+// "200,204,3xx" style lists of accepted status codes
+const matchesStatusCode = (statusCode, spec) =>
+  String(spec)
+    .split(',')
+    .map(code => code.trim().toLowerCase())
+    .filter(Boolean)
+    .some(code => new RegExp(`^${code.replace(/x/g, '\\d')}$`).test(String(statusCode)));
+
+// User patterns run on the server, so they only see the start of a body and
+// are stopped after REGEX_TIMEOUT: a pathological pattern on a 5MB page could
+// otherwise block the process for minutes
+export const REGEX_INPUT_LIMIT = 64 * 1024;
+export const REGEX_PATTERN_LIMIT = 1000;
+const REGEX_TIMEOUT = 100; // milliseconds
+
+const matchScript = new vm.Script('text.match(pattern)');
+
+// String.prototype.match() of a user pattern against the start of a text;
+// throws when the pattern takes too long
+export const matchRegExp = (pattern, text) => {
+  try {
+    return matchScript.runInNewContext(
+      { pattern, text: String(text).slice(0, REGEX_INPUT_LIMIT) },
+      { timeout: REGEX_TIMEOUT }
+    );
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`Pattern ${pattern} took longer than ${REGEX_TIMEOUT}ms`);
+    }
+    throw error;
+  }
+};
+
+// Accept both "pattern" and "/pattern/flags"
+const toRegExp = (value) => {
+  const literal = String(value).match(/^\/(.+)\/([gimsuy]*)$/);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value);
+};
+
+// JSON values are compared as JSON ("true", "42", "\"ok\""), anything else as text
+const jsonValueEquals = (actual, expected) => {
+  try {
+    return JSON.stringify(actual) === JSON.stringify(JSON.parse(expected));
+  } catch (error) {
+    return String(actual) === String(expected);
+  }
+};
+
+// Returns an error message for an invalid assertion, or null
+export const validateAssertion = (assertion) => {
+  const { type, property, value } = assertion || {};
+
+  if (!assertionTypes.includes(type)) {
+    return `Unknown assertion type "${type}"`;
+  }
+
+  switch (type) {
+    case 'status_code':
+      return /^\s*[1-5][\dx]{2}(\s*,\s*[1-5][\dx]{2})*\s*$/i.test(String(value ?? ''))
+        ? null
+        : 'status_code assertions need a value like "200" or "200,3xx"';
+    case 'body_contains':
+    case 'body_not_contains':
+      return value ? null : `${type} assertions need a value`;
+    case 'body_regex':
+      if (String(value ?? '').length > REGEX_PATTERN_LIMIT) {
+        return `body_regex patterns can be at most ${REGEX_PATTERN_LIMIT} characters`;
+      }
+      try {
+        toRegExp(value);
+        return value ? null : 'body_regex assertions need a pattern';
+      } catch (error) {
+        return `Invalid body_regex pattern: ${error.message}`;
+      }
+    case 'json_path':
+      try {
+        parseJsonPath(property);
+        return value !== undefined && value !== '' ? null : 'json_path assertions need an expected value';
+      } catch (error) {
+        return error.message;
+      }
+    case 'header':
+      return property ? null : 'header assertions need a header name in property';
+    case 'max_response_time':
+      return parseInt(value) > 0 ? null : 'max_response_time assertions need a limit in milliseconds';
+    default:
+      return null;
+  }
+};
+
+// `actual` is only ever a status code or a timing: failures end up in health
+// checks, alerts and socket events, so response content stays out of them
+const failure = (assertion, message, actual, status = 'down') => ({
+  type: assertion.type,
+  property: assertion.property,
+  expected: assertion.value,
+  actual: actual === undefined ? undefined : String(actual).slice(0, 200),
+  message,
+  status
+});
+
+const evaluateAssertion = (assertion, response, context) => {
+  const { type, property, value } = assertion;
+  const { statusCode, headers = {}, body = '', responseTime } = response;
+
+  switch (type) {
+    case 'status_code':
+      return matchesStatusCode(statusCode, value)
+        ? null
+        : failure(assertion, `Expected status ${value}, got ${statusCode}`, statusCode);
+
+    case 'body_contains':
+      return body.includes(value)
+        ? null
+        : failure(assertion, `Response body does not contain "${value}"`);
+
+    case 'body_not_contains':
+      return body.includes(value)
+        ? failure(assertion, `Response body contains "${value}"`)
+        : null;
+
+    case 'body_regex': {
+      let matched;
+      try {
+        matched = matchRegExp(toRegExp(value), body) !== null;
+      } catch (error) {
+        return failure(assertion, error.message);
+      }
+      return matched
+        ? null
+        : failure(assertion, `Response body does not match ${value}${body.length > REGEX_INPUT_LIMIT ? ' in its first 64KB' : ''}`);
+    }
+
+    case 'json_path': {
+      if (context.json === undefined) {
+        try {
+          context.json = JSON.parse(body);
+        } catch (error) {
+          context.json = null;
+        }
+      }
+      if (context.json === null) {
+        return failure(assertion, 'Response body is not valid JSON');
+      }
+
+      const result = queryJsonPath(context.json, property);
+      if (!result.found) {
+        return failure(assertion, `${property} not found in response`);
+      }
+      return jsonValueEquals(result.value, value)
+        ? null
+        : failure(assertion, `${property} is not ${value}`);
+    }
+
+    case 'header': {
+      const actual = headers[String(property).toLowerCase()];
+      if (actual === undefined) {
+        return failure(assertion, `Header ${property} is missing`);
+      }
+      return !value || String(actual).toLowerCase().includes(String(value).toLowerCase())
+        ? null
+        : failure(assertion, `Header ${property} does not contain "${value}"`);
+    }
+
+    // A slow but correct answer degrades the app rather than taking it down
+    case 'max_response_time':
+      return responseTime <= parseInt(value)
+        ? null
+        : failure(assertion, `Response took ${responseTime}ms, limit is ${value}ms`, responseTime, 'warning');
+
+    default:
+      return null;
+  }
+};
+
+// First failing assertion for a response, or null when all pass. Failures
+// that take the app down are reported before latency warnings.
+export const evaluateAssertions = (assertions = [], response) => {
+  const context = {};
+  const failures = assertions
+    .filter(assertion => assertion.enabled !== false)
+    .map(assertion => evaluateAssertion(assertion, response, context))
+    .filter(Boolean);
+
+  return failures.find(result => result.status === 'down') || failures[0] || null;
+};
@@ -0,0 +1,72 @@
+import crypto from 'crypto';
+
+// Minimal AWS Signature Version 4 signer for JSON REST APIs (e.g. Amplify)
+const hash = (value) => crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value, 'utf8').digest();
+
+const encodeRfc3986 = (value) =>
+  encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+export const signRequest = ({
+  method,
+  url,
+  region,
+  service,
+  body = '',
+  headers = {},
+  credentials = {
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: process.env.AWS_SESSION_TOKEN
+  },
+  date = new Date()
+}) => {
+  if (!credentials.accessKeyId || !credentials.secretAccessKey) {
+    throw new Error('AWS credentials are not configured');
+  }
+
+  const { host, pathname, searchParams } = new URL(url);
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const signedHeaderValues = {
+    ...Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), String(value).trim()])),
+    host,
+    'x-amz-date': amzDate,
+    ...(credentials.sessionToken && { 'x-amz-security-token': credentials.sessionToken })
+  };
+
+  const sortedHeaderNames = Object.keys(signedHeaderValues).sort();
+  const canonicalHeaders = sortedHeaderNames.map(name => `${name}:${signedHeaderValues[name]}\n`).join('');
+  const signedHeaders = sortedHeaderNames.join(';');
+
+  const canonicalQuery = [...searchParams.entries()]
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+
+  const canonicalUri = pathname.split('/').map(segment => encodeRfc3986(decodeURIComponent(segment))).join('/');
+
+  const canonicalRequest = [
+    method.toUpperCase(),
+    canonicalUri || '/',
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaders,
+    hash(body)
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash(canonicalRequest)].join('\n');
+
+  const signingKey = hmac(hmac(hmac(hmac(`AWS4${credentials.secretAccessKey}`, dateStamp), region), service), 'aws4_request');
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+  return {
+    ...headers,
+    'x-amz-date': amzDate,
+    ...(credentials.sessionToken && { 'x-amz-security-token': credentials.sessionToken }),
+    Authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  };
+};
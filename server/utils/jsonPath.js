@@ -0,0 +1,40 @@
+// Minimal JSONPath lookup supporting dot and bracket notation, e.g.
+// "$.status", "$.data.items[0].name" or "$['service-name']". Filters and
+// wildcards are not supported.
+const TOKEN = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[\s*'([^']*)'\s*\]|\[\s*"([^"]*)"\s*\]/y;
+
+export const parseJsonPath = (path) => {
+  if (typeof path !== 'string' || !path.startsWith('$')) {
+    throw new Error(`Invalid JSONPath "${path}": must start with $`);
+  }
+
+  const segments = [];
+  TOKEN.lastIndex = 1;
+
+  while (TOKEN.lastIndex < path.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(path);
+    if (!match) {
+      throw new Error(`Invalid JSONPath "${path}" at position ${start}`);
+    }
+
+    const [, name, index, single, double] = match;
+    segments.push(index !== undefined ? parseInt(index) : (name ?? single ?? double));
+  }
+
+  return segments;
+};
+
+// Returns { found, value } for the path in a parsed JSON document
+export const queryJsonPath = (document, path) => {
+  let value = document;
+
+  for (const segment of parseJsonPath(path)) {
+    if (value === null || typeof value !== 'object' || !(segment in value)) {
+      return { found: false, value: undefined };
+    }
+    value = value[segment];
+  }
+
+  return { found: true, value };
+};
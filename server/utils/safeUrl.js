@@ -0,0 +1,116 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+// Guards requests to URLs and hosts users configure (deploy hooks, webhooks,
+// monitored apps) against reaching the server's own network: loopback, private,
+// link-local (cloud metadata) and other reserved ranges are refused unless
+// ALLOW_PRIVATE_NETWORK_REQUESTS is set, e.g. for self-hosted installs
+
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockList.addSubnet(network, prefix, 'ipv6'));
+
+const privateRequestsAllowed = () => process.env.ALLOW_PRIVATE_NETWORK_REQUESTS === 'true';
+
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) {
+    return blockList.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    // IPv4-mapped addresses (::ffff:10.0.0.1) reach the IPv4 host
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? blockList.check(mapped[1], 'ipv4') : blockList.check(address, 'ipv6');
+  }
+  return true;
+};
+
+const blocked = (hostname, address) => new Error(hostname === address
+  ? `${address} is a private or reserved address`
+  : `${hostname} resolves to ${address}, a private or reserved address`);
+
+// dns.lookup() that fails for private addresses; used by the agents below so
+// the address connected to is the one checked, even if DNS changes
+export const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const denied = privateRequestsAllowed() ? null : addresses.find(({ address }) => isPrivateAddress(address));
+    if (denied) return callback(blocked(hostname, denied.address));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Pass as axios' httpAgent and httpsAgent
+export const publicAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Pass as axios' beforeRedirect when following redirects: a redirect to a
+// host given as an IP literal skips the agents' lookup
+export const refusePrivateRedirect = (options) => {
+  if (privateRequestsAllowed()) return;
+
+  const hostname = String(options.hostname || '').replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+    throw blocked(hostname, hostname);
+  }
+};
+
+// Throw unless the URL is http(s) and its host resolves only to public
+// addresses. Hosts given as IP literals skip the agents' lookup, so callers
+// check the URL with this before sending and send with publicAgents.
+export const assertPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Invalid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('URL must use http or https');
+  }
+
+  await assertPublicHost(parsed.hostname);
+  return parsed;
+};
+
+// Throw unless the host name or IP resolves only to public addresses. DNS
+// errors are passed on with their code.
+export const assertPublicHost = async (host) => {
+  if (privateRequestsAllowed()) return;
+
+  const hostname = String(host).replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(hostname)
+    ? [{ address: hostname }]
+    : await dns.promises.lookup(hostname, { all: true });
+
+  const denied = addresses.find(({ address }) => isPrivateAddress(address));
+  if (denied) {
+    throw blocked(hostname, denied.address);
+  }
+};
@@ -0,0 +1,72 @@
+// Wall-clock arithmetic in IANA timezones using Intl, so recurring
+// schedules keep their local time across daylight saving changes
+
+const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const formatters = new Map();
+
+const formatterFor = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+export const isValidTimezone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    formatterFor(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Local date and time of an instant in a timezone; month is 1-12 and
+// weekday 0 (Sunday) to 6
+export const zonedParts = (date, timeZone) => {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: weekdays.indexOf(parts.weekday)
+  };
+};
+
+// Milliseconds the timezone is ahead of UTC at an instant
+const offsetAt = (time, timeZone) => {
+  const local = zonedParts(time, timeZone);
+  const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return asUtc - (time - (time % 1000));
+};
+
+// Instant at which the clock in the timezone shows the given local time.
+// Times skipped when clocks go forward are moved past the jump by its length
+// (02:30 becomes 03:30); times that repeat when clocks go back resolve to
+// one of the two instants.
+export const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const offset = offsetAt(wall - offsetAt(wall, timeZone), timeZone);
+  const actual = offsetAt(wall - offset, timeZone);
+
+  // The offsets only disagree for a skipped time; the one from before the
+  // jump is the smaller
+  return new Date(wall - Math.min(offset, actual));
+};
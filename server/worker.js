@@ -0,0 +1,40 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+
+import { JobQueue } from './services/JobQueue.js';
+import { RealtimeEmitter } from './services/RealtimeEmitter.js';
+import { registerJobHandlers } from './jobs/index.js';
+import { logger } from './utils/logger.js';
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/deploywise';
+
+// Socket.IO lives in the API process; events are relayed through MongoDB
+const io = new RealtimeEmitter();
+const queue = registerJobHandlers(new JobQueue(), { io });
+
+mongoose.connect(MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+})
+.then(() => {
+  logger.info('Worker connected to MongoDB');
+  queue.start();
+})
+.catch((error) => {
+  logger.error('Database connection failed:', error);
+  process.exit(1);
+});
+
+// Graceful shutdown: finish in-flight jobs, anything unfinished is picked up
+// again by another worker once its lease expires
+const shutdown = async (signal) => {
+  logger.info(`${signal} received, stopping worker`);
+  await queue.stop();
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
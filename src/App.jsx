@@ -8,6 +8,7 @@ import Dashboard from './components/Dashboard';
 import DeploymentModal from './components/DeploymentModal';
 import SubscriptionBanner from './components/SubscriptionBanner';
 import MobileNavigation from './components/MobileNavigation';
+import LogViewer from './components/LogViewer';
 
 // Mock data
 import { mockApps, mockUser } from './data/mockData';
@@ -18,6 +19,7 @@ function App() {
   const [showDeployModal, setShowDeployModal] = useState(false);
   const [showMobileNav, setShowMobileNav] = useState(false);
   const [selectedApp, setSelectedApp] = useState(null);
+  const [logViewerApp, setLogViewerApp] = useState(null);
 
   // Simulate real-time monitoring updates
   useEffect(() => {
@@ -79,6 +81,12 @@ function App() {
                 deploymentStatus: 'stopped',
                 healthStatus: 'down'
               };
+            case 'start':
+              return { 
+                ...app, 
+                healthStatus: 'restarting',
+                lastCheck: new Date().toISOString()
+              };
             case 'toggle-monitoring':
               return { 
                 ...app, 
@@ -93,12 +101,12 @@ function App() {
     );
 
     // Simulate restart completion
-    if (action === 'restart') {
+    if (action === 'restart' || action === 'start') {
       setTimeout(() => {
         setApps(prev => 
           prev.map(app => 
             app.appId === appId 
-              ? { ...app, healthStatus: 'up', lastCheck: new Date().toISOString() }
+              ? { ...app, deploymentStatus: 'deployed', healthStatus: 'up', lastCheck: new Date().toISOString() }
               : app
           )
         );
@@ -124,6 +132,7 @@ function App() {
           apps={apps}
           onAppAction={handleAppAction}
           onAppSelect={setSelectedApp}
+          onViewLogs={setLogViewerApp}
           onDeployClick={() => setShowDeployModal(true)}
         />
       </main>
@@ -147,6 +156,16 @@ function App() {
           />
         )}
       </AnimatePresence>
+
+      {/* Deployment Logs */}
+      <AnimatePresence>
+        {logViewerApp && (
+          <LogViewer 
+            app={logViewerApp}
+            onClose={() => setLogViewerApp(null)}
+          />
+        )}
+      </AnimatePresence>
     </div>
   );
 }
@@ -12,10 +12,11 @@ import {
   AlertCircle,
   CheckCircle,
   Clock,
-  Zap
+  Zap,
+  Terminal
 } from 'lucide-react';
 
-const AppCard = ({ app, onAction, onSelect, index }) => {
+const AppCard = ({ app, onAction, onSelect, onViewLogs, index }) => {
   const [showActions, setShowActions] = useState(false);
 
   const getStatusIcon = () => {
@@ -138,16 +139,29 @@ const AppCard = ({ app, onAction, onSelect, index }) => {
                     <span>{app.monitoringEnabled ? 'Disable' : 'Enable'} Monitoring</span>
                   </button>
                   
-                  <button
-                    onClick={() => {
-                      onAction(app.appId, 'stop');
-                      setShowActions(false);
-                    }}
-                    className="w-full text-left px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-md flex items-center space-x-2"
-                  >
-                    <Square size={14} />
-                    <span>Stop App</span>
-                  </button>
+                  {app.deploymentStatus === 'stopped' ? (
+                    <button
+                      onClick={() => {
+                        onAction(app.appId, 'start');
+                        setShowActions(false);
+                      }}
+                      className="w-full text-left px-3 py-2 text-sm text-textPrimary hover:bg-gray-100 rounded-md flex items-center space-x-2"
+                    >
+                      <Play size={14} />
+                      <span>Start App</span>
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => {
+                        onAction(app.appId, 'stop');
+                        setShowActions(false);
+                      }}
+                      className="w-full text-left px-3 py-2 text-sm text-red-600 hover:bg-red-50 rounded-md flex items-center space-x-2"
+                    >
+                      <Square size={14} />
+                      <span>Stop App</span>
+                    </button>
+                  )}
                 </div>
               </motion.div>
             )}
@@ -204,6 +218,15 @@ const AppCard = ({ app, onAction, onSelect, index }) => {
           <ExternalLink size={12} />
         </motion.button>
 
+        <motion.button
+          onClick={() => onViewLogs(app)}
+          className="px-4 py-2 rounded-lg text-textSecondary hover:text-textPrimary hover:bg-gray-100 transition-colors"
+          whileTap={{ scale: 0.95 }}
+          title="Deployment logs"
+        >
+          <Terminal size={16} />
+        </motion.button>
+
         <motion.button
           onClick={() => onSelect(app)}
           className="px-4 py-2 rounded-lg text-textSecondary hover:text-textPrimary hover:bg-gray-100 transition-colors"
@@ -5,8 +5,9 @@ import { BarChart3, Activity, Server, Clock } from 'lucide-react';
 import AppCard from './AppCard';
 import MetricsCard from './MetricsCard';
 import QuickActions from './QuickActions';
+import MaintenancePanel from './MaintenancePanel';
 
-const Dashboard = ({ apps, onAppAction, onAppSelect, onDeployClick }) => {
+const Dashboard = ({ apps, onAppAction, onAppSelect, onViewLogs, onDeployClick }) => {
   const activeApps = apps.filter(app => app.deploymentStatus === 'deployed');
   const upApps = apps.filter(app => app.healthStatus === 'up');
   const totalChecks = apps.reduce((sum, app) => sum + (app.monitoringEnabled ? 1 : 0), 0);
@@ -79,6 +80,15 @@ const Dashboard = ({ apps, onAppAction, onAppSelect, onDeployClick }) => {
         <QuickActions onDeployClick={onDeployClick} />
       </motion.div>
 
+      {/* Maintenance */}
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ delay: 0.25 }}
+      >
+        <MaintenancePanel apps={apps} />
+      </motion.div>
+
       {/* Apps Grid */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -113,6 +123,7 @@ const Dashboard = ({ apps, onAppAction, onAppSelect, onDeployClick }) => {
                 app={app}
                 onAction={onAppAction}
                 onSelect={onAppSelect}
+                onViewLogs={onViewLogs}
                 index={index}
               />
             ))}
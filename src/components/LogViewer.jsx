@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { motion } from 'framer-motion';
+import { X, Terminal, ChevronUp, AlertCircle } from 'lucide-react';
+import { io } from 'socket.io-client';
+import { API_URL, apiGet } from '../lib/api';
+
+const PAGE_SIZE = 200;
+
+const LogViewer = ({ app, onClose }) => {
+  const [deployment, setDeployment] = useState(null);
+  const [lines, setLines] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [followTail, setFollowTail] = useState(true);
+  const scrollRef = useRef(null);
+  const deploymentIdRef = useRef(null);
+
+  useEffect(() => {
+    deploymentIdRef.current = deployment?.deploymentId || null;
+  }, [deployment]);
+
+  // Merge lines by seq so live chunks and fetched pages never duplicate
+  const mergeLines = (incoming) => {
+    setLines(prev => {
+      const bySeq = new Map(prev.map(line => [line.seq, line]));
+      incoming.forEach(line => bySeq.set(line.seq, line));
+      return [...bySeq.values()].sort((a, b) => a.seq - b.seq);
+    });
+  };
+
+  // Load the latest deployment and the tail of its log
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const { deployments } = await apiGet(`/apps/${app.appId}/deployments?limit=1`);
+        const latest = deployments[0];
+        if (cancelled) return;
+
+        if (!latest) {
+          setLoading(false);
+          return;
+        }
+
+        setDeployment(latest);
+        const page = await apiGet(`/apps/${app.appId}/deployments/${latest.deploymentId}/logs?limit=${PAGE_SIZE}`);
+        if (cancelled) return;
+
+        mergeLines(page.lines);
+        setHasMore(page.hasMore);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    return () => { cancelled = true; };
+  }, [app.appId]);
+
+  // Live lines for this app
+  useEffect(() => {
+    // The server puts the socket in the room of the user the token names
+    const socket = io(API_URL, { auth: { token: localStorage.getItem('token') } });
+
+    socket.on('deployment-log', (event) => {
+      if (event.appId !== app.appId) return;
+
+      // A new deployment started while the panel was open
+      if (deploymentIdRef.current !== event.deploymentId) {
+        deploymentIdRef.current = event.deploymentId;
+        setDeployment({ deploymentId: event.deploymentId, status: 'deploying' });
+        setLines([]);
+        setHasMore(false);
+      }
+      mergeLines(event.lines);
+    });
+
+    socket.on('app-deployment-update', (event) => {
+      if (event.appId !== app.appId) return;
+      setDeployment(prev => (
+        prev && prev.deploymentId === event.lastDeployment?.id
+          ? { ...prev, status: event.lastDeployment.status }
+          : prev
+      ));
+    });
+
+    return () => socket.disconnect();
+  }, [app.appId]);
+
+  useEffect(() => {
+    if (followTail && scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }
+  }, [lines, followTail]);
+
+  const handleScroll = () => {
+    const el = scrollRef.current;
+    setFollowTail(el.scrollHeight - el.scrollTop - el.clientHeight < 40);
+  };
+
+  const loadOlder = async () => {
+    if (!deployment || lines.length === 0) return;
+
+    try {
+      const page = await apiGet(
+        `/apps/${app.appId}/deployments/${deployment.deploymentId}/logs?before=${lines[0].seq}&limit=${PAGE_SIZE}`
+      );
+      setFollowTail(false);
+      mergeLines(page.lines);
+      setHasMore(page.hasMore);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const getStatusColor = () => {
+    switch (deployment?.status) {
+      case 'deployed':
+        return 'text-green-600 bg-green-50';
+      case 'failed':
+        return 'text-red-600 bg-red-50';
+      case 'deploying':
+      case 'queued':
+        return 'text-blue-600 bg-blue-50';
+      default:
+        return 'text-gray-600 bg-gray-50';
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0 }}
+      animate={{ opacity: 1 }}
+      exit={{ opacity: 0 }}
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95, y: 20 }}
+        animate={{ opacity: 1, scale: 1, y: 0 }}
+        exit={{ opacity: 0, scale: 0.95, y: 20 }}
+        className="bg-surface rounded-lg shadow-modal max-w-4xl w-full max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-6 border-b border-gray-200">
+          <div className="flex items-center space-x-3 min-w-0">
+            <Terminal size={20} className="text-textSecondary" />
+            <div className="min-w-0">
+              <h2 className="text-xl font-semibold text-textPrimary truncate">{app.appName} logs</h2>
+              {deployment && (
+                <p className="text-xs text-textSecondary truncate">{deployment.deploymentId}</p>
+              )}
+            </div>
+            {deployment && (
+              <span className={`text-xs px-2 py-1 rounded-full font-medium capitalize ${getStatusColor()}`}>
+                {deployment.status}
+              </span>
+            )}
+          </div>
+          <motion.button
+            onClick={onClose}
+            className="p-2 rounded-lg text-textSecondary hover:text-textPrimary hover:bg-gray-100"
+            whileTap={{ scale: 0.95 }}
+          >
+            <X size={20} />
+          </motion.button>
+        </div>
+
+        {error && (
+          <div className="mx-6 mt-4 p-3 rounded-lg bg-red-50 text-red-600 text-sm flex items-center space-x-2">
+            <AlertCircle size={16} />
+            <span>{error}</span>
+          </div>
+        )}
+
+        <div
+          ref={scrollRef}
+          onScroll={handleScroll}
+          className="m-6 flex-1 min-h-[300px] overflow-y-auto rounded-lg bg-gray-900 p-4 font-mono text-xs leading-5"
+        >
+          {hasMore && (
+            <button
+              onClick={loadOlder}
+              className="w-full mb-2 py-1 text-gray-400 hover:text-white flex items-center justify-center space-x-1"
+            >
+              <ChevronUp size={14} />
+              <span>Load older lines</span>
+            </button>
+          )}
+
+          {loading && <p className="text-gray-400">Loading logs...</p>}
+
+          {!loading && lines.length === 0 && (
+            <p className="text-gray-400">No log output yet.</p>
+          )}
+
+          {lines.map(line => (
+            <div key={line.seq} className="flex space-x-3 whitespace-pre-wrap break-all">
+              <span className="text-gray-500 shrink-0">
+                {new Date(line.timestamp).toLocaleTimeString()}
+              </span>
+              <span className={line.stream === 'system' ? 'text-blue-300' : 'text-gray-100'}>
+                {line.message}
+              </span>
+            </div>
+          ))}
+        </div>
+      </motion.div>
+    </motion.div>
+  );
+};
+
+export default LogViewer;
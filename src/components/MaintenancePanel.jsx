@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+import { Wrench, Repeat, AlertCircle } from 'lucide-react';
+import { apiGet } from '../lib/api';
+
+const REFRESH_INTERVAL = 60 * 1000;
+
+const formatTime = (value) => new Date(value).toLocaleString([], {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+// Maintenance windows running now or starting in the next 7 days, from the
+// monitoring dashboard endpoint
+const MaintenancePanel = ({ apps }) => {
+  const [maintenance, setMaintenance] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      try {
+        const data = await apiGet('/monitoring/dashboard');
+        if (cancelled) return;
+
+        setMaintenance(data.maintenance || []);
+        setError(null);
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    load();
+    const interval = setInterval(load, REFRESH_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, []);
+
+  const appName = (appId) => apps.find(app => app.appId === appId)?.appName || appId;
+  const now = Date.now();
+
+  return (
+    <div className="bg-surface rounded-lg shadow-card border border-gray-100 p-4 sm:p-6">
+      <div className="flex items-center space-x-2 mb-4">
+        <Wrench className="w-5 h-5 text-textSecondary" />
+        <h3 className="text-lg font-semibold text-textPrimary">Maintenance</h3>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-lg bg-red-50 text-red-600 text-sm flex items-center space-x-2">
+          <AlertCircle size={16} />
+          <span>Could not load maintenance windows: {error}</span>
+        </div>
+      )}
+
+      {!error && loading && (
+        <p className="text-sm text-textSecondary">Loading maintenance windows...</p>
+      )}
+
+      {!error && !loading && maintenance.length === 0 && (
+        <p className="text-sm text-textSecondary">No maintenance scheduled in the next 7 days.</p>
+      )}
+
+      {!error && maintenance.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {maintenance.map((occurrence, index) => {
+            const inProgress = new Date(occurrence.startTime).getTime() <= now;
+
+            return (
+              <motion.li
+                key={`${occurrence.windowId}-${occurrence.startTime}`}
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: index * 0.03 }}
+                className="py-3 flex items-start justify-between gap-4"
+              >
+                <div className="min-w-0">
+                  <p className="font-medium text-textPrimary truncate">{occurrence.title}</p>
+                  <p className="text-xs sm:text-sm text-textSecondary truncate">
+                    {appName(occurrence.appId)} · {formatTime(occurrence.startTime)} – {formatTime(occurrence.endTime)}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2 flex-shrink-0">
+                  {occurrence.recurring && (
+                    <Repeat size={14} className="text-textSecondary" aria-label="Recurring" />
+                  )}
+                  <span
+                    className={`text-xs px-2 py-1 rounded-full font-medium ${
+                      inProgress ? 'text-orange-600 bg-orange-50' : 'text-blue-600 bg-blue-50'
+                    }`}
+                  >
+                    {inProgress ? 'In progress' : 'Scheduled'}
+                  </span>
+                </div>
+              </motion.li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default MaintenancePanel;
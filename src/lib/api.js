@@ -0,0 +1,16 @@
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
+
+// GET a JSON endpoint of the DeployWise API and unwrap `{ success, data }`
+export const apiGet = async (path) => {
+  const token = localStorage.getItem('token');
+  const response = await fetch(`${API_URL}/api${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || !body.success) {
+    throw new Error(body.error || `Request failed with status ${response.status}`);
+  }
+
+  return body.data;
+};